@@ -4,13 +4,11 @@ const data = {
       findAllImports:
         "Finds all import paths recursively related to a given file path." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLIMPORTS */,
       processImport:
-        "Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)" /* $COMMENT#JSDOC#DEFINITIONS#PROCESSIMPORT */,
+        "Processes and resolves a single import path, handing the traversal of the file it resolves to over to the driver of the traversal." /* $COMMENT#JSDOC#DEFINITIONS#PROCESSIMPORT */,
       makeIsSupposedToBe:
         "Makes a standardized string for `typeof` errors, `instanceof` errors and the likes." /* $COMMENT#JSDOC#DEFINITIONS#MAKEISSUPPOSEDTOBE */,
       makeSuccessFalseTypeError:
-        'Makes a `{success: false}` object with a single error in its errors array of `{type: "error"}` based on the message it is meant to display.' /* $COMMENT#JSDOC#DEFINITIONS#MAKESUCCESSFALSETYPEERROR */,
-      validateFilePathAndOptions:
-        "Validates filePath and options in `findAllImports` functions, both structurally and functionally." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS */,
+        'Makes a `{success: false}` object with a single error in its errors array of `{type: "error"}` based on the message it is meant to display and the details identifying it.' /* $COMMENT#JSDOC#DEFINITIONS#MAKESUCCESSFALSETYPEERROR */,
       validateCallbackConfig:
         "Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATECALLBACKCONFIG */,
       updateVisitedSet:
@@ -30,7 +28,234 @@ const data = {
       findAllImportsWithCallbackSync:
         "Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, synchronously." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKSYNC */,
       findAllImportsWithCallbackAsync:
-        "Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKASYNC */,
+        "Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously and, depending on concurrency, concurrently." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKASYNC */,
+      updateGraph:
+        "Updates graph with the import edge currently being addressed, thus recording who imports whom, including toward import paths that have already been visited." /* $COMMENT#JSDOC#DEFINITIONS#UPDATEGRAPH */,
+      nodeIsReExportDeclaration:
+        "Tells if the node being walked through corresponds to an ES Module re-export." /* $COMMENT#JSDOC#DEFINITIONS#NODEISREEXPORTDECLARATION */,
+      getStaticStringValue:
+        "Gets the string value of a node when it can be known without running the code, that is when it is a string literal or a template literal without expressions." /* $COMMENT#JSDOC#DEFINITIONS#GETSTATICSTRINGVALUE */,
+      nodeIsStaticImportExpression:
+        "Tells if the node being walked through corresponds to a dynamic import whose import path is a static string, wherever it is found in the AST." /* $COMMENT#JSDOC#DEFINITIONS#NODEISSTATICIMPORTEXPRESSION */,
+      nodeIsStaticRequireCallExpression:
+        "Tells if the node being walked through corresponds to a CommonJS require whose import path is a static string, wherever it is found in the AST." /* $COMMENT#JSDOC#DEFINITIONS#NODEISSTATICREQUIRECALLEXPRESSION */,
+      walkAST:
+        "Walks through every node of an AST depth-first, in source order, running the visit function on each of them." /* $COMMENT#JSDOC#DEFINITIONS#WALKAST */,
+      extractImports:
+        "Extracts all imports of a file from its SourceCode object, either from its top-level nodes only or from its whole AST depending on the scan mode, keeping only those of the kinds followed by the recursion." /* $COMMENT#JSDOC#DEFINITIONS#EXTRACTIMPORTS */,
+      makeSuccessTrueResults:
+        "Makes a `{success: true}` object with everything tracked during the recursion, based on the options or settings of the current round of `findAllImports`." /* $COMMENT#JSDOC#DEFINITIONS#MAKESUCCESSTRUERESULTS */,
+      importPathIsRelativeOrAbsolute:
+        "Tells if an import path is relative or absolute, as opposed to bare import paths such as those of packages, Node.js built-in modules or aliases." /* $COMMENT#JSDOC#DEFINITIONS#IMPORTPATHISRELATIVEORABSOLUTE */,
+      getExternalName:
+        "Gets the name under which an import path that could not be resolved is recorded as external, that is the `node:`-prefixed name of a Node.js built-in module or the name of a package." /* $COMMENT#JSDOC#DEFINITIONS#GETEXTERNALNAME */,
+      updateUnresolvedOrExternal:
+        "Updates unresolved or external with an import path that could not be resolved, failing instead on relative or absolute import paths in strict mode." /* $COMMENT#JSDOC#DEFINITIONS#UPDATEUNRESOLVEDOREXTERNAL */,
+      updateCycles:
+        "Updates cycles with the import cycle closed by the resolved path currently being addressed if it is still being processed by the recursion, failing instead in `failOnCycle` mode." /* $COMMENT#JSDOC#DEFINITIONS#UPDATECYCLES */,
+      findAllImportsFromEntries:
+        "Finds all import paths recursively related to several entries at once, within a single traversal shared by all of them." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLIMPORTSFROMENTRIES */,
+      resolveEntries:
+        "Resolves the entries passed to `findAllImportsFromEntries` into absolute file paths, expanding those that are glob patterns." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEENTRIES */,
+      makeEntrySets:
+        "Makes the set of the file paths reachable from each entry, by walking through the graph shared by all entries from each of them." /* $COMMENT#JSDOC#DEFINITIONS#MAKEENTRYSETS */,
+      nodeIsTypeOnlyImportOrReExport:
+        "Tells if the import or the re-export being walked through only involves types as a whole (`import type`, `export type`), and is therefore erased at runtime. (Imports and re-exports whose specifiers are all inline type specifiers, such as `import { type X }`, aren't type-only as a whole, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`, their inline type specifiers being recorded on their names instead.)" /* $COMMENT#JSDOC#DEFINITIONS#NODEISTYPEONLYIMPORTORREEXPORT */,
+      importIsOfKinds:
+        "Tells if an import extracted from the current file path is to be followed given the kinds of imports followed by the recursion, the imports with inline type specifiers (`import { type X }`) being followed both as values, since they remain at runtime unless type-only as a whole, and as types, through the names they bring in." /* $COMMENT#JSDOC#DEFINITIONS#IMPORTISOFKINDS */,
+      makeCache:
+        "Makes an empty cache for the tsconfig.json lookups, the resolved paths, the SourceCode objects, the package.json files and workspace packages and the content hashes of a traversal, to be passed as the `cache` option of several calls so that they share their work." /* $COMMENT#JSDOC#DEFINITIONS#MAKECACHE */,
+      resolveImportPathWithCache:
+        "Resolves an import path from the directory containing it, with the custom resolver if any or otherwise based on the closest tsconfig.json file, going through the cache for both the tsconfig.json lookup of the directory and the resolution of the import path." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEIMPORTPATHWITHCACHE */,
+      validateOptions:
+        "Validates the settings of a traversal structurally, once at the start of the traversal rather than on every round of its recursion." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATEOPTIONS */,
+      getSourceCode:
+        "Gets the SourceCode object of a file from the cache, only parsing the file again when it isn't cached yet or when it has been modified since it was cached." /* $COMMENT#JSDOC#DEFINITIONS#GETSOURCECODE */,
+      getSourceCodeAsync:
+        "Gets the SourceCode object of a file from the cache like `getSourceCode`, but reading the file asynchronously so that several files can be read at the same time." /* $COMMENT#JSDOC#DEFINITIONS#GETSOURCECODEASYNC */,
+      validateConcurrencyOptions:
+        "Validates the options specific to the concurrency of `findAllImportsWithCallbackAsync`." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATECONCURRENCYOPTIONS */,
+      makeLimiter:
+        "Makes a function running tasks with at most a given number of them running at the same time, queuing the others in the order they were given, to be passed as the `limiter` option of several calls of `findAllImportsWithCallbackAsync` so that they share the same concurrency limit." /* $COMMENT#JSDOC#DEFINITIONS#MAKELIMITER */,
+      indexGraphByImporter:
+        "Indexes the resolved paths imported by each importer of the graph, in the order of the graph." /* $COMMENT#JSDOC#DEFINITIONS#INDEXGRAPHBYIMPORTER */,
+      updateCyclesFromGraph:
+        "Updates cycles with all the import cycles reachable from a file path, by walking through the graph depth-first once the traversal is complete, failing instead in `failOnCycle` mode. (Used when the order in which files are visited is unpredictable, such as in concurrent mode.)" /* $COMMENT#JSDOC#DEFINITIONS#UPDATECYCLESFROMGRAPH */,
+      pathMatchesAnyGlob:
+        "Tells if a path matches any of the given glob patterns, compiling each glob pattern only once across traversals." /* $COMMENT#JSDOC#DEFINITIONS#PATHMATCHESANYGLOB */,
+      shouldTraversePath:
+        "Tells if a resolved path is to be traversed, based on the include and exclude glob patterns first, then on the shouldTraverse predicate." /* $COMMENT#JSDOC#DEFINITIONS#SHOULDTRAVERSEPATH */,
+      makeFileImports:
+        "Makes the descriptions of the imports found in the current file path, resolving their import paths along the way so that they can be shared with callbacks before the recursion." /* $COMMENT#JSDOC#DEFINITIONS#MAKEFILEIMPORTS */,
+      updateFileImports:
+        "Updates fileImports with the imports found in the current file path." /* $COMMENT#JSDOC#DEFINITIONS#UPDATEFILEIMPORTS */,
+      getModuleExportName:
+        "Gets the name of an identifier or of a string literal used as a module export name." /* $COMMENT#JSDOC#DEFINITIONS#GETMODULEEXPORTNAME */,
+      getImportedNames:
+        "Gets the names brought in by an import or a re-export, whether they are default, named or namespace imports." /* $COMMENT#JSDOC#DEFINITIONS#GETIMPORTEDNAMES */,
+      findAllDependents:
+        "Finds all file paths transitively importing a given target path, by walking forward from one or several roots and inverting the graph found." /* $COMMENT#JSDOC#DEFINITIONS#FINDALLDEPENDENTS */,
+      makeDependentChains:
+        "Makes the shortest import chain from each file path transitively importing the target path to the target path, by walking through the inverted graph breadth-first from the target path." /* $COMMENT#JSDOC#DEFINITIONS#MAKEDEPENDENTCHAINS */,
+      watchAllImports:
+        "Finds all import paths recursively related to a given entry like `findAllImports`, then keeps them up to date by watching the directories of the visited files and of the import paths left unresolved, finding again only the imports of the files that change and traversing only the file paths they newly reach, and emitting events as the set of reachable files evolves." /* $COMMENT#JSDOC#DEFINITIONS#WATCHALLIMPORTS */,
+      invalidateStaleResolvedPaths:
+        "Invalidates the cached resolutions and SourceCode object a deleted file has made stale, that is its SourceCode object and the resolutions to it under every set of options, so that its importers resolve their import paths again." /* $COMMENT#JSDOC#DEFINITIONS#INVALIDATESTALERESOLVEDPATHS */,
+      diffVisitedSets:
+        "Diffs the visited sets of two traversals, telling which file paths became reachable and which ones no longer are." /* $COMMENT#JSDOC#DEFINITIONS#DIFFVISITEDSETS */,
+      makeErrorLocation:
+        "Makes the location of an error met on a file path of the traversal, that is the file path itself, the file importing it and the specifier it is imported with unless it is the original file path, and the import chain leading to it from the original file path." /* $COMMENT#JSDOC#DEFINITIONS#MAKEERRORLOCATION */,
+      recoverFromFailure:
+        "Recovers from a failure in `continueOnError` mode by recording its errors in `errors` and returning the results the recursion goes on with, skipping the subtree of the file path that failed, or bubbles up the failure otherwise, recording in `failureControl` that the traversal failed. (Failures on invalid options always bubble up, since the recursion cannot go on without valid options.)" /* $COMMENT#JSDOC#DEFINITIONS#RECOVERFROMFAILURE */,
+      toDot:
+        "Serializes the graph of a traversal as a Graphviz DOT digraph, with edges styled by import kind (solid for static imports, bold for re-exports, dashed for dynamic imports and dotted for `require` calls) and grayed out when type-only." /* $COMMENT#JSDOC#DEFINITIONS#TODOT */,
+      toMermaid:
+        "Serializes the graph of a traversal as a Mermaid flowchart, with links styled by import kind (`-->` for static imports, `==>` for re-exports, `-.->` for dynamic imports and `--o` for `require` calls) and labeled `type` when type-only." /* $COMMENT#JSDOC#DEFINITIONS#TOMERMAID */,
+      toJSON:
+        "Serializes the results of a traversal as JSON, turning their sets and maps into arrays and objects." /* $COMMENT#JSDOC#DEFINITIONS#TOJSON */,
+      formatPath:
+        "Formats an absolute path for the output, either as is or relative to the current working directory." /* $COMMENT#JSDOC#DEFINITIONS#FORMATPATH */,
+      makeNodeLabels:
+        "Makes the label of every node of a serialized graph, that is of every visited file path and of every file path found at either end of the graph's edges, in the order they were found." /* $COMMENT#JSDOC#DEFINITIONS#MAKENODELABELS */,
+      groupNodesByDirectory:
+        "Groups the nodes of a serialized graph by the directory containing them, for the serializers clustering nodes by directory." /* $COMMENT#JSDOC#DEFINITIONS#GROUPNODESBYDIRECTORY */,
+      quoteDotId:
+        "Quotes a string as a Graphviz DOT identifier, escaping its backslashes and double quotes." /* $COMMENT#JSDOC#DEFINITIONS#QUOTEDOTID */,
+      quoteMermaidLabel:
+        "Quotes a string as a Mermaid node label, escaping its double quotes as entity codes." /* $COMMENT#JSDOC#DEFINITIONS#QUOTEMERMAIDLABEL */,
+      parseSourceText:
+        "Parses a source text into its SourceCode object with the same language options as `get-sourcecode-from-file-path`." /* $COMMENT#JSDOC#DEFINITIONS#PARSESOURCETEXT */,
+      getScriptWithHandler:
+        "Gets the JavaScript or TypeScript source text embedded in a file with the `getScript` function of its handler, turning a throwing or invalid handler into a failure." /* $COMMENT#JSDOC#DEFINITIONS#GETSCRIPTWITHHANDLER */,
+      getFileHandler:
+        "Gets the handler of a file from its extension, the handlers provided taking precedence over the built-in ones." /* $COMMENT#JSDOC#DEFINITIONS#GETFILEHANDLER */,
+      getLocationAtIndex:
+        "Gets the line and column of a character in a source text, with lines starting at 1 and columns at 0 like in ASTs." /* $COMMENT#JSDOC#DEFINITIONS#GETLOCATIONATINDEX */,
+      getHandledImports:
+        "Gets the imports of a file with the `getImports` function of its handler, locating each import path in the file's text in order." /* $COMMENT#JSDOC#DEFINITIONS#GETHANDLEDIMPORTS */,
+      getFileSource:
+        "Gets what the imports of a file are found from depending on its handler: its SourceCode object for JavaScript and TypeScript files and for the files whose handler gets their script, or its imports directly for assets and for the files whose handler gets their import paths." /* $COMMENT#JSDOC#DEFINITIONS#GETFILESOURCE */,
+      getFileSourceAsync:
+        "Gets what the imports of a file are found from like `getFileSource`, but reading the file asynchronously so that several files can be read at the same time." /* $COMMENT#JSDOC#DEFINITIONS#GETFILESOURCEASYNC */,
+      blankOut:
+        "Replaces every character of a text with a space except its line breaks, so that the code kept around it keeps its locations." /* $COMMENT#JSDOC#DEFINITIONS#BLANKOUT */,
+      blankOutStyleComments:
+        "Blanks out the comments of a stylesheet, so that the rules they contain are ignored." /* $COMMENT#JSDOC#DEFINITIONS#BLANKOUTSTYLECOMMENTS */,
+      getStyleImports:
+        "Gets the import paths of a stylesheet from its `@import`, `@use` and `@forward` rules, leaving out URLs and the rules found in comments." /* $COMMENT#JSDOC#DEFINITIONS#GETSTYLEIMPORTS */,
+      getComponentScript:
+        "Gets the script of a Vue or Svelte component from its `<script>` blocks, blanking out the rest of the component so that the imports keep their locations." /* $COMMENT#JSDOC#DEFINITIONS#GETCOMPONENTSCRIPT */,
+      getMdxScript:
+        "Gets the script of an MDX document from its ESM blocks, the paragraphs starting with `import` or `export` outside of code fences, blanking out the rest of the document so that the imports keep their locations." /* $COMMENT#JSDOC#DEFINITIONS#GETMDXSCRIPT */,
+      defaultHandlers:
+        "The built-in handlers per file extension, recording assets as leaves, following the `@import`, `@use` and `@forward` rules of stylesheets, and parsing the `<script>` blocks of Vue and Svelte components and the ESM blocks of MDX documents. Provided handlers take precedence over them." /* $COMMENT#JSDOC#DEFINITIONS#DEFAULTHANDLERS */,
+      extractFileImports:
+        "Extracts the imports of a file, with the custom extractor if any, unless they have already been found by the file's handler." /* $COMMENT#JSDOC#DEFINITIONS#EXTRACTFILEIMPORTS */,
+      readPackageJson:
+        "Reads and parses a package.json file once through the cache." /* $COMMENT#JSDOC#DEFINITIONS#READPACKAGEJSON */,
+      resolvePackageTarget:
+        'Resolves a target of the `exports` or `imports` field of a package.json file against the conditions like Node.js does: strings are taken with their `*` replaced by the matched pattern, arrays are tried in order, and objects are matched key by key in order against `"default"` and the conditions.' /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEPACKAGETARGET */,
+      matchPackageField:
+        'Matches a subpath, such as `"."`, `"./utils"` or `"#internal/utils"`, against the keys of the `exports` or `imports` field of a package.json file, exact keys first and then `*` patterns, the one with the longest prefix winning.' /* $COMMENT#JSDOC#DEFINITIONS#MATCHPACKAGEFIELD */,
+      resolvePackageEntry:
+        "Resolves a subpath of a package through the `exports` field of its package.json file, or through its `module` and `main` fields when it has none." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEPACKAGEENTRY */,
+      getWorkspacePatterns:
+        "Gets the glob patterns of the packages of the npm, Yarn or pnpm workspace whose root is a given directory, from its pnpm-workspace.yaml file or from the `workspaces` field of its package.json file." /* $COMMENT#JSDOC#DEFINITIONS#GETWORKSPACEPATTERNS */,
+      findWorkspacePackages:
+        "Finds the packages of the npm, Yarn or pnpm workspace containing a directory, caching them for every directory walked through up to the workspace root." /* $COMMENT#JSDOC#DEFINITIONS#FINDWORKSPACEPACKAGES */,
+      resolvePackageImportPath:
+        "Resolves an import path through package.json files: package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the workspace as well as the package itself through their `exports` field, never through node_modules." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEPACKAGEIMPORTPATH */,
+      getNodeModulesPackageRoot:
+        "Gets the root directory of the package installed in node_modules that a directory belongs to, scoped or not." /* $COMMENT#JSDOC#DEFINITIONS#GETNODEMODULESPACKAGEROOT */,
+      resolveNodeModulesFilePath:
+        "Resolves an absolute path within a package installed in node_modules to the file it refers to, as is, with a script extension appended or as the index file of a directory, since resolve-importing-path leaves node_modules out." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVENODEMODULESFILEPATH */,
+      resolvePackagePath:
+        "Resolves a relative target of a package, directly when the package is installed in node_modules and through resolve-importing-path otherwise." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVEPACKAGEPATH */,
+      findNodeModulesPackageDir:
+        "Finds the directory of a package installed in the closest node_modules directory having it, through its symbolic links such as those of pnpm and of workspaces." /* $COMMENT#JSDOC#DEFINITIONS#FINDNODEMODULESPACKAGEDIR */,
+      resolveNodeModulesImportPath:
+        "Resolves a bare import path to the file of the package installed in node_modules it refers to, through the `exports` field of the package.json file of the package or through its `module` and `main` fields, with the package as the resolution root." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVENODEMODULESIMPORTPATH */,
+      updatePackages:
+        "Updates packages with the package installed in node_modules that an import path refers to, once per package name, when it is left unresolved or resolved into node_modules, thus leaving out the workspace packages resolved to their sources." /* $COMMENT#JSDOC#DEFINITIONS#UPDATEPACKAGES */,
+      updateShortestChains:
+        "Updates shortestChains and depths with the import chain through which a file path is reached, when it is the first one or a shorter one than before, and then shortens breadth-first the chains of the file paths it already imports accordingly, so that every visited file path ends up with one of its shortest chains whatever the order of the traversal." /* $COMMENT#JSDOC#DEFINITIONS#UPDATESHORTESTCHAINS */,
+      makeWhyEdges:
+        "Makes the import edges an import chain goes through, by finding in the graph the first edge from each file path of the chain to the next one." /* $COMMENT#JSDOC#DEFINITIONS#MAKEWHYEDGES */,
+      why: "Explains why a target path is pulled in by one or several entries, with one of the shortest import chains leading from an entry to the target path and the import edges it goes through." /* $COMMENT#JSDOC#DEFINITIONS#WHY */,
+      findTsconfigPath:
+        "Finds the closest tsconfig.json file of a directory, looked up once per directory through the cache." /* $COMMENT#JSDOC#DEFINITIONS#FINDTSCONFIGPATH */,
+      getFileHash:
+        "Gets the content hash of a file from the cache, only reading and hashing the file again when it isn't cached yet or when it has been modified since it was cached." /* $COMMENT#JSDOC#DEFINITIONS#GETFILEHASH */,
+      makeStateOptions:
+        "Makes the options a traversal state depends on, that is those of the extraction and of the default resolution of imports, with the conditions deduplicated and sorted so that their order doesn't matter." /* $COMMENT#JSDOC#DEFINITIONS#MAKESTATEOPTIONS */,
+      validatePreviousState:
+        "Validates the previousState option, which has to be `null` or a traversal state made with `serializeState` in its current version." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATEPREVIOUSSTATE */,
+      getPreviousImports:
+        "Gets the imports the previous state recorded for a file when it hasn't changed since, that is when its modification time or, failing that, its content hash is the same, and seeds the cache with their resolutions when its tsconfig.json file hasn't changed either and the files they resolve to still exist, provided that the state was made with the same options and that there is no custom resolver, extractor or handler." /* $COMMENT#JSDOC#DEFINITIONS#GETPREVIOUSIMPORTS */,
+      makeSerializedResults:
+        "Makes the JSON-compatible version of the results of a traversal, turning their sets and maps into arrays and objects." /* $COMMENT#JSDOC#DEFINITIONS#MAKESERIALIZEDRESULTS */,
+      makeDeserializedResults:
+        "Makes the results of a traversal back from their JSON-compatible version, turning their arrays and objects back into sets and maps and their paths back into absolute paths." /* $COMMENT#JSDOC#DEFINITIONS#MAKEDESERIALIZEDRESULTS */,
+      serializeState:
+        "Serializes the state of a traversal as a JSON-compatible object, made of its results with their paths relative to the current working directory, of the modification time, the content hash and the tsconfig.json file of each visited file, and of the content hash of each of these tsconfig.json files, so that it can be stored and passed as the `previousState` option of a later call." /* $COMMENT#JSDOC#DEFINITIONS#SERIALIZESTATE */,
+      deserializeState:
+        "Rehydrates the results of a traversal from its state, turning their arrays and objects back into sets and maps and their paths back into absolute paths." /* $COMMENT#JSDOC#DEFINITIONS#DESERIALIZESTATE */,
+      walkImportsSync:
+        "Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for...of` and stopped early with `break`." /* $COMMENT#JSDOC#DEFINITIONS#WALKIMPORTSSYNC */,
+      walkImports:
+        "Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for await...of` and stopped early with `break`. Files are read asynchronously, one after the other." /* $COMMENT#JSDOC#DEFINITIONS#WALKIMPORTS */,
+      validateCallbackControl:
+        "Validates the callbackControl option of `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`, ensuring that it is an object whose property `stopped` is a boolean." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATECALLBACKCONTROL */,
+      makeTraversalSettings:
+        "Makes the settings of a traversal from its options, by setting every option left out to its default value." /* $COMMENT#JSDOC#DEFINITIONS#MAKETRAVERSALSETTINGS */,
+      traverseImports:
+        "Traverses recursively the imports of a given file path, as the single traversal shared by all `findAllImports` functions: it hands over to its driver the reading of each file, each file found and the traversal of each resolved import path as effects, so that the same traversal can be driven synchronously, asynchronously, concurrently or as an iterable." /* $COMMENT#JSDOC#DEFINITIONS#TRAVERSEIMPORTS */,
+      driveTraversalSync:
+        "Drives the traversal of a file path synchronously, reading each file with `getFileSource` and traversing each resolved path recursively, while yielding each file found to its consumer and answering the traversal with what the consumer passes back, that is the results of the callback run on the file if any." /* $COMMENT#JSDOC#DEFINITIONS#DRIVETRAVERSALSYNC */,
+      driveTraversal:
+        "Drives the traversal of a file path like `driveTraversalSync`, but reading each file asynchronously with `getFileSourceAsync`, one after the other." /* $COMMENT#JSDOC#DEFINITIONS#DRIVETRAVERSAL */,
+      driveTraversalConcurrently:
+        "Drives the traversal of a file path asynchronously, reading each file with `getFileSourceAsync` and addressing each file found with a handler within the concurrency limit, and traversing the resolved paths of each file one after the other when concurrency is 1, or all at once otherwise." /* $COMMENT#JSDOC#DEFINITIONS#DRIVETRAVERSALCONCURRENTLY */,
+      makeAggregateError:
+        "Makes the error thrown for a failure by the functions that cannot return it, such as the generators consumed with `for...of` and `for await...of`." /* $COMMENT#JSDOC#DEFINITIONS#MAKEAGGREGATEERROR */,
+      getCallbackResults:
+        "Runs the callback of a synchronous callbackConfig on a file found by the traversal if it has a SourceCode object, turning a throwing callback into a failure." /* $COMMENT#JSDOC#DEFINITIONS#GETCALLBACKRESULTS */,
+      getCallbackResultsAsync:
+        "Runs the callback of an asynchronous callbackConfig on a file found by the traversal like `getCallbackResults`, but within the concurrency limit." /* $COMMENT#JSDOC#DEFINITIONS#GETCALLBACKRESULTSASYNC */,
+      validateFilePathAndOptions:
+        "Validates filePath and the settings of a traversal from a single file path structurally, once at the start of the traversal." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS */,
+      getResolvedPathsOfDir:
+        "Gets the cached resolutions of the import paths of a directory under the options the resolution depends on, so that calls sharing the same cache with different options never reuse each other's resolutions." /* $COMMENT#JSDOC#DEFINITIONS#GETRESOLVEDPATHSOFDIR */,
+      resolverKeys:
+        "The keys given to the custom resolvers within the resolution keys of the cache, each custom resolver getting its own resolutions." /* $COMMENT#JSDOC#DEFINITIONS#RESOLVERKEYS */,
+      findFileImports:
+        "Finds the imports of a single file path with the traversal core, without traversing them nor recording anything in the results of the traversal." /* $COMMENT#JSDOC#DEFINITIONS#FINDFILEIMPORTS */,
+      filterInPlace:
+        "Filters an array in place, so that the objects sharing it keep seeing its current items." /* $COMMENT#JSDOC#DEFINITIONS#FILTERINPLACE */,
+      copyResults:
+        "Copies everything tracked during a traversal, so that it can be updated without altering the original results until the update succeeds." /* $COMMENT#JSDOC#DEFINITIONS#COPYRESULTS */,
+      makeFileImportKey:
+        "Makes the key under which an import is compared, made of everything about it but its locations, which change whenever the code before it does." /* $COMMENT#JSDOC#DEFINITIONS#MAKEFILEIMPORTKEY */,
+      diffFileImports:
+        "Diffs the imports found in a file before and after it changed, leaving out the locations of the imports." /* $COMMENT#JSDOC#DEFINITIONS#DIFFFILEIMPORTS */,
+      forgetFileImports:
+        "Forgets what a visited file path was found to import, along with the errors met on it, so that its imports can be found again." /* $COMMENT#JSDOC#DEFINITIONS#FORGETFILEIMPORTS */,
+      pruneUnreachableResults:
+        "Leaves out of the results of a traversal the file paths no longer reachable from its entry along with everything found in them, and sets again the minimum depths and the shortest import chains of the file paths still reachable, as well as the external imports and packages they still refer to." /* $COMMENT#JSDOC#DEFINITIONS#PRUNEUNREACHABLERESULTS */,
+      getNewlyResolvedImporters:
+        "Resolves again the import paths left unresolved by a traversal, telling which importers now have some of them resolved, such as after the files they were looking for were created." /* $COMMENT#JSDOC#DEFINITIONS#GETNEWLYRESOLVEDIMPORTERS */,
+      getWatchedDirs:
+        "Gets the directories watched for the results of a traversal, that is those of the visited file paths, whose changes they address, and those that the relative and absolute import paths left unresolved point to, where the files they were looking for may be created." /* $COMMENT#JSDOC#DEFINITIONS#GETWATCHEDDIRS */,
+      validateTraversalState:
+        "Validates a traversal state with zod, which has to be made with `serializeState` in its current version." /* $COMMENT#JSDOC#DEFINITIONS#VALIDATETRAVERSALSTATE */,
+      stateOptionsAreEqual:
+        "Tells if two sets of traversal state options are the same, option by option, regardless of the order of their conditions." /* $COMMENT#JSDOC#DEFINITIONS#STATEOPTIONSAREEQUAL */,
+      candidatesAreUnchanged:
+        "Tells if no candidate file of a relative import path can have been created or deleted since a previous traversal started, that is if neither the directory of its target nor its target as a directory have been modified since, so that its previous resolution still holds. Import paths that aren't relative are never considered unchanged, since their candidates are spread across tsconfig.json paths and packages." /* $COMMENT#JSDOC#DEFINITIONS#CANDIDATESAREUNCHANGED */,
+      hasCustomHooks:
+        "Tells if a traversal uses a custom resolver, extractor or handler, whose functions can't be compared with those of another traversal." /* $COMMENT#JSDOC#DEFINITIONS#HASCUSTOMHOOKS */,
+      extractNodeImport:
+        "Extracts the import the node being walked through corresponds to, if any, the dynamic imports and the CommonJS requires being found at any level in deep scan mode, but only as top-level statements otherwise." /* $COMMENT#JSDOC#DEFINITIONS#EXTRACTNODEIMPORT */,
     }),
     params: Object.freeze({
       filePath:
@@ -71,17 +296,182 @@ const data = {
       callbackConfigSyncShort:
         "The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties." /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGSYNCSHORT */,
       callbackConfigSyncLong:
-        "The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackSync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion." /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGSYNCLONG */,
+        'The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackSync`\'s recursion, and accesses four arguments in the following order: `filePath` which is the current file\'s path, `sourceCode` which is the current file\'s SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.' /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGSYNCLONG */,
       callbackConfigAsyncShort:
         "The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties." /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGASYNCSHORT */,
       callbackConfigAsyncLong:
-        "The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackAsync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion." /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGASYNCLONG */,
+        'The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackAsync`\'s recursion, and accesses four arguments in the following order: `filePath` which is the current file\'s path, `sourceCode` which is the current file\'s SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.' /* $COMMENT#JSDOC#PARAMS#CALLBACKCONFIGASYNCLONG */,
+      graphOption:
+        "The array of import edges tracking every import relationship found during the recursion, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#GRAPHOPTION */,
+      importerSetting:
+        "The absolute path of the file containing the import path currently being addressed." /* $COMMENT#JSDOC#PARAMS#IMPORTERSETTING */,
+      graphSetting:
+        "The array of import edges tracking every import relationship found during the recursion." /* $COMMENT#JSDOC#PARAMS#GRAPHSETTING */,
+      kind: 'The kind of the import currently being addressed, either `"static"`, `"re-export"`, `"dynamic"` or `"require"`.' /* $COMMENT#JSDOC#PARAMS#KIND */,
+      edge: "The import edge currently being addressed, made of its importer, its specifier, its resolved path and its kind." /* $COMMENT#JSDOC#PARAMS#EDGE */,
+      scanOption:
+        'The scan mode of the extraction of imports, either `"top-level"` to only address the nodes at the root of each file\'s AST, or `"deep"` to also find the `import()` and `require()` calls nested anywhere in each file, set as `"top-level"` by default.' /* $COMMENT#JSDOC#PARAMS#SCANOPTION */,
+      scanSetting:
+        "The scan mode of the extraction of imports." /* $COMMENT#JSDOC#PARAMS#SCANSETTING */,
+      scan: 'The scan mode of the extraction, either `"top-level"` to only address the nodes at the root of the AST, or `"deep"` to walk through the whole AST and also find the `import()` and `require()` calls nested in expressions, declarations and function bodies.' /* $COMMENT#JSDOC#PARAMS#SCAN */,
+      sourceCode:
+        "The current file path's SourceCode object." /* $COMMENT#JSDOC#PARAMS#SOURCECODE */,
+      visitorKeys:
+        "The visitor keys of the current file path's SourceCode object, telling which properties of each node type hold its child nodes." /* $COMMENT#JSDOC#PARAMS#VISITORKEYS */,
+      visit:
+        "The function running on every node walked through." /* $COMMENT#JSDOC#PARAMS#VISIT */,
+      unresolvedOption:
+        "The array of the import paths that could not be resolved during the recursion, along with their importers, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#UNRESOLVEDOPTION */,
+      externalOption:
+        "The set of strings tracking the external packages and Node.js built-in modules imported during the recursion, instantiated as a `new Set()` by default." /* $COMMENT#JSDOC#PARAMS#EXTERNALOPTION */,
+      strictOption:
+        "Whether unresolved relative or absolute import paths make the recursion fail instead of only being recorded in `unresolved`, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#STRICTOPTION */,
+      unresolvedSetting:
+        "The array of the import paths that could not be resolved during the recursion, along with their importers." /* $COMMENT#JSDOC#PARAMS#UNRESOLVEDSETTING */,
+      externalSetting:
+        "The set of strings tracking the external packages and Node.js built-in modules imported during the recursion." /* $COMMENT#JSDOC#PARAMS#EXTERNALSETTING */,
+      strictSetting:
+        "Whether unresolved relative or absolute import paths make the recursion fail." /* $COMMENT#JSDOC#PARAMS#STRICTSETTING */,
+      cyclesOption:
+        "The array of the import cycles found during the recursion, each as the ordered array of the file paths it goes through, back to the file path it starts from, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#CYCLESOPTION */,
+      stackOption:
+        "The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#STACKOPTION */,
+      detectCyclesOption:
+        "Whether import cycles are detected and recorded in `cycles`, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#DETECTCYCLESOPTION */,
+      failOnCycleOption:
+        "Whether import cycles make the recursion fail instead of only being recorded in `cycles`, implying `detectCycles`, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#FAILONCYCLEOPTION */,
+      cyclesSetting:
+        "The array of the import cycles found during the recursion." /* $COMMENT#JSDOC#PARAMS#CYCLESSETTING */,
+      stackSetting:
+        "The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one." /* $COMMENT#JSDOC#PARAMS#STACKSETTING */,
+      detectCyclesSetting:
+        "Whether import cycles are detected and recorded in `cycles`." /* $COMMENT#JSDOC#PARAMS#DETECTCYCLESSETTING */,
+      failOnCycleSetting:
+        "Whether import cycles make the recursion fail." /* $COMMENT#JSDOC#PARAMS#FAILONCYCLESETTING */,
+      resolvedPath:
+        "The absolute resolved path of the import path currently being addressed." /* $COMMENT#JSDOC#PARAMS#RESOLVEDPATH */,
+      entries:
+        "The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute." /* $COMMENT#JSDOC#PARAMS#ENTRIES */,
+      entryPaths:
+        "The array of the absolute file paths of the entries." /* $COMMENT#JSDOC#PARAMS#ENTRYPATHS */,
+      typeOnly:
+        "Whether the import currently being addressed only involves types, and is therefore erased at runtime." /* $COMMENT#JSDOC#PARAMS#TYPEONLY */,
+      importKinds:
+        'The kinds of imports kept by the extraction, either `"value"` for the imports that remain at runtime, `"type"` for the imports bringing in types, or `"all"` for both.' /* $COMMENT#JSDOC#PARAMS#IMPORTKINDS */,
+      extractedImport:
+        "The import currently being extracted, with its import path, its kind and whether it is type-only." /* $COMMENT#JSDOC#PARAMS#EXTRACTEDIMPORT */,
+      cache:
+        "The cache of the tsconfig.json lookups per directory, of the resolved paths per resolution options, directory and import path, of the SourceCode objects per file path, modification time and getScript handler, of the package.json files and workspace packages, and of the content hashes per file path and modification time, made fresh with `makeCache()` by default and reusable across calls by passing the same object." /* $COMMENT#JSDOC#PARAMS#CACHE */,
+      sourceCodes:
+        "The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files and the getScript handler they were parsed with." /* $COMMENT#JSDOC#PARAMS#SOURCECODES */,
+      concurrency:
+        "The maximum number of files read and of callbacks running at the same time, with the imports of each file being traversed concurrently when above `1`, set as `1` by default for a sequential traversal. (Files are still parsed one at a time on the main thread, so that concurrency overlaps the file reads and the asynchronous callbacks rather than the parsing.)" /* $COMMENT#JSDOC#PARAMS#CONCURRENCY */,
+      limiter:
+        "The function running the file reads and the callbacks of the whole traversal within the concurrency limit, made from `concurrency` with `makeLimiter(concurrency)` by default." /* $COMMENT#JSDOC#PARAMS#LIMITER */,
+      include:
+        "The array of the glob patterns, relative to the current working directory, that resolved paths have to match to be traversed, instantiated as an empty array `[]` by default to traverse every resolved path." /* $COMMENT#JSDOC#PARAMS#INCLUDE */,
+      exclude:
+        "The array of the glob patterns, relative to the current working directory, that resolved paths must not match to be traversed, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#EXCLUDE */,
+      shouldTraverse:
+        "The predicate telling whether a resolved path is traversed, receiving the resolved path and the absolute path of its importer, checked after `include` and `exclude`, set as `null` by default." /* $COMMENT#JSDOC#PARAMS#SHOULDTRAVERSE */,
+      keepExcludedAsLeaves:
+        "Whether the resolved paths left out by `include`, `exclude` or `shouldTraverse` are still recorded in `graph` as leaves, without being visited nor their own imports being found, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#KEEPEXCLUDEDASLEAVES */,
+      relativePath:
+        "The path being matched, relative to the current working directory." /* $COMMENT#JSDOC#PARAMS#RELATIVEPATH */,
+      patterns:
+        "The array of the glob patterns being matched against." /* $COMMENT#JSDOC#PARAMS#PATTERNS */,
+      fileImports:
+        "The map of each visited file path to the imports found in it, with their specifiers, resolved paths, kinds, imported names and locations, instantiated as a `new Map()` by default." /* $COMMENT#JSDOC#PARAMS#FILEIMPORTS */,
+      extractedImports:
+        "The array of the imports extracted from the file, with their import paths, kinds, imported names and locations." /* $COMMENT#JSDOC#PARAMS#EXTRACTEDIMPORTS */,
+      imports:
+        "The array of the imports of the file." /* $COMMENT#JSDOC#PARAMS#IMPORTS */,
+      targetPath:
+        "The path of the file whose dependents are being found, relative to the current working directory unless absolute." /* $COMMENT#JSDOC#PARAMS#TARGETPATH */,
+      roots:
+        "The file path or glob pattern, or the array of file paths and glob patterns, of the roots from which the graph is built, relative to the current working directory unless absolute." /* $COMMENT#JSDOC#PARAMS#ROOTS */,
+      entry:
+        "The path of the entry whose imports are being watched, relative to the current working directory unless absolute." /* $COMMENT#JSDOC#PARAMS#ENTRY */,
+      debounce:
+        "The delay in milliseconds during which the successive events of a changed file are gathered before the change is addressed, set at `50` by default." /* $COMMENT#JSDOC#PARAMS#DEBOUNCE */,
+      previousVisitedSet:
+        "The set of strings of the file paths visited by the previous traversal." /* $COMMENT#JSDOC#PARAMS#PREVIOUSVISITEDSET */,
+      details:
+        "The stable code of the error (`code`), along with the file path it is about (`filePath`), the file importing it (`importer`), the specifier it is imported with (`specifier`) and the import chain leading to it from the original file path (`chain`) when they are known." /* $COMMENT#JSDOC#PARAMS#DETAILS */,
+      errorLocation:
+        "The location of the file path within the traversal, added to the errors." /* $COMMENT#JSDOC#PARAMS#ERRORLOCATION */,
+      failureResults:
+        "The failure object being thrown." /* $COMMENT#JSDOC#PARAMS#FAILURERESULTS */,
+      recoveredResults:
+        "The results returned instead of the failure when it is recovered from." /* $COMMENT#JSDOC#PARAMS#RECOVEREDRESULTS */,
+      errors:
+        "The array of the errors recorded instead of failing in `continueOnError` mode, each with the subtree of the file path it is about being skipped, instantiated as an empty array `[]` by default." /* $COMMENT#JSDOC#PARAMS#ERRORS */,
+      continueOnError:
+        "Whether the failures met on file paths, such as files not found or not parsed, callbacks throwing or the failures of `strict` and `failOnCycle`, are recorded in `errors` instead of making the recursion fail, skipping the subtrees of the file paths they are about, set as `false` by default. (Invalid options still make the recursion fail.)" /* $COMMENT#JSDOC#PARAMS#CONTINUEONERROR */,
+      relative:
+        "Whether paths are serialized relative to the current working directory, set as `true` by default." /* $COMMENT#JSDOC#PARAMS#RELATIVE */,
+      clusterByDirectory:
+        "Whether nodes are clustered by the directory containing them, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#CLUSTERBYDIRECTORY */,
+      nodeLabels:
+        "The map of each node's absolute file path to its label." /* $COMMENT#JSDOC#PARAMS#NODELABELS */,
+      absolutePath:
+        "The absolute path being formatted." /* $COMMENT#JSDOC#PARAMS#ABSOLUTEPATH */,
+      handlers:
+        'The map of file extensions, such as `".css"`, to the handlers of the files ending with them, taking precedence over the built-in handlers of assets, stylesheets, Vue and Svelte components and MDX documents: `null` to record the files as leaves without reading them, `{ getScript }` to get the JavaScript or TypeScript code embedded in the files to parse, or `{ getImports }` to get the import paths of the files directly, instantiated as an empty object `{}` by default.' /* $COMMENT#JSDOC#PARAMS#HANDLERS */,
+      getScript:
+        "The function of the file's handler getting the script embedded in it, such as the `<script>` blocks of a Vue or Svelte component, parsed instead of the whole file when provided." /* $COMMENT#JSDOC#PARAMS#GETSCRIPT */,
+      sourceText:
+        "The text of the file." /* $COMMENT#JSDOC#PARAMS#SOURCETEXT */,
+      getImports:
+        "The function of the file's handler getting its import paths." /* $COMMENT#JSDOC#PARAMS#GETIMPORTS */,
+      resolve:
+        "The custom resolver replacing the default resolution of import paths, such as for bundler aliases, receiving the import path, the directory of its importer and a context with the current working directory (`cwd`) and the default resolution (`defaultResolve`) to fall back on, and returning the absolute path the import path resolves to or `null`, set as `null` by default to resolve import paths based on the closest tsconfig.json file." /* $COMMENT#JSDOC#PARAMS#RESOLVE */,
+      extractImports:
+        'The custom extractor replacing the default extraction of imports from the files\' SourceCode objects, such as for macros importing files, receiving the SourceCode object, the file path and a context with `scan`, `importKinds` and the default extraction (`defaultExtractImports`) to build on, and returning the array of the imports of the file, each with its import path (`specifier`) and, when left out, its `kind` set as `"static"`, its `typeOnly` as `false`, its `names` as `[]` and its `loc` as the start of the file, set as `null` by default to only extract import declarations, re-exports, `import()` and `require()` calls.' /* $COMMENT#JSDOC#PARAMS#EXTRACTIMPORTS */,
+      resolvePackages:
+        "Whether import paths left unresolved are resolved through package.json files, package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the npm, Yarn or pnpm workspace as well as the package itself through their `exports` field, without ever traversing node_modules, set as `false` by default." /* $COMMENT#JSDOC#PARAMS#RESOLVEPACKAGES */,
+      conditions:
+        'The conditions matched by the conditional targets of the `exports` and `imports` fields of package.json files in `resolvePackages` mode, such as `"import"`, `"require"`, `"types"` or `"browser"`, `"default"` always being matched, set as `["import", "require", "node", "default"]` by default.' /* $COMMENT#JSDOC#PARAMS#CONDITIONS */,
+      packages:
+        "The map of the external packages imported during the recursion in `followExternal` mode, keyed by name, each with its version from its package.json file, its directory and its resolved entry file, instantiated as a `new Map()` by default." /* $COMMENT#JSDOC#PARAMS#PACKAGES */,
+      followExternal:
+        'How far the external packages installed in node_modules are followed, either `"none"` to only record their names in `external`, `"package"` to also record each of them once in `packages` with its version and its resolved entry file, or `"deep"` to also resolve bare import paths into node_modules and traverse the sources of the packages with the packages as their resolution roots, set as `"none"` by default.' /* $COMMENT#JSDOC#PARAMS#FOLLOWEXTERNAL */,
+      depths:
+        "The map of each visited file path to its minimum depth from the original file path, or from the closest entry, instantiated as a `new Map()` by default." /* $COMMENT#JSDOC#PARAMS#DEPTHS */,
+      shortestChains:
+        "The map of each visited file path to one of its shortest import chains, as the ordered array of the file paths it goes through from the original file path, or from the closest entry, to the file path itself, instantiated as a `new Map()` by default." /* $COMMENT#JSDOC#PARAMS#SHORTESTCHAINS */,
+      chain:
+        "The import chain, as the ordered array of the file paths it goes through from an entry to the target path." /* $COMMENT#JSDOC#PARAMS#CHAIN */,
+      previousState:
+        "The state of a previous traversal made with `serializeState`, from which the files whose modification times or, failing that, content hashes haven't changed since are reused without being read nor parsed again, along with their resolutions when their tsconfig.json files haven't changed either and the directories of their candidate files haven't been modified since it started, provided that it was made with the same `scan`, `importKinds`, `resolvePackages`, `conditions` in any order and `followExternal` and without custom hooks, set as `null` by default. (Never reused along with a custom `resolve`, `extractImports` or `handlers`, whose functions can't be compared with those the state was made with.) (Ignored by the callback variants and the walks, which hand over the SourceCode object of every file.)" /* $COMMENT#JSDOC#PARAMS#PREVIOUSSTATE */,
+      fileHashes:
+        "The map of the content hashes already computed, keyed by file path along with the modification time of their files." /* $COMMENT#JSDOC#PARAMS#FILEHASHES */,
+      state:
+        "The state of a traversal made with `serializeState`." /* $COMMENT#JSDOC#PARAMS#STATE */,
+      serializedResults:
+        "The JSON-compatible results." /* $COMMENT#JSDOC#PARAMS#SERIALIZEDRESULTS */,
+      tsconfigPaths:
+        "The map of the tsconfig.json paths already found, keyed by directory." /* $COMMENT#JSDOC#PARAMS#TSCONFIGPATHS */,
+      callbackControl:
+        'The object shared by all the rounds of the traversal, tracking whether the callback stopped it by returning `"stop"` (`stopped`), instantiated as `{ stopped: false }` by default.' /* $COMMENT#JSDOC#PARAMS#CALLBACKCONTROL */,
+      findAllImportsOptions:
+        "The additional options, described along with their default values in `FindAllImportsOptions`." /* $COMMENT#JSDOC#PARAMS#FINDALLIMPORTSOPTIONS */,
+      traversalSettings:
+        "The settings of the traversal, made from its options with `makeTraversalSettings`." /* $COMMENT#JSDOC#PARAMS#TRAVERSALSETTINGS */,
+      handleFile:
+        "The function addressing each file found, with the file (`file`) and its location within the traversal (`errorLocation`), resolving with the results of the callback run on it." /* $COMMENT#JSDOC#PARAMS#HANDLEFILE */,
+      fileEffect:
+        "The file found (`file`) along with its location within the traversal (`errorLocation`), added to the errors." /* $COMMENT#JSDOC#PARAMS#FILEEFFECT */,
+      startedAt:
+        "The time at which the traversal started, in milliseconds since the epoch, recorded in the `options` of its results so that the resolutions reused from its state are only those whose candidate files can't have been created or deleted since, set as `Date.now()` by default." /* $COMMENT#JSDOC#PARAMS#STARTEDAT */,
+      failureControl:
+        "The object shared by all the rounds of the traversal, tracking whether one of them made it fail (`failed`), so that the rounds running concurrently stop reading files, running the callback and traversing imports once the result of the traversal is decided, instantiated as `{ failed: false }` by default. (Only making a difference to `findAllImportsWithCallbackAsync` above a concurrency of `1`, the other traversals stopping at their first failure anyway.)" /* $COMMENT#JSDOC#PARAMS#FAILURECONTROL */,
     }),
     returns: Object.freeze({
       findAllImports:
-        "The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLIMPORTS */,
+        "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLIMPORTS */,
       processImport:
-        "The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`." /* $COMMENT#JSDOC#RETURNS#PROCESSIMPORT */,
+        "A generator yielding the effects of the traversal of the resolved path to the driver, and returning the results of the embedded round of `traverseImports`." /* $COMMENT#JSDOC#RETURNS#PROCESSIMPORT */,
       makeIsSupposedToBe:
         "[paramName] is supposed to be [paramKind]." /* $COMMENT#JSDOC#RETURNS#MAKEISSUPPOSEDTOBE */,
       makeSuccessFalseTypeError:
@@ -100,10 +490,218 @@ const data = {
         "`true` if the node is an `import()`, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISIMPORTEXPRESSION */,
       nodeIsRequireCall:
         "`true` if the node is a `require`, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISREQUIRECALL */,
+      nodeIsReExportDeclaration:
+        "`true` if the node is an `export * from` or an `export { x } from`, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISREEXPORTDECLARATION */,
+      getStaticStringValue:
+        "The string value of the node if it is static, `undefined` if it isn't." /* $COMMENT#JSDOC#RETURNS#GETSTATICSTRINGVALUE */,
+      nodeIsStaticImportExpression:
+        "`true` if the node is an `import()` of a static string, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISSTATICIMPORTEXPRESSION */,
+      nodeIsStaticRequireCallExpression:
+        "`true` if the node is a `require()` of a static string, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISSTATICREQUIRECALLEXPRESSION */,
+      extractImports:
+        "The array of the imports found in the file in source order, each with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`)." /* $COMMENT#JSDOC#RETURNS#EXTRACTIMPORTS */,
+      makeSuccessTrueResults:
+        "A `{success: true}` object with the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the recursion, along with the options of the traversal that its state depends on." /* $COMMENT#JSDOC#RETURNS#MAKESUCCESSTRUERESULTS */,
+      importPathIsRelativeOrAbsolute:
+        "`true` if the import path is relative or absolute, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#IMPORTPATHISRELATIVEORABSOLUTE */,
+      getExternalName:
+        "The external name of the import path, or `undefined` if it does not designate a Node.js built-in module or a package." /* $COMMENT#JSDOC#RETURNS#GETEXTERNALNAME */,
+      findAllImportsFromEntries:
+        "The complete set of strings of import paths recursively related to all entries, along with the set of the import paths reachable from each entry (`entrySets`) and everything else `findAllImports` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLIMPORTSFROMENTRIES */,
+      resolveEntries:
+        "The deduplicated array of the absolute file paths of the entries in a success object (`success: true`), or a `{success: false}` object along with its errors when an issue is encountered." /* $COMMENT#JSDOC#RETURNS#RESOLVEENTRIES */,
+      makeEntrySets:
+        "The map of each entry's absolute file path to the set of strings of the file paths it reaches, itself included." /* $COMMENT#JSDOC#RETURNS#MAKEENTRYSETS */,
+      nodeIsTypeOnlyImportOrReExport:
+        "`true` if the import or the re-export is type-only, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#NODEISTYPEONLYIMPORTORREEXPORT */,
+      importIsOfKinds:
+        "`true` if the import is to be followed, `false` if it isn't." /* $COMMENT#JSDOC#RETURNS#IMPORTISOFKINDS */,
+      makeCache:
+        "The cache object, with its maps of tsconfig.json paths per directory (`tsconfigPaths`), of resolved paths per resolution options, directory and import path (`resolvedPaths`) of SourceCode objects per file path (`sourceCodes`), of parsed package.json files per path (`packageJsons`), of workspace packages per directory (`workspacePackages`) and of content hashes per file path along with the modification time they were computed at (`fileHashes`)." /* $COMMENT#JSDOC#RETURNS#MAKECACHE */,
+      resolveImportPathWithCache:
+        "The absolute path the import path resolves to, or `null` if it could not be resolved. (Throws when the custom resolver throws or returns anything else.)" /* $COMMENT#JSDOC#RETURNS#RESOLVEIMPORTPATHWITHCACHE */,
+      getSourceCode:
+        "The SourceCode object of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the file is not found or could not be parsed." /* $COMMENT#JSDOC#RETURNS#GETSOURCECODE */,
+      validateConcurrencyOptions:
+        "A `{success: true}` object if the concurrency options are valid, or a `{success: false}` object along with its errors when an issue is encountered." /* $COMMENT#JSDOC#RETURNS#VALIDATECONCURRENCYOPTIONS */,
+      makeLimiter:
+        "The limiter function, taking a task and returning a promise of its result." /* $COMMENT#JSDOC#RETURNS#MAKELIMITER */,
+      indexGraphByImporter:
+        "The map of each importer's absolute file path to the array of the resolved paths it imports." /* $COMMENT#JSDOC#RETURNS#INDEXGRAPHBYIMPORTER */,
+      pathMatchesAnyGlob:
+        "`true` if the path matches any of the glob patterns, `false` if it doesn't." /* $COMMENT#JSDOC#RETURNS#PATHMATCHESANYGLOB */,
+      shouldTraversePath:
+        "Whether the resolved path is to be traversed (`traversable`) in a success object (`success: true`), or a `{success: false}` object along with its errors when shouldTraverse throws." /* $COMMENT#JSDOC#RETURNS#SHOULDTRAVERSEPATH */,
+      makeFileImports:
+        "The array of the imports of the file, each with its resolved path, `null` when it could not be resolved, in a success object (`success: true`), or a `{success: false}` object along with its errors when the custom resolver fails." /* $COMMENT#JSDOC#RETURNS#MAKEFILEIMPORTS */,
+      getModuleExportName:
+        "The name as a string." /* $COMMENT#JSDOC#RETURNS#GETMODULEEXPORTNAME */,
+      getImportedNames:
+        "The array of the names brought in, each with its kind, its name in the imported file, its name in the importing file (or its exported name for re-exports) and whether it is type-only." /* $COMMENT#JSDOC#RETURNS#GETIMPORTEDNAMES */,
+      findAllDependents:
+        "The set of strings of the file paths transitively importing the target path (`dependents`), the shortest import chain from each of them to the target path (`chains`) and the roots among them or equal to the target path (`affectedRoots`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLDEPENDENTS */,
+      makeDependentChains:
+        "The map of each dependent's absolute file path to its shortest import chain, as the ordered array of the file paths it goes through from the dependent to the target path." /* $COMMENT#JSDOC#RETURNS#MAKEDEPENDENTCHAINS */,
+      watchAllImports:
+        'The results of the first traversal along with the watcher keeping them up to date (`watcher`), in a success object (`success: true`). The watcher emits `"add"` with each file path becoming reachable, `"remove"` with each file path no longer reachable, `"change"` with each reachable file path that changed and its imports when the change altered its imports, and `"failure"` with the failure object of an update that failed, after which the previous results are kept. Errors are bubbled up during failures in a failure object (`success: false`).' /* $COMMENT#JSDOC#RETURNS#WATCHALLIMPORTS */,
+      diffVisitedSets:
+        "The arrays of the file paths added (`added`) and removed (`removed`) by the current traversal." /* $COMMENT#JSDOC#RETURNS#DIFFVISITEDSETS */,
+      makeErrorLocation:
+        "The file path (`filePath`), its importer (`importer`) and its specifier (`specifier`) if any, and the import chain leading to it (`chain`)." /* $COMMENT#JSDOC#RETURNS#MAKEERRORLOCATION */,
+      recoverFromFailure:
+        "The recovered results in `continueOnError` mode, or the failure object otherwise." /* $COMMENT#JSDOC#RETURNS#RECOVERFROMFAILURE */,
+      toDot: "The DOT source of the graph." /* $COMMENT#JSDOC#RETURNS#TODOT */,
+      toMermaid:
+        "The Mermaid source of the flowchart." /* $COMMENT#JSDOC#RETURNS#TOMERMAID */,
+      toJSON:
+        "The JSON text of the results, indented with two spaces." /* $COMMENT#JSDOC#RETURNS#TOJSON */,
+      formatPath:
+        "The path as it is meant to be output." /* $COMMENT#JSDOC#RETURNS#FORMATPATH */,
+      makeNodeLabels:
+        "The map of each node's absolute file path to its label." /* $COMMENT#JSDOC#RETURNS#MAKENODELABELS */,
+      groupNodesByDirectory:
+        "The map of each directory's label to the array of the absolute file paths of the nodes it contains." /* $COMMENT#JSDOC#RETURNS#GROUPNODESBYDIRECTORY */,
+      quoteDotId:
+        "The quoted identifier." /* $COMMENT#JSDOC#RETURNS#QUOTEDOTID */,
+      quoteMermaidLabel:
+        "The quoted label." /* $COMMENT#JSDOC#RETURNS#QUOTEMERMAIDLABEL */,
+      parseSourceText:
+        "The SourceCode object of the source text." /* $COMMENT#JSDOC#RETURNS#PARSESOURCETEXT */,
+      getScriptWithHandler:
+        "The script of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return a string." /* $COMMENT#JSDOC#RETURNS#GETSCRIPTWITHHANDLER */,
+      getFileHandler:
+        "The handler of the file, `null` for assets, or `undefined` when the file has no handler and is parsed as JavaScript or TypeScript." /* $COMMENT#JSDOC#RETURNS#GETFILEHANDLER */,
+      getLocationAtIndex:
+        "The position of the character, with its line (`line`) and column (`column`)." /* $COMMENT#JSDOC#RETURNS#GETLOCATIONATINDEX */,
+      getHandledImports:
+        "The imports of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return an array of strings." /* $COMMENT#JSDOC#RETURNS#GETHANDLEDIMPORTS */,
+      getFileSource:
+        "A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails." /* $COMMENT#JSDOC#RETURNS#GETFILESOURCE */,
+      getFileSourceAsync:
+        "A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails." /* $COMMENT#JSDOC#RETURNS#GETFILESOURCEASYNC */,
+      blankOut:
+        "The blanked out text, with the same length and lines." /* $COMMENT#JSDOC#RETURNS#BLANKOUT */,
+      blankOutStyleComments:
+        "The text of the stylesheet with its comments blanked out." /* $COMMENT#JSDOC#RETURNS#BLANKOUTSTYLECOMMENTS */,
+      getStyleImports:
+        "The array of the import paths of the stylesheet, in source order." /* $COMMENT#JSDOC#RETURNS#GETSTYLEIMPORTS */,
+      getComponentScript:
+        "The script of the component, with everything outside of its `<script>` blocks blanked out." /* $COMMENT#JSDOC#RETURNS#GETCOMPONENTSCRIPT */,
+      getMdxScript:
+        "The script of the MDX document, with everything outside of its ESM blocks blanked out." /* $COMMENT#JSDOC#RETURNS#GETMDXSCRIPT */,
+      extractFileImports:
+        'The imports of the file of the kinds followed in a success object (`success: true`), with the `kind`, `typeOnly`, `names` and `loc` left out by the custom extractor set as `"static"`, `false`, `[]` and the start of the file, or a `{success: false}` object along with its errors when the custom extractor throws or doesn\'t return an array of valid imports.' /* $COMMENT#JSDOC#RETURNS#EXTRACTFILEIMPORTS */,
+      readPackageJson:
+        "The parsed package.json file, or `null` when it doesn't exist or can't be parsed." /* $COMMENT#JSDOC#RETURNS#READPACKAGEJSON */,
+      resolvePackageTarget:
+        "The path of the target relative to its package, or the bare specifier it maps to, `null` when no target matches." /* $COMMENT#JSDOC#RETURNS#RESOLVEPACKAGETARGET */,
+      matchPackageField:
+        "The path of the target relative to its package, or the bare specifier it maps to, `null` when no key matches." /* $COMMENT#JSDOC#RETURNS#MATCHPACKAGEFIELD */,
+      resolvePackageEntry:
+        "The absolute path the subpath resolves to, or `null` if it could not be resolved." /* $COMMENT#JSDOC#RETURNS#RESOLVEPACKAGEENTRY */,
+      getWorkspacePatterns:
+        "The array of the glob patterns of the workspace packages, or `undefined` when the directory isn't a workspace root." /* $COMMENT#JSDOC#RETURNS#GETWORKSPACEPATTERNS */,
+      findWorkspacePackages:
+        "The map of the names of the workspace packages to their directories, empty when the directory isn't in a workspace." /* $COMMENT#JSDOC#RETURNS#FINDWORKSPACEPACKAGES */,
+      resolvePackageImportPath:
+        "The absolute path the import path resolves to, or `null` if it could not be resolved." /* $COMMENT#JSDOC#RETURNS#RESOLVEPACKAGEIMPORTPATH */,
+      getNodeModulesPackageRoot:
+        "The root directory of the package, or `undefined` when the directory isn't in node_modules." /* $COMMENT#JSDOC#RETURNS#GETNODEMODULESPACKAGEROOT */,
+      resolveNodeModulesFilePath:
+        "The absolute path of the file, or `null` if no file is found." /* $COMMENT#JSDOC#RETURNS#RESOLVENODEMODULESFILEPATH */,
+      resolvePackagePath:
+        "The absolute path the target resolves to, or `null` if it could not be resolved." /* $COMMENT#JSDOC#RETURNS#RESOLVEPACKAGEPATH */,
+      findNodeModulesPackageDir:
+        "The real directory of the package, or `undefined` when it isn't installed." /* $COMMENT#JSDOC#RETURNS#FINDNODEMODULESPACKAGEDIR */,
+      resolveNodeModulesImportPath:
+        "The absolute path the import path resolves to, or `null` if it could not be resolved." /* $COMMENT#JSDOC#RETURNS#RESOLVENODEMODULESIMPORTPATH */,
+      makeWhyEdges:
+        "The array of the import edges the chain goes through, in order." /* $COMMENT#JSDOC#RETURNS#MAKEWHYEDGES */,
+      why: "One of the shortest import chains from an entry to the target path (`chain`), `null` when the target path isn't reached, and the import edges it goes through with their specifiers and kinds (`edges`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#WHY */,
+      findTsconfigPath:
+        "The absolute path of the closest tsconfig.json file, or `undefined` when there is none." /* $COMMENT#JSDOC#RETURNS#FINDTSCONFIGPATH */,
+      getFileHash:
+        "The modification time (`mtimeMs`) and the SHA-256 content hash (`hash`) of the file, or `null` when it doesn't exist." /* $COMMENT#JSDOC#RETURNS#GETFILEHASH */,
+      makeStateOptions:
+        "The options of the traversal state." /* $COMMENT#JSDOC#RETURNS#MAKESTATEOPTIONS */,
+      validatePreviousState:
+        "A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption." /* $COMMENT#JSDOC#RETURNS#VALIDATEPREVIOUSSTATE */,
+      getPreviousImports:
+        "The imports of the file, or `null` when the file has to be read again." /* $COMMENT#JSDOC#RETURNS#GETPREVIOUSIMPORTS */,
+      makeSerializedResults:
+        "The JSON-compatible results." /* $COMMENT#JSDOC#RETURNS#MAKESERIALIZEDRESULTS */,
+      makeDeserializedResults:
+        "The results in a success object (`success: true`)." /* $COMMENT#JSDOC#RETURNS#MAKEDESERIALIZEDRESULTS */,
+      serializeState:
+        "The state of the traversal." /* $COMMENT#JSDOC#RETURNS#SERIALIZESTATE */,
+      deserializeState:
+        "The results of the traversal in a success object (`success: true`), or a failure object (`success: false`) along with its errors when the state is not one made with `serializeState` in its current version." /* $COMMENT#JSDOC#RETURNS#DESERIALIZESTATE */,
+      walkImportsSync:
+        "An iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`)." /* $COMMENT#JSDOC#RETURNS#WALKIMPORTSSYNC */,
+      walkImports:
+        "An asynchronous iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`)." /* $COMMENT#JSDOC#RETURNS#WALKIMPORTS */,
+      validateCallbackControl:
+        "A `{success: true}` object if callbackControl is valid, or a `{success: false}` object along with its errors when an issue is encountered." /* $COMMENT#JSDOC#RETURNS#VALIDATECALLBACKCONTROL */,
+      makeTraversalSettings:
+        "The settings of the traversal, with every option set." /* $COMMENT#JSDOC#RETURNS#MAKETRAVERSALSETTINGS */,
+      traverseImports:
+        'A generator yielding the effects of the traversal to the driver, the reading of the file (`"read"`) being answered with what `getFileSource` returns, the file found (`"file"`) with the results of the callback run on it, and the traversal of a resolved path (`"traverse"`) with the results of its own traversal, and returning the results of the traversal.' /* $COMMENT#JSDOC#RETURNS#TRAVERSEIMPORTS */,
+      driveTraversalSync:
+        "A generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal." /* $COMMENT#JSDOC#RETURNS#DRIVETRAVERSALSYNC */,
+      driveTraversal:
+        "An asynchronous generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal." /* $COMMENT#JSDOC#RETURNS#DRIVETRAVERSAL */,
+      driveTraversalConcurrently:
+        "The results of the traversal, once the traversals it started concurrently are complete." /* $COMMENT#JSDOC#RETURNS#DRIVETRAVERSALCONCURRENTLY */,
+      findAllImportsWithCallbackSync:
+        "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKSYNC */,
+      findAllImportsWithCallbackAsync:
+        "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKASYNC */,
+      makeAggregateError:
+        "An AggregateError with the errors of the failure (`errors`) and their messages as its message." /* $COMMENT#JSDOC#RETURNS#MAKEAGGREGATEERROR */,
+      getCallbackResults:
+        "What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws." /* $COMMENT#JSDOC#RETURNS#GETCALLBACKRESULTS */,
+      getCallbackResultsAsync:
+        "What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws or rejects." /* $COMMENT#JSDOC#RETURNS#GETCALLBACKRESULTSASYNC */,
+      validateOptions:
+        "A `{success: true}` object if the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption." /* $COMMENT#JSDOC#RETURNS#VALIDATEOPTIONS */,
+      validateFilePathAndOptions:
+        "A `{success: true}` object if filePath and the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption." /* $COMMENT#JSDOC#RETURNS#VALIDATEFILEPATHANDOPTIONS */,
+      getResolvedPathsOfDir:
+        "The map of the resolved path of each import path from the directory under these options, `null` when it could not be resolved, added to the cache when missing." /* $COMMENT#JSDOC#RETURNS#GETRESOLVEDPATHSOFDIR */,
+      findFileImports:
+        "The imports found in the file path (`imports`) in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`)." /* $COMMENT#JSDOC#RETURNS#FINDFILEIMPORTS */,
+      copyResults:
+        "The copies of the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the traversal." /* $COMMENT#JSDOC#RETURNS#COPYRESULTS */,
+      makeFileImportKey:
+        "The string key of the import." /* $COMMENT#JSDOC#RETURNS#MAKEFILEIMPORTKEY */,
+      diffFileImports:
+        "The arrays of the imports added (`added`) and removed (`removed`) by the change." /* $COMMENT#JSDOC#RETURNS#DIFFFILEIMPORTS */,
+      getNewlyResolvedImporters:
+        "The set of the absolute paths of the importers with import paths that are no longer unresolved." /* $COMMENT#JSDOC#RETURNS#GETNEWLYRESOLVEDIMPORTERS */,
+      getWatchedDirs:
+        "The set of the absolute paths of the directories watched." /* $COMMENT#JSDOC#RETURNS#GETWATCHEDDIRS */,
+      validateTraversalState:
+        "A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption." /* $COMMENT#JSDOC#RETURNS#VALIDATETRAVERSALSTATE */,
+      stateOptionsAreEqual:
+        "`true` if the options are the same, `false` otherwise." /* $COMMENT#JSDOC#RETURNS#STATEOPTIONSAREEQUAL */,
+      candidatesAreUnchanged:
+        "`true` if the candidates of the import path are unchanged, `false` otherwise." /* $COMMENT#JSDOC#RETURNS#CANDIDATESAREUNCHANGED */,
+      hasCustomHooks:
+        "`true` if the traversal uses a custom resolver, extractor or handler, `false` otherwise." /* $COMMENT#JSDOC#RETURNS#HASCUSTOMHOOKS */,
+      extractNodeImport:
+        "The import the node corresponds to, with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`), or `null` if the node isn't an import." /* $COMMENT#JSDOC#RETURNS#EXTRACTNODEIMPORT */,
     }),
     types: Object.freeze({
       sourceCode:
         "ESLint SourceCode type accessed without needing to install ESLint at the point of consumption. (`SourceCode.ast` for AST, `SourceCode.getAllComments()` for all comments.)" /* $COMMENT#JSDOC#TYPES#SOURCECODE */,
+      importEdge:
+        "An import relationship found during the recursion, from the file containing the import (`importer`) to the file it resolves to (`resolvedPath`), along with its raw specifier (`specifier`) and its kind (`kind`)." /* $COMMENT#JSDOC#TYPES#IMPORTEDGE */,
+      importKind:
+        "The kind of an import, depending on the syntax it is written with." /* $COMMENT#JSDOC#TYPES#IMPORTKIND */,
+      scanMode:
+        'The scan mode of the extraction of imports, either `"top-level"` to only address the nodes at the root of each file\'s AST, or `"deep"` to also find the `import()` and `require()` calls nested anywhere in each file.' /* $COMMENT#JSDOC#TYPES#SCANMODE */,
+      unresolvedImport:
+        "An import path that could not be resolved during the recursion, along with the file containing it (`importer`) and its kind (`kind`)." /* $COMMENT#JSDOC#TYPES#UNRESOLVEDIMPORT */,
     }),
   }),
 };
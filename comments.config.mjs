@@ -1,4 +1,4 @@
-/** @typedef {{"jsDoc":{"definitions":{"findAllImports":{"value":"Finds all import paths recursively related to a given file path.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTS"},"processImport":{"value":"Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)","key":"JSDOC#DEFINITIONS#PROCESSIMPORT"},"makeIsSupposedToBe":{"value":"Makes a standardized string for `typeof` errors, `instanceof` errors and the likes.","key":"JSDOC#DEFINITIONS#MAKEISSUPPOSEDTOBE"},"makeSuccessFalseTypeError":{"value":"Makes a `{success: false}` object with a single error in its errors array of `{type: \"error\"}` based on the message it is meant to display.","key":"JSDOC#DEFINITIONS#MAKESUCCESSFALSETYPEERROR"},"validateFilePathAndOptions":{"value":"Validates filePath and options in `findAllImports` functions, both structurally and functionally.","key":"JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS"},"validateCallbackConfig":{"value":"Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown.","key":"JSDOC#DEFINITIONS#VALIDATECALLBACKCONFIG"},"updateVisitedSet":{"value":"Updates visitedSet with the current filePath once all validations have been successful, thus including it in the list of the original file path and all of its recursive imports.","key":"JSDOC#DEFINITIONS#UPDATEVISITEDSET"},"makeProcessImportSettings":{"value":"Makes the settings of the next round of `processImport`.","key":"JSDOC#DEFINITIONS#MAKEPROCESSIMPORTSETTINGS"},"makeFindAllImportsOptions":{"value":"Makes the options of the next round of `findAllImports`. (Given that they are required, they are no longer \"options\" per se and are therefore considered here as \"settings\".)","key":"JSDOC#DEFINITIONS#MAKEFINDALLIMPORTSOPTIONS"},"visitedSetHasPreviousVisit":{"value":"Tells if the current file path has already been visited within the current recursion.","key":"JSDOC#DEFINITIONS#VISITEDSETHASPREVIOUSVISIT"},"nodeIsImportDeclaration":{"value":"Tells if the node being walked through corresponds to an ES Module import.","key":"JSDOC#DEFINITIONS#NODEISIMPORTDECLARATION"},"nodeIsImportExpression":{"value":"Tells if the node being walked through corresponds to a dynamic import.","key":"JSDOC#DEFINITIONS#NODEISIMPORTEXPRESSION"},"nodeIsRequireCall":{"value":"Tells if the node being walked through corresponds to a CommonJS require.","key":"JSDOC#DEFINITIONS#NODEISREQUIRECALL"},"findAllImportsWithCallbackSync":{"value":"Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, synchronously.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKSYNC"},"findAllImportsWithCallbackAsync":{"value":"Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKASYNC"}},"params":{"filePath":{"value":"The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.","key":"JSDOC#PARAMS#FILEPATH"},"cwdOption":{"value":"The current working directory, set as `process.cwd()` by default.","key":"JSDOC#PARAMS#CWDOPTION"},"visitedSetOption":{"value":"The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.","key":"JSDOC#PARAMS#VISITEDSETOPTION"},"depthOption":{"value":"The current depth of the recursion, instantiated at `0` by default.","key":"JSDOC#PARAMS#DEPTHOPTION"},"maxDepthOption":{"value":"The maximum depth allowed for the recursion, instantiated at `100` by default.","key":"JSDOC#PARAMS#MAXDEPTHOPTION"},"importPath":{"value":"The import path currently being addressed.","key":"JSDOC#PARAMS#IMPORTPATH"},"currentDirSetting":{"value":"The directory containing the import path currently being addressed.","key":"JSDOC#PARAMS#CURRENTDIRSETTING"},"cwdSetting":{"value":"The current working directory.","key":"JSDOC#PARAMS#CWDSETTING"},"visitedSetSetting":{"value":"The set of strings tracking the import paths that have already been visited.","key":"JSDOC#PARAMS#VISITEDSETSETTING"},"depthSetting":{"value":"The current depth of the recursion.","key":"JSDOC#PARAMS#DEPTHSETTING"},"maxDepthSetting":{"value":"The maximum depth allowed for the recursion.","key":"JSDOC#PARAMS#MAXDEPTHSETTING"},"options":{"value":"The additional options as follows:","key":"JSDOC#PARAMS#OPTIONS"},"settings":{"value":"The required settings as follows:","key":"JSDOC#PARAMS#SETTINGS"},"paramName":{"value":"The string for the param's name.","key":"JSDOC#PARAMS#PARAMNAME"},"paramKind":{"value":"The string for the param's kind.","key":"JSDOC#PARAMS#PARAMKIND"},"message":{"value":"The human-readable message of the error.","key":"JSDOC#PARAMS#MESSAGE"},"callbackConfig":{"value":"The configuration of a callback function provided to a `findAllImports` function, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIG"},"node":{"value":"The current node of the current file path's AST (Abstract Syntax Tree).","key":"JSDOC#PARAMS#NODE"},"callbackConfigSyncShort":{"value":"The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIGSYNCSHORT"},"callbackConfigSyncLong":{"value":"The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackSync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.","key":"JSDOC#PARAMS#CALLBACKCONFIGSYNCLONG"},"callbackConfigAsyncShort":{"value":"The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIGASYNCSHORT"},"callbackConfigAsyncLong":{"value":"The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackAsync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.","key":"JSDOC#PARAMS#CALLBACKCONFIGASYNCLONG"}},"returns":{"findAllImports":{"value":"The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLIMPORTS"},"processImport":{"value":"The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`.","key":"JSDOC#RETURNS#PROCESSIMPORT"},"makeIsSupposedToBe":{"value":"[paramName] is supposed to be [paramKind].","key":"JSDOC#RETURNS#MAKEISSUPPOSEDTOBE"},"makeSuccessFalseTypeError":{"value":"A `{success: false}` object with a single error in its error array of `{type: \"error\"}`.","key":"JSDOC#RETURNS#MAKESUCCESSFALSETYPEERROR"},"validate":{"value":"A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATE"},"makeProcessImportSettings":{"value":"The settings object of the next round of `processImport`.","key":"JSDOC#RETURNS#MAKEPROCESSIMPORTSETTINGS"},"makeFindAllImportsOptions":{"value":"The options object of the next round of `findAllImports`.","key":"JSDOC#RETURNS#MAKEFINDALLIMPORTSOPTIONS"},"visitedSetHasPreviousVisit":{"value":"`true` if the file path has been visited before, `false` if it hasn't.","key":"JSDOC#RETURNS#VISITEDSETHASPREVIOUSVISIT"},"nodeIsImportDeclaration":{"value":"`true` if the node is an `import`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISIMPORTDECLARATION"},"nodeIsImportExpression":{"value":"`true` if the node is an `import()`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISIMPORTEXPRESSION"},"nodeIsRequireCall":{"value":"`true` if the node is a `require`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISREQUIRECALL"}},"types":{"sourceCode":{"value":"ESLint SourceCode type accessed without needing to install ESLint at the point of consumption. (`SourceCode.ast` for AST, `SourceCode.getAllComments()` for all comments.)","key":"JSDOC#TYPES#SOURCECODE"}}}}} ResolvedConfigData */
+/** @typedef {{"jsDoc":{"definitions":{"findAllImports":{"value":"Finds all import paths recursively related to a given file path.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTS"},"processImport":{"value":"Processes and resolves a single import path, handing the traversal of the file it resolves to over to the driver of the traversal.","key":"JSDOC#DEFINITIONS#PROCESSIMPORT"},"makeIsSupposedToBe":{"value":"Makes a standardized string for `typeof` errors, `instanceof` errors and the likes.","key":"JSDOC#DEFINITIONS#MAKEISSUPPOSEDTOBE"},"makeSuccessFalseTypeError":{"value":"Makes a `{success: false}` object with a single error in its errors array of `{type: \"error\"}` based on the message it is meant to display and the details identifying it.","key":"JSDOC#DEFINITIONS#MAKESUCCESSFALSETYPEERROR"},"validateCallbackConfig":{"value":"Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown.","key":"JSDOC#DEFINITIONS#VALIDATECALLBACKCONFIG"},"updateVisitedSet":{"value":"Updates visitedSet with the current filePath once all validations have been successful, thus including it in the list of the original file path and all of its recursive imports.","key":"JSDOC#DEFINITIONS#UPDATEVISITEDSET"},"makeProcessImportSettings":{"value":"Makes the settings of the next round of `processImport`.","key":"JSDOC#DEFINITIONS#MAKEPROCESSIMPORTSETTINGS"},"makeFindAllImportsOptions":{"value":"Makes the options of the next round of `findAllImports`. (Given that they are required, they are no longer \"options\" per se and are therefore considered here as \"settings\".)","key":"JSDOC#DEFINITIONS#MAKEFINDALLIMPORTSOPTIONS"},"visitedSetHasPreviousVisit":{"value":"Tells if the current file path has already been visited within the current recursion.","key":"JSDOC#DEFINITIONS#VISITEDSETHASPREVIOUSVISIT"},"nodeIsImportDeclaration":{"value":"Tells if the node being walked through corresponds to an ES Module import.","key":"JSDOC#DEFINITIONS#NODEISIMPORTDECLARATION"},"nodeIsImportExpression":{"value":"Tells if the node being walked through corresponds to a dynamic import.","key":"JSDOC#DEFINITIONS#NODEISIMPORTEXPRESSION"},"nodeIsRequireCall":{"value":"Tells if the node being walked through corresponds to a CommonJS require.","key":"JSDOC#DEFINITIONS#NODEISREQUIRECALL"},"findAllImportsWithCallbackSync":{"value":"Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, synchronously.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKSYNC"},"findAllImportsWithCallbackAsync":{"value":"Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously and, depending on concurrency, concurrently.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKASYNC"},"updateGraph":{"value":"Updates graph with the import edge currently being addressed, thus recording who imports whom, including toward import paths that have already been visited.","key":"JSDOC#DEFINITIONS#UPDATEGRAPH"},"nodeIsReExportDeclaration":{"value":"Tells if the node being walked through corresponds to an ES Module re-export.","key":"JSDOC#DEFINITIONS#NODEISREEXPORTDECLARATION"},"getStaticStringValue":{"value":"Gets the string value of a node when it can be known without running the code, that is when it is a string literal or a template literal without expressions.","key":"JSDOC#DEFINITIONS#GETSTATICSTRINGVALUE"},"nodeIsStaticImportExpression":{"value":"Tells if the node being walked through corresponds to a dynamic import whose import path is a static string, wherever it is found in the AST.","key":"JSDOC#DEFINITIONS#NODEISSTATICIMPORTEXPRESSION"},"nodeIsStaticRequireCallExpression":{"value":"Tells if the node being walked through corresponds to a CommonJS require whose import path is a static string, wherever it is found in the AST.","key":"JSDOC#DEFINITIONS#NODEISSTATICREQUIRECALLEXPRESSION"},"walkAST":{"value":"Walks through every node of an AST depth-first, in source order, running the visit function on each of them.","key":"JSDOC#DEFINITIONS#WALKAST"},"extractImports":{"value":"Extracts all imports of a file from its SourceCode object, either from its top-level nodes only or from its whole AST depending on the scan mode, keeping only those of the kinds followed by the recursion.","key":"JSDOC#DEFINITIONS#EXTRACTIMPORTS"},"makeSuccessTrueResults":{"value":"Makes a `{success: true}` object with everything tracked during the recursion, based on the options or settings of the current round of `findAllImports`.","key":"JSDOC#DEFINITIONS#MAKESUCCESSTRUERESULTS"},"importPathIsRelativeOrAbsolute":{"value":"Tells if an import path is relative or absolute, as opposed to bare import paths such as those of packages, Node.js built-in modules or aliases.","key":"JSDOC#DEFINITIONS#IMPORTPATHISRELATIVEORABSOLUTE"},"getExternalName":{"value":"Gets the name under which an import path that could not be resolved is recorded as external, that is the `node:`-prefixed name of a Node.js built-in module or the name of a package.","key":"JSDOC#DEFINITIONS#GETEXTERNALNAME"},"updateUnresolvedOrExternal":{"value":"Updates unresolved or external with an import path that could not be resolved, failing instead on relative or absolute import paths in strict mode.","key":"JSDOC#DEFINITIONS#UPDATEUNRESOLVEDOREXTERNAL"},"updateCycles":{"value":"Updates cycles with the import cycle closed by the resolved path currently being addressed if it is still being processed by the recursion, failing instead in `failOnCycle` mode.","key":"JSDOC#DEFINITIONS#UPDATECYCLES"},"findAllImportsFromEntries":{"value":"Finds all import paths recursively related to several entries at once, within a single traversal shared by all of them.","key":"JSDOC#DEFINITIONS#FINDALLIMPORTSFROMENTRIES"},"resolveEntries":{"value":"Resolves the entries passed to `findAllImportsFromEntries` into absolute file paths, expanding those that are glob patterns.","key":"JSDOC#DEFINITIONS#RESOLVEENTRIES"},"makeEntrySets":{"value":"Makes the set of the file paths reachable from each entry, by walking through the graph shared by all entries from each of them.","key":"JSDOC#DEFINITIONS#MAKEENTRYSETS"},"nodeIsTypeOnlyImportOrReExport":{"value":"Tells if the import or the re-export being walked through only involves types as a whole (`import type`, `export type`), and is therefore erased at runtime. (Imports and re-exports whose specifiers are all inline type specifiers, such as `import { type X }`, aren't type-only as a whole, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`, their inline type specifiers being recorded on their names instead.)","key":"JSDOC#DEFINITIONS#NODEISTYPEONLYIMPORTORREEXPORT"},"importIsOfKinds":{"value":"Tells if an import extracted from the current file path is to be followed given the kinds of imports followed by the recursion, the imports with inline type specifiers (`import { type X }`) being followed both as values, since they remain at runtime unless type-only as a whole, and as types, through the names they bring in.","key":"JSDOC#DEFINITIONS#IMPORTISOFKINDS"},"makeCache":{"value":"Makes an empty cache for the tsconfig.json lookups, the resolved paths, the SourceCode objects, the package.json files and workspace packages and the content hashes of a traversal, to be passed as the `cache` option of several calls so that they share their work.","key":"JSDOC#DEFINITIONS#MAKECACHE"},"resolveImportPathWithCache":{"value":"Resolves an import path from the directory containing it, with the custom resolver if any or otherwise based on the closest tsconfig.json file, going through the cache for both the tsconfig.json lookup of the directory and the resolution of the import path.","key":"JSDOC#DEFINITIONS#RESOLVEIMPORTPATHWITHCACHE"},"validateOptions":{"value":"Validates the settings of a traversal structurally, once at the start of the traversal rather than on every round of its recursion.","key":"JSDOC#DEFINITIONS#VALIDATEOPTIONS"},"getSourceCode":{"value":"Gets the SourceCode object of a file from the cache, only parsing the file again when it isn't cached yet or when it has been modified since it was cached.","key":"JSDOC#DEFINITIONS#GETSOURCECODE"},"getSourceCodeAsync":{"value":"Gets the SourceCode object of a file from the cache like `getSourceCode`, but reading the file asynchronously so that several files can be read at the same time.","key":"JSDOC#DEFINITIONS#GETSOURCECODEASYNC"},"validateConcurrencyOptions":{"value":"Validates the options specific to the concurrency of `findAllImportsWithCallbackAsync`.","key":"JSDOC#DEFINITIONS#VALIDATECONCURRENCYOPTIONS"},"makeLimiter":{"value":"Makes a function running tasks with at most a given number of them running at the same time, queuing the others in the order they were given, to be passed as the `limiter` option of several calls of `findAllImportsWithCallbackAsync` so that they share the same concurrency limit.","key":"JSDOC#DEFINITIONS#MAKELIMITER"},"indexGraphByImporter":{"value":"Indexes the resolved paths imported by each importer of the graph, in the order of the graph.","key":"JSDOC#DEFINITIONS#INDEXGRAPHBYIMPORTER"},"updateCyclesFromGraph":{"value":"Updates cycles with all the import cycles reachable from a file path, by walking through the graph depth-first once the traversal is complete, failing instead in `failOnCycle` mode. (Used when the order in which files are visited is unpredictable, such as in concurrent mode.)","key":"JSDOC#DEFINITIONS#UPDATECYCLESFROMGRAPH"},"pathMatchesAnyGlob":{"value":"Tells if a path matches any of the given glob patterns, compiling each glob pattern only once across traversals.","key":"JSDOC#DEFINITIONS#PATHMATCHESANYGLOB"},"shouldTraversePath":{"value":"Tells if a resolved path is to be traversed, based on the include and exclude glob patterns first, then on the shouldTraverse predicate.","key":"JSDOC#DEFINITIONS#SHOULDTRAVERSEPATH"},"makeFileImports":{"value":"Makes the descriptions of the imports found in the current file path, resolving their import paths along the way so that they can be shared with callbacks before the recursion.","key":"JSDOC#DEFINITIONS#MAKEFILEIMPORTS"},"updateFileImports":{"value":"Updates fileImports with the imports found in the current file path.","key":"JSDOC#DEFINITIONS#UPDATEFILEIMPORTS"},"getModuleExportName":{"value":"Gets the name of an identifier or of a string literal used as a module export name.","key":"JSDOC#DEFINITIONS#GETMODULEEXPORTNAME"},"getImportedNames":{"value":"Gets the names brought in by an import or a re-export, whether they are default, named or namespace imports.","key":"JSDOC#DEFINITIONS#GETIMPORTEDNAMES"},"findAllDependents":{"value":"Finds all file paths transitively importing a given target path, by walking forward from one or several roots and inverting the graph found.","key":"JSDOC#DEFINITIONS#FINDALLDEPENDENTS"},"makeDependentChains":{"value":"Makes the shortest import chain from each file path transitively importing the target path to the target path, by walking through the inverted graph breadth-first from the target path.","key":"JSDOC#DEFINITIONS#MAKEDEPENDENTCHAINS"},"watchAllImports":{"value":"Finds all import paths recursively related to a given entry like `findAllImports`, then keeps them up to date by watching the directories of the visited files and of the import paths left unresolved, finding again only the imports of the files that change and traversing only the file paths they newly reach, and emitting events as the set of reachable files evolves.","key":"JSDOC#DEFINITIONS#WATCHALLIMPORTS"},"invalidateStaleResolvedPaths":{"value":"Invalidates the cached resolutions and SourceCode object a deleted file has made stale, that is its SourceCode object and the resolutions to it under every set of options, so that its importers resolve their import paths again.","key":"JSDOC#DEFINITIONS#INVALIDATESTALERESOLVEDPATHS"},"diffVisitedSets":{"value":"Diffs the visited sets of two traversals, telling which file paths became reachable and which ones no longer are.","key":"JSDOC#DEFINITIONS#DIFFVISITEDSETS"},"makeErrorLocation":{"value":"Makes the location of an error met on a file path of the traversal, that is the file path itself, the file importing it and the specifier it is imported with unless it is the original file path, and the import chain leading to it from the original file path.","key":"JSDOC#DEFINITIONS#MAKEERRORLOCATION"},"recoverFromFailure":{"value":"Recovers from a failure in `continueOnError` mode by recording its errors in `errors` and returning the results the recursion goes on with, skipping the subtree of the file path that failed, or bubbles up the failure otherwise, recording in `failureControl` that the traversal failed. (Failures on invalid options always bubble up, since the recursion cannot go on without valid options.)","key":"JSDOC#DEFINITIONS#RECOVERFROMFAILURE"},"toDot":{"value":"Serializes the graph of a traversal as a Graphviz DOT digraph, with edges styled by import kind (solid for static imports, bold for re-exports, dashed for dynamic imports and dotted for `require` calls) and grayed out when type-only.","key":"JSDOC#DEFINITIONS#TODOT"},"toMermaid":{"value":"Serializes the graph of a traversal as a Mermaid flowchart, with links styled by import kind (`-->` for static imports, `==>` for re-exports, `-.->` for dynamic imports and `--o` for `require` calls) and labeled `type` when type-only.","key":"JSDOC#DEFINITIONS#TOMERMAID"},"toJSON":{"value":"Serializes the results of a traversal as JSON, turning their sets and maps into arrays and objects.","key":"JSDOC#DEFINITIONS#TOJSON"},"formatPath":{"value":"Formats an absolute path for the output, either as is or relative to the current working directory.","key":"JSDOC#DEFINITIONS#FORMATPATH"},"makeNodeLabels":{"value":"Makes the label of every node of a serialized graph, that is of every visited file path and of every file path found at either end of the graph's edges, in the order they were found.","key":"JSDOC#DEFINITIONS#MAKENODELABELS"},"groupNodesByDirectory":{"value":"Groups the nodes of a serialized graph by the directory containing them, for the serializers clustering nodes by directory.","key":"JSDOC#DEFINITIONS#GROUPNODESBYDIRECTORY"},"quoteDotId":{"value":"Quotes a string as a Graphviz DOT identifier, escaping its backslashes and double quotes.","key":"JSDOC#DEFINITIONS#QUOTEDOTID"},"quoteMermaidLabel":{"value":"Quotes a string as a Mermaid node label, escaping its double quotes as entity codes.","key":"JSDOC#DEFINITIONS#QUOTEMERMAIDLABEL"},"parseSourceText":{"value":"Parses a source text into its SourceCode object with the same language options as `get-sourcecode-from-file-path`.","key":"JSDOC#DEFINITIONS#PARSESOURCETEXT"},"getScriptWithHandler":{"value":"Gets the JavaScript or TypeScript source text embedded in a file with the `getScript` function of its handler, turning a throwing or invalid handler into a failure.","key":"JSDOC#DEFINITIONS#GETSCRIPTWITHHANDLER"},"getFileHandler":{"value":"Gets the handler of a file from its extension, the handlers provided taking precedence over the built-in ones.","key":"JSDOC#DEFINITIONS#GETFILEHANDLER"},"getLocationAtIndex":{"value":"Gets the line and column of a character in a source text, with lines starting at 1 and columns at 0 like in ASTs.","key":"JSDOC#DEFINITIONS#GETLOCATIONATINDEX"},"getHandledImports":{"value":"Gets the imports of a file with the `getImports` function of its handler, locating each import path in the file's text in order.","key":"JSDOC#DEFINITIONS#GETHANDLEDIMPORTS"},"getFileSource":{"value":"Gets what the imports of a file are found from depending on its handler: its SourceCode object for JavaScript and TypeScript files and for the files whose handler gets their script, or its imports directly for assets and for the files whose handler gets their import paths.","key":"JSDOC#DEFINITIONS#GETFILESOURCE"},"getFileSourceAsync":{"value":"Gets what the imports of a file are found from like `getFileSource`, but reading the file asynchronously so that several files can be read at the same time.","key":"JSDOC#DEFINITIONS#GETFILESOURCEASYNC"},"blankOut":{"value":"Replaces every character of a text with a space except its line breaks, so that the code kept around it keeps its locations.","key":"JSDOC#DEFINITIONS#BLANKOUT"},"blankOutStyleComments":{"value":"Blanks out the comments of a stylesheet, so that the rules they contain are ignored.","key":"JSDOC#DEFINITIONS#BLANKOUTSTYLECOMMENTS"},"getStyleImports":{"value":"Gets the import paths of a stylesheet from its `@import`, `@use` and `@forward` rules, leaving out URLs and the rules found in comments.","key":"JSDOC#DEFINITIONS#GETSTYLEIMPORTS"},"getComponentScript":{"value":"Gets the script of a Vue or Svelte component from its `<script>` blocks, blanking out the rest of the component so that the imports keep their locations.","key":"JSDOC#DEFINITIONS#GETCOMPONENTSCRIPT"},"getMdxScript":{"value":"Gets the script of an MDX document from its ESM blocks, the paragraphs starting with `import` or `export` outside of code fences, blanking out the rest of the document so that the imports keep their locations.","key":"JSDOC#DEFINITIONS#GETMDXSCRIPT"},"defaultHandlers":{"value":"The built-in handlers per file extension, recording assets as leaves, following the `@import`, `@use` and `@forward` rules of stylesheets, and parsing the `<script>` blocks of Vue and Svelte components and the ESM blocks of MDX documents. Provided handlers take precedence over them.","key":"JSDOC#DEFINITIONS#DEFAULTHANDLERS"},"extractFileImports":{"value":"Extracts the imports of a file, with the custom extractor if any, unless they have already been found by the file's handler.","key":"JSDOC#DEFINITIONS#EXTRACTFILEIMPORTS"},"readPackageJson":{"value":"Reads and parses a package.json file once through the cache.","key":"JSDOC#DEFINITIONS#READPACKAGEJSON"},"resolvePackageTarget":{"value":"Resolves a target of the `exports` or `imports` field of a package.json file against the conditions like Node.js does: strings are taken with their `*` replaced by the matched pattern, arrays are tried in order, and objects are matched key by key in order against `\"default\"` and the conditions.","key":"JSDOC#DEFINITIONS#RESOLVEPACKAGETARGET"},"matchPackageField":{"value":"Matches a subpath, such as `\".\"`, `\"./utils\"` or `\"#internal/utils\"`, against the keys of the `exports` or `imports` field of a package.json file, exact keys first and then `*` patterns, the one with the longest prefix winning.","key":"JSDOC#DEFINITIONS#MATCHPACKAGEFIELD"},"resolvePackageEntry":{"value":"Resolves a subpath of a package through the `exports` field of its package.json file, or through its `module` and `main` fields when it has none.","key":"JSDOC#DEFINITIONS#RESOLVEPACKAGEENTRY"},"getWorkspacePatterns":{"value":"Gets the glob patterns of the packages of the npm, Yarn or pnpm workspace whose root is a given directory, from its pnpm-workspace.yaml file or from the `workspaces` field of its package.json file.","key":"JSDOC#DEFINITIONS#GETWORKSPACEPATTERNS"},"findWorkspacePackages":{"value":"Finds the packages of the npm, Yarn or pnpm workspace containing a directory, caching them for every directory walked through up to the workspace root.","key":"JSDOC#DEFINITIONS#FINDWORKSPACEPACKAGES"},"resolvePackageImportPath":{"value":"Resolves an import path through package.json files: package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the workspace as well as the package itself through their `exports` field, never through node_modules.","key":"JSDOC#DEFINITIONS#RESOLVEPACKAGEIMPORTPATH"},"getNodeModulesPackageRoot":{"value":"Gets the root directory of the package installed in node_modules that a directory belongs to, scoped or not.","key":"JSDOC#DEFINITIONS#GETNODEMODULESPACKAGEROOT"},"resolveNodeModulesFilePath":{"value":"Resolves an absolute path within a package installed in node_modules to the file it refers to, as is, with a script extension appended or as the index file of a directory, since resolve-importing-path leaves node_modules out.","key":"JSDOC#DEFINITIONS#RESOLVENODEMODULESFILEPATH"},"resolvePackagePath":{"value":"Resolves a relative target of a package, directly when the package is installed in node_modules and through resolve-importing-path otherwise.","key":"JSDOC#DEFINITIONS#RESOLVEPACKAGEPATH"},"findNodeModulesPackageDir":{"value":"Finds the directory of a package installed in the closest node_modules directory having it, through its symbolic links such as those of pnpm and of workspaces.","key":"JSDOC#DEFINITIONS#FINDNODEMODULESPACKAGEDIR"},"resolveNodeModulesImportPath":{"value":"Resolves a bare import path to the file of the package installed in node_modules it refers to, through the `exports` field of the package.json file of the package or through its `module` and `main` fields, with the package as the resolution root.","key":"JSDOC#DEFINITIONS#RESOLVENODEMODULESIMPORTPATH"},"updatePackages":{"value":"Updates packages with the package installed in node_modules that an import path refers to, once per package name, when it is left unresolved or resolved into node_modules, thus leaving out the workspace packages resolved to their sources.","key":"JSDOC#DEFINITIONS#UPDATEPACKAGES"},"updateShortestChains":{"value":"Updates shortestChains and depths with the import chain through which a file path is reached, when it is the first one or a shorter one than before, and then shortens breadth-first the chains of the file paths it already imports accordingly, so that every visited file path ends up with one of its shortest chains whatever the order of the traversal.","key":"JSDOC#DEFINITIONS#UPDATESHORTESTCHAINS"},"makeWhyEdges":{"value":"Makes the import edges an import chain goes through, by finding in the graph the first edge from each file path of the chain to the next one.","key":"JSDOC#DEFINITIONS#MAKEWHYEDGES"},"why":{"value":"Explains why a target path is pulled in by one or several entries, with one of the shortest import chains leading from an entry to the target path and the import edges it goes through.","key":"JSDOC#DEFINITIONS#WHY"},"findTsconfigPath":{"value":"Finds the closest tsconfig.json file of a directory, looked up once per directory through the cache.","key":"JSDOC#DEFINITIONS#FINDTSCONFIGPATH"},"getFileHash":{"value":"Gets the content hash of a file from the cache, only reading and hashing the file again when it isn't cached yet or when it has been modified since it was cached.","key":"JSDOC#DEFINITIONS#GETFILEHASH"},"makeStateOptions":{"value":"Makes the options a traversal state depends on, that is those of the extraction and of the default resolution of imports, with the conditions deduplicated and sorted so that their order doesn't matter.","key":"JSDOC#DEFINITIONS#MAKESTATEOPTIONS"},"validatePreviousState":{"value":"Validates the previousState option, which has to be `null` or a traversal state made with `serializeState` in its current version.","key":"JSDOC#DEFINITIONS#VALIDATEPREVIOUSSTATE"},"getPreviousImports":{"value":"Gets the imports the previous state recorded for a file when it hasn't changed since, that is when its modification time or, failing that, its content hash is the same, and seeds the cache with their resolutions when its tsconfig.json file hasn't changed either and the files they resolve to still exist, provided that the state was made with the same options and that there is no custom resolver, extractor or handler.","key":"JSDOC#DEFINITIONS#GETPREVIOUSIMPORTS"},"makeSerializedResults":{"value":"Makes the JSON-compatible version of the results of a traversal, turning their sets and maps into arrays and objects.","key":"JSDOC#DEFINITIONS#MAKESERIALIZEDRESULTS"},"makeDeserializedResults":{"value":"Makes the results of a traversal back from their JSON-compatible version, turning their arrays and objects back into sets and maps and their paths back into absolute paths.","key":"JSDOC#DEFINITIONS#MAKEDESERIALIZEDRESULTS"},"serializeState":{"value":"Serializes the state of a traversal as a JSON-compatible object, made of its results with their paths relative to the current working directory, of the modification time, the content hash and the tsconfig.json file of each visited file, and of the content hash of each of these tsconfig.json files, so that it can be stored and passed as the `previousState` option of a later call.","key":"JSDOC#DEFINITIONS#SERIALIZESTATE"},"deserializeState":{"value":"Rehydrates the results of a traversal from its state, turning their arrays and objects back into sets and maps and their paths back into absolute paths.","key":"JSDOC#DEFINITIONS#DESERIALIZESTATE"},"walkImportsSync":{"value":"Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for...of` and stopped early with `break`.","key":"JSDOC#DEFINITIONS#WALKIMPORTSSYNC"},"walkImports":{"value":"Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for await...of` and stopped early with `break`. Files are read asynchronously, one after the other.","key":"JSDOC#DEFINITIONS#WALKIMPORTS"},"validateCallbackControl":{"value":"Validates the callbackControl option of `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`, ensuring that it is an object whose property `stopped` is a boolean.","key":"JSDOC#DEFINITIONS#VALIDATECALLBACKCONTROL"},"makeTraversalSettings":{"value":"Makes the settings of a traversal from its options, by setting every option left out to its default value.","key":"JSDOC#DEFINITIONS#MAKETRAVERSALSETTINGS"},"traverseImports":{"value":"Traverses recursively the imports of a given file path, as the single traversal shared by all `findAllImports` functions: it hands over to its driver the reading of each file, each file found and the traversal of each resolved import path as effects, so that the same traversal can be driven synchronously, asynchronously, concurrently or as an iterable.","key":"JSDOC#DEFINITIONS#TRAVERSEIMPORTS"},"driveTraversalSync":{"value":"Drives the traversal of a file path synchronously, reading each file with `getFileSource` and traversing each resolved path recursively, while yielding each file found to its consumer and answering the traversal with what the consumer passes back, that is the results of the callback run on the file if any.","key":"JSDOC#DEFINITIONS#DRIVETRAVERSALSYNC"},"driveTraversal":{"value":"Drives the traversal of a file path like `driveTraversalSync`, but reading each file asynchronously with `getFileSourceAsync`, one after the other.","key":"JSDOC#DEFINITIONS#DRIVETRAVERSAL"},"driveTraversalConcurrently":{"value":"Drives the traversal of a file path asynchronously, reading each file with `getFileSourceAsync` and addressing each file found with a handler within the concurrency limit, and traversing the resolved paths of each file one after the other when concurrency is 1, or all at once otherwise.","key":"JSDOC#DEFINITIONS#DRIVETRAVERSALCONCURRENTLY"},"makeAggregateError":{"value":"Makes the error thrown for a failure by the functions that cannot return it, such as the generators consumed with `for...of` and `for await...of`.","key":"JSDOC#DEFINITIONS#MAKEAGGREGATEERROR"},"getCallbackResults":{"value":"Runs the callback of a synchronous callbackConfig on a file found by the traversal if it has a SourceCode object, turning a throwing callback into a failure.","key":"JSDOC#DEFINITIONS#GETCALLBACKRESULTS"},"getCallbackResultsAsync":{"value":"Runs the callback of an asynchronous callbackConfig on a file found by the traversal like `getCallbackResults`, but within the concurrency limit.","key":"JSDOC#DEFINITIONS#GETCALLBACKRESULTSASYNC"},"validateFilePathAndOptions":{"value":"Validates filePath and the settings of a traversal from a single file path structurally, once at the start of the traversal.","key":"JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS"},"getResolvedPathsOfDir":{"value":"Gets the cached resolutions of the import paths of a directory under the options the resolution depends on, so that calls sharing the same cache with different options never reuse each other's resolutions.","key":"JSDOC#DEFINITIONS#GETRESOLVEDPATHSOFDIR"},"resolverKeys":{"value":"The keys given to the custom resolvers within the resolution keys of the cache, each custom resolver getting its own resolutions.","key":"JSDOC#DEFINITIONS#RESOLVERKEYS"},"findFileImports":{"value":"Finds the imports of a single file path with the traversal core, without traversing them nor recording anything in the results of the traversal.","key":"JSDOC#DEFINITIONS#FINDFILEIMPORTS"},"filterInPlace":{"value":"Filters an array in place, so that the objects sharing it keep seeing its current items.","key":"JSDOC#DEFINITIONS#FILTERINPLACE"},"copyResults":{"value":"Copies everything tracked during a traversal, so that it can be updated without altering the original results until the update succeeds.","key":"JSDOC#DEFINITIONS#COPYRESULTS"},"makeFileImportKey":{"value":"Makes the key under which an import is compared, made of everything about it but its locations, which change whenever the code before it does.","key":"JSDOC#DEFINITIONS#MAKEFILEIMPORTKEY"},"diffFileImports":{"value":"Diffs the imports found in a file before and after it changed, leaving out the locations of the imports.","key":"JSDOC#DEFINITIONS#DIFFFILEIMPORTS"},"forgetFileImports":{"value":"Forgets what a visited file path was found to import, along with the errors met on it, so that its imports can be found again.","key":"JSDOC#DEFINITIONS#FORGETFILEIMPORTS"},"pruneUnreachableResults":{"value":"Leaves out of the results of a traversal the file paths no longer reachable from its entry along with everything found in them, and sets again the minimum depths and the shortest import chains of the file paths still reachable, as well as the external imports and packages they still refer to.","key":"JSDOC#DEFINITIONS#PRUNEUNREACHABLERESULTS"},"getNewlyResolvedImporters":{"value":"Resolves again the import paths left unresolved by a traversal, telling which importers now have some of them resolved, such as after the files they were looking for were created.","key":"JSDOC#DEFINITIONS#GETNEWLYRESOLVEDIMPORTERS"},"getWatchedDirs":{"value":"Gets the directories watched for the results of a traversal, that is those of the visited file paths, whose changes they address, and those that the relative and absolute import paths left unresolved point to, where the files they were looking for may be created.","key":"JSDOC#DEFINITIONS#GETWATCHEDDIRS"},"validateTraversalState":{"value":"Validates a traversal state with zod, which has to be made with `serializeState` in its current version.","key":"JSDOC#DEFINITIONS#VALIDATETRAVERSALSTATE"},"stateOptionsAreEqual":{"value":"Tells if two sets of traversal state options are the same, option by option, regardless of the order of their conditions.","key":"JSDOC#DEFINITIONS#STATEOPTIONSAREEQUAL"},"candidatesAreUnchanged":{"value":"Tells if no candidate file of a relative import path can have been created or deleted since a previous traversal started, that is if neither the directory of its target nor its target as a directory have been modified since, so that its previous resolution still holds. Import paths that aren't relative are never considered unchanged, since their candidates are spread across tsconfig.json paths and packages.","key":"JSDOC#DEFINITIONS#CANDIDATESAREUNCHANGED"},"hasCustomHooks":{"value":"Tells if a traversal uses a custom resolver, extractor or handler, whose functions can't be compared with those of another traversal.","key":"JSDOC#DEFINITIONS#HASCUSTOMHOOKS"},"extractNodeImport":{"value":"Extracts the import the node being walked through corresponds to, if any, the dynamic imports and the CommonJS requires being found at any level in deep scan mode, but only as top-level statements otherwise.","key":"JSDOC#DEFINITIONS#EXTRACTNODEIMPORT"}},"params":{"filePath":{"value":"The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.","key":"JSDOC#PARAMS#FILEPATH"},"cwdOption":{"value":"The current working directory, set as `process.cwd()` by default.","key":"JSDOC#PARAMS#CWDOPTION"},"visitedSetOption":{"value":"The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.","key":"JSDOC#PARAMS#VISITEDSETOPTION"},"depthOption":{"value":"The current depth of the recursion, instantiated at `0` by default.","key":"JSDOC#PARAMS#DEPTHOPTION"},"maxDepthOption":{"value":"The maximum depth allowed for the recursion, instantiated at `100` by default.","key":"JSDOC#PARAMS#MAXDEPTHOPTION"},"importPath":{"value":"The import path currently being addressed.","key":"JSDOC#PARAMS#IMPORTPATH"},"currentDirSetting":{"value":"The directory containing the import path currently being addressed.","key":"JSDOC#PARAMS#CURRENTDIRSETTING"},"cwdSetting":{"value":"The current working directory.","key":"JSDOC#PARAMS#CWDSETTING"},"visitedSetSetting":{"value":"The set of strings tracking the import paths that have already been visited.","key":"JSDOC#PARAMS#VISITEDSETSETTING"},"depthSetting":{"value":"The current depth of the recursion.","key":"JSDOC#PARAMS#DEPTHSETTING"},"maxDepthSetting":{"value":"The maximum depth allowed for the recursion.","key":"JSDOC#PARAMS#MAXDEPTHSETTING"},"options":{"value":"The additional options as follows:","key":"JSDOC#PARAMS#OPTIONS"},"settings":{"value":"The required settings as follows:","key":"JSDOC#PARAMS#SETTINGS"},"paramName":{"value":"The string for the param's name.","key":"JSDOC#PARAMS#PARAMNAME"},"paramKind":{"value":"The string for the param's kind.","key":"JSDOC#PARAMS#PARAMKIND"},"message":{"value":"The human-readable message of the error.","key":"JSDOC#PARAMS#MESSAGE"},"callbackConfig":{"value":"The configuration of a callback function provided to a `findAllImports` function, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIG"},"node":{"value":"The current node of the current file path's AST (Abstract Syntax Tree).","key":"JSDOC#PARAMS#NODE"},"callbackConfigSyncShort":{"value":"The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIGSYNCSHORT"},"callbackConfigSyncLong":{"value":"The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackSync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `\"skip\"` to leave out the imports of the current file, or `\"stop\"` to end the whole traversal successfully.","key":"JSDOC#PARAMS#CALLBACKCONFIGSYNCLONG"},"callbackConfigAsyncShort":{"value":"The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.","key":"JSDOC#PARAMS#CALLBACKCONFIGASYNCSHORT"},"callbackConfigAsyncLong":{"value":"The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackAsync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `\"skip\"` to leave out the imports of the current file, or `\"stop\"` to end the whole traversal successfully.","key":"JSDOC#PARAMS#CALLBACKCONFIGASYNCLONG"},"graphOption":{"value":"The array of import edges tracking every import relationship found during the recursion, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#GRAPHOPTION"},"importerSetting":{"value":"The absolute path of the file containing the import path currently being addressed.","key":"JSDOC#PARAMS#IMPORTERSETTING"},"graphSetting":{"value":"The array of import edges tracking every import relationship found during the recursion.","key":"JSDOC#PARAMS#GRAPHSETTING"},"kind":{"value":"The kind of the import currently being addressed, either `\"static\"`, `\"re-export\"`, `\"dynamic\"` or `\"require\"`.","key":"JSDOC#PARAMS#KIND"},"edge":{"value":"The import edge currently being addressed, made of its importer, its specifier, its resolved path and its kind.","key":"JSDOC#PARAMS#EDGE"},"scanOption":{"value":"The scan mode of the extraction of imports, either `\"top-level\"` to only address the nodes at the root of each file's AST, or `\"deep\"` to also find the `import()` and `require()` calls nested anywhere in each file, set as `\"top-level\"` by default.","key":"JSDOC#PARAMS#SCANOPTION"},"scanSetting":{"value":"The scan mode of the extraction of imports.","key":"JSDOC#PARAMS#SCANSETTING"},"scan":{"value":"The scan mode of the extraction, either `\"top-level\"` to only address the nodes at the root of the AST, or `\"deep\"` to walk through the whole AST and also find the `import()` and `require()` calls nested in expressions, declarations and function bodies.","key":"JSDOC#PARAMS#SCAN"},"sourceCode":{"value":"The current file path's SourceCode object.","key":"JSDOC#PARAMS#SOURCECODE"},"visitorKeys":{"value":"The visitor keys of the current file path's SourceCode object, telling which properties of each node type hold its child nodes.","key":"JSDOC#PARAMS#VISITORKEYS"},"visit":{"value":"The function running on every node walked through.","key":"JSDOC#PARAMS#VISIT"},"unresolvedOption":{"value":"The array of the import paths that could not be resolved during the recursion, along with their importers, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#UNRESOLVEDOPTION"},"externalOption":{"value":"The set of strings tracking the external packages and Node.js built-in modules imported during the recursion, instantiated as a `new Set()` by default.","key":"JSDOC#PARAMS#EXTERNALOPTION"},"strictOption":{"value":"Whether unresolved relative or absolute import paths make the recursion fail instead of only being recorded in `unresolved`, set as `false` by default.","key":"JSDOC#PARAMS#STRICTOPTION"},"unresolvedSetting":{"value":"The array of the import paths that could not be resolved during the recursion, along with their importers.","key":"JSDOC#PARAMS#UNRESOLVEDSETTING"},"externalSetting":{"value":"The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.","key":"JSDOC#PARAMS#EXTERNALSETTING"},"strictSetting":{"value":"Whether unresolved relative or absolute import paths make the recursion fail.","key":"JSDOC#PARAMS#STRICTSETTING"},"cyclesOption":{"value":"The array of the import cycles found during the recursion, each as the ordered array of the file paths it goes through, back to the file path it starts from, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#CYCLESOPTION"},"stackOption":{"value":"The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#STACKOPTION"},"detectCyclesOption":{"value":"Whether import cycles are detected and recorded in `cycles`, set as `false` by default.","key":"JSDOC#PARAMS#DETECTCYCLESOPTION"},"failOnCycleOption":{"value":"Whether import cycles make the recursion fail instead of only being recorded in `cycles`, implying `detectCycles`, set as `false` by default.","key":"JSDOC#PARAMS#FAILONCYCLEOPTION"},"cyclesSetting":{"value":"The array of the import cycles found during the recursion.","key":"JSDOC#PARAMS#CYCLESSETTING"},"stackSetting":{"value":"The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.","key":"JSDOC#PARAMS#STACKSETTING"},"detectCyclesSetting":{"value":"Whether import cycles are detected and recorded in `cycles`.","key":"JSDOC#PARAMS#DETECTCYCLESSETTING"},"failOnCycleSetting":{"value":"Whether import cycles make the recursion fail.","key":"JSDOC#PARAMS#FAILONCYCLESETTING"},"resolvedPath":{"value":"The absolute resolved path of the import path currently being addressed.","key":"JSDOC#PARAMS#RESOLVEDPATH"},"entries":{"value":"The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute.","key":"JSDOC#PARAMS#ENTRIES"},"entryPaths":{"value":"The array of the absolute file paths of the entries.","key":"JSDOC#PARAMS#ENTRYPATHS"},"typeOnly":{"value":"Whether the import currently being addressed only involves types, and is therefore erased at runtime.","key":"JSDOC#PARAMS#TYPEONLY"},"importKinds":{"value":"The kinds of imports kept by the extraction, either `\"value\"` for the imports that remain at runtime, `\"type\"` for the imports bringing in types, or `\"all\"` for both.","key":"JSDOC#PARAMS#IMPORTKINDS"},"extractedImport":{"value":"The import currently being extracted, with its import path, its kind and whether it is type-only.","key":"JSDOC#PARAMS#EXTRACTEDIMPORT"},"cache":{"value":"The cache of the tsconfig.json lookups per directory, of the resolved paths per resolution options, directory and import path, of the SourceCode objects per file path, modification time and getScript handler, of the package.json files and workspace packages, and of the content hashes per file path and modification time, made fresh with `makeCache()` by default and reusable across calls by passing the same object.","key":"JSDOC#PARAMS#CACHE"},"sourceCodes":{"value":"The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files and the getScript handler they were parsed with.","key":"JSDOC#PARAMS#SOURCECODES"},"concurrency":{"value":"The maximum number of files read and of callbacks running at the same time, with the imports of each file being traversed concurrently when above `1`, set as `1` by default for a sequential traversal. (Files are still parsed one at a time on the main thread, so that concurrency overlaps the file reads and the asynchronous callbacks rather than the parsing.)","key":"JSDOC#PARAMS#CONCURRENCY"},"limiter":{"value":"The function running the file reads and the callbacks of the whole traversal within the concurrency limit, made from `concurrency` with `makeLimiter(concurrency)` by default.","key":"JSDOC#PARAMS#LIMITER"},"include":{"value":"The array of the glob patterns, relative to the current working directory, that resolved paths have to match to be traversed, instantiated as an empty array `[]` by default to traverse every resolved path.","key":"JSDOC#PARAMS#INCLUDE"},"exclude":{"value":"The array of the glob patterns, relative to the current working directory, that resolved paths must not match to be traversed, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#EXCLUDE"},"shouldTraverse":{"value":"The predicate telling whether a resolved path is traversed, receiving the resolved path and the absolute path of its importer, checked after `include` and `exclude`, set as `null` by default.","key":"JSDOC#PARAMS#SHOULDTRAVERSE"},"keepExcludedAsLeaves":{"value":"Whether the resolved paths left out by `include`, `exclude` or `shouldTraverse` are still recorded in `graph` as leaves, without being visited nor their own imports being found, set as `false` by default.","key":"JSDOC#PARAMS#KEEPEXCLUDEDASLEAVES"},"relativePath":{"value":"The path being matched, relative to the current working directory.","key":"JSDOC#PARAMS#RELATIVEPATH"},"patterns":{"value":"The array of the glob patterns being matched against.","key":"JSDOC#PARAMS#PATTERNS"},"fileImports":{"value":"The map of each visited file path to the imports found in it, with their specifiers, resolved paths, kinds, imported names and locations, instantiated as a `new Map()` by default.","key":"JSDOC#PARAMS#FILEIMPORTS"},"extractedImports":{"value":"The array of the imports extracted from the file, with their import paths, kinds, imported names and locations.","key":"JSDOC#PARAMS#EXTRACTEDIMPORTS"},"imports":{"value":"The array of the imports of the file.","key":"JSDOC#PARAMS#IMPORTS"},"targetPath":{"value":"The path of the file whose dependents are being found, relative to the current working directory unless absolute.","key":"JSDOC#PARAMS#TARGETPATH"},"roots":{"value":"The file path or glob pattern, or the array of file paths and glob patterns, of the roots from which the graph is built, relative to the current working directory unless absolute.","key":"JSDOC#PARAMS#ROOTS"},"entry":{"value":"The path of the entry whose imports are being watched, relative to the current working directory unless absolute.","key":"JSDOC#PARAMS#ENTRY"},"debounce":{"value":"The delay in milliseconds during which the successive events of a changed file are gathered before the change is addressed, set at `50` by default.","key":"JSDOC#PARAMS#DEBOUNCE"},"previousVisitedSet":{"value":"The set of strings of the file paths visited by the previous traversal.","key":"JSDOC#PARAMS#PREVIOUSVISITEDSET"},"details":{"value":"The stable code of the error (`code`), along with the file path it is about (`filePath`), the file importing it (`importer`), the specifier it is imported with (`specifier`) and the import chain leading to it from the original file path (`chain`) when they are known.","key":"JSDOC#PARAMS#DETAILS"},"errorLocation":{"value":"The location of the file path within the traversal, added to the errors.","key":"JSDOC#PARAMS#ERRORLOCATION"},"failureResults":{"value":"The failure object being thrown.","key":"JSDOC#PARAMS#FAILURERESULTS"},"recoveredResults":{"value":"The results returned instead of the failure when it is recovered from.","key":"JSDOC#PARAMS#RECOVEREDRESULTS"},"errors":{"value":"The array of the errors recorded instead of failing in `continueOnError` mode, each with the subtree of the file path it is about being skipped, instantiated as an empty array `[]` by default.","key":"JSDOC#PARAMS#ERRORS"},"continueOnError":{"value":"Whether the failures met on file paths, such as files not found or not parsed, callbacks throwing or the failures of `strict` and `failOnCycle`, are recorded in `errors` instead of making the recursion fail, skipping the subtrees of the file paths they are about, set as `false` by default. (Invalid options still make the recursion fail.)","key":"JSDOC#PARAMS#CONTINUEONERROR"},"relative":{"value":"Whether paths are serialized relative to the current working directory, set as `true` by default.","key":"JSDOC#PARAMS#RELATIVE"},"clusterByDirectory":{"value":"Whether nodes are clustered by the directory containing them, set as `false` by default.","key":"JSDOC#PARAMS#CLUSTERBYDIRECTORY"},"nodeLabels":{"value":"The map of each node's absolute file path to its label.","key":"JSDOC#PARAMS#NODELABELS"},"absolutePath":{"value":"The absolute path being formatted.","key":"JSDOC#PARAMS#ABSOLUTEPATH"},"handlers":{"value":"The map of file extensions, such as `\".css\"`, to the handlers of the files ending with them, taking precedence over the built-in handlers of assets, stylesheets, Vue and Svelte components and MDX documents: `null` to record the files as leaves without reading them, `{ getScript }` to get the JavaScript or TypeScript code embedded in the files to parse, or `{ getImports }` to get the import paths of the files directly, instantiated as an empty object `{}` by default.","key":"JSDOC#PARAMS#HANDLERS"},"getScript":{"value":"The function of the file's handler getting the script embedded in it, such as the `<script>` blocks of a Vue or Svelte component, parsed instead of the whole file when provided.","key":"JSDOC#PARAMS#GETSCRIPT"},"sourceText":{"value":"The text of the file.","key":"JSDOC#PARAMS#SOURCETEXT"},"getImports":{"value":"The function of the file's handler getting its import paths.","key":"JSDOC#PARAMS#GETIMPORTS"},"resolve":{"value":"The custom resolver replacing the default resolution of import paths, such as for bundler aliases, receiving the import path, the directory of its importer and a context with the current working directory (`cwd`) and the default resolution (`defaultResolve`) to fall back on, and returning the absolute path the import path resolves to or `null`, set as `null` by default to resolve import paths based on the closest tsconfig.json file.","key":"JSDOC#PARAMS#RESOLVE"},"extractImports":{"value":"The custom extractor replacing the default extraction of imports from the files' SourceCode objects, such as for macros importing files, receiving the SourceCode object, the file path and a context with `scan`, `importKinds` and the default extraction (`defaultExtractImports`) to build on, and returning the array of the imports of the file, each with its import path (`specifier`) and, when left out, its `kind` set as `\"static\"`, its `typeOnly` as `false`, its `names` as `[]` and its `loc` as the start of the file, set as `null` by default to only extract import declarations, re-exports, `import()` and `require()` calls.","key":"JSDOC#PARAMS#EXTRACTIMPORTS"},"resolvePackages":{"value":"Whether import paths left unresolved are resolved through package.json files, package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the npm, Yarn or pnpm workspace as well as the package itself through their `exports` field, without ever traversing node_modules, set as `false` by default.","key":"JSDOC#PARAMS#RESOLVEPACKAGES"},"conditions":{"value":"The conditions matched by the conditional targets of the `exports` and `imports` fields of package.json files in `resolvePackages` mode, such as `\"import\"`, `\"require\"`, `\"types\"` or `\"browser\"`, `\"default\"` always being matched, set as `[\"import\", \"require\", \"node\", \"default\"]` by default.","key":"JSDOC#PARAMS#CONDITIONS"},"packages":{"value":"The map of the external packages imported during the recursion in `followExternal` mode, keyed by name, each with its version from its package.json file, its directory and its resolved entry file, instantiated as a `new Map()` by default.","key":"JSDOC#PARAMS#PACKAGES"},"followExternal":{"value":"How far the external packages installed in node_modules are followed, either `\"none\"` to only record their names in `external`, `\"package\"` to also record each of them once in `packages` with its version and its resolved entry file, or `\"deep\"` to also resolve bare import paths into node_modules and traverse the sources of the packages with the packages as their resolution roots, set as `\"none\"` by default.","key":"JSDOC#PARAMS#FOLLOWEXTERNAL"},"depths":{"value":"The map of each visited file path to its minimum depth from the original file path, or from the closest entry, instantiated as a `new Map()` by default.","key":"JSDOC#PARAMS#DEPTHS"},"shortestChains":{"value":"The map of each visited file path to one of its shortest import chains, as the ordered array of the file paths it goes through from the original file path, or from the closest entry, to the file path itself, instantiated as a `new Map()` by default.","key":"JSDOC#PARAMS#SHORTESTCHAINS"},"chain":{"value":"The import chain, as the ordered array of the file paths it goes through from an entry to the target path.","key":"JSDOC#PARAMS#CHAIN"},"previousState":{"value":"The state of a previous traversal made with `serializeState`, from which the files whose modification times or, failing that, content hashes haven't changed since are reused without being read nor parsed again, along with their resolutions when their tsconfig.json files haven't changed either and the directories of their candidate files haven't been modified since it started, provided that it was made with the same `scan`, `importKinds`, `resolvePackages`, `conditions` in any order and `followExternal` and without custom hooks, set as `null` by default. (Never reused along with a custom `resolve`, `extractImports` or `handlers`, whose functions can't be compared with those the state was made with.) (Ignored by the callback variants and the walks, which hand over the SourceCode object of every file.)","key":"JSDOC#PARAMS#PREVIOUSSTATE"},"fileHashes":{"value":"The map of the content hashes already computed, keyed by file path along with the modification time of their files.","key":"JSDOC#PARAMS#FILEHASHES"},"state":{"value":"The state of a traversal made with `serializeState`.","key":"JSDOC#PARAMS#STATE"},"serializedResults":{"value":"The JSON-compatible results.","key":"JSDOC#PARAMS#SERIALIZEDRESULTS"},"tsconfigPaths":{"value":"The map of the tsconfig.json paths already found, keyed by directory.","key":"JSDOC#PARAMS#TSCONFIGPATHS"},"callbackControl":{"value":"The object shared by all the rounds of the traversal, tracking whether the callback stopped it by returning `\"stop\"` (`stopped`), instantiated as `{ stopped: false }` by default.","key":"JSDOC#PARAMS#CALLBACKCONTROL"},"findAllImportsOptions":{"value":"The additional options, described along with their default values in `FindAllImportsOptions`.","key":"JSDOC#PARAMS#FINDALLIMPORTSOPTIONS"},"traversalSettings":{"value":"The settings of the traversal, made from its options with `makeTraversalSettings`.","key":"JSDOC#PARAMS#TRAVERSALSETTINGS"},"handleFile":{"value":"The function addressing each file found, with the file (`file`) and its location within the traversal (`errorLocation`), resolving with the results of the callback run on it.","key":"JSDOC#PARAMS#HANDLEFILE"},"fileEffect":{"value":"The file found (`file`) along with its location within the traversal (`errorLocation`), added to the errors.","key":"JSDOC#PARAMS#FILEEFFECT"},"startedAt":{"value":"The time at which the traversal started, in milliseconds since the epoch, recorded in the `options` of its results so that the resolutions reused from its state are only those whose candidate files can't have been created or deleted since, set as `Date.now()` by default.","key":"JSDOC#PARAMS#STARTEDAT"},"failureControl":{"value":"The object shared by all the rounds of the traversal, tracking whether one of them made it fail (`failed`), so that the rounds running concurrently stop reading files, running the callback and traversing imports once the result of the traversal is decided, instantiated as `{ failed: false }` by default. (Only making a difference to `findAllImportsWithCallbackAsync` above a concurrency of `1`, the other traversals stopping at their first failure anyway.)","key":"JSDOC#PARAMS#FAILURECONTROL"}},"returns":{"findAllImports":{"value":"The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLIMPORTS"},"processImport":{"value":"A generator yielding the effects of the traversal of the resolved path to the driver, and returning the results of the embedded round of `traverseImports`.","key":"JSDOC#RETURNS#PROCESSIMPORT"},"makeIsSupposedToBe":{"value":"[paramName] is supposed to be [paramKind].","key":"JSDOC#RETURNS#MAKEISSUPPOSEDTOBE"},"makeSuccessFalseTypeError":{"value":"A `{success: false}` object with a single error in its error array of `{type: \"error\"}`.","key":"JSDOC#RETURNS#MAKESUCCESSFALSETYPEERROR"},"validate":{"value":"A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATE"},"makeProcessImportSettings":{"value":"The settings object of the next round of `processImport`.","key":"JSDOC#RETURNS#MAKEPROCESSIMPORTSETTINGS"},"makeFindAllImportsOptions":{"value":"The options object of the next round of `findAllImports`.","key":"JSDOC#RETURNS#MAKEFINDALLIMPORTSOPTIONS"},"visitedSetHasPreviousVisit":{"value":"`true` if the file path has been visited before, `false` if it hasn't.","key":"JSDOC#RETURNS#VISITEDSETHASPREVIOUSVISIT"},"nodeIsImportDeclaration":{"value":"`true` if the node is an `import`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISIMPORTDECLARATION"},"nodeIsImportExpression":{"value":"`true` if the node is an `import()`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISIMPORTEXPRESSION"},"nodeIsRequireCall":{"value":"`true` if the node is a `require`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISREQUIRECALL"},"nodeIsReExportDeclaration":{"value":"`true` if the node is an `export * from` or an `export { x } from`, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISREEXPORTDECLARATION"},"getStaticStringValue":{"value":"The string value of the node if it is static, `undefined` if it isn't.","key":"JSDOC#RETURNS#GETSTATICSTRINGVALUE"},"nodeIsStaticImportExpression":{"value":"`true` if the node is an `import()` of a static string, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISSTATICIMPORTEXPRESSION"},"nodeIsStaticRequireCallExpression":{"value":"`true` if the node is a `require()` of a static string, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISSTATICREQUIRECALLEXPRESSION"},"extractImports":{"value":"The array of the imports found in the file in source order, each with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`).","key":"JSDOC#RETURNS#EXTRACTIMPORTS"},"makeSuccessTrueResults":{"value":"A `{success: true}` object with the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the recursion, along with the options of the traversal that its state depends on.","key":"JSDOC#RETURNS#MAKESUCCESSTRUERESULTS"},"importPathIsRelativeOrAbsolute":{"value":"`true` if the import path is relative or absolute, `false` if it isn't.","key":"JSDOC#RETURNS#IMPORTPATHISRELATIVEORABSOLUTE"},"getExternalName":{"value":"The external name of the import path, or `undefined` if it does not designate a Node.js built-in module or a package.","key":"JSDOC#RETURNS#GETEXTERNALNAME"},"findAllImportsFromEntries":{"value":"The complete set of strings of import paths recursively related to all entries, along with the set of the import paths reachable from each entry (`entrySets`) and everything else `findAllImports` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLIMPORTSFROMENTRIES"},"resolveEntries":{"value":"The deduplicated array of the absolute file paths of the entries in a success object (`success: true`), or a `{success: false}` object along with its errors when an issue is encountered.","key":"JSDOC#RETURNS#RESOLVEENTRIES"},"makeEntrySets":{"value":"The map of each entry's absolute file path to the set of strings of the file paths it reaches, itself included.","key":"JSDOC#RETURNS#MAKEENTRYSETS"},"nodeIsTypeOnlyImportOrReExport":{"value":"`true` if the import or the re-export is type-only, `false` if it isn't.","key":"JSDOC#RETURNS#NODEISTYPEONLYIMPORTORREEXPORT"},"importIsOfKinds":{"value":"`true` if the import is to be followed, `false` if it isn't.","key":"JSDOC#RETURNS#IMPORTISOFKINDS"},"makeCache":{"value":"The cache object, with its maps of tsconfig.json paths per directory (`tsconfigPaths`), of resolved paths per resolution options, directory and import path (`resolvedPaths`) of SourceCode objects per file path (`sourceCodes`), of parsed package.json files per path (`packageJsons`), of workspace packages per directory (`workspacePackages`) and of content hashes per file path along with the modification time they were computed at (`fileHashes`).","key":"JSDOC#RETURNS#MAKECACHE"},"resolveImportPathWithCache":{"value":"The absolute path the import path resolves to, or `null` if it could not be resolved. (Throws when the custom resolver throws or returns anything else.)","key":"JSDOC#RETURNS#RESOLVEIMPORTPATHWITHCACHE"},"getSourceCode":{"value":"The SourceCode object of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the file is not found or could not be parsed.","key":"JSDOC#RETURNS#GETSOURCECODE"},"validateConcurrencyOptions":{"value":"A `{success: true}` object if the concurrency options are valid, or a `{success: false}` object along with its errors when an issue is encountered.","key":"JSDOC#RETURNS#VALIDATECONCURRENCYOPTIONS"},"makeLimiter":{"value":"The limiter function, taking a task and returning a promise of its result.","key":"JSDOC#RETURNS#MAKELIMITER"},"indexGraphByImporter":{"value":"The map of each importer's absolute file path to the array of the resolved paths it imports.","key":"JSDOC#RETURNS#INDEXGRAPHBYIMPORTER"},"pathMatchesAnyGlob":{"value":"`true` if the path matches any of the glob patterns, `false` if it doesn't.","key":"JSDOC#RETURNS#PATHMATCHESANYGLOB"},"shouldTraversePath":{"value":"Whether the resolved path is to be traversed (`traversable`) in a success object (`success: true`), or a `{success: false}` object along with its errors when shouldTraverse throws.","key":"JSDOC#RETURNS#SHOULDTRAVERSEPATH"},"makeFileImports":{"value":"The array of the imports of the file, each with its resolved path, `null` when it could not be resolved, in a success object (`success: true`), or a `{success: false}` object along with its errors when the custom resolver fails.","key":"JSDOC#RETURNS#MAKEFILEIMPORTS"},"getModuleExportName":{"value":"The name as a string.","key":"JSDOC#RETURNS#GETMODULEEXPORTNAME"},"getImportedNames":{"value":"The array of the names brought in, each with its kind, its name in the imported file, its name in the importing file (or its exported name for re-exports) and whether it is type-only.","key":"JSDOC#RETURNS#GETIMPORTEDNAMES"},"findAllDependents":{"value":"The set of strings of the file paths transitively importing the target path (`dependents`), the shortest import chain from each of them to the target path (`chains`) and the roots among them or equal to the target path (`affectedRoots`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLDEPENDENTS"},"makeDependentChains":{"value":"The map of each dependent's absolute file path to its shortest import chain, as the ordered array of the file paths it goes through from the dependent to the target path.","key":"JSDOC#RETURNS#MAKEDEPENDENTCHAINS"},"watchAllImports":{"value":"The results of the first traversal along with the watcher keeping them up to date (`watcher`), in a success object (`success: true`). The watcher emits `\"add\"` with each file path becoming reachable, `\"remove\"` with each file path no longer reachable, `\"change\"` with each reachable file path that changed and its imports when the change altered its imports, and `\"failure\"` with the failure object of an update that failed, after which the previous results are kept. Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#WATCHALLIMPORTS"},"diffVisitedSets":{"value":"The arrays of the file paths added (`added`) and removed (`removed`) by the current traversal.","key":"JSDOC#RETURNS#DIFFVISITEDSETS"},"makeErrorLocation":{"value":"The file path (`filePath`), its importer (`importer`) and its specifier (`specifier`) if any, and the import chain leading to it (`chain`).","key":"JSDOC#RETURNS#MAKEERRORLOCATION"},"recoverFromFailure":{"value":"The recovered results in `continueOnError` mode, or the failure object otherwise.","key":"JSDOC#RETURNS#RECOVERFROMFAILURE"},"toDot":{"value":"The DOT source of the graph.","key":"JSDOC#RETURNS#TODOT"},"toMermaid":{"value":"The Mermaid source of the flowchart.","key":"JSDOC#RETURNS#TOMERMAID"},"toJSON":{"value":"The JSON text of the results, indented with two spaces.","key":"JSDOC#RETURNS#TOJSON"},"formatPath":{"value":"The path as it is meant to be output.","key":"JSDOC#RETURNS#FORMATPATH"},"makeNodeLabels":{"value":"The map of each node's absolute file path to its label.","key":"JSDOC#RETURNS#MAKENODELABELS"},"groupNodesByDirectory":{"value":"The map of each directory's label to the array of the absolute file paths of the nodes it contains.","key":"JSDOC#RETURNS#GROUPNODESBYDIRECTORY"},"quoteDotId":{"value":"The quoted identifier.","key":"JSDOC#RETURNS#QUOTEDOTID"},"quoteMermaidLabel":{"value":"The quoted label.","key":"JSDOC#RETURNS#QUOTEMERMAIDLABEL"},"parseSourceText":{"value":"The SourceCode object of the source text.","key":"JSDOC#RETURNS#PARSESOURCETEXT"},"getScriptWithHandler":{"value":"The script of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return a string.","key":"JSDOC#RETURNS#GETSCRIPTWITHHANDLER"},"getFileHandler":{"value":"The handler of the file, `null` for assets, or `undefined` when the file has no handler and is parsed as JavaScript or TypeScript.","key":"JSDOC#RETURNS#GETFILEHANDLER"},"getLocationAtIndex":{"value":"The position of the character, with its line (`line`) and column (`column`).","key":"JSDOC#RETURNS#GETLOCATIONATINDEX"},"getHandledImports":{"value":"The imports of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return an array of strings.","key":"JSDOC#RETURNS#GETHANDLEDIMPORTS"},"getFileSource":{"value":"A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.","key":"JSDOC#RETURNS#GETFILESOURCE"},"getFileSourceAsync":{"value":"A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.","key":"JSDOC#RETURNS#GETFILESOURCEASYNC"},"blankOut":{"value":"The blanked out text, with the same length and lines.","key":"JSDOC#RETURNS#BLANKOUT"},"blankOutStyleComments":{"value":"The text of the stylesheet with its comments blanked out.","key":"JSDOC#RETURNS#BLANKOUTSTYLECOMMENTS"},"getStyleImports":{"value":"The array of the import paths of the stylesheet, in source order.","key":"JSDOC#RETURNS#GETSTYLEIMPORTS"},"getComponentScript":{"value":"The script of the component, with everything outside of its `<script>` blocks blanked out.","key":"JSDOC#RETURNS#GETCOMPONENTSCRIPT"},"getMdxScript":{"value":"The script of the MDX document, with everything outside of its ESM blocks blanked out.","key":"JSDOC#RETURNS#GETMDXSCRIPT"},"extractFileImports":{"value":"The imports of the file of the kinds followed in a success object (`success: true`), with the `kind`, `typeOnly`, `names` and `loc` left out by the custom extractor set as `\"static\"`, `false`, `[]` and the start of the file, or a `{success: false}` object along with its errors when the custom extractor throws or doesn't return an array of valid imports.","key":"JSDOC#RETURNS#EXTRACTFILEIMPORTS"},"readPackageJson":{"value":"The parsed package.json file, or `null` when it doesn't exist or can't be parsed.","key":"JSDOC#RETURNS#READPACKAGEJSON"},"resolvePackageTarget":{"value":"The path of the target relative to its package, or the bare specifier it maps to, `null` when no target matches.","key":"JSDOC#RETURNS#RESOLVEPACKAGETARGET"},"matchPackageField":{"value":"The path of the target relative to its package, or the bare specifier it maps to, `null` when no key matches.","key":"JSDOC#RETURNS#MATCHPACKAGEFIELD"},"resolvePackageEntry":{"value":"The absolute path the subpath resolves to, or `null` if it could not be resolved.","key":"JSDOC#RETURNS#RESOLVEPACKAGEENTRY"},"getWorkspacePatterns":{"value":"The array of the glob patterns of the workspace packages, or `undefined` when the directory isn't a workspace root.","key":"JSDOC#RETURNS#GETWORKSPACEPATTERNS"},"findWorkspacePackages":{"value":"The map of the names of the workspace packages to their directories, empty when the directory isn't in a workspace.","key":"JSDOC#RETURNS#FINDWORKSPACEPACKAGES"},"resolvePackageImportPath":{"value":"The absolute path the import path resolves to, or `null` if it could not be resolved.","key":"JSDOC#RETURNS#RESOLVEPACKAGEIMPORTPATH"},"getNodeModulesPackageRoot":{"value":"The root directory of the package, or `undefined` when the directory isn't in node_modules.","key":"JSDOC#RETURNS#GETNODEMODULESPACKAGEROOT"},"resolveNodeModulesFilePath":{"value":"The absolute path of the file, or `null` if no file is found.","key":"JSDOC#RETURNS#RESOLVENODEMODULESFILEPATH"},"resolvePackagePath":{"value":"The absolute path the target resolves to, or `null` if it could not be resolved.","key":"JSDOC#RETURNS#RESOLVEPACKAGEPATH"},"findNodeModulesPackageDir":{"value":"The real directory of the package, or `undefined` when it isn't installed.","key":"JSDOC#RETURNS#FINDNODEMODULESPACKAGEDIR"},"resolveNodeModulesImportPath":{"value":"The absolute path the import path resolves to, or `null` if it could not be resolved.","key":"JSDOC#RETURNS#RESOLVENODEMODULESIMPORTPATH"},"makeWhyEdges":{"value":"The array of the import edges the chain goes through, in order.","key":"JSDOC#RETURNS#MAKEWHYEDGES"},"why":{"value":"One of the shortest import chains from an entry to the target path (`chain`), `null` when the target path isn't reached, and the import edges it goes through with their specifiers and kinds (`edges`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#WHY"},"findTsconfigPath":{"value":"The absolute path of the closest tsconfig.json file, or `undefined` when there is none.","key":"JSDOC#RETURNS#FINDTSCONFIGPATH"},"getFileHash":{"value":"The modification time (`mtimeMs`) and the SHA-256 content hash (`hash`) of the file, or `null` when it doesn't exist.","key":"JSDOC#RETURNS#GETFILEHASH"},"makeStateOptions":{"value":"The options of the traversal state.","key":"JSDOC#RETURNS#MAKESTATEOPTIONS"},"validatePreviousState":{"value":"A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATEPREVIOUSSTATE"},"getPreviousImports":{"value":"The imports of the file, or `null` when the file has to be read again.","key":"JSDOC#RETURNS#GETPREVIOUSIMPORTS"},"makeSerializedResults":{"value":"The JSON-compatible results.","key":"JSDOC#RETURNS#MAKESERIALIZEDRESULTS"},"makeDeserializedResults":{"value":"The results in a success object (`success: true`).","key":"JSDOC#RETURNS#MAKEDESERIALIZEDRESULTS"},"serializeState":{"value":"The state of the traversal.","key":"JSDOC#RETURNS#SERIALIZESTATE"},"deserializeState":{"value":"The results of the traversal in a success object (`success: true`), or a failure object (`success: false`) along with its errors when the state is not one made with `serializeState` in its current version.","key":"JSDOC#RETURNS#DESERIALIZESTATE"},"walkImportsSync":{"value":"An iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).","key":"JSDOC#RETURNS#WALKIMPORTSSYNC"},"walkImports":{"value":"An asynchronous iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).","key":"JSDOC#RETURNS#WALKIMPORTS"},"validateCallbackControl":{"value":"A `{success: true}` object if callbackControl is valid, or a `{success: false}` object along with its errors when an issue is encountered.","key":"JSDOC#RETURNS#VALIDATECALLBACKCONTROL"},"makeTraversalSettings":{"value":"The settings of the traversal, with every option set.","key":"JSDOC#RETURNS#MAKETRAVERSALSETTINGS"},"traverseImports":{"value":"A generator yielding the effects of the traversal to the driver, the reading of the file (`\"read\"`) being answered with what `getFileSource` returns, the file found (`\"file\"`) with the results of the callback run on it, and the traversal of a resolved path (`\"traverse\"`) with the results of its own traversal, and returning the results of the traversal.","key":"JSDOC#RETURNS#TRAVERSEIMPORTS"},"driveTraversalSync":{"value":"A generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.","key":"JSDOC#RETURNS#DRIVETRAVERSALSYNC"},"driveTraversal":{"value":"An asynchronous generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.","key":"JSDOC#RETURNS#DRIVETRAVERSAL"},"driveTraversalConcurrently":{"value":"The results of the traversal, once the traversals it started concurrently are complete.","key":"JSDOC#RETURNS#DRIVETRAVERSALCONCURRENTLY"},"findAllImportsWithCallbackSync":{"value":"The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKSYNC"},"findAllImportsWithCallbackAsync":{"value":"The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKASYNC"},"makeAggregateError":{"value":"An AggregateError with the errors of the failure (`errors`) and their messages as its message.","key":"JSDOC#RETURNS#MAKEAGGREGATEERROR"},"getCallbackResults":{"value":"What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws.","key":"JSDOC#RETURNS#GETCALLBACKRESULTS"},"getCallbackResultsAsync":{"value":"What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws or rejects.","key":"JSDOC#RETURNS#GETCALLBACKRESULTSASYNC"},"validateOptions":{"value":"A `{success: true}` object if the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATEOPTIONS"},"validateFilePathAndOptions":{"value":"A `{success: true}` object if filePath and the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATEFILEPATHANDOPTIONS"},"getResolvedPathsOfDir":{"value":"The map of the resolved path of each import path from the directory under these options, `null` when it could not be resolved, added to the cache when missing.","key":"JSDOC#RETURNS#GETRESOLVEDPATHSOFDIR"},"findFileImports":{"value":"The imports found in the file path (`imports`) in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).","key":"JSDOC#RETURNS#FINDFILEIMPORTS"},"copyResults":{"value":"The copies of the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the traversal.","key":"JSDOC#RETURNS#COPYRESULTS"},"makeFileImportKey":{"value":"The string key of the import.","key":"JSDOC#RETURNS#MAKEFILEIMPORTKEY"},"diffFileImports":{"value":"The arrays of the imports added (`added`) and removed (`removed`) by the change.","key":"JSDOC#RETURNS#DIFFFILEIMPORTS"},"getNewlyResolvedImporters":{"value":"The set of the absolute paths of the importers with import paths that are no longer unresolved.","key":"JSDOC#RETURNS#GETNEWLYRESOLVEDIMPORTERS"},"getWatchedDirs":{"value":"The set of the absolute paths of the directories watched.","key":"JSDOC#RETURNS#GETWATCHEDDIRS"},"validateTraversalState":{"value":"A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.","key":"JSDOC#RETURNS#VALIDATETRAVERSALSTATE"},"stateOptionsAreEqual":{"value":"`true` if the options are the same, `false` otherwise.","key":"JSDOC#RETURNS#STATEOPTIONSAREEQUAL"},"candidatesAreUnchanged":{"value":"`true` if the candidates of the import path are unchanged, `false` otherwise.","key":"JSDOC#RETURNS#CANDIDATESAREUNCHANGED"},"hasCustomHooks":{"value":"`true` if the traversal uses a custom resolver, extractor or handler, `false` otherwise.","key":"JSDOC#RETURNS#HASCUSTOMHOOKS"},"extractNodeImport":{"value":"The import the node corresponds to, with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`), or `null` if the node isn't an import.","key":"JSDOC#RETURNS#EXTRACTNODEIMPORT"}},"types":{"sourceCode":{"value":"ESLint SourceCode type accessed without needing to install ESLint at the point of consumption. (`SourceCode.ast` for AST, `SourceCode.getAllComments()` for all comments.)","key":"JSDOC#TYPES#SOURCECODE"},"importEdge":{"value":"An import relationship found during the recursion, from the file containing the import (`importer`) to the file it resolves to (`resolvedPath`), along with its raw specifier (`specifier`) and its kind (`kind`).","key":"JSDOC#TYPES#IMPORTEDGE"},"importKind":{"value":"The kind of an import, depending on the syntax it is written with.","key":"JSDOC#TYPES#IMPORTKIND"},"scanMode":{"value":"The scan mode of the extraction of imports, either `\"top-level\"` to only address the nodes at the root of each file's AST, or `\"deep\"` to also find the `import()` and `require()` calls nested anywhere in each file.","key":"JSDOC#TYPES#SCANMODE"},"unresolvedImport":{"value":"An import path that could not be resolved during the recursion, along with the file containing it (`importer`) and its kind (`kind`).","key":"JSDOC#TYPES#UNRESOLVEDIMPORT"}}}}} ResolvedConfigData */
 
 /** @type {ResolvedConfigData} */
 export const resolvedConfigData = {
@@ -9,7 +9,7 @@ export const resolvedConfigData = {
         "key": "JSDOC#DEFINITIONS#FINDALLIMPORTS"
       },
       "processImport": {
-        "value": "Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)",
+        "value": "Processes and resolves a single import path, handing the traversal of the file it resolves to over to the driver of the traversal.",
         "key": "JSDOC#DEFINITIONS#PROCESSIMPORT"
       },
       "makeIsSupposedToBe": {
@@ -17,13 +17,9 @@ export const resolvedConfigData = {
         "key": "JSDOC#DEFINITIONS#MAKEISSUPPOSEDTOBE"
       },
       "makeSuccessFalseTypeError": {
-        "value": "Makes a `{success: false}` object with a single error in its errors array of `{type: \"error\"}` based on the message it is meant to display.",
+        "value": "Makes a `{success: false}` object with a single error in its errors array of `{type: \"error\"}` based on the message it is meant to display and the details identifying it.",
         "key": "JSDOC#DEFINITIONS#MAKESUCCESSFALSETYPEERROR"
       },
-      "validateFilePathAndOptions": {
-        "value": "Validates filePath and options in `findAllImports` functions, both structurally and functionally.",
-        "key": "JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS"
-      },
       "validateCallbackConfig": {
         "value": "Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown.",
         "key": "JSDOC#DEFINITIONS#VALIDATECALLBACKCONFIG"
@@ -61,8 +57,464 @@ export const resolvedConfigData = {
         "key": "JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKSYNC"
       },
       "findAllImportsWithCallbackAsync": {
-        "value": "Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously.",
+        "value": "Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously and, depending on concurrency, concurrently.",
         "key": "JSDOC#DEFINITIONS#FINDALLIMPORTSWITHCALLBACKASYNC"
+      },
+      "updateGraph": {
+        "value": "Updates graph with the import edge currently being addressed, thus recording who imports whom, including toward import paths that have already been visited.",
+        "key": "JSDOC#DEFINITIONS#UPDATEGRAPH"
+      },
+      "nodeIsReExportDeclaration": {
+        "value": "Tells if the node being walked through corresponds to an ES Module re-export.",
+        "key": "JSDOC#DEFINITIONS#NODEISREEXPORTDECLARATION"
+      },
+      "getStaticStringValue": {
+        "value": "Gets the string value of a node when it can be known without running the code, that is when it is a string literal or a template literal without expressions.",
+        "key": "JSDOC#DEFINITIONS#GETSTATICSTRINGVALUE"
+      },
+      "nodeIsStaticImportExpression": {
+        "value": "Tells if the node being walked through corresponds to a dynamic import whose import path is a static string, wherever it is found in the AST.",
+        "key": "JSDOC#DEFINITIONS#NODEISSTATICIMPORTEXPRESSION"
+      },
+      "nodeIsStaticRequireCallExpression": {
+        "value": "Tells if the node being walked through corresponds to a CommonJS require whose import path is a static string, wherever it is found in the AST.",
+        "key": "JSDOC#DEFINITIONS#NODEISSTATICREQUIRECALLEXPRESSION"
+      },
+      "walkAST": {
+        "value": "Walks through every node of an AST depth-first, in source order, running the visit function on each of them.",
+        "key": "JSDOC#DEFINITIONS#WALKAST"
+      },
+      "extractImports": {
+        "value": "Extracts all imports of a file from its SourceCode object, either from its top-level nodes only or from its whole AST depending on the scan mode, keeping only those of the kinds followed by the recursion.",
+        "key": "JSDOC#DEFINITIONS#EXTRACTIMPORTS"
+      },
+      "makeSuccessTrueResults": {
+        "value": "Makes a `{success: true}` object with everything tracked during the recursion, based on the options or settings of the current round of `findAllImports`.",
+        "key": "JSDOC#DEFINITIONS#MAKESUCCESSTRUERESULTS"
+      },
+      "importPathIsRelativeOrAbsolute": {
+        "value": "Tells if an import path is relative or absolute, as opposed to bare import paths such as those of packages, Node.js built-in modules or aliases.",
+        "key": "JSDOC#DEFINITIONS#IMPORTPATHISRELATIVEORABSOLUTE"
+      },
+      "getExternalName": {
+        "value": "Gets the name under which an import path that could not be resolved is recorded as external, that is the `node:`-prefixed name of a Node.js built-in module or the name of a package.",
+        "key": "JSDOC#DEFINITIONS#GETEXTERNALNAME"
+      },
+      "updateUnresolvedOrExternal": {
+        "value": "Updates unresolved or external with an import path that could not be resolved, failing instead on relative or absolute import paths in strict mode.",
+        "key": "JSDOC#DEFINITIONS#UPDATEUNRESOLVEDOREXTERNAL"
+      },
+      "updateCycles": {
+        "value": "Updates cycles with the import cycle closed by the resolved path currently being addressed if it is still being processed by the recursion, failing instead in `failOnCycle` mode.",
+        "key": "JSDOC#DEFINITIONS#UPDATECYCLES"
+      },
+      "findAllImportsFromEntries": {
+        "value": "Finds all import paths recursively related to several entries at once, within a single traversal shared by all of them.",
+        "key": "JSDOC#DEFINITIONS#FINDALLIMPORTSFROMENTRIES"
+      },
+      "resolveEntries": {
+        "value": "Resolves the entries passed to `findAllImportsFromEntries` into absolute file paths, expanding those that are glob patterns.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEENTRIES"
+      },
+      "makeEntrySets": {
+        "value": "Makes the set of the file paths reachable from each entry, by walking through the graph shared by all entries from each of them.",
+        "key": "JSDOC#DEFINITIONS#MAKEENTRYSETS"
+      },
+      "nodeIsTypeOnlyImportOrReExport": {
+        "value": "Tells if the import or the re-export being walked through only involves types as a whole (`import type`, `export type`), and is therefore erased at runtime. (Imports and re-exports whose specifiers are all inline type specifiers, such as `import { type X }`, aren't type-only as a whole, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`, their inline type specifiers being recorded on their names instead.)",
+        "key": "JSDOC#DEFINITIONS#NODEISTYPEONLYIMPORTORREEXPORT"
+      },
+      "importIsOfKinds": {
+        "value": "Tells if an import extracted from the current file path is to be followed given the kinds of imports followed by the recursion, the imports with inline type specifiers (`import { type X }`) being followed both as values, since they remain at runtime unless type-only as a whole, and as types, through the names they bring in.",
+        "key": "JSDOC#DEFINITIONS#IMPORTISOFKINDS"
+      },
+      "makeCache": {
+        "value": "Makes an empty cache for the tsconfig.json lookups, the resolved paths, the SourceCode objects, the package.json files and workspace packages and the content hashes of a traversal, to be passed as the `cache` option of several calls so that they share their work.",
+        "key": "JSDOC#DEFINITIONS#MAKECACHE"
+      },
+      "resolveImportPathWithCache": {
+        "value": "Resolves an import path from the directory containing it, with the custom resolver if any or otherwise based on the closest tsconfig.json file, going through the cache for both the tsconfig.json lookup of the directory and the resolution of the import path.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEIMPORTPATHWITHCACHE"
+      },
+      "validateOptions": {
+        "value": "Validates the settings of a traversal structurally, once at the start of the traversal rather than on every round of its recursion.",
+        "key": "JSDOC#DEFINITIONS#VALIDATEOPTIONS"
+      },
+      "getSourceCode": {
+        "value": "Gets the SourceCode object of a file from the cache, only parsing the file again when it isn't cached yet or when it has been modified since it was cached.",
+        "key": "JSDOC#DEFINITIONS#GETSOURCECODE"
+      },
+      "getSourceCodeAsync": {
+        "value": "Gets the SourceCode object of a file from the cache like `getSourceCode`, but reading the file asynchronously so that several files can be read at the same time.",
+        "key": "JSDOC#DEFINITIONS#GETSOURCECODEASYNC"
+      },
+      "validateConcurrencyOptions": {
+        "value": "Validates the options specific to the concurrency of `findAllImportsWithCallbackAsync`.",
+        "key": "JSDOC#DEFINITIONS#VALIDATECONCURRENCYOPTIONS"
+      },
+      "makeLimiter": {
+        "value": "Makes a function running tasks with at most a given number of them running at the same time, queuing the others in the order they were given, to be passed as the `limiter` option of several calls of `findAllImportsWithCallbackAsync` so that they share the same concurrency limit.",
+        "key": "JSDOC#DEFINITIONS#MAKELIMITER"
+      },
+      "indexGraphByImporter": {
+        "value": "Indexes the resolved paths imported by each importer of the graph, in the order of the graph.",
+        "key": "JSDOC#DEFINITIONS#INDEXGRAPHBYIMPORTER"
+      },
+      "updateCyclesFromGraph": {
+        "value": "Updates cycles with all the import cycles reachable from a file path, by walking through the graph depth-first once the traversal is complete, failing instead in `failOnCycle` mode. (Used when the order in which files are visited is unpredictable, such as in concurrent mode.)",
+        "key": "JSDOC#DEFINITIONS#UPDATECYCLESFROMGRAPH"
+      },
+      "pathMatchesAnyGlob": {
+        "value": "Tells if a path matches any of the given glob patterns, compiling each glob pattern only once across traversals.",
+        "key": "JSDOC#DEFINITIONS#PATHMATCHESANYGLOB"
+      },
+      "shouldTraversePath": {
+        "value": "Tells if a resolved path is to be traversed, based on the include and exclude glob patterns first, then on the shouldTraverse predicate.",
+        "key": "JSDOC#DEFINITIONS#SHOULDTRAVERSEPATH"
+      },
+      "makeFileImports": {
+        "value": "Makes the descriptions of the imports found in the current file path, resolving their import paths along the way so that they can be shared with callbacks before the recursion.",
+        "key": "JSDOC#DEFINITIONS#MAKEFILEIMPORTS"
+      },
+      "updateFileImports": {
+        "value": "Updates fileImports with the imports found in the current file path.",
+        "key": "JSDOC#DEFINITIONS#UPDATEFILEIMPORTS"
+      },
+      "getModuleExportName": {
+        "value": "Gets the name of an identifier or of a string literal used as a module export name.",
+        "key": "JSDOC#DEFINITIONS#GETMODULEEXPORTNAME"
+      },
+      "getImportedNames": {
+        "value": "Gets the names brought in by an import or a re-export, whether they are default, named or namespace imports.",
+        "key": "JSDOC#DEFINITIONS#GETIMPORTEDNAMES"
+      },
+      "findAllDependents": {
+        "value": "Finds all file paths transitively importing a given target path, by walking forward from one or several roots and inverting the graph found.",
+        "key": "JSDOC#DEFINITIONS#FINDALLDEPENDENTS"
+      },
+      "makeDependentChains": {
+        "value": "Makes the shortest import chain from each file path transitively importing the target path to the target path, by walking through the inverted graph breadth-first from the target path.",
+        "key": "JSDOC#DEFINITIONS#MAKEDEPENDENTCHAINS"
+      },
+      "watchAllImports": {
+        "value": "Finds all import paths recursively related to a given entry like `findAllImports`, then keeps them up to date by watching the directories of the visited files and of the import paths left unresolved, finding again only the imports of the files that change and traversing only the file paths they newly reach, and emitting events as the set of reachable files evolves.",
+        "key": "JSDOC#DEFINITIONS#WATCHALLIMPORTS"
+      },
+      "invalidateStaleResolvedPaths": {
+        "value": "Invalidates the cached resolutions and SourceCode object a deleted file has made stale, that is its SourceCode object and the resolutions to it under every set of options, so that its importers resolve their import paths again.",
+        "key": "JSDOC#DEFINITIONS#INVALIDATESTALERESOLVEDPATHS"
+      },
+      "diffVisitedSets": {
+        "value": "Diffs the visited sets of two traversals, telling which file paths became reachable and which ones no longer are.",
+        "key": "JSDOC#DEFINITIONS#DIFFVISITEDSETS"
+      },
+      "makeErrorLocation": {
+        "value": "Makes the location of an error met on a file path of the traversal, that is the file path itself, the file importing it and the specifier it is imported with unless it is the original file path, and the import chain leading to it from the original file path.",
+        "key": "JSDOC#DEFINITIONS#MAKEERRORLOCATION"
+      },
+      "recoverFromFailure": {
+        "value": "Recovers from a failure in `continueOnError` mode by recording its errors in `errors` and returning the results the recursion goes on with, skipping the subtree of the file path that failed, or bubbles up the failure otherwise, recording in `failureControl` that the traversal failed. (Failures on invalid options always bubble up, since the recursion cannot go on without valid options.)",
+        "key": "JSDOC#DEFINITIONS#RECOVERFROMFAILURE"
+      },
+      "toDot": {
+        "value": "Serializes the graph of a traversal as a Graphviz DOT digraph, with edges styled by import kind (solid for static imports, bold for re-exports, dashed for dynamic imports and dotted for `require` calls) and grayed out when type-only.",
+        "key": "JSDOC#DEFINITIONS#TODOT"
+      },
+      "toMermaid": {
+        "value": "Serializes the graph of a traversal as a Mermaid flowchart, with links styled by import kind (`-->` for static imports, `==>` for re-exports, `-.->` for dynamic imports and `--o` for `require` calls) and labeled `type` when type-only.",
+        "key": "JSDOC#DEFINITIONS#TOMERMAID"
+      },
+      "toJSON": {
+        "value": "Serializes the results of a traversal as JSON, turning their sets and maps into arrays and objects.",
+        "key": "JSDOC#DEFINITIONS#TOJSON"
+      },
+      "formatPath": {
+        "value": "Formats an absolute path for the output, either as is or relative to the current working directory.",
+        "key": "JSDOC#DEFINITIONS#FORMATPATH"
+      },
+      "makeNodeLabels": {
+        "value": "Makes the label of every node of a serialized graph, that is of every visited file path and of every file path found at either end of the graph's edges, in the order they were found.",
+        "key": "JSDOC#DEFINITIONS#MAKENODELABELS"
+      },
+      "groupNodesByDirectory": {
+        "value": "Groups the nodes of a serialized graph by the directory containing them, for the serializers clustering nodes by directory.",
+        "key": "JSDOC#DEFINITIONS#GROUPNODESBYDIRECTORY"
+      },
+      "quoteDotId": {
+        "value": "Quotes a string as a Graphviz DOT identifier, escaping its backslashes and double quotes.",
+        "key": "JSDOC#DEFINITIONS#QUOTEDOTID"
+      },
+      "quoteMermaidLabel": {
+        "value": "Quotes a string as a Mermaid node label, escaping its double quotes as entity codes.",
+        "key": "JSDOC#DEFINITIONS#QUOTEMERMAIDLABEL"
+      },
+      "parseSourceText": {
+        "value": "Parses a source text into its SourceCode object with the same language options as `get-sourcecode-from-file-path`.",
+        "key": "JSDOC#DEFINITIONS#PARSESOURCETEXT"
+      },
+      "getScriptWithHandler": {
+        "value": "Gets the JavaScript or TypeScript source text embedded in a file with the `getScript` function of its handler, turning a throwing or invalid handler into a failure.",
+        "key": "JSDOC#DEFINITIONS#GETSCRIPTWITHHANDLER"
+      },
+      "getFileHandler": {
+        "value": "Gets the handler of a file from its extension, the handlers provided taking precedence over the built-in ones.",
+        "key": "JSDOC#DEFINITIONS#GETFILEHANDLER"
+      },
+      "getLocationAtIndex": {
+        "value": "Gets the line and column of a character in a source text, with lines starting at 1 and columns at 0 like in ASTs.",
+        "key": "JSDOC#DEFINITIONS#GETLOCATIONATINDEX"
+      },
+      "getHandledImports": {
+        "value": "Gets the imports of a file with the `getImports` function of its handler, locating each import path in the file's text in order.",
+        "key": "JSDOC#DEFINITIONS#GETHANDLEDIMPORTS"
+      },
+      "getFileSource": {
+        "value": "Gets what the imports of a file are found from depending on its handler: its SourceCode object for JavaScript and TypeScript files and for the files whose handler gets their script, or its imports directly for assets and for the files whose handler gets their import paths.",
+        "key": "JSDOC#DEFINITIONS#GETFILESOURCE"
+      },
+      "getFileSourceAsync": {
+        "value": "Gets what the imports of a file are found from like `getFileSource`, but reading the file asynchronously so that several files can be read at the same time.",
+        "key": "JSDOC#DEFINITIONS#GETFILESOURCEASYNC"
+      },
+      "blankOut": {
+        "value": "Replaces every character of a text with a space except its line breaks, so that the code kept around it keeps its locations.",
+        "key": "JSDOC#DEFINITIONS#BLANKOUT"
+      },
+      "blankOutStyleComments": {
+        "value": "Blanks out the comments of a stylesheet, so that the rules they contain are ignored.",
+        "key": "JSDOC#DEFINITIONS#BLANKOUTSTYLECOMMENTS"
+      },
+      "getStyleImports": {
+        "value": "Gets the import paths of a stylesheet from its `@import`, `@use` and `@forward` rules, leaving out URLs and the rules found in comments.",
+        "key": "JSDOC#DEFINITIONS#GETSTYLEIMPORTS"
+      },
+      "getComponentScript": {
+        "value": "Gets the script of a Vue or Svelte component from its `<script>` blocks, blanking out the rest of the component so that the imports keep their locations.",
+        "key": "JSDOC#DEFINITIONS#GETCOMPONENTSCRIPT"
+      },
+      "getMdxScript": {
+        "value": "Gets the script of an MDX document from its ESM blocks, the paragraphs starting with `import` or `export` outside of code fences, blanking out the rest of the document so that the imports keep their locations.",
+        "key": "JSDOC#DEFINITIONS#GETMDXSCRIPT"
+      },
+      "defaultHandlers": {
+        "value": "The built-in handlers per file extension, recording assets as leaves, following the `@import`, `@use` and `@forward` rules of stylesheets, and parsing the `<script>` blocks of Vue and Svelte components and the ESM blocks of MDX documents. Provided handlers take precedence over them.",
+        "key": "JSDOC#DEFINITIONS#DEFAULTHANDLERS"
+      },
+      "extractFileImports": {
+        "value": "Extracts the imports of a file, with the custom extractor if any, unless they have already been found by the file's handler.",
+        "key": "JSDOC#DEFINITIONS#EXTRACTFILEIMPORTS"
+      },
+      "readPackageJson": {
+        "value": "Reads and parses a package.json file once through the cache.",
+        "key": "JSDOC#DEFINITIONS#READPACKAGEJSON"
+      },
+      "resolvePackageTarget": {
+        "value": "Resolves a target of the `exports` or `imports` field of a package.json file against the conditions like Node.js does: strings are taken with their `*` replaced by the matched pattern, arrays are tried in order, and objects are matched key by key in order against `\"default\"` and the conditions.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEPACKAGETARGET"
+      },
+      "matchPackageField": {
+        "value": "Matches a subpath, such as `\".\"`, `\"./utils\"` or `\"#internal/utils\"`, against the keys of the `exports` or `imports` field of a package.json file, exact keys first and then `*` patterns, the one with the longest prefix winning.",
+        "key": "JSDOC#DEFINITIONS#MATCHPACKAGEFIELD"
+      },
+      "resolvePackageEntry": {
+        "value": "Resolves a subpath of a package through the `exports` field of its package.json file, or through its `module` and `main` fields when it has none.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEPACKAGEENTRY"
+      },
+      "getWorkspacePatterns": {
+        "value": "Gets the glob patterns of the packages of the npm, Yarn or pnpm workspace whose root is a given directory, from its pnpm-workspace.yaml file or from the `workspaces` field of its package.json file.",
+        "key": "JSDOC#DEFINITIONS#GETWORKSPACEPATTERNS"
+      },
+      "findWorkspacePackages": {
+        "value": "Finds the packages of the npm, Yarn or pnpm workspace containing a directory, caching them for every directory walked through up to the workspace root.",
+        "key": "JSDOC#DEFINITIONS#FINDWORKSPACEPACKAGES"
+      },
+      "resolvePackageImportPath": {
+        "value": "Resolves an import path through package.json files: package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the workspace as well as the package itself through their `exports` field, never through node_modules.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEPACKAGEIMPORTPATH"
+      },
+      "getNodeModulesPackageRoot": {
+        "value": "Gets the root directory of the package installed in node_modules that a directory belongs to, scoped or not.",
+        "key": "JSDOC#DEFINITIONS#GETNODEMODULESPACKAGEROOT"
+      },
+      "resolveNodeModulesFilePath": {
+        "value": "Resolves an absolute path within a package installed in node_modules to the file it refers to, as is, with a script extension appended or as the index file of a directory, since resolve-importing-path leaves node_modules out.",
+        "key": "JSDOC#DEFINITIONS#RESOLVENODEMODULESFILEPATH"
+      },
+      "resolvePackagePath": {
+        "value": "Resolves a relative target of a package, directly when the package is installed in node_modules and through resolve-importing-path otherwise.",
+        "key": "JSDOC#DEFINITIONS#RESOLVEPACKAGEPATH"
+      },
+      "findNodeModulesPackageDir": {
+        "value": "Finds the directory of a package installed in the closest node_modules directory having it, through its symbolic links such as those of pnpm and of workspaces.",
+        "key": "JSDOC#DEFINITIONS#FINDNODEMODULESPACKAGEDIR"
+      },
+      "resolveNodeModulesImportPath": {
+        "value": "Resolves a bare import path to the file of the package installed in node_modules it refers to, through the `exports` field of the package.json file of the package or through its `module` and `main` fields, with the package as the resolution root.",
+        "key": "JSDOC#DEFINITIONS#RESOLVENODEMODULESIMPORTPATH"
+      },
+      "updatePackages": {
+        "value": "Updates packages with the package installed in node_modules that an import path refers to, once per package name, when it is left unresolved or resolved into node_modules, thus leaving out the workspace packages resolved to their sources.",
+        "key": "JSDOC#DEFINITIONS#UPDATEPACKAGES"
+      },
+      "updateShortestChains": {
+        "value": "Updates shortestChains and depths with the import chain through which a file path is reached, when it is the first one or a shorter one than before, and then shortens breadth-first the chains of the file paths it already imports accordingly, so that every visited file path ends up with one of its shortest chains whatever the order of the traversal.",
+        "key": "JSDOC#DEFINITIONS#UPDATESHORTESTCHAINS"
+      },
+      "makeWhyEdges": {
+        "value": "Makes the import edges an import chain goes through, by finding in the graph the first edge from each file path of the chain to the next one.",
+        "key": "JSDOC#DEFINITIONS#MAKEWHYEDGES"
+      },
+      "why": {
+        "value": "Explains why a target path is pulled in by one or several entries, with one of the shortest import chains leading from an entry to the target path and the import edges it goes through.",
+        "key": "JSDOC#DEFINITIONS#WHY"
+      },
+      "findTsconfigPath": {
+        "value": "Finds the closest tsconfig.json file of a directory, looked up once per directory through the cache.",
+        "key": "JSDOC#DEFINITIONS#FINDTSCONFIGPATH"
+      },
+      "getFileHash": {
+        "value": "Gets the content hash of a file from the cache, only reading and hashing the file again when it isn't cached yet or when it has been modified since it was cached.",
+        "key": "JSDOC#DEFINITIONS#GETFILEHASH"
+      },
+      "makeStateOptions": {
+        "value": "Makes the options a traversal state depends on, that is those of the extraction and of the default resolution of imports, with the conditions deduplicated and sorted so that their order doesn't matter.",
+        "key": "JSDOC#DEFINITIONS#MAKESTATEOPTIONS"
+      },
+      "validatePreviousState": {
+        "value": "Validates the previousState option, which has to be `null` or a traversal state made with `serializeState` in its current version.",
+        "key": "JSDOC#DEFINITIONS#VALIDATEPREVIOUSSTATE"
+      },
+      "getPreviousImports": {
+        "value": "Gets the imports the previous state recorded for a file when it hasn't changed since, that is when its modification time or, failing that, its content hash is the same, and seeds the cache with their resolutions when its tsconfig.json file hasn't changed either and the files they resolve to still exist, provided that the state was made with the same options and that there is no custom resolver, extractor or handler.",
+        "key": "JSDOC#DEFINITIONS#GETPREVIOUSIMPORTS"
+      },
+      "makeSerializedResults": {
+        "value": "Makes the JSON-compatible version of the results of a traversal, turning their sets and maps into arrays and objects.",
+        "key": "JSDOC#DEFINITIONS#MAKESERIALIZEDRESULTS"
+      },
+      "makeDeserializedResults": {
+        "value": "Makes the results of a traversal back from their JSON-compatible version, turning their arrays and objects back into sets and maps and their paths back into absolute paths.",
+        "key": "JSDOC#DEFINITIONS#MAKEDESERIALIZEDRESULTS"
+      },
+      "serializeState": {
+        "value": "Serializes the state of a traversal as a JSON-compatible object, made of its results with their paths relative to the current working directory, of the modification time, the content hash and the tsconfig.json file of each visited file, and of the content hash of each of these tsconfig.json files, so that it can be stored and passed as the `previousState` option of a later call.",
+        "key": "JSDOC#DEFINITIONS#SERIALIZESTATE"
+      },
+      "deserializeState": {
+        "value": "Rehydrates the results of a traversal from its state, turning their arrays and objects back into sets and maps and their paths back into absolute paths.",
+        "key": "JSDOC#DEFINITIONS#DESERIALIZESTATE"
+      },
+      "walkImportsSync": {
+        "value": "Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for...of` and stopped early with `break`.",
+        "key": "JSDOC#DEFINITIONS#WALKIMPORTSSYNC"
+      },
+      "walkImports": {
+        "value": "Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for await...of` and stopped early with `break`. Files are read asynchronously, one after the other.",
+        "key": "JSDOC#DEFINITIONS#WALKIMPORTS"
+      },
+      "validateCallbackControl": {
+        "value": "Validates the callbackControl option of `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`, ensuring that it is an object whose property `stopped` is a boolean.",
+        "key": "JSDOC#DEFINITIONS#VALIDATECALLBACKCONTROL"
+      },
+      "makeTraversalSettings": {
+        "value": "Makes the settings of a traversal from its options, by setting every option left out to its default value.",
+        "key": "JSDOC#DEFINITIONS#MAKETRAVERSALSETTINGS"
+      },
+      "traverseImports": {
+        "value": "Traverses recursively the imports of a given file path, as the single traversal shared by all `findAllImports` functions: it hands over to its driver the reading of each file, each file found and the traversal of each resolved import path as effects, so that the same traversal can be driven synchronously, asynchronously, concurrently or as an iterable.",
+        "key": "JSDOC#DEFINITIONS#TRAVERSEIMPORTS"
+      },
+      "driveTraversalSync": {
+        "value": "Drives the traversal of a file path synchronously, reading each file with `getFileSource` and traversing each resolved path recursively, while yielding each file found to its consumer and answering the traversal with what the consumer passes back, that is the results of the callback run on the file if any.",
+        "key": "JSDOC#DEFINITIONS#DRIVETRAVERSALSYNC"
+      },
+      "driveTraversal": {
+        "value": "Drives the traversal of a file path like `driveTraversalSync`, but reading each file asynchronously with `getFileSourceAsync`, one after the other.",
+        "key": "JSDOC#DEFINITIONS#DRIVETRAVERSAL"
+      },
+      "driveTraversalConcurrently": {
+        "value": "Drives the traversal of a file path asynchronously, reading each file with `getFileSourceAsync` and addressing each file found with a handler within the concurrency limit, and traversing the resolved paths of each file one after the other when concurrency is 1, or all at once otherwise.",
+        "key": "JSDOC#DEFINITIONS#DRIVETRAVERSALCONCURRENTLY"
+      },
+      "makeAggregateError": {
+        "value": "Makes the error thrown for a failure by the functions that cannot return it, such as the generators consumed with `for...of` and `for await...of`.",
+        "key": "JSDOC#DEFINITIONS#MAKEAGGREGATEERROR"
+      },
+      "getCallbackResults": {
+        "value": "Runs the callback of a synchronous callbackConfig on a file found by the traversal if it has a SourceCode object, turning a throwing callback into a failure.",
+        "key": "JSDOC#DEFINITIONS#GETCALLBACKRESULTS"
+      },
+      "getCallbackResultsAsync": {
+        "value": "Runs the callback of an asynchronous callbackConfig on a file found by the traversal like `getCallbackResults`, but within the concurrency limit.",
+        "key": "JSDOC#DEFINITIONS#GETCALLBACKRESULTSASYNC"
+      },
+      "validateFilePathAndOptions": {
+        "value": "Validates filePath and the settings of a traversal from a single file path structurally, once at the start of the traversal.",
+        "key": "JSDOC#DEFINITIONS#VALIDATEFILEPATHANDOPTIONS"
+      },
+      "getResolvedPathsOfDir": {
+        "value": "Gets the cached resolutions of the import paths of a directory under the options the resolution depends on, so that calls sharing the same cache with different options never reuse each other's resolutions.",
+        "key": "JSDOC#DEFINITIONS#GETRESOLVEDPATHSOFDIR"
+      },
+      "resolverKeys": {
+        "value": "The keys given to the custom resolvers within the resolution keys of the cache, each custom resolver getting its own resolutions.",
+        "key": "JSDOC#DEFINITIONS#RESOLVERKEYS"
+      },
+      "findFileImports": {
+        "value": "Finds the imports of a single file path with the traversal core, without traversing them nor recording anything in the results of the traversal.",
+        "key": "JSDOC#DEFINITIONS#FINDFILEIMPORTS"
+      },
+      "filterInPlace": {
+        "value": "Filters an array in place, so that the objects sharing it keep seeing its current items.",
+        "key": "JSDOC#DEFINITIONS#FILTERINPLACE"
+      },
+      "copyResults": {
+        "value": "Copies everything tracked during a traversal, so that it can be updated without altering the original results until the update succeeds.",
+        "key": "JSDOC#DEFINITIONS#COPYRESULTS"
+      },
+      "makeFileImportKey": {
+        "value": "Makes the key under which an import is compared, made of everything about it but its locations, which change whenever the code before it does.",
+        "key": "JSDOC#DEFINITIONS#MAKEFILEIMPORTKEY"
+      },
+      "diffFileImports": {
+        "value": "Diffs the imports found in a file before and after it changed, leaving out the locations of the imports.",
+        "key": "JSDOC#DEFINITIONS#DIFFFILEIMPORTS"
+      },
+      "forgetFileImports": {
+        "value": "Forgets what a visited file path was found to import, along with the errors met on it, so that its imports can be found again.",
+        "key": "JSDOC#DEFINITIONS#FORGETFILEIMPORTS"
+      },
+      "pruneUnreachableResults": {
+        "value": "Leaves out of the results of a traversal the file paths no longer reachable from its entry along with everything found in them, and sets again the minimum depths and the shortest import chains of the file paths still reachable, as well as the external imports and packages they still refer to.",
+        "key": "JSDOC#DEFINITIONS#PRUNEUNREACHABLERESULTS"
+      },
+      "getNewlyResolvedImporters": {
+        "value": "Resolves again the import paths left unresolved by a traversal, telling which importers now have some of them resolved, such as after the files they were looking for were created.",
+        "key": "JSDOC#DEFINITIONS#GETNEWLYRESOLVEDIMPORTERS"
+      },
+      "getWatchedDirs": {
+        "value": "Gets the directories watched for the results of a traversal, that is those of the visited file paths, whose changes they address, and those that the relative and absolute import paths left unresolved point to, where the files they were looking for may be created.",
+        "key": "JSDOC#DEFINITIONS#GETWATCHEDDIRS"
+      },
+      "validateTraversalState": {
+        "value": "Validates a traversal state with zod, which has to be made with `serializeState` in its current version.",
+        "key": "JSDOC#DEFINITIONS#VALIDATETRAVERSALSTATE"
+      },
+      "stateOptionsAreEqual": {
+        "value": "Tells if two sets of traversal state options are the same, option by option, regardless of the order of their conditions.",
+        "key": "JSDOC#DEFINITIONS#STATEOPTIONSAREEQUAL"
+      },
+      "candidatesAreUnchanged": {
+        "value": "Tells if no candidate file of a relative import path can have been created or deleted since a previous traversal started, that is if neither the directory of its target nor its target as a directory have been modified since, so that its previous resolution still holds. Import paths that aren't relative are never considered unchanged, since their candidates are spread across tsconfig.json paths and packages.",
+        "key": "JSDOC#DEFINITIONS#CANDIDATESAREUNCHANGED"
+      },
+      "hasCustomHooks": {
+        "value": "Tells if a traversal uses a custom resolver, extractor or handler, whose functions can't be compared with those of another traversal.",
+        "key": "JSDOC#DEFINITIONS#HASCUSTOMHOOKS"
+      },
+      "extractNodeImport": {
+        "value": "Extracts the import the node being walked through corresponds to, if any, the dynamic imports and the CommonJS requires being found at any level in deep scan mode, but only as top-level statements otherwise.",
+        "key": "JSDOC#DEFINITIONS#EXTRACTNODEIMPORT"
       }
     },
     "params": {
@@ -143,7 +595,7 @@ export const resolvedConfigData = {
         "key": "JSDOC#PARAMS#CALLBACKCONFIGSYNCSHORT"
       },
       "callbackConfigSyncLong": {
-        "value": "The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackSync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.",
+        "value": "The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackSync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `\"skip\"` to leave out the imports of the current file, or `\"stop\"` to end the whole traversal successfully.",
         "key": "JSDOC#PARAMS#CALLBACKCONFIGSYNCLONG"
       },
       "callbackConfigAsyncShort": {
@@ -151,17 +603,353 @@ export const resolvedConfigData = {
         "key": "JSDOC#PARAMS#CALLBACKCONFIGASYNCSHORT"
       },
       "callbackConfigAsyncLong": {
-        "value": "The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackAsync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.",
+        "value": "The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackAsync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `\"skip\"` to leave out the imports of the current file, or `\"stop\"` to end the whole traversal successfully.",
         "key": "JSDOC#PARAMS#CALLBACKCONFIGASYNCLONG"
+      },
+      "graphOption": {
+        "value": "The array of import edges tracking every import relationship found during the recursion, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#GRAPHOPTION"
+      },
+      "importerSetting": {
+        "value": "The absolute path of the file containing the import path currently being addressed.",
+        "key": "JSDOC#PARAMS#IMPORTERSETTING"
+      },
+      "graphSetting": {
+        "value": "The array of import edges tracking every import relationship found during the recursion.",
+        "key": "JSDOC#PARAMS#GRAPHSETTING"
+      },
+      "kind": {
+        "value": "The kind of the import currently being addressed, either `\"static\"`, `\"re-export\"`, `\"dynamic\"` or `\"require\"`.",
+        "key": "JSDOC#PARAMS#KIND"
+      },
+      "edge": {
+        "value": "The import edge currently being addressed, made of its importer, its specifier, its resolved path and its kind.",
+        "key": "JSDOC#PARAMS#EDGE"
+      },
+      "scanOption": {
+        "value": "The scan mode of the extraction of imports, either `\"top-level\"` to only address the nodes at the root of each file's AST, or `\"deep\"` to also find the `import()` and `require()` calls nested anywhere in each file, set as `\"top-level\"` by default.",
+        "key": "JSDOC#PARAMS#SCANOPTION"
+      },
+      "scanSetting": {
+        "value": "The scan mode of the extraction of imports.",
+        "key": "JSDOC#PARAMS#SCANSETTING"
+      },
+      "scan": {
+        "value": "The scan mode of the extraction, either `\"top-level\"` to only address the nodes at the root of the AST, or `\"deep\"` to walk through the whole AST and also find the `import()` and `require()` calls nested in expressions, declarations and function bodies.",
+        "key": "JSDOC#PARAMS#SCAN"
+      },
+      "sourceCode": {
+        "value": "The current file path's SourceCode object.",
+        "key": "JSDOC#PARAMS#SOURCECODE"
+      },
+      "visitorKeys": {
+        "value": "The visitor keys of the current file path's SourceCode object, telling which properties of each node type hold its child nodes.",
+        "key": "JSDOC#PARAMS#VISITORKEYS"
+      },
+      "visit": {
+        "value": "The function running on every node walked through.",
+        "key": "JSDOC#PARAMS#VISIT"
+      },
+      "unresolvedOption": {
+        "value": "The array of the import paths that could not be resolved during the recursion, along with their importers, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#UNRESOLVEDOPTION"
+      },
+      "externalOption": {
+        "value": "The set of strings tracking the external packages and Node.js built-in modules imported during the recursion, instantiated as a `new Set()` by default.",
+        "key": "JSDOC#PARAMS#EXTERNALOPTION"
+      },
+      "strictOption": {
+        "value": "Whether unresolved relative or absolute import paths make the recursion fail instead of only being recorded in `unresolved`, set as `false` by default.",
+        "key": "JSDOC#PARAMS#STRICTOPTION"
+      },
+      "unresolvedSetting": {
+        "value": "The array of the import paths that could not be resolved during the recursion, along with their importers.",
+        "key": "JSDOC#PARAMS#UNRESOLVEDSETTING"
+      },
+      "externalSetting": {
+        "value": "The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.",
+        "key": "JSDOC#PARAMS#EXTERNALSETTING"
+      },
+      "strictSetting": {
+        "value": "Whether unresolved relative or absolute import paths make the recursion fail.",
+        "key": "JSDOC#PARAMS#STRICTSETTING"
+      },
+      "cyclesOption": {
+        "value": "The array of the import cycles found during the recursion, each as the ordered array of the file paths it goes through, back to the file path it starts from, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#CYCLESOPTION"
+      },
+      "stackOption": {
+        "value": "The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#STACKOPTION"
+      },
+      "detectCyclesOption": {
+        "value": "Whether import cycles are detected and recorded in `cycles`, set as `false` by default.",
+        "key": "JSDOC#PARAMS#DETECTCYCLESOPTION"
+      },
+      "failOnCycleOption": {
+        "value": "Whether import cycles make the recursion fail instead of only being recorded in `cycles`, implying `detectCycles`, set as `false` by default.",
+        "key": "JSDOC#PARAMS#FAILONCYCLEOPTION"
+      },
+      "cyclesSetting": {
+        "value": "The array of the import cycles found during the recursion.",
+        "key": "JSDOC#PARAMS#CYCLESSETTING"
+      },
+      "stackSetting": {
+        "value": "The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.",
+        "key": "JSDOC#PARAMS#STACKSETTING"
+      },
+      "detectCyclesSetting": {
+        "value": "Whether import cycles are detected and recorded in `cycles`.",
+        "key": "JSDOC#PARAMS#DETECTCYCLESSETTING"
+      },
+      "failOnCycleSetting": {
+        "value": "Whether import cycles make the recursion fail.",
+        "key": "JSDOC#PARAMS#FAILONCYCLESETTING"
+      },
+      "resolvedPath": {
+        "value": "The absolute resolved path of the import path currently being addressed.",
+        "key": "JSDOC#PARAMS#RESOLVEDPATH"
+      },
+      "entries": {
+        "value": "The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute.",
+        "key": "JSDOC#PARAMS#ENTRIES"
+      },
+      "entryPaths": {
+        "value": "The array of the absolute file paths of the entries.",
+        "key": "JSDOC#PARAMS#ENTRYPATHS"
+      },
+      "typeOnly": {
+        "value": "Whether the import currently being addressed only involves types, and is therefore erased at runtime.",
+        "key": "JSDOC#PARAMS#TYPEONLY"
+      },
+      "importKinds": {
+        "value": "The kinds of imports kept by the extraction, either `\"value\"` for the imports that remain at runtime, `\"type\"` for the imports bringing in types, or `\"all\"` for both.",
+        "key": "JSDOC#PARAMS#IMPORTKINDS"
+      },
+      "extractedImport": {
+        "value": "The import currently being extracted, with its import path, its kind and whether it is type-only.",
+        "key": "JSDOC#PARAMS#EXTRACTEDIMPORT"
+      },
+      "cache": {
+        "value": "The cache of the tsconfig.json lookups per directory, of the resolved paths per resolution options, directory and import path, of the SourceCode objects per file path, modification time and getScript handler, of the package.json files and workspace packages, and of the content hashes per file path and modification time, made fresh with `makeCache()` by default and reusable across calls by passing the same object.",
+        "key": "JSDOC#PARAMS#CACHE"
+      },
+      "sourceCodes": {
+        "value": "The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files and the getScript handler they were parsed with.",
+        "key": "JSDOC#PARAMS#SOURCECODES"
+      },
+      "concurrency": {
+        "value": "The maximum number of files read and of callbacks running at the same time, with the imports of each file being traversed concurrently when above `1`, set as `1` by default for a sequential traversal. (Files are still parsed one at a time on the main thread, so that concurrency overlaps the file reads and the asynchronous callbacks rather than the parsing.)",
+        "key": "JSDOC#PARAMS#CONCURRENCY"
+      },
+      "limiter": {
+        "value": "The function running the file reads and the callbacks of the whole traversal within the concurrency limit, made from `concurrency` with `makeLimiter(concurrency)` by default.",
+        "key": "JSDOC#PARAMS#LIMITER"
+      },
+      "include": {
+        "value": "The array of the glob patterns, relative to the current working directory, that resolved paths have to match to be traversed, instantiated as an empty array `[]` by default to traverse every resolved path.",
+        "key": "JSDOC#PARAMS#INCLUDE"
+      },
+      "exclude": {
+        "value": "The array of the glob patterns, relative to the current working directory, that resolved paths must not match to be traversed, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#EXCLUDE"
+      },
+      "shouldTraverse": {
+        "value": "The predicate telling whether a resolved path is traversed, receiving the resolved path and the absolute path of its importer, checked after `include` and `exclude`, set as `null` by default.",
+        "key": "JSDOC#PARAMS#SHOULDTRAVERSE"
+      },
+      "keepExcludedAsLeaves": {
+        "value": "Whether the resolved paths left out by `include`, `exclude` or `shouldTraverse` are still recorded in `graph` as leaves, without being visited nor their own imports being found, set as `false` by default.",
+        "key": "JSDOC#PARAMS#KEEPEXCLUDEDASLEAVES"
+      },
+      "relativePath": {
+        "value": "The path being matched, relative to the current working directory.",
+        "key": "JSDOC#PARAMS#RELATIVEPATH"
+      },
+      "patterns": {
+        "value": "The array of the glob patterns being matched against.",
+        "key": "JSDOC#PARAMS#PATTERNS"
+      },
+      "fileImports": {
+        "value": "The map of each visited file path to the imports found in it, with their specifiers, resolved paths, kinds, imported names and locations, instantiated as a `new Map()` by default.",
+        "key": "JSDOC#PARAMS#FILEIMPORTS"
+      },
+      "extractedImports": {
+        "value": "The array of the imports extracted from the file, with their import paths, kinds, imported names and locations.",
+        "key": "JSDOC#PARAMS#EXTRACTEDIMPORTS"
+      },
+      "imports": {
+        "value": "The array of the imports of the file.",
+        "key": "JSDOC#PARAMS#IMPORTS"
+      },
+      "targetPath": {
+        "value": "The path of the file whose dependents are being found, relative to the current working directory unless absolute.",
+        "key": "JSDOC#PARAMS#TARGETPATH"
+      },
+      "roots": {
+        "value": "The file path or glob pattern, or the array of file paths and glob patterns, of the roots from which the graph is built, relative to the current working directory unless absolute.",
+        "key": "JSDOC#PARAMS#ROOTS"
+      },
+      "entry": {
+        "value": "The path of the entry whose imports are being watched, relative to the current working directory unless absolute.",
+        "key": "JSDOC#PARAMS#ENTRY"
+      },
+      "debounce": {
+        "value": "The delay in milliseconds during which the successive events of a changed file are gathered before the change is addressed, set at `50` by default.",
+        "key": "JSDOC#PARAMS#DEBOUNCE"
+      },
+      "previousVisitedSet": {
+        "value": "The set of strings of the file paths visited by the previous traversal.",
+        "key": "JSDOC#PARAMS#PREVIOUSVISITEDSET"
+      },
+      "details": {
+        "value": "The stable code of the error (`code`), along with the file path it is about (`filePath`), the file importing it (`importer`), the specifier it is imported with (`specifier`) and the import chain leading to it from the original file path (`chain`) when they are known.",
+        "key": "JSDOC#PARAMS#DETAILS"
+      },
+      "errorLocation": {
+        "value": "The location of the file path within the traversal, added to the errors.",
+        "key": "JSDOC#PARAMS#ERRORLOCATION"
+      },
+      "failureResults": {
+        "value": "The failure object being thrown.",
+        "key": "JSDOC#PARAMS#FAILURERESULTS"
+      },
+      "recoveredResults": {
+        "value": "The results returned instead of the failure when it is recovered from.",
+        "key": "JSDOC#PARAMS#RECOVEREDRESULTS"
+      },
+      "errors": {
+        "value": "The array of the errors recorded instead of failing in `continueOnError` mode, each with the subtree of the file path it is about being skipped, instantiated as an empty array `[]` by default.",
+        "key": "JSDOC#PARAMS#ERRORS"
+      },
+      "continueOnError": {
+        "value": "Whether the failures met on file paths, such as files not found or not parsed, callbacks throwing or the failures of `strict` and `failOnCycle`, are recorded in `errors` instead of making the recursion fail, skipping the subtrees of the file paths they are about, set as `false` by default. (Invalid options still make the recursion fail.)",
+        "key": "JSDOC#PARAMS#CONTINUEONERROR"
+      },
+      "relative": {
+        "value": "Whether paths are serialized relative to the current working directory, set as `true` by default.",
+        "key": "JSDOC#PARAMS#RELATIVE"
+      },
+      "clusterByDirectory": {
+        "value": "Whether nodes are clustered by the directory containing them, set as `false` by default.",
+        "key": "JSDOC#PARAMS#CLUSTERBYDIRECTORY"
+      },
+      "nodeLabels": {
+        "value": "The map of each node's absolute file path to its label.",
+        "key": "JSDOC#PARAMS#NODELABELS"
+      },
+      "absolutePath": {
+        "value": "The absolute path being formatted.",
+        "key": "JSDOC#PARAMS#ABSOLUTEPATH"
+      },
+      "handlers": {
+        "value": "The map of file extensions, such as `\".css\"`, to the handlers of the files ending with them, taking precedence over the built-in handlers of assets, stylesheets, Vue and Svelte components and MDX documents: `null` to record the files as leaves without reading them, `{ getScript }` to get the JavaScript or TypeScript code embedded in the files to parse, or `{ getImports }` to get the import paths of the files directly, instantiated as an empty object `{}` by default.",
+        "key": "JSDOC#PARAMS#HANDLERS"
+      },
+      "getScript": {
+        "value": "The function of the file's handler getting the script embedded in it, such as the `<script>` blocks of a Vue or Svelte component, parsed instead of the whole file when provided.",
+        "key": "JSDOC#PARAMS#GETSCRIPT"
+      },
+      "sourceText": {
+        "value": "The text of the file.",
+        "key": "JSDOC#PARAMS#SOURCETEXT"
+      },
+      "getImports": {
+        "value": "The function of the file's handler getting its import paths.",
+        "key": "JSDOC#PARAMS#GETIMPORTS"
+      },
+      "resolve": {
+        "value": "The custom resolver replacing the default resolution of import paths, such as for bundler aliases, receiving the import path, the directory of its importer and a context with the current working directory (`cwd`) and the default resolution (`defaultResolve`) to fall back on, and returning the absolute path the import path resolves to or `null`, set as `null` by default to resolve import paths based on the closest tsconfig.json file.",
+        "key": "JSDOC#PARAMS#RESOLVE"
+      },
+      "extractImports": {
+        "value": "The custom extractor replacing the default extraction of imports from the files' SourceCode objects, such as for macros importing files, receiving the SourceCode object, the file path and a context with `scan`, `importKinds` and the default extraction (`defaultExtractImports`) to build on, and returning the array of the imports of the file, each with its import path (`specifier`) and, when left out, its `kind` set as `\"static\"`, its `typeOnly` as `false`, its `names` as `[]` and its `loc` as the start of the file, set as `null` by default to only extract import declarations, re-exports, `import()` and `require()` calls.",
+        "key": "JSDOC#PARAMS#EXTRACTIMPORTS"
+      },
+      "resolvePackages": {
+        "value": "Whether import paths left unresolved are resolved through package.json files, package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the npm, Yarn or pnpm workspace as well as the package itself through their `exports` field, without ever traversing node_modules, set as `false` by default.",
+        "key": "JSDOC#PARAMS#RESOLVEPACKAGES"
+      },
+      "conditions": {
+        "value": "The conditions matched by the conditional targets of the `exports` and `imports` fields of package.json files in `resolvePackages` mode, such as `\"import\"`, `\"require\"`, `\"types\"` or `\"browser\"`, `\"default\"` always being matched, set as `[\"import\", \"require\", \"node\", \"default\"]` by default.",
+        "key": "JSDOC#PARAMS#CONDITIONS"
+      },
+      "packages": {
+        "value": "The map of the external packages imported during the recursion in `followExternal` mode, keyed by name, each with its version from its package.json file, its directory and its resolved entry file, instantiated as a `new Map()` by default.",
+        "key": "JSDOC#PARAMS#PACKAGES"
+      },
+      "followExternal": {
+        "value": "How far the external packages installed in node_modules are followed, either `\"none\"` to only record their names in `external`, `\"package\"` to also record each of them once in `packages` with its version and its resolved entry file, or `\"deep\"` to also resolve bare import paths into node_modules and traverse the sources of the packages with the packages as their resolution roots, set as `\"none\"` by default.",
+        "key": "JSDOC#PARAMS#FOLLOWEXTERNAL"
+      },
+      "depths": {
+        "value": "The map of each visited file path to its minimum depth from the original file path, or from the closest entry, instantiated as a `new Map()` by default.",
+        "key": "JSDOC#PARAMS#DEPTHS"
+      },
+      "shortestChains": {
+        "value": "The map of each visited file path to one of its shortest import chains, as the ordered array of the file paths it goes through from the original file path, or from the closest entry, to the file path itself, instantiated as a `new Map()` by default.",
+        "key": "JSDOC#PARAMS#SHORTESTCHAINS"
+      },
+      "chain": {
+        "value": "The import chain, as the ordered array of the file paths it goes through from an entry to the target path.",
+        "key": "JSDOC#PARAMS#CHAIN"
+      },
+      "previousState": {
+        "value": "The state of a previous traversal made with `serializeState`, from which the files whose modification times or, failing that, content hashes haven't changed since are reused without being read nor parsed again, along with their resolutions when their tsconfig.json files haven't changed either and the directories of their candidate files haven't been modified since it started, provided that it was made with the same `scan`, `importKinds`, `resolvePackages`, `conditions` in any order and `followExternal` and without custom hooks, set as `null` by default. (Never reused along with a custom `resolve`, `extractImports` or `handlers`, whose functions can't be compared with those the state was made with.) (Ignored by the callback variants and the walks, which hand over the SourceCode object of every file.)",
+        "key": "JSDOC#PARAMS#PREVIOUSSTATE"
+      },
+      "fileHashes": {
+        "value": "The map of the content hashes already computed, keyed by file path along with the modification time of their files.",
+        "key": "JSDOC#PARAMS#FILEHASHES"
+      },
+      "state": {
+        "value": "The state of a traversal made with `serializeState`.",
+        "key": "JSDOC#PARAMS#STATE"
+      },
+      "serializedResults": {
+        "value": "The JSON-compatible results.",
+        "key": "JSDOC#PARAMS#SERIALIZEDRESULTS"
+      },
+      "tsconfigPaths": {
+        "value": "The map of the tsconfig.json paths already found, keyed by directory.",
+        "key": "JSDOC#PARAMS#TSCONFIGPATHS"
+      },
+      "callbackControl": {
+        "value": "The object shared by all the rounds of the traversal, tracking whether the callback stopped it by returning `\"stop\"` (`stopped`), instantiated as `{ stopped: false }` by default.",
+        "key": "JSDOC#PARAMS#CALLBACKCONTROL"
+      },
+      "findAllImportsOptions": {
+        "value": "The additional options, described along with their default values in `FindAllImportsOptions`.",
+        "key": "JSDOC#PARAMS#FINDALLIMPORTSOPTIONS"
+      },
+      "traversalSettings": {
+        "value": "The settings of the traversal, made from its options with `makeTraversalSettings`.",
+        "key": "JSDOC#PARAMS#TRAVERSALSETTINGS"
+      },
+      "handleFile": {
+        "value": "The function addressing each file found, with the file (`file`) and its location within the traversal (`errorLocation`), resolving with the results of the callback run on it.",
+        "key": "JSDOC#PARAMS#HANDLEFILE"
+      },
+      "fileEffect": {
+        "value": "The file found (`file`) along with its location within the traversal (`errorLocation`), added to the errors.",
+        "key": "JSDOC#PARAMS#FILEEFFECT"
+      },
+      "startedAt": {
+        "value": "The time at which the traversal started, in milliseconds since the epoch, recorded in the `options` of its results so that the resolutions reused from its state are only those whose candidate files can't have been created or deleted since, set as `Date.now()` by default.",
+        "key": "JSDOC#PARAMS#STARTEDAT"
+      },
+      "failureControl": {
+        "value": "The object shared by all the rounds of the traversal, tracking whether one of them made it fail (`failed`), so that the rounds running concurrently stop reading files, running the callback and traversing imports once the result of the traversal is decided, instantiated as `{ failed: false }` by default. (Only making a difference to `findAllImportsWithCallbackAsync` above a concurrency of `1`, the other traversals stopping at their first failure anyway.)",
+        "key": "JSDOC#PARAMS#FAILURECONTROL"
       }
     },
     "returns": {
       "findAllImports": {
-        "value": "The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "value": "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
         "key": "JSDOC#RETURNS#FINDALLIMPORTS"
       },
       "processImport": {
-        "value": "The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`.",
+        "value": "A generator yielding the effects of the traversal of the resolved path to the driver, and returning the results of the embedded round of `traverseImports`.",
         "key": "JSDOC#RETURNS#PROCESSIMPORT"
       },
       "makeIsSupposedToBe": {
@@ -199,12 +987,432 @@ export const resolvedConfigData = {
       "nodeIsRequireCall": {
         "value": "`true` if the node is a `require`, `false` if it isn't.",
         "key": "JSDOC#RETURNS#NODEISREQUIRECALL"
+      },
+      "nodeIsReExportDeclaration": {
+        "value": "`true` if the node is an `export * from` or an `export { x } from`, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#NODEISREEXPORTDECLARATION"
+      },
+      "getStaticStringValue": {
+        "value": "The string value of the node if it is static, `undefined` if it isn't.",
+        "key": "JSDOC#RETURNS#GETSTATICSTRINGVALUE"
+      },
+      "nodeIsStaticImportExpression": {
+        "value": "`true` if the node is an `import()` of a static string, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#NODEISSTATICIMPORTEXPRESSION"
+      },
+      "nodeIsStaticRequireCallExpression": {
+        "value": "`true` if the node is a `require()` of a static string, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#NODEISSTATICREQUIRECALLEXPRESSION"
+      },
+      "extractImports": {
+        "value": "The array of the imports found in the file in source order, each with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`).",
+        "key": "JSDOC#RETURNS#EXTRACTIMPORTS"
+      },
+      "makeSuccessTrueResults": {
+        "value": "A `{success: true}` object with the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the recursion, along with the options of the traversal that its state depends on.",
+        "key": "JSDOC#RETURNS#MAKESUCCESSTRUERESULTS"
+      },
+      "importPathIsRelativeOrAbsolute": {
+        "value": "`true` if the import path is relative or absolute, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#IMPORTPATHISRELATIVEORABSOLUTE"
+      },
+      "getExternalName": {
+        "value": "The external name of the import path, or `undefined` if it does not designate a Node.js built-in module or a package.",
+        "key": "JSDOC#RETURNS#GETEXTERNALNAME"
+      },
+      "findAllImportsFromEntries": {
+        "value": "The complete set of strings of import paths recursively related to all entries, along with the set of the import paths reachable from each entry (`entrySets`) and everything else `findAllImports` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#FINDALLIMPORTSFROMENTRIES"
+      },
+      "resolveEntries": {
+        "value": "The deduplicated array of the absolute file paths of the entries in a success object (`success: true`), or a `{success: false}` object along with its errors when an issue is encountered.",
+        "key": "JSDOC#RETURNS#RESOLVEENTRIES"
+      },
+      "makeEntrySets": {
+        "value": "The map of each entry's absolute file path to the set of strings of the file paths it reaches, itself included.",
+        "key": "JSDOC#RETURNS#MAKEENTRYSETS"
+      },
+      "nodeIsTypeOnlyImportOrReExport": {
+        "value": "`true` if the import or the re-export is type-only, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#NODEISTYPEONLYIMPORTORREEXPORT"
+      },
+      "importIsOfKinds": {
+        "value": "`true` if the import is to be followed, `false` if it isn't.",
+        "key": "JSDOC#RETURNS#IMPORTISOFKINDS"
+      },
+      "makeCache": {
+        "value": "The cache object, with its maps of tsconfig.json paths per directory (`tsconfigPaths`), of resolved paths per resolution options, directory and import path (`resolvedPaths`) of SourceCode objects per file path (`sourceCodes`), of parsed package.json files per path (`packageJsons`), of workspace packages per directory (`workspacePackages`) and of content hashes per file path along with the modification time they were computed at (`fileHashes`).",
+        "key": "JSDOC#RETURNS#MAKECACHE"
+      },
+      "resolveImportPathWithCache": {
+        "value": "The absolute path the import path resolves to, or `null` if it could not be resolved. (Throws when the custom resolver throws or returns anything else.)",
+        "key": "JSDOC#RETURNS#RESOLVEIMPORTPATHWITHCACHE"
+      },
+      "getSourceCode": {
+        "value": "The SourceCode object of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the file is not found or could not be parsed.",
+        "key": "JSDOC#RETURNS#GETSOURCECODE"
+      },
+      "validateConcurrencyOptions": {
+        "value": "A `{success: true}` object if the concurrency options are valid, or a `{success: false}` object along with its errors when an issue is encountered.",
+        "key": "JSDOC#RETURNS#VALIDATECONCURRENCYOPTIONS"
+      },
+      "makeLimiter": {
+        "value": "The limiter function, taking a task and returning a promise of its result.",
+        "key": "JSDOC#RETURNS#MAKELIMITER"
+      },
+      "indexGraphByImporter": {
+        "value": "The map of each importer's absolute file path to the array of the resolved paths it imports.",
+        "key": "JSDOC#RETURNS#INDEXGRAPHBYIMPORTER"
+      },
+      "pathMatchesAnyGlob": {
+        "value": "`true` if the path matches any of the glob patterns, `false` if it doesn't.",
+        "key": "JSDOC#RETURNS#PATHMATCHESANYGLOB"
+      },
+      "shouldTraversePath": {
+        "value": "Whether the resolved path is to be traversed (`traversable`) in a success object (`success: true`), or a `{success: false}` object along with its errors when shouldTraverse throws.",
+        "key": "JSDOC#RETURNS#SHOULDTRAVERSEPATH"
+      },
+      "makeFileImports": {
+        "value": "The array of the imports of the file, each with its resolved path, `null` when it could not be resolved, in a success object (`success: true`), or a `{success: false}` object along with its errors when the custom resolver fails.",
+        "key": "JSDOC#RETURNS#MAKEFILEIMPORTS"
+      },
+      "getModuleExportName": {
+        "value": "The name as a string.",
+        "key": "JSDOC#RETURNS#GETMODULEEXPORTNAME"
+      },
+      "getImportedNames": {
+        "value": "The array of the names brought in, each with its kind, its name in the imported file, its name in the importing file (or its exported name for re-exports) and whether it is type-only.",
+        "key": "JSDOC#RETURNS#GETIMPORTEDNAMES"
+      },
+      "findAllDependents": {
+        "value": "The set of strings of the file paths transitively importing the target path (`dependents`), the shortest import chain from each of them to the target path (`chains`) and the roots among them or equal to the target path (`affectedRoots`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#FINDALLDEPENDENTS"
+      },
+      "makeDependentChains": {
+        "value": "The map of each dependent's absolute file path to its shortest import chain, as the ordered array of the file paths it goes through from the dependent to the target path.",
+        "key": "JSDOC#RETURNS#MAKEDEPENDENTCHAINS"
+      },
+      "watchAllImports": {
+        "value": "The results of the first traversal along with the watcher keeping them up to date (`watcher`), in a success object (`success: true`). The watcher emits `\"add\"` with each file path becoming reachable, `\"remove\"` with each file path no longer reachable, `\"change\"` with each reachable file path that changed and its imports when the change altered its imports, and `\"failure\"` with the failure object of an update that failed, after which the previous results are kept. Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#WATCHALLIMPORTS"
+      },
+      "diffVisitedSets": {
+        "value": "The arrays of the file paths added (`added`) and removed (`removed`) by the current traversal.",
+        "key": "JSDOC#RETURNS#DIFFVISITEDSETS"
+      },
+      "makeErrorLocation": {
+        "value": "The file path (`filePath`), its importer (`importer`) and its specifier (`specifier`) if any, and the import chain leading to it (`chain`).",
+        "key": "JSDOC#RETURNS#MAKEERRORLOCATION"
+      },
+      "recoverFromFailure": {
+        "value": "The recovered results in `continueOnError` mode, or the failure object otherwise.",
+        "key": "JSDOC#RETURNS#RECOVERFROMFAILURE"
+      },
+      "toDot": {
+        "value": "The DOT source of the graph.",
+        "key": "JSDOC#RETURNS#TODOT"
+      },
+      "toMermaid": {
+        "value": "The Mermaid source of the flowchart.",
+        "key": "JSDOC#RETURNS#TOMERMAID"
+      },
+      "toJSON": {
+        "value": "The JSON text of the results, indented with two spaces.",
+        "key": "JSDOC#RETURNS#TOJSON"
+      },
+      "formatPath": {
+        "value": "The path as it is meant to be output.",
+        "key": "JSDOC#RETURNS#FORMATPATH"
+      },
+      "makeNodeLabels": {
+        "value": "The map of each node's absolute file path to its label.",
+        "key": "JSDOC#RETURNS#MAKENODELABELS"
+      },
+      "groupNodesByDirectory": {
+        "value": "The map of each directory's label to the array of the absolute file paths of the nodes it contains.",
+        "key": "JSDOC#RETURNS#GROUPNODESBYDIRECTORY"
+      },
+      "quoteDotId": {
+        "value": "The quoted identifier.",
+        "key": "JSDOC#RETURNS#QUOTEDOTID"
+      },
+      "quoteMermaidLabel": {
+        "value": "The quoted label.",
+        "key": "JSDOC#RETURNS#QUOTEMERMAIDLABEL"
+      },
+      "parseSourceText": {
+        "value": "The SourceCode object of the source text.",
+        "key": "JSDOC#RETURNS#PARSESOURCETEXT"
+      },
+      "getScriptWithHandler": {
+        "value": "The script of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return a string.",
+        "key": "JSDOC#RETURNS#GETSCRIPTWITHHANDLER"
+      },
+      "getFileHandler": {
+        "value": "The handler of the file, `null` for assets, or `undefined` when the file has no handler and is parsed as JavaScript or TypeScript.",
+        "key": "JSDOC#RETURNS#GETFILEHANDLER"
+      },
+      "getLocationAtIndex": {
+        "value": "The position of the character, with its line (`line`) and column (`column`).",
+        "key": "JSDOC#RETURNS#GETLOCATIONATINDEX"
+      },
+      "getHandledImports": {
+        "value": "The imports of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return an array of strings.",
+        "key": "JSDOC#RETURNS#GETHANDLEDIMPORTS"
+      },
+      "getFileSource": {
+        "value": "A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.",
+        "key": "JSDOC#RETURNS#GETFILESOURCE"
+      },
+      "getFileSourceAsync": {
+        "value": "A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.",
+        "key": "JSDOC#RETURNS#GETFILESOURCEASYNC"
+      },
+      "blankOut": {
+        "value": "The blanked out text, with the same length and lines.",
+        "key": "JSDOC#RETURNS#BLANKOUT"
+      },
+      "blankOutStyleComments": {
+        "value": "The text of the stylesheet with its comments blanked out.",
+        "key": "JSDOC#RETURNS#BLANKOUTSTYLECOMMENTS"
+      },
+      "getStyleImports": {
+        "value": "The array of the import paths of the stylesheet, in source order.",
+        "key": "JSDOC#RETURNS#GETSTYLEIMPORTS"
+      },
+      "getComponentScript": {
+        "value": "The script of the component, with everything outside of its `<script>` blocks blanked out.",
+        "key": "JSDOC#RETURNS#GETCOMPONENTSCRIPT"
+      },
+      "getMdxScript": {
+        "value": "The script of the MDX document, with everything outside of its ESM blocks blanked out.",
+        "key": "JSDOC#RETURNS#GETMDXSCRIPT"
+      },
+      "extractFileImports": {
+        "value": "The imports of the file of the kinds followed in a success object (`success: true`), with the `kind`, `typeOnly`, `names` and `loc` left out by the custom extractor set as `\"static\"`, `false`, `[]` and the start of the file, or a `{success: false}` object along with its errors when the custom extractor throws or doesn't return an array of valid imports.",
+        "key": "JSDOC#RETURNS#EXTRACTFILEIMPORTS"
+      },
+      "readPackageJson": {
+        "value": "The parsed package.json file, or `null` when it doesn't exist or can't be parsed.",
+        "key": "JSDOC#RETURNS#READPACKAGEJSON"
+      },
+      "resolvePackageTarget": {
+        "value": "The path of the target relative to its package, or the bare specifier it maps to, `null` when no target matches.",
+        "key": "JSDOC#RETURNS#RESOLVEPACKAGETARGET"
+      },
+      "matchPackageField": {
+        "value": "The path of the target relative to its package, or the bare specifier it maps to, `null` when no key matches.",
+        "key": "JSDOC#RETURNS#MATCHPACKAGEFIELD"
+      },
+      "resolvePackageEntry": {
+        "value": "The absolute path the subpath resolves to, or `null` if it could not be resolved.",
+        "key": "JSDOC#RETURNS#RESOLVEPACKAGEENTRY"
+      },
+      "getWorkspacePatterns": {
+        "value": "The array of the glob patterns of the workspace packages, or `undefined` when the directory isn't a workspace root.",
+        "key": "JSDOC#RETURNS#GETWORKSPACEPATTERNS"
+      },
+      "findWorkspacePackages": {
+        "value": "The map of the names of the workspace packages to their directories, empty when the directory isn't in a workspace.",
+        "key": "JSDOC#RETURNS#FINDWORKSPACEPACKAGES"
+      },
+      "resolvePackageImportPath": {
+        "value": "The absolute path the import path resolves to, or `null` if it could not be resolved.",
+        "key": "JSDOC#RETURNS#RESOLVEPACKAGEIMPORTPATH"
+      },
+      "getNodeModulesPackageRoot": {
+        "value": "The root directory of the package, or `undefined` when the directory isn't in node_modules.",
+        "key": "JSDOC#RETURNS#GETNODEMODULESPACKAGEROOT"
+      },
+      "resolveNodeModulesFilePath": {
+        "value": "The absolute path of the file, or `null` if no file is found.",
+        "key": "JSDOC#RETURNS#RESOLVENODEMODULESFILEPATH"
+      },
+      "resolvePackagePath": {
+        "value": "The absolute path the target resolves to, or `null` if it could not be resolved.",
+        "key": "JSDOC#RETURNS#RESOLVEPACKAGEPATH"
+      },
+      "findNodeModulesPackageDir": {
+        "value": "The real directory of the package, or `undefined` when it isn't installed.",
+        "key": "JSDOC#RETURNS#FINDNODEMODULESPACKAGEDIR"
+      },
+      "resolveNodeModulesImportPath": {
+        "value": "The absolute path the import path resolves to, or `null` if it could not be resolved.",
+        "key": "JSDOC#RETURNS#RESOLVENODEMODULESIMPORTPATH"
+      },
+      "makeWhyEdges": {
+        "value": "The array of the import edges the chain goes through, in order.",
+        "key": "JSDOC#RETURNS#MAKEWHYEDGES"
+      },
+      "why": {
+        "value": "One of the shortest import chains from an entry to the target path (`chain`), `null` when the target path isn't reached, and the import edges it goes through with their specifiers and kinds (`edges`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#WHY"
+      },
+      "findTsconfigPath": {
+        "value": "The absolute path of the closest tsconfig.json file, or `undefined` when there is none.",
+        "key": "JSDOC#RETURNS#FINDTSCONFIGPATH"
+      },
+      "getFileHash": {
+        "value": "The modification time (`mtimeMs`) and the SHA-256 content hash (`hash`) of the file, or `null` when it doesn't exist.",
+        "key": "JSDOC#RETURNS#GETFILEHASH"
+      },
+      "makeStateOptions": {
+        "value": "The options of the traversal state.",
+        "key": "JSDOC#RETURNS#MAKESTATEOPTIONS"
+      },
+      "validatePreviousState": {
+        "value": "A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.",
+        "key": "JSDOC#RETURNS#VALIDATEPREVIOUSSTATE"
+      },
+      "getPreviousImports": {
+        "value": "The imports of the file, or `null` when the file has to be read again.",
+        "key": "JSDOC#RETURNS#GETPREVIOUSIMPORTS"
+      },
+      "makeSerializedResults": {
+        "value": "The JSON-compatible results.",
+        "key": "JSDOC#RETURNS#MAKESERIALIZEDRESULTS"
+      },
+      "makeDeserializedResults": {
+        "value": "The results in a success object (`success: true`).",
+        "key": "JSDOC#RETURNS#MAKEDESERIALIZEDRESULTS"
+      },
+      "serializeState": {
+        "value": "The state of the traversal.",
+        "key": "JSDOC#RETURNS#SERIALIZESTATE"
+      },
+      "deserializeState": {
+        "value": "The results of the traversal in a success object (`success: true`), or a failure object (`success: false`) along with its errors when the state is not one made with `serializeState` in its current version.",
+        "key": "JSDOC#RETURNS#DESERIALIZESTATE"
+      },
+      "walkImportsSync": {
+        "value": "An iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).",
+        "key": "JSDOC#RETURNS#WALKIMPORTSSYNC"
+      },
+      "walkImports": {
+        "value": "An asynchronous iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).",
+        "key": "JSDOC#RETURNS#WALKIMPORTS"
+      },
+      "validateCallbackControl": {
+        "value": "A `{success: true}` object if callbackControl is valid, or a `{success: false}` object along with its errors when an issue is encountered.",
+        "key": "JSDOC#RETURNS#VALIDATECALLBACKCONTROL"
+      },
+      "makeTraversalSettings": {
+        "value": "The settings of the traversal, with every option set.",
+        "key": "JSDOC#RETURNS#MAKETRAVERSALSETTINGS"
+      },
+      "traverseImports": {
+        "value": "A generator yielding the effects of the traversal to the driver, the reading of the file (`\"read\"`) being answered with what `getFileSource` returns, the file found (`\"file\"`) with the results of the callback run on it, and the traversal of a resolved path (`\"traverse\"`) with the results of its own traversal, and returning the results of the traversal.",
+        "key": "JSDOC#RETURNS#TRAVERSEIMPORTS"
+      },
+      "driveTraversalSync": {
+        "value": "A generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.",
+        "key": "JSDOC#RETURNS#DRIVETRAVERSALSYNC"
+      },
+      "driveTraversal": {
+        "value": "An asynchronous generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.",
+        "key": "JSDOC#RETURNS#DRIVETRAVERSAL"
+      },
+      "driveTraversalConcurrently": {
+        "value": "The results of the traversal, once the traversals it started concurrently are complete.",
+        "key": "JSDOC#RETURNS#DRIVETRAVERSALCONCURRENTLY"
+      },
+      "findAllImportsWithCallbackSync": {
+        "value": "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKSYNC"
+      },
+      "findAllImportsWithCallbackAsync": {
+        "value": "The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#FINDALLIMPORTSWITHCALLBACKASYNC"
+      },
+      "makeAggregateError": {
+        "value": "An AggregateError with the errors of the failure (`errors`) and their messages as its message.",
+        "key": "JSDOC#RETURNS#MAKEAGGREGATEERROR"
+      },
+      "getCallbackResults": {
+        "value": "What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws.",
+        "key": "JSDOC#RETURNS#GETCALLBACKRESULTS"
+      },
+      "getCallbackResultsAsync": {
+        "value": "What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws or rejects.",
+        "key": "JSDOC#RETURNS#GETCALLBACKRESULTSASYNC"
+      },
+      "validateOptions": {
+        "value": "A `{success: true}` object if the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.",
+        "key": "JSDOC#RETURNS#VALIDATEOPTIONS"
+      },
+      "validateFilePathAndOptions": {
+        "value": "A `{success: true}` object if filePath and the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.",
+        "key": "JSDOC#RETURNS#VALIDATEFILEPATHANDOPTIONS"
+      },
+      "getResolvedPathsOfDir": {
+        "value": "The map of the resolved path of each import path from the directory under these options, `null` when it could not be resolved, added to the cache when missing.",
+        "key": "JSDOC#RETURNS#GETRESOLVEDPATHSOFDIR"
+      },
+      "findFileImports": {
+        "value": "The imports found in the file path (`imports`) in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).",
+        "key": "JSDOC#RETURNS#FINDFILEIMPORTS"
+      },
+      "copyResults": {
+        "value": "The copies of the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the traversal.",
+        "key": "JSDOC#RETURNS#COPYRESULTS"
+      },
+      "makeFileImportKey": {
+        "value": "The string key of the import.",
+        "key": "JSDOC#RETURNS#MAKEFILEIMPORTKEY"
+      },
+      "diffFileImports": {
+        "value": "The arrays of the imports added (`added`) and removed (`removed`) by the change.",
+        "key": "JSDOC#RETURNS#DIFFFILEIMPORTS"
+      },
+      "getNewlyResolvedImporters": {
+        "value": "The set of the absolute paths of the importers with import paths that are no longer unresolved.",
+        "key": "JSDOC#RETURNS#GETNEWLYRESOLVEDIMPORTERS"
+      },
+      "getWatchedDirs": {
+        "value": "The set of the absolute paths of the directories watched.",
+        "key": "JSDOC#RETURNS#GETWATCHEDDIRS"
+      },
+      "validateTraversalState": {
+        "value": "A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.",
+        "key": "JSDOC#RETURNS#VALIDATETRAVERSALSTATE"
+      },
+      "stateOptionsAreEqual": {
+        "value": "`true` if the options are the same, `false` otherwise.",
+        "key": "JSDOC#RETURNS#STATEOPTIONSAREEQUAL"
+      },
+      "candidatesAreUnchanged": {
+        "value": "`true` if the candidates of the import path are unchanged, `false` otherwise.",
+        "key": "JSDOC#RETURNS#CANDIDATESAREUNCHANGED"
+      },
+      "hasCustomHooks": {
+        "value": "`true` if the traversal uses a custom resolver, extractor or handler, `false` otherwise.",
+        "key": "JSDOC#RETURNS#HASCUSTOMHOOKS"
+      },
+      "extractNodeImport": {
+        "value": "The import the node corresponds to, with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`), or `null` if the node isn't an import.",
+        "key": "JSDOC#RETURNS#EXTRACTNODEIMPORT"
       }
     },
     "types": {
       "sourceCode": {
         "value": "ESLint SourceCode type accessed without needing to install ESLint at the point of consumption. (`SourceCode.ast` for AST, `SourceCode.getAllComments()` for all comments.)",
         "key": "JSDOC#TYPES#SOURCECODE"
+      },
+      "importEdge": {
+        "value": "An import relationship found during the recursion, from the file containing the import (`importer`) to the file it resolves to (`resolvedPath`), along with its raw specifier (`specifier`) and its kind (`kind`).",
+        "key": "JSDOC#TYPES#IMPORTEDGE"
+      },
+      "importKind": {
+        "value": "The kind of an import, depending on the syntax it is written with.",
+        "key": "JSDOC#TYPES#IMPORTKIND"
+      },
+      "scanMode": {
+        "value": "The scan mode of the extraction of imports, either `\"top-level\"` to only address the nodes at the root of each file's AST, or `\"deep\"` to also find the `import()` and `require()` calls nested anywhere in each file.",
+        "key": "JSDOC#TYPES#SCANMODE"
+      },
+      "unresolvedImport": {
+        "value": "An import path that could not be resolved during the recursion, along with the file containing it (`importer`) and its kind (`kind`).",
+        "key": "JSDOC#TYPES#UNRESOLVEDIMPORT"
       }
     }
   }
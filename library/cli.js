@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+import path from "path";
+import { parseArgs } from "util";
+
+import {
+  findAllImportsFromEntries,
+  toDot,
+  toMermaid,
+  toJSON,
+} from "./index.js";
+import { formatPath } from "./utilities/helpers.js";
+
+/**
+ * @typedef {import("../types/typedefs.js").ImportEdge} ImportEdge
+ * @typedef {import("../types/typedefs.js").UnresolvedImport} UnresolvedImport
+ * @typedef {import("../types/typedefs.js").ScanMode} ScanMode
+ * @typedef {import("../types/typedefs.js").ImportKindsMode} ImportKindsMode
+ * @typedef {import("../types/typedefs.js").OutputFormat} OutputFormat
+ * @typedef {import("../types/typedefs.js").FileImport} FileImport
+ * @typedef {import("../types/typedefs.js").FindAllImportsError} FindAllImportsError
+ * @typedef {import("../types/typedefs.js").ExternalPackage} ExternalPackage
+ * @typedef {import("../types/typedefs.js").FollowExternalMode} FollowExternalMode
+ */
+
+const usage = `Usage: find-all-js-imports <entry|glob...> [options]
+
+Finds all JavaScript/TypeScript import paths recursively related to the given entry files.
+
+Options:
+  --cwd <dir>          The current working directory, set as process.cwd() by default.
+  --max-depth <n>      The maximum depth allowed for the recursion, 100 by default.
+  --scan <mode>        "top-level" (default) or "deep" to also find nested import() and require() calls.
+  --import-kinds <kinds>
+                       "all" (default), "value" to only follow runtime imports, or "type" to only follow the imports bringing in types.
+  --include <glob>     Only traverses the files matching the glob pattern, relative to --cwd. Repeatable.
+  --exclude <glob>     Doesn't traverse the files matching the glob pattern, relative to --cwd. Repeatable.
+  --strict             Fails on unresolved relative or absolute import paths.
+  --resolve-packages   Resolves package imports (#...) and workspace packages through their package.json files.
+  --condition <name>   Adds a package.json exports/imports condition for --resolve-packages, replacing the default ones ("import", "require", "node", "default"). Repeatable.
+  --follow-external <mode>
+                       "none" (default), "package" to record each installed external package with its version and entry, or "deep" to also traverse their sources.
+  --continue-on-error  Reports the files that fail, such as those with syntax errors, and skips their imports instead of failing.
+  --format <format>    "list" (default) for one path per line, "json" for the full results, "ndjson" for one JSON object per file with its imports, or "dot" and "mermaid" for a Graphviz or Mermaid diagram of the graph.
+  --relative           Prints paths relative to the current working directory instead of absolute paths.
+  --cluster-by-directory
+                       Clusters the nodes of "dot" and "mermaid" diagrams by directory.
+  -h, --help           Prints this message.`;
+
+/* formatResults */
+
+/**
+ * Formats the results of `findAllImportsFromEntries` into the text meant to be printed.
+ * @param {Object} results The successful results of `findAllImportsFromEntries` as follows:
+ * @param {Set<string>} results.visitedSet The set of strings of the import paths visited during the recursion.
+ * @param {ImportEdge[]} results.graph The array of import edges found during the recursion.
+ * @param {UnresolvedImport[]} results.unresolved The array of the import paths that could not be resolved during the recursion.
+ * @param {Set<string>} results.external The set of strings of the external packages and Node.js built-in modules imported during the recursion.
+ * @param {string[][]} results.cycles The array of the import cycles found during the recursion.
+ * @param {Map<string, FileImport[]>} results.fileImports The map of each visited file path to the imports found in it.
+ * @param {FindAllImportsError[]} results.errors The array of the errors recorded instead of failing in `continueOnError` mode.
+ * @param {Map<string, ExternalPackage>} results.packages The map of the external packages imported during the recursion, keyed by name.
+ * @param {Map<string, number>} results.depths The map of each visited file path to its minimum depth.
+ * @param {Map<string, string[]>} results.shortestChains The map of each visited file path to one of its shortest import chains.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {boolean} settings.relative Whether paths are printed relative to the current working directory.
+ * @param {boolean} settings.clusterByDirectory Whether the nodes of diagrams are clustered by directory.
+ * @param {OutputFormat} settings.format The format of the output, either `"list"`, `"json"`, `"ndjson"`, `"dot"` or `"mermaid"`.
+ * @returns The text of the output.
+ */
+const formatResults = (
+  results,
+  { cwd, relative, clusterByDirectory, format }
+) => {
+  const toPath = (/** @type {string} */ p) => formatPath(p, { cwd, relative });
+
+  // One file path per line.
+  if (format === "list") return [...results.visitedSet].map(toPath).join("\n");
+
+  // One JSON object per file path per line, along with its imports.
+  if (format === "ndjson")
+    return [...results.visitedSet]
+      .map((filePath) =>
+        JSON.stringify({
+          filePath: toPath(filePath),
+          imports: (results.fileImports.get(filePath) ?? []).map(
+            (fileImport) => ({
+              ...fileImport,
+              resolvedPath: fileImport.resolvedPath
+                ? toPath(fileImport.resolvedPath)
+                : null,
+            })
+          ),
+        })
+      )
+      .join("\n");
+
+  // A Graphviz or Mermaid diagram of the graph.
+  if (format === "dot")
+    return toDot(results, { cwd, relative, clusterByDirectory });
+  if (format === "mermaid")
+    return toMermaid(results, { cwd, relative, clusterByDirectory });
+
+  // The full results as a single JSON object.
+  return toJSON(results, { cwd, relative });
+};
+
+/* main */
+
+/**
+ * Runs the command-line interface of `find-all-js-imports` on the given arguments.
+ * @param {string[]} args The command-line arguments, without the Node.js executable and the script path.
+ * @returns The exit code of the process: `0` on success, `1` when `findAllImportsFromEntries` fails, `2` on invalid usage.
+ */
+const main = (args) => {
+  // Parses the command-line arguments.
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        cwd: { type: "string" },
+        "max-depth": { type: "string" },
+        scan: { type: "string" },
+        "import-kinds": { type: "string" },
+        include: { type: "string", multiple: true, default: [] },
+        exclude: { type: "string", multiple: true, default: [] },
+        strict: { type: "boolean", default: false },
+        "resolve-packages": { type: "boolean", default: false },
+        condition: { type: "string", multiple: true, default: [] },
+        "follow-external": { type: "string" },
+        "continue-on-error": { type: "boolean", default: false },
+        format: { type: "string", default: "list" },
+        relative: { type: "boolean", default: false },
+        "cluster-by-directory": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    console.error(`ERROR. ${e.message}\n\n${usage}`);
+    return 2;
+  }
+
+  const { values, positionals: entries } = parsed;
+
+  // Prints the usage only when help is requested.
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  // Validates the arguments before running findAllImportsFromEntries.
+  if (entries.length === 0) {
+    console.error(`ERROR. At least one entry is required.\n\n${usage}`);
+    return 2;
+  }
+  const format = /** @type {OutputFormat} */ (values.format);
+  if (!["list", "json", "ndjson", "dot", "mermaid"].includes(format)) {
+    console.error(
+      `ERROR. --format is supposed to be "list", "json", "ndjson", "dot" or "mermaid".`
+    );
+    return 2;
+  }
+  const maxDepth =
+    values["max-depth"] === undefined ? 100 : Number(values["max-depth"]);
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+    console.error(
+      `ERROR. --max-depth is supposed to be a non-negative integer.`
+    );
+    return 2;
+  }
+
+  // Resolves the current working directory, against which entries are resolved as well.
+  const cwd = path.resolve(values.cwd ?? process.cwd());
+
+  // Runs findAllImportsFromEntries on all entries, expanding glob patterns.
+  const findAllImportsResults = findAllImportsFromEntries(entries, {
+    cwd,
+    maxDepth,
+    scan: /** @type {ScanMode} */ (values.scan ?? "top-level"),
+    importKinds: /** @type {ImportKindsMode} */ (
+      values["import-kinds"] ?? "all"
+    ),
+    include: values.include,
+    exclude: values.exclude,
+    strict: values.strict,
+    resolvePackages: values["resolve-packages"],
+    ...(values.condition.length > 0 && { conditions: values.condition }),
+    followExternal: /** @type {FollowExternalMode} */ (
+      values["follow-external"] ?? "none"
+    ),
+    continueOnError: values["continue-on-error"],
+  });
+
+  // Exits with a failure when findAllImportsFromEntries fails.
+  if (!findAllImportsResults.success) {
+    for (const error of findAllImportsResults.errors)
+      console.error(error.message);
+    return 1;
+  }
+
+  // Reports the errors recorded in continueOnError mode without failing.
+  for (const error of findAllImportsResults.errors)
+    console.error(error.message);
+
+  // Prints the results in the requested format.
+  const output = formatResults(findAllImportsResults, {
+    cwd,
+    relative: values.relative,
+    clusterByDirectory: values["cluster-by-directory"],
+    format,
+  });
+  if (output) console.log(output);
+  return 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -14,3 +14,19 @@ export const typeError = Object.freeze({
 export const typeWarning = Object.freeze({
   type: "warning",
 });
+
+// error codes
+export const errorCodes = Object.freeze({
+  INVALID_OPTION: "INVALID_OPTION",
+  NO_ENTRY_FOUND: "NO_ENTRY_FOUND",
+  FILE_NOT_FOUND: "FILE_NOT_FOUND",
+  PARSE_FAILED: "PARSE_FAILED",
+  MAX_DEPTH: "MAX_DEPTH",
+  UNRESOLVED_IMPORT: "UNRESOLVED_IMPORT",
+  IMPORT_CYCLE: "IMPORT_CYCLE",
+  CALLBACK_THREW: "CALLBACK_THREW",
+  SHOULD_TRAVERSE_THREW: "SHOULD_TRAVERSE_THREW",
+  HANDLER_FAILED: "HANDLER_FAILED",
+  RESOLVE_FAILED: "RESOLVE_FAILED",
+  EXTRACT_IMPORTS_FAILED: "EXTRACT_IMPORTS_FAILED",
+});
@@ -0,0 +1,41 @@
+// file extensions recorded as leaves, without being read nor parsed
+export const assetExtensions = Object.freeze([
+  ".json",
+  ".svg",
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".webp",
+  ".avif",
+  ".ico",
+  ".bmp",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+  ".eot",
+  ".mp3",
+  ".mp4",
+  ".webm",
+  ".ogg",
+  ".wav",
+  ".wasm",
+  ".txt",
+  ".md",
+  ".html",
+]);
+
+// stylesheet extensions whose @import, @use and @forward rules are followed
+export const styleExtensions = Object.freeze([
+  ".css",
+  ".scss",
+  ".sass",
+  ".less",
+]);
+
+// component extensions whose <script> blocks are parsed
+export const componentExtensions = Object.freeze([".vue", ".svelte"]);
+
+// MDX extensions whose import and export statements are parsed
+export const mdxExtensions = Object.freeze([".mdx"]);
@@ -0,0 +1,13 @@
+import tseslint from "typescript-eslint";
+
+// ESLint configs language options, the same as get-sourcecode-from-file-path's
+export const typeScriptAndJSXCompatible = Object.freeze({
+  // for compatibility with TypeScript (.ts and .tsx)
+  parser: tseslint.parser,
+  // for compatibility with JSX (React, etc.)
+  parserOptions: {
+    ecmaFeatures: {
+      jsx: true,
+    },
+  },
+});
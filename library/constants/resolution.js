@@ -0,0 +1,9 @@
+// script extensions tried in priority order when resolving the files of the packages installed in node_modules
+export const scriptExtensions = Object.freeze([
+  ".tsx",
+  ".ts",
+  ".jsx",
+  ".js",
+  ".mjs",
+  ".cjs",
+]);
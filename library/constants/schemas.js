@@ -1,6 +1,103 @@
 import * as z from "zod";
+import { traversalStateVersion } from "./state.js";
 
 export const VisitedSetSchema = z.set(
   z.string({ error: "All values within visitedSet should be strings." }),
   { error: "visitedSet should be a Set." }
 );
+
+const StringsSchema = z.array(z.string());
+
+export const TraversalStateSchema = z.object(
+  {
+    version: z.literal(traversalStateVersion, {
+      error: `state should be in version ${traversalStateVersion}.`,
+    }),
+    options: z.looseObject({
+      scan: z.string(),
+      importKinds: z.string(),
+      resolvePackages: z.boolean(),
+      conditions: StringsSchema,
+      followExternal: z.string(),
+      customHooks: z.boolean(),
+    }),
+    startedAt: z.number(),
+    files: z.record(
+      z.string(),
+      z.looseObject({
+        mtimeMs: z.number(),
+        hash: z.string(),
+        tsconfig: z.string().nullable(),
+      })
+    ),
+    tsconfigs: z.record(z.string(), z.string()),
+    results: z.object({
+      files: StringsSchema,
+      graph: z.array(
+        z.looseObject({ importer: z.string(), resolvedPath: z.string() })
+      ),
+      unresolved: z.array(z.looseObject({ importer: z.string() })),
+      external: StringsSchema,
+      cycles: z.array(StringsSchema),
+      fileImports: z.record(
+        z.string(),
+        z.array(z.looseObject({ resolvedPath: z.string().nullable() }))
+      ),
+      errors: z.array(
+        z.looseObject({
+          filePath: z.string().optional(),
+          importer: z.string().optional(),
+          chain: StringsSchema.optional(),
+        })
+      ),
+      packages: z.record(
+        z.string(),
+        z.looseObject({ dir: z.string(), entry: z.string().nullable() })
+      ),
+      depths: z.record(z.string(), z.number()),
+      shortestChains: z.record(z.string(), StringsSchema),
+    }),
+  },
+  { error: "state should be a state made with serializeState." }
+);
+
+const PositionSchema = z.object({ line: z.number(), column: z.number() });
+
+export const ExtractedImportsSchema = z.array(
+  z.looseObject({
+    specifier: z.string({
+      error:
+        "Each import returned by extractImports should have a string specifier.",
+    }),
+    kind: z
+      .enum(["static", "re-export", "dynamic", "require"], {
+        error:
+          'The kind of each import returned by extractImports should be "static", "re-export", "dynamic" or "require".',
+      })
+      .default("static"),
+    typeOnly: z
+      .boolean({
+        error:
+          "The typeOnly of each import returned by extractImports should be a boolean.",
+      })
+      .default(false),
+    names: z
+      .array(
+        z.object({
+          kind: z.enum(["default", "named", "namespace"]),
+          imported: z.string(),
+          local: z.string(),
+          typeOnly: z.boolean().default(false),
+        }),
+        {
+          error:
+            "The names of each import returned by extractImports should be an array of imported names.",
+        }
+      )
+      .default([]),
+    loc: z
+      .object({ start: PositionSchema, end: PositionSchema })
+      .default({ start: { line: 1, column: 0 }, end: { line: 1, column: 0 } }),
+  }),
+  { error: "extractImports should return an array of imports." }
+);
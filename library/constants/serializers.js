@@ -0,0 +1,15 @@
+// Graphviz edge styles per import kind
+export const dotEdgeStyles = Object.freeze({
+  static: "solid",
+  "re-export": "bold",
+  dynamic: "dashed",
+  require: "dotted",
+});
+
+// Mermaid flowchart links per import kind
+export const mermaidEdgeLinks = Object.freeze({
+  static: "-->",
+  "re-export": "==>",
+  dynamic: "-.->",
+  require: "--o",
+});
@@ -0,0 +1,5 @@
+// version of the traversal states made by serializeState
+export const traversalStateVersion = 2;
+
+// margin in milliseconds before the start of a traversal within which modified directories are still deemed modified since, covering file systems whose modification times are coarser than the clock
+export const modificationTimeMarginMs = 2000;
@@ -1,18 +1,65 @@
-import { resolveImportingPath } from "resolve-importing-path";
-import { findUpSync } from "find-up";
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
 
-import { successTrue } from "./constants/bases.js";
+import { successTrue, errorCodes } from "./constants/bases.js";
+import { traversalStateVersion } from "./constants/state.js";
+import { dotEdgeStyles, mermaidEdgeLinks } from "./constants/serializers.js";
 import {
   makeSuccessFalseTypeError,
+  makeErrorLocation,
+  makeSuccessTrueResults,
+  recoverFromFailure,
+  validateOptions,
   validateFilePathAndOptions,
+  validateConcurrencyOptions,
+  validateCallbackControl,
   validateCallbackConfig,
+  getCallbackResults,
+  getCallbackResultsAsync,
+  makeAggregateError,
+  resolveImportPathWithCache,
+  shouldTraversePath,
   updateVisitedSet,
+  updateShortestChains,
+  updateGraph,
+  makeFileImports,
+  updateFileImports,
+  updateUnresolvedOrExternal,
+  updatePackages,
+  updateCycles,
+  updateCyclesFromGraph,
   makeProcessImportSettings,
   makeFindAllImportsOptions,
   visitedSetHasPreviousVisit,
-  nodeIsImportDeclaration,
-  nodeIsImportExpression,
-  nodeIsRequireCall,
+  getFileSource,
+  getFileSourceAsync,
+  validatePreviousState,
+  validateTraversalState,
+  getPreviousImports,
+  extractFileImports,
+  resolveEntries,
+  makeEntrySets,
+  makeDependentChains,
+  makeWhyEdges,
+  getFileHash,
+  findTsconfigPath,
+  makeStateOptions,
+  makeSerializedResults,
+  makeDeserializedResults,
+  invalidateStaleResolvedPaths,
+  copyResults,
+  diffFileImports,
+  forgetFileImports,
+  pruneUnreachableResults,
+  getNewlyResolvedImporters,
+  getWatchedDirs,
+  diffVisitedSets,
+  formatPath,
+  makeNodeLabels,
+  groupNodesByDirectory,
+  quoteDotId,
+  quoteMermaidLabel,
 } from "./utilities/helpers.js";
 
 /**
@@ -20,455 +67,1457 @@ import {
  * @typedef {import("../types/typedefs.js").FindAllImportsResultsWithAccumulator} FindAllImportsResultsWithAccumulator
  * @typedef {import("../types/typedefs.js").SynchronousCallbackConfig} SynchronousCallbackConfig
  * @typedef {import("../types/typedefs.js").AsynchronousCallbackConfig} AsynchronousCallbackConfig
+ * @typedef {import("../types/typedefs.js").CallbackControl} CallbackControl
+ * @typedef {import("../types/typedefs.js").FailureControl} FailureControl
+ * @typedef {import("../types/typedefs.js").ImportKind} ImportKind
+ * @typedef {import("../types/typedefs.js").ImportEdge} ImportEdge
+ * @typedef {import("../types/typedefs.js").UnresolvedImport} UnresolvedImport
+ * @typedef {import("../types/typedefs.js").ScanMode} ScanMode
+ * @typedef {import("../types/typedefs.js").ImportKindsMode} ImportKindsMode
+ * @typedef {import("../types/typedefs.js").FindAllImportsCache} FindAllImportsCache
+ * @typedef {import("../types/typedefs.js").Limiter} Limiter
+ * @typedef {import("../types/typedefs.js").ShouldTraverse} ShouldTraverse
+ * @typedef {import("../types/typedefs.js").FileImport} FileImport
+ * @typedef {import("../types/typedefs.js").FindAllImportsError} FindAllImportsError
+ * @typedef {import("../types/typedefs.js").FileHandlers} FileHandlers
+ * @typedef {import("../types/typedefs.js").Resolver} Resolver
+ * @typedef {import("../types/typedefs.js").ImportsExtractor} ImportsExtractor
+ * @typedef {import("../types/typedefs.js").ExternalPackage} ExternalPackage
+ * @typedef {import("../types/typedefs.js").FollowExternalMode} FollowExternalMode
+ * @typedef {import("../types/typedefs.js").SourceCode} SourceCode
+ * @typedef {import("../types/typedefs.js").ImportsWatcher} ImportsWatcher
+ * @typedef {import("../types/typedefs.js").SerializableResults} SerializableResults
+ * @typedef {import("../types/typedefs.js").SerializedResults} SerializedResults
+ * @typedef {import("../types/typedefs.js").TraversalState} TraversalState
+ * @typedef {import("../types/typedefs.js").TraversalOptions} TraversalOptions
+ * @typedef {import("../types/typedefs.js").FindAllImportsOptions} FindAllImportsOptions
+ * @typedef {import("../types/typedefs.js").TraversalSettings} TraversalSettings
+ * @typedef {import("../types/typedefs.js").TraversalEffect} TraversalEffect
+ * @typedef {import("../types/typedefs.js").FileResults} FileResults
  */
 
-/* findAllImports */
+/* makeCache */
+
+/**
+ * Makes an empty cache for the tsconfig.json lookups, the resolved paths, the SourceCode objects, the package.json files and workspace packages and the content hashes of a traversal, to be passed as the `cache` option of several calls so that they share their work.
+ * @returns The cache object, with its maps of tsconfig.json paths per directory (`tsconfigPaths`), of resolved paths per resolution options, directory and import path (`resolvedPaths`) of SourceCode objects per file path (`sourceCodes`), of parsed package.json files per path (`packageJsons`), of workspace packages per directory (`workspacePackages`) and of content hashes per file path along with the modification time they were computed at (`fileHashes`).
+ */
+export const makeCache = () => ({
+  tsconfigPaths: new Map(),
+  resolvedPaths: new Map(),
+  sourceCodes: new Map(),
+  packageJsons: new Map(),
+  workspacePackages: new Map(),
+  fileHashes: new Map(),
+});
+
+/* makeLimiter */
+
+/**
+ * Makes a function running tasks with at most a given number of them running at the same time, queuing the others in the order they were given, to be passed as the `limiter` option of several calls of `findAllImportsWithCallbackAsync` so that they share the same concurrency limit.
+ * @param {number} concurrency The maximum number of tasks running at the same time.
+ * @returns The limiter function, taking a task and returning a promise of its result.
+ */
+export const makeLimiter = (concurrency) => {
+  let running = 0;
+  /** @type {Array<() => void>} */
+  const queue = [];
+
+  // Starts the next queued task when a slot is free.
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    running++;
+    /** @type {() => void} */ (queue.shift())();
+  };
+
+  return /** @type {Limiter} */ (
+    (task) =>
+      new Promise((resolve, reject) => {
+        queue.push(() =>
+          Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+              running--;
+              next();
+            })
+        );
+        next();
+      })
+  );
+};
+
+/* makeTraversalSettings */
 
 /**
- * Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)
+ * Makes the settings of a traversal from its options, by setting every option left out to its default value.
+ * @param {FindAllImportsOptions} options The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The settings of the traversal, with every option set.
+ */
+const makeTraversalSettings = ({
+  cwd = process.cwd(),
+  visitedSet = new Set(),
+  graph = [],
+  unresolved = [],
+  external = new Set(),
+  cycles = [],
+  fileImports = new Map(),
+  errors = [],
+  packages = new Map(),
+  depths = new Map(),
+  shortestChains = new Map(),
+  stack = [],
+  depth = 0,
+  maxDepth = 100,
+  scan = "top-level",
+  importKinds = "all",
+  strict = false,
+  detectCycles = false,
+  failOnCycle = false,
+  continueOnError = false,
+  include = [],
+  exclude = [],
+  shouldTraverse = null,
+  keepExcludedAsLeaves = false,
+  handlers = {},
+  resolve = null,
+  resolvePackages = false,
+  conditions = ["import", "require", "node", "default"],
+  followExternal = "none",
+  extractImports = null,
+  cache = makeCache(),
+  previousState = null,
+  startedAt = Date.now(),
+  callbackControl = { stopped: false },
+  failureControl = { failed: false },
+  concurrency = 1,
+  limiter = makeLimiter(concurrency),
+} = {}) => ({
+  cwd,
+  visitedSet,
+  graph,
+  unresolved,
+  external,
+  cycles,
+  fileImports,
+  errors,
+  packages,
+  depths,
+  shortestChains,
+  stack,
+  depth,
+  maxDepth,
+  scan,
+  importKinds,
+  strict,
+  detectCycles,
+  failOnCycle,
+  continueOnError,
+  include,
+  exclude,
+  shouldTraverse,
+  keepExcludedAsLeaves,
+  handlers,
+  resolve,
+  resolvePackages,
+  conditions,
+  followExternal,
+  extractImports,
+  cache,
+  previousState,
+  startedAt,
+  callbackControl,
+  failureControl,
+  concurrency,
+  limiter,
+});
+
+/* traverseImports */
+
+/**
+ * Processes and resolves a single import path, handing the traversal of the file it resolves to over to the driver of the traversal.
  * @param {string} importPath The import path currently being addressed.
- * @param {Object} settings The required settings as follows:
- * @param {string} settings.currentDir The directory containing the import path currently being addressed.
- * @param {string} settings.cwd The current working directory.
- * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
- * @param {number} settings.depth The current depth of the recursion.
- * @param {number} settings.maxDepth The maximum depth allowed for the recursion.
- * @returns The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`.
+ * @param {ImportKind} kind The kind of the import currently being addressed, either `"static"`, `"re-export"`, `"dynamic"` or `"require"`.
+ * @param {boolean} typeOnly Whether the import currently being addressed only involves types, and is therefore erased at runtime.
+ * @param {ReturnType<typeof makeProcessImportSettings>} settings The settings of the round of the importer, along with its directory (`currentDir`), its path (`importer`) and the stack of the file paths leading to it (`stack`).
+ * @returns A generator yielding the effects of the traversal of the resolved path to the driver, and returning the results of the embedded round of `traverseImports`.
  */
-const processImport = (
-  importPath,
-  { currentDir, cwd, visitedSet, depth, maxDepth }
-) => {
-  // Resolves the provided import path.
-  const resolvedPath = resolveImportingPath(
+const processImport = function* (importPath, kind, typeOnly, settings) {
+  // Retrieves the settings directly addressed by the current import path.
+  const {
     currentDir,
-    importPath,
-    findUpSync("tsconfig.json", {
-      cwd: currentDir,
-    }) ?? cwd
-  );
-  // Returns early to skip processing on unresolved paths.
-  if (!resolvedPath) return { ...successTrue, visitedSet };
+    importer,
+    cwd,
+    graph,
+    unresolved,
+    external,
+    cycles,
+    stack,
+    strict,
+    detectCycles,
+    failOnCycle,
+    include,
+    exclude,
+    shouldTraverse,
+    keepExcludedAsLeaves,
+    resolve,
+    resolvePackages,
+    conditions,
+    followExternal,
+    packages,
+    cache,
+    concurrency,
+  } = settings;
 
-  // Establishes the options for the next round of findAllImports.
-  const findAllImportsOptions = makeFindAllImportsOptions({
+  // Resolves the provided import path, already cached when the imports of the importer were described.
+  const resolvedPath = resolveImportPathWithCache(currentDir, importPath, {
     cwd,
-    visitedSet,
-    depth,
-    maxDepth,
+    cache,
+    resolve,
+    resolvePackages,
+    conditions,
+    followExternal,
   });
 
-  // Runs findAllImports on the imported path resolved, thus recursively.
-  const findAllImportsResults = /** @type {FindAllImportsResults} */ (
-    findAllImports(resolvedPath, findAllImportsOptions)
-  );
-  // Returns the results of the embedded round of `findAllImports`.
-  return findAllImportsResults;
+  // Records the external package the import path refers to, once per package, when followExternal is enabled.
+  if (followExternal !== "none")
+    updatePackages(importPath, resolvedPath, {
+      currentDir,
+      cache,
+      conditions,
+      external,
+      packages,
+    });
+
+  // Records unresolved paths as unresolved or external and returns early to skip their processing, unless they make the recursion fail in strict mode.
+  if (!resolvedPath) {
+    const updateUnresolvedOrExternalResults = updateUnresolvedOrExternal(
+      importPath,
+      kind,
+      { importer, unresolved, external, stack, strict }
+    );
+    if (!updateUnresolvedOrExternalResults.success)
+      return recoverFromFailure(
+        updateUnresolvedOrExternalResults,
+        settings,
+        makeSuccessTrueResults(settings)
+      );
+
+    return makeSuccessTrueResults(settings);
+  }
+
+  // Leaves out resolved paths out of the traversal's boundaries, only recording their edges as leaves of the graph when keepExcludedAsLeaves is enabled.
+  const shouldTraversePathResults = shouldTraversePath(resolvedPath, {
+    importer,
+    cwd,
+    include,
+    exclude,
+    shouldTraverse,
+  });
+  if (!shouldTraversePathResults.success)
+    return recoverFromFailure(
+      shouldTraversePathResults,
+      settings,
+      makeSuccessTrueResults(settings)
+    );
+  if (!shouldTraversePathResults.traversable) {
+    if (keepExcludedAsLeaves)
+      updateGraph(graph, {
+        importer,
+        specifier: importPath,
+        resolvedPath,
+        kind,
+        typeOnly,
+      });
+
+    return makeSuccessTrueResults(settings);
+  }
+
+  // Records the edge from the importer to the resolved path, even when the resolved path has already been visited.
+  updateGraph(graph, {
+    importer,
+    specifier: importPath,
+    resolvedPath,
+    kind,
+    typeOnly,
+  });
+
+  // Records the import cycle closed by the resolved path if any, unless it makes the recursion fail. (In concurrent mode, cycles are instead found from the graph once the traversal is complete, since the order in which files are visited is then unpredictable.)
+  if ((detectCycles || failOnCycle) && concurrency === 1) {
+    const updateCyclesResults = updateCycles(resolvedPath, {
+      stack,
+      cycles,
+      failOnCycle,
+    });
+    if (!updateCyclesResults.success)
+      return recoverFromFailure(
+        updateCyclesResults,
+        settings,
+        makeSuccessTrueResults(settings)
+      );
+  }
+
+  // Hands over the traversal of the resolved path to the driver with the settings of the next round, thus recursively, and returns the results of the embedded round.
+  return yield /** @type {TraversalEffect} */ ({
+    type: "traverse",
+    filePath: resolvedPath,
+    settings: makeFindAllImportsOptions(settings),
+  });
 };
 
 /**
- * Finds all import paths recursively related to a given file path.
+ * Traverses recursively the imports of a given file path, as the single traversal shared by all `findAllImports` functions: it hands over to its driver the reading of each file, each file found and the traversal of each resolved import path as effects, so that the same traversal can be driven synchronously, asynchronously, concurrently or as an iterable.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @returns A generator yielding the effects of the traversal to the driver, the reading of the file (`"read"`) being answered with what `getFileSource` returns, the file found (`"file"`) with the results of the callback run on it, and the traversal of a resolved path (`"traverse"`) with the results of its own traversal, and returning the results of the traversal.
  */
-export const findAllImports = (
-  filePath,
-  {
-    cwd = process.cwd(),
-    visitedSet = new Set(),
-    depth = 0,
-    maxDepth = 100,
-  } = {}
-) => {
-  // Begins with validating filePath and options.
-  const validateFilePathAndOptionsResults = validateFilePathAndOptions(
+const traverseImports = function* (filePath, settings) {
+  // Retrieves the settings directly addressed by the current file path.
+  const {
+    visitedSet,
+    fileImports,
+    depths,
+    shortestChains,
+    stack,
+    depth,
+    maxDepth,
+    previousState,
+    callbackControl,
+    failureControl,
+  } = settings;
+
+  // Begins with failing early if max depth is recursively reached, skipping the file path in continueOnError mode. (The options themselves are validated once by the functions starting the traversal.)
+  if (depth > maxDepth)
+    return recoverFromFailure(
+      makeSuccessFalseTypeError(
+        `ERROR. Max depth ${maxDepth} reached at ${filePath}.`,
+        {
+          code: errorCodes.MAX_DEPTH,
+          ...makeErrorLocation(filePath, settings),
+        }
+      ),
+      settings,
+      makeSuccessTrueResults(settings)
+    );
+
+  // Returns the existing results directly if the callback has stopped the traversal, or if another round running concurrently has already made it fail, in which case the results are left out in favor of its failure.
+  if (callbackControl.stopped || failureControl.failed)
+    return makeSuccessTrueResults(settings);
+
+  // Records the shortest import chain through which the file path is reached along with its minimum depth, shortening those of the file paths it already imports when it is reached through a shorter chain than before.
+  updateShortestChains(filePath, settings);
+
+  // Returns the existing results directly if a path has already been visited.
+  if (visitedSetHasPreviousVisit(visitedSet, filePath))
+    return makeSuccessTrueResults(settings);
+
+  // Updates the visited set, right after checking it and before handing anything over to the driver, so that concurrent rounds never visit the same path twice.
+  updateVisitedSet(visitedSet, filePath);
+
+  // Reuses the imports recorded by previousState for the file path if it hasn't changed since, or has the driver read the file otherwise, skipping the file path if it fails in continueOnError mode.
+  const errorLocation = makeErrorLocation(filePath, settings);
+  const previousImports = previousState
+    ? getPreviousImports(filePath, { ...settings, previousState })
+    : null;
+  const getFileSourceResults = previousImports
+    ? { ...successTrue, sourceCode: null, handledImports: previousImports }
+    : yield /** @type {TraversalEffect} */ ({
+        type: "read",
+        filePath,
+        errorLocation,
+      });
+  if (!getFileSourceResults.success) {
+    // Leaves out the file path from the file paths visited and reached, since it could not be read.
+    visitedSet.delete(filePath);
+    depths.delete(filePath);
+    shortestChains.delete(filePath);
+
+    return recoverFromFailure(
+      getFileSourceResults,
+      settings,
+      makeSuccessTrueResults(settings)
+    );
+  }
+
+  // Also returns the existing results directly if another round running concurrently made the traversal fail while the file was being read, without running the callback on the file.
+  if (failureControl.failed) return makeSuccessTrueResults(settings);
+
+  const { sourceCode, handledImports } = getFileSourceResults;
+
+  // Extracts all imports found, at the top level or throughout the whole AST depending on scan, of the kinds followed depending on importKinds and with the custom extractor if any, unless they have already been found by the file path's handler, skipping the file path if the extraction fails in continueOnError mode.
+  const extractFileImportsResults = extractFileImports(
     filePath,
-    { cwd, visitedSet, depth, maxDepth }
+    { sourceCode, handledImports },
+    settings
   );
-  if (!validateFilePathAndOptionsResults.success)
-    return validateFilePathAndOptionsResults;
+  if (!extractFileImportsResults.success)
+    return recoverFromFailure(
+      extractFileImportsResults,
+      settings,
+      makeSuccessTrueResults(settings)
+    );
 
-  // Retrieves the file path's SourceCode object from the validated results.
-  const { sourceCode } = validateFilePathAndOptionsResults;
+  const { extractedImports } = extractFileImportsResults;
 
-  // Returns the existing set directly if a path has already been visited.
-  if (visitedSetHasPreviousVisit(visitedSet, filePath)) {
-    return { ...successTrue, visitedSet };
-  }
+  // Describes the imports found along with their resolved paths, and records them for the file path, skipping the file path if the resolution fails in continueOnError mode.
+  const makeFileImportsResults = makeFileImports(
+    filePath,
+    extractedImports,
+    settings
+  );
+  if (!makeFileImportsResults.success)
+    return recoverFromFailure(
+      makeFileImportsResults,
+      settings,
+      makeSuccessTrueResults(settings)
+    );
 
-  // Updates the visited set.
-  updateVisitedSet(visitedSet, filePath);
+  const { imports } = makeFileImportsResults;
+  updateFileImports(fileImports, filePath, imports);
 
-  // Makes the joint settings for the conditional calls of processImport.
-  const processImportSettings = makeProcessImportSettings(filePath, {
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
+  // Hands the file over to the driver before traversing its own imports, retrieving the results of the callback run on it if any, and skipping the file path if the callback throws in continueOnError mode.
+  /** @type {FileResults} */
+  const fileResults = yield /** @type {TraversalEffect} */ ({
+    type: "file",
+    file: {
+      filePath,
+      sourceCode,
+      imports,
+      depth,
+      importer: stack.at(-1) ?? null,
+    },
+    errorLocation,
   });
+  if (!fileResults.success)
+    return recoverFromFailure(
+      fileResults,
+      settings,
+      makeSuccessTrueResults(settings)
+    );
+
+  // Stops the whole traversal if the callback returned "stop", leaving out the imports of the file path if it returned either "stop" or "skip".
+  if (fileResults.action === "stop") callbackControl.stopped = true;
+  if (fileResults.action === "stop" || fileResults.action === "skip")
+    return makeSuccessTrueResults(settings);
+
+  // Makes the joint settings for the conditional calls of processImport.
+  const processImportSettings = makeProcessImportSettings(filePath, settings);
+
+  // Processes all imports found.
+  for (const { specifier, kind, typeOnly } of extractedImports) {
+    // Leaves out the remaining imports once the callback has stopped the traversal, or once another round running concurrently has made it fail.
+    if (callbackControl.stopped || failureControl.failed) break;
 
-  // Processes all top-level imports.
-  for (const node of sourceCode.ast.body) {
-    // ES Modules (import x from 'y')
-    if (nodeIsImportDeclaration(node)) {
-      const processImportResults = processImport(
-        node.source.value,
-        processImportSettings
+    const processImportResults = yield* processImport(
+      specifier,
+      kind,
+      typeOnly,
+      processImportSettings
+    );
+    if (!processImportResults.success) return processImportResults;
+  }
+
+  return makeSuccessTrueResults(settings);
+};
+
+/* driveTraversalSync */
+
+/**
+ * Drives the traversal of a file path synchronously, reading each file with `getFileSource` and traversing each resolved path recursively, while yielding each file found to its consumer and answering the traversal with what the consumer passes back, that is the results of the callback run on the file if any.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @returns A generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.
+ */
+const driveTraversalSync = function* (filePath, settings) {
+  const traversal = traverseImports(filePath, settings);
+
+  let step = traversal.next();
+  while (!step.done) {
+    const effect = step.value;
+
+    // Reads the file and parses it, or finds its imports with its handler.
+    if (effect.type === "read")
+      step = traversal.next(
+        getFileSource(
+          effect.filePath,
+          {
+            handlers: settings.handlers,
+            importKinds: settings.importKinds,
+            sourceCodes: settings.cache.sourceCodes,
+          },
+          effect.errorLocation
+        )
       );
-      if (!processImportResults.success) return processImportResults;
-    }
+    // Yields the file found, answering with the results of its callback, successful without any action when there is none.
+    else if (effect.type === "file")
+      step = traversal.next((yield effect) ?? successTrue);
+    // Traverses the resolved path, thus recursively.
+    else
+      step = traversal.next(
+        yield* driveTraversalSync(effect.filePath, effect.settings)
+      );
+  }
+
+  return step.value;
+};
+
+/* driveTraversal */
 
-    // now with dynamic imports since same flow as ImportDeclaration
-    if (nodeIsImportExpression(node)) {
-      const processImportResults = processImport(
-        node.source.value,
-        processImportSettings
+/**
+ * Drives the traversal of a file path like `driveTraversalSync`, but reading each file asynchronously with `getFileSourceAsync`, one after the other.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @returns An asynchronous generator yielding the effects of the files found, each with the file (`file`) and its location within the traversal (`errorLocation`), and returning the results of the traversal.
+ */
+const driveTraversal = async function* (filePath, settings) {
+  const traversal = traverseImports(filePath, settings);
+
+  let step = traversal.next();
+  while (!step.done) {
+    const effect = step.value;
+
+    // Reads the file asynchronously and parses it, or finds its imports with its handler.
+    if (effect.type === "read")
+      step = traversal.next(
+        await getFileSourceAsync(
+          effect.filePath,
+          {
+            handlers: settings.handlers,
+            importKinds: settings.importKinds,
+            sourceCodes: settings.cache.sourceCodes,
+          },
+          effect.errorLocation
+        )
       );
-      if (!processImportResults.success) return processImportResults;
-    }
+    // Yields the file found, answering with the results of its callback, successful without any action when there is none.
+    else if (effect.type === "file")
+      step = traversal.next((yield effect) ?? successTrue);
+    // Traverses the resolved path, thus recursively.
+    else
+      step = traversal.next(
+        yield* driveTraversal(effect.filePath, effect.settings)
+      );
+  }
 
-    // CommonJS (require('x'))
-    if (nodeIsRequireCall(node)) {
-      const processImportResults = processImport(
-        node.expression.arguments[0].value,
-        processImportSettings
+  return step.value;
+};
+
+/* driveTraversalConcurrently */
+
+/**
+ * Drives the traversal of a file path asynchronously, reading each file with `getFileSourceAsync` and addressing each file found with a handler within the concurrency limit, and traversing the resolved paths of each file one after the other when concurrency is 1, or all at once otherwise.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @param {(effect: Extract<TraversalEffect, { type: "file" }>) => Promise<FileResults>} handleFile The function addressing each file found, with the file (`file`) and its location within the traversal (`errorLocation`), resolving with the results of the callback run on it.
+ * @returns The results of the traversal, once the traversals it started concurrently are complete.
+ */
+const driveTraversalConcurrently = async (filePath, settings, handleFile) => {
+  const { handlers, importKinds, cache, concurrency, limiter } = settings;
+  const traversal = traverseImports(filePath, settings);
+  /** @type {Promise<FindAllImportsResults>[]} */
+  const pendingTraversals = [];
+
+  let step = traversal.next();
+  while (!step.done) {
+    const effect = step.value;
+
+    // Reads the file asynchronously and parses it, or finds its imports with its handler, within the concurrency limit.
+    if (effect.type === "read")
+      step = traversal.next(
+        await limiter(() =>
+          getFileSourceAsync(
+            effect.filePath,
+            { handlers, importKinds, sourceCodes: cache.sourceCodes },
+            effect.errorLocation
+          )
+        )
+      );
+    // Addresses the file found, answering with the results of its callback.
+    else if (effect.type === "file")
+      step = traversal.next(await handleFile(effect));
+    // Traverses the resolved path before the next one when concurrency is 1, thus recursively.
+    else if (concurrency === 1)
+      step = traversal.next(
+        await driveTraversalConcurrently(
+          effect.filePath,
+          effect.settings,
+          handleFile
+        )
+      );
+    // Otherwise starts traversing the resolved path alongside the others, answering that it succeeded so far.
+    else {
+      pendingTraversals.push(
+        driveTraversalConcurrently(effect.filePath, effect.settings, handleFile)
       );
-      if (!processImportResults.success) return processImportResults;
+      step = traversal.next(makeSuccessTrueResults(effect.settings));
     }
   }
 
-  return { ...successTrue, visitedSet };
+  // Waits for the traversals started concurrently, bubbling up the first failure among them.
+  const pendingTraversalsResults = await Promise.all(pendingTraversals);
+  if (!step.value.success) return step.value;
+  return (
+    pendingTraversalsResults.find(
+      (pendingTraversalResults) => !pendingTraversalResults.success
+    ) ?? step.value
+  );
 };
 
-/* findAllImportsWithCallbackSync */
+/* findAllImports */
 
 /**
- * Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)
- * @param {string} importPath The import path currently being addressed.
- * @param {SynchronousCallbackConfig} callbackConfig The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
- * @param {Object} settings The required settings as follows:
- * @param {string} settings.currentDir The directory containing the import path currently being addressed.
- * @param {string} settings.cwd The current working directory.
- * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
- * @param {number} settings.depth The current depth of the recursion.
- * @param {number} settings.maxDepth The maximum depth allowed for the recursion.
- * @returns The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`.
+ * Finds all import paths recursively related to a given file path.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
  */
-const processImportWithCallbackSync = (
-  importPath,
-  callbackConfig,
-  { currentDir, cwd, visitedSet, depth, maxDepth }
-) => {
-  // Resolves the provided import path.
-  const resolvedPath = resolveImportingPath(
-    currentDir,
-    importPath,
-    findUpSync("tsconfig.json", {
-      cwd: currentDir,
-    }) ?? cwd
+export const findAllImports = (filePath, options = {}) => {
+  // Gathers the options along with their default values, the traversal being sequential.
+  const settings = makeTraversalSettings({ ...options, concurrency: 1 });
+
+  // Begins with validating filePath and options.
+  const validateFilePathAndOptionsResults = validateFilePathAndOptions(
+    filePath,
+    settings
   );
-  // Returns early to skip processing on unresolved paths.
-  if (!resolvedPath)
-    return {
-      ...successTrue,
-      visitedSet,
-      accumulator: callbackConfig.accumulator,
-    };
+  if (!validateFilePathAndOptionsResults.success)
+    return validateFilePathAndOptionsResults;
 
-  // Establishes the options for the next round of findAllImports.
-  const findAllImportsOptions = makeFindAllImportsOptions({
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  });
+  // Also begins with validating previousState.
+  const validatePreviousStateResults = validatePreviousState(
+    settings.previousState
+  );
+  if (!validatePreviousStateResults.success)
+    return validatePreviousStateResults;
 
-  // Runs findAllImports on the imported path resolved, thus recursively.
-  const findAllImportsResults =
-    /** @type {FindAllImportsResultsWithAccumulator} */ (
-      findAllImportsWithCallbackSync(
-        resolvedPath,
-        callbackConfig,
-        findAllImportsOptions
-      )
-    );
-  // Returns the results of the embedded round of `findAllImports`.
-  return findAllImportsResults;
+  // Drives the traversal through all the files found.
+  const traversal = driveTraversalSync(filePath, settings);
+  let step = traversal.next();
+  while (!step.done) step = traversal.next();
+
+  return step.value;
 };
 
+/* findAllImportsWithCallbackSync */
+
 /**
  * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, synchronously.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {SynchronousCallbackConfig} callbackConfig The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackSync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {SynchronousCallbackConfig} callbackConfig The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackSync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
  */
 export const findAllImportsWithCallbackSync = (
   filePath,
   callbackConfig,
-  {
-    cwd = process.cwd(),
-    visitedSet = new Set(),
-    depth = 0,
-    maxDepth = 100,
-  } = {}
+  options = {}
 ) => {
+  // Gathers the options along with their default values, the traversal being sequential and every file being read for the callback.
+  const settings = makeTraversalSettings({
+    ...options,
+    previousState: null,
+    concurrency: 1,
+  });
+
   // Begins with validating filePath and options.
   const validateFilePathAndOptionsResults = validateFilePathAndOptions(
     filePath,
-    { cwd, visitedSet, depth, maxDepth }
+    settings
   );
   if (!validateFilePathAndOptionsResults.success)
     return validateFilePathAndOptionsResults;
 
-  // Retrieves the file path's SourceCode object from the validated results.
-  const { sourceCode } = validateFilePathAndOptionsResults;
-
   // Also begins with validating callbackConfig.
   const validateSynchronousCallbackConfigResults =
     validateCallbackConfig(callbackConfig);
   if (!validateSynchronousCallbackConfigResults.success)
     return validateSynchronousCallbackConfigResults;
 
-  // Returns the existing set directly if a path has already been visited.
-  if (visitedSetHasPreviousVisit(visitedSet, filePath)) {
-    return {
-      ...successTrue,
-      visitedSet,
-      accumulator: callbackConfig.accumulator,
-    };
-  }
+  // Also begins with validating callbackControl.
+  const validateCallbackControlResults = validateCallbackControl(
+    settings.callbackControl
+  );
+  if (!validateCallbackControlResults.success)
+    return validateCallbackControlResults;
 
-  // Updates the visited set.
-  updateVisitedSet(visitedSet, filePath);
+  // Drives the traversal through all the files found, running the callback on each of them.
+  const traversal = driveTraversalSync(filePath, settings);
+  let step = traversal.next();
+  while (!step.done)
+    step = traversal.next(getCallbackResults(step.value, callbackConfig));
 
-  // Addresses the callback.
-  try {
-    callbackConfig.callback(filePath, sourceCode, callbackConfig.accumulator);
-  } catch (e) {
-    return makeSuccessFalseTypeError(
-      `ERROR. Callback error in ${filePath}. \nError: \n${e}`
-    );
-  }
+  return step.value.success
+    ? { ...step.value, accumulator: callbackConfig.accumulator }
+    : step.value;
+};
 
-  // Makes the joint settings for the conditional calls of processImport.
-  const processImportSettings = makeProcessImportSettings(filePath, {
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  });
+/* findAllImportsWithCallbackAsync */
 
-  // Processes all top-level imports.
-  for (const node of sourceCode.ast.body) {
-    // ES Modules (import x from 'y')
-    if (nodeIsImportDeclaration(node)) {
-      const processImportResults = processImportWithCallbackSync(
-        node.source.value,
-        callbackConfig,
-        processImportSettings
-      );
-      if (!processImportResults.success) return processImportResults;
-    }
+/**
+ * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously and, depending on concurrency, concurrently.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {AsynchronousCallbackConfig} callbackConfig The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackAsync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const findAllImportsWithCallbackAsync = async (
+  filePath,
+  callbackConfig,
+  options = {}
+) => {
+  // Gathers the options along with their default values, every file being read for the callback.
+  const settings = makeTraversalSettings({ ...options, previousState: null });
+  const {
+    graph,
+    cycles,
+    stack,
+    detectCycles,
+    failOnCycle,
+    concurrency,
+    limiter,
+  } = settings;
 
-    // now with dynamic imports since same flow as ImportDeclaration
-    if (nodeIsImportExpression(node)) {
-      const processImportResults = processImportWithCallbackSync(
-        node.source.value,
-        processImportSettings
-      );
-      if (!processImportResults.success) return processImportResults;
-    }
+  // Begins with validating filePath and options.
+  const validateFilePathAndOptionsResults = validateFilePathAndOptions(
+    filePath,
+    settings
+  );
+  if (!validateFilePathAndOptionsResults.success)
+    return validateFilePathAndOptionsResults;
 
-    // CommonJS (require('x'))
-    if (nodeIsRequireCall(node)) {
-      const processImportResults = processImportWithCallbackSync(
-        node.expression.arguments[0].value,
-        callbackConfig,
-        processImportSettings
-      );
-      if (!processImportResults.success) return processImportResults;
-    }
+  // Also begins with validating the concurrency options.
+  const validateConcurrencyOptionsResults =
+    validateConcurrencyOptions(settings);
+  if (!validateConcurrencyOptionsResults.success)
+    return validateConcurrencyOptionsResults;
+
+  // Also begins with validating callbackConfig.
+  const validateAsynchronousCallbackConfigResults =
+    validateCallbackConfig(callbackConfig);
+  if (!validateAsynchronousCallbackConfigResults.success)
+    return validateAsynchronousCallbackConfigResults;
+
+  // Also begins with validating callbackControl.
+  const validateCallbackControlResults = validateCallbackControl(
+    settings.callbackControl
+  );
+  if (!validateCallbackControlResults.success)
+    return validateCallbackControlResults;
+
+  // Drives the traversal through all the files found, running the callback on each of them within the concurrency limit.
+  const traversalResults = await driveTraversalConcurrently(
+    filePath,
+    settings,
+    (fileEffect) => getCallbackResultsAsync(fileEffect, callbackConfig, limiter)
+  );
+  if (!traversalResults.success) return traversalResults;
+
+  // Finds the import cycles from the graph once the whole concurrent traversal is complete.
+  if ((detectCycles || failOnCycle) && concurrency !== 1) {
+    const updateCyclesFromGraphResults = updateCyclesFromGraph(filePath, {
+      graph,
+      cycles,
+      stack,
+      failOnCycle,
+    });
+    if (!updateCyclesFromGraphResults.success)
+      return recoverFromFailure(updateCyclesFromGraphResults, settings, {
+        ...traversalResults,
+        accumulator: callbackConfig.accumulator,
+      });
   }
 
-  return {
-    ...successTrue,
-    visitedSet,
-    accumulator: callbackConfig.accumulator,
-  };
+  return { ...traversalResults, accumulator: callbackConfig.accumulator };
 };
 
-/* findAllImportsWithCallbackAsync */
+/* walkImportsSync */
 
 /**
- * Processes recursively and resolves a single import path. (Unlike `findAllImports`, here `currentDir`, `cwd`, `visitedSet`, `depth`, and `maxDepth` aren't options because they are mandatory and not pre-parameterized.)
- * @param {string} importPath The import path currently being addressed.
- * @param {AsynchronousCallbackConfig} callbackConfig The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
- * @param {Object} settings The required settings as follows:
- * @param {string} settings.currentDir The directory containing the import path currently being addressed.
- * @param {string} settings.cwd The current working directory.
- * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
- * @param {number} settings.depth The current depth of the recursion.
- * @param {number} settings.maxDepth The maximum depth allowed for the recursion.
- * @returns The results of the embedded round of `findAllImports`, since `findAllImports`'s recursion happens within `processImport`.
+ * Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for...of` and stopped early with `break`.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns An iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).
  */
-const processImportWithCallbackAsync = async (
-  importPath,
-  callbackConfig,
-  { currentDir, cwd, visitedSet, depth, maxDepth }
-) => {
-  // Resolves the provided import path.
-  const resolvedPath = resolveImportingPath(
-    currentDir,
-    importPath,
-    findUpSync("tsconfig.json", {
-      cwd: currentDir,
-    }) ?? cwd
+export const walkImportsSync = function* (filePath, options = {}) {
+  // Gathers the options along with their default values, the traversal being sequential and every file being read to be yielded.
+  const settings = makeTraversalSettings({
+    ...options,
+    previousState: null,
+    concurrency: 1,
+  });
+
+  // Begins with validating filePath and options, throwing the failure like any other.
+  const validateFilePathAndOptionsResults = validateFilePathAndOptions(
+    filePath,
+    settings
   );
-  // Returns early to skip processing on unresolved paths.
-  if (!resolvedPath)
-    return {
-      ...successTrue,
-      visitedSet,
-      accumulator: callbackConfig.accumulator,
-    };
+  if (!validateFilePathAndOptionsResults.success)
+    throw makeAggregateError(validateFilePathAndOptionsResults);
 
-  // Establishes the options for the next round of findAllImports.
-  const findAllImportsOptions = makeFindAllImportsOptions({
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  });
+  // Drives the traversal, yielding each file found.
+  const traversal = driveTraversalSync(filePath, settings);
+  let step = traversal.next();
+  while (!step.done) {
+    yield step.value.file;
+    step = traversal.next();
+  }
 
-  // Runs findAllImports on the imported path resolved, thus recursively.
-  const findAllImportsResults =
-    /** @type {FindAllImportsResultsWithAccumulator} */ (
-      await findAllImportsWithCallbackAsync(
-        resolvedPath,
-        callbackConfig,
-        findAllImportsOptions
-      )
-    );
-  // Returns the results of the embedded round of `findAllImports`.
-  return findAllImportsResults;
+  // Throws the failure that stopped the traversal, since generators cannot be consumed for their return value with for...of.
+  if (!step.value.success) throw makeAggregateError(step.value);
+
+  return step.value;
 };
 
+/* walkImports */
+
 /**
- * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously.
+ * Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for await...of` and stopped early with `break`. Files are read asynchronously, one after the other.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {AsynchronousCallbackConfig} callbackConfig The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackAsync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns An asynchronous iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).
  */
-export const findAllImportsWithCallbackAsync = async (
-  filePath,
-  callbackConfig,
-  {
-    cwd = process.cwd(),
-    visitedSet = new Set(),
-    depth = 0,
-    maxDepth = 100,
-  } = {}
-) => {
-  // Begins with validating filePath and options.
+export const walkImports = async function* (filePath, options = {}) {
+  // Gathers the options along with their default values, the traversal being sequential and every file being read to be yielded.
+  const settings = makeTraversalSettings({
+    ...options,
+    previousState: null,
+    concurrency: 1,
+  });
+
+  // Begins with validating filePath and options, throwing the failure like any other.
   const validateFilePathAndOptionsResults = validateFilePathAndOptions(
     filePath,
-    { cwd, visitedSet, depth, maxDepth }
+    settings
   );
   if (!validateFilePathAndOptionsResults.success)
-    return validateFilePathAndOptionsResults;
+    throw makeAggregateError(validateFilePathAndOptionsResults);
 
-  // Retrieves the file path's SourceCode object from the validated results.
-  const { sourceCode } = validateFilePathAndOptionsResults;
+  // Drives the traversal, yielding each file found.
+  const traversal = driveTraversal(filePath, settings);
+  let step = await traversal.next();
+  while (!step.done) {
+    yield step.value.file;
+    step = await traversal.next();
+  }
 
-  // Also begins with validating callbackConfig.
-  const validateAsynchronousCallbackConfigResults =
-    validateCallbackConfig(callbackConfig);
-  if (!validateAsynchronousCallbackConfigResults.success)
-    return validateAsynchronousCallbackConfigResults;
+  // Throws the failure that stopped the traversal, since generators cannot be consumed for their return value with for await...of.
+  if (!step.value.success) throw makeAggregateError(step.value);
 
-  // Returns the existing set directly if a path has already been visited.
-  if (visitedSetHasPreviousVisit(visitedSet, filePath)) {
-    return {
-      ...successTrue,
-      visitedSet,
-      accumulator: callbackConfig.accumulator,
-    };
+  return step.value;
+};
+
+/* findAllImportsFromEntries */
+
+/**
+ * Finds all import paths recursively related to several entries at once, within a single traversal shared by all of them.
+ * @param {string | string[]} entries The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to all entries, along with the set of the import paths reachable from each entry (`entrySets`) and everything else `findAllImports` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const findAllImportsFromEntries = (entries, options = {}) => {
+  // Gathers the options along with their default values, the traversal being sequential.
+  const settings = makeTraversalSettings({ ...options, concurrency: 1 });
+  const { cwd, graph } = settings;
+
+  // Begins with validating options, once for all entries.
+  const validateOptionsResults = validateOptions(settings);
+  if (!validateOptionsResults.success) return validateOptionsResults;
+
+  // Also begins with validating previousState.
+  const validatePreviousStateResults = validatePreviousState(
+    settings.previousState
+  );
+  if (!validatePreviousStateResults.success)
+    return validatePreviousStateResults;
+
+  // Then resolves entries, expanding glob patterns.
+  const resolveEntriesResults = resolveEntries(entries, cwd);
+  if (!resolveEntriesResults.success) return resolveEntriesResults;
+
+  const { entryPaths } = resolveEntriesResults;
+
+  // Drives the traversal from every entry, all sharing the same settings and therefore the same traversal.
+  for (const entryPath of entryPaths) {
+    const traversal = driveTraversalSync(entryPath, settings);
+    let step = traversal.next();
+    while (!step.done) step = traversal.next();
+    if (!step.value.success) return step.value;
   }
 
-  // Updates the visited set.
-  updateVisitedSet(visitedSet, filePath);
+  return {
+    ...makeSuccessTrueResults(settings),
+    entrySets: makeEntrySets(entryPaths, graph),
+  };
+};
 
-  // Addresses the callback.
-  try {
-    await callbackConfig.callback(
-      filePath,
-      sourceCode,
-      callbackConfig.accumulator
+/* findAllDependents */
+
+/**
+ * Finds all file paths transitively importing a given target path, by walking forward from one or several roots and inverting the graph found.
+ * @param {string} targetPath The path of the file whose dependents are being found, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions & {roots: string | string[]}} options The additional options, described along with their default values in `FindAllImportsOptions`, along with the file path or glob pattern, or the array of file paths and glob patterns, of the roots from which the graph is built, relative to the current working directory unless absolute (`roots`).
+ * @returns The set of strings of the file paths transitively importing the target path (`dependents`), the shortest import chain from each of them to the target path (`chains`) and the roots among them or equal to the target path (`affectedRoots`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const findAllDependents = (targetPath, { roots, ...options } = {}) => {
+  // Gathers the options along with their default values.
+  const settings = makeTraversalSettings(options);
+  const { cwd, graph } = settings;
+
+  // Begins with validating targetPath and roots.
+  if (typeof targetPath !== "string")
+    return makeSuccessFalseTypeError(
+      "ERROR. targetPath is supposed to be a string.",
+      { code: errorCodes.INVALID_OPTION }
     );
-  } catch (e) {
+  if (
+    typeof roots !== "string" &&
+    (!Array.isArray(roots) || roots.some((root) => typeof root !== "string"))
+  )
     return makeSuccessFalseTypeError(
-      `ERROR. Callback error in ${filePath}. \nError: \n${e}`
+      "ERROR. roots is supposed to be a string or an array of strings.",
+      { code: errorCodes.INVALID_OPTION }
     );
-  }
 
-  // Makes the joint settings for the conditional calls of processImport.
-  const processImportSettings = makeProcessImportSettings(filePath, {
-    cwd,
+  // Builds the forward graph from all roots within a single traversal.
+  const findAllImportsFromEntriesResults = findAllImportsFromEntries(
+    roots,
+    settings
+  );
+  if (!findAllImportsFromEntriesResults.success)
+    return findAllImportsFromEntriesResults;
+
+  // Inverts the graph to find the shortest import chain from each dependent to the target path.
+  const absoluteTargetPath = path.resolve(cwd, targetPath);
+  const chains = makeDependentChains(absoluteTargetPath, graph);
+
+  return {
+    ...findAllImportsFromEntriesResults,
+    dependents: new Set(chains.keys()),
+    chains,
+    affectedRoots: [
+      ...findAllImportsFromEntriesResults.entrySets.keys(),
+    ].filter(
+      (entryPath) => entryPath === absoluteTargetPath || chains.has(entryPath)
+    ),
+  };
+};
+
+/* why */
+
+/**
+ * Explains why a target path is pulled in by one or several entries, with one of the shortest import chains leading from an entry to the target path and the import edges it goes through.
+ * @param {string | string[]} entry The file path or glob pattern, or the array of file paths and glob patterns, of the entries from which the target path may be reached, relative to the current working directory unless absolute.
+ * @param {string} targetPath The path of the file being explained, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns One of the shortest import chains from an entry to the target path (`chain`), `null` when the target path isn't reached, and the import edges it goes through with their specifiers and kinds (`edges`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const why = (entry, targetPath, options = {}) => {
+  // Gathers the options along with their default values.
+  const settings = makeTraversalSettings(options);
+  const { cwd, graph, shortestChains } = settings;
+
+  // Begins with validating targetPath, entry being validated by findAllImportsFromEntries.
+  if (typeof targetPath !== "string")
+    return makeSuccessFalseTypeError(
+      "ERROR. targetPath is supposed to be a string.",
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  // Runs the traversal from all entries, which records the shortest import chain of each file path reached.
+  const findAllImportsFromEntriesResults = findAllImportsFromEntries(
+    entry,
+    settings
+  );
+  if (!findAllImportsFromEntriesResults.success)
+    return findAllImportsFromEntriesResults;
+
+  // Retrieves the shortest import chain of the target path along with the import edges it goes through.
+  const chain = shortestChains.get(path.resolve(cwd, targetPath)) ?? null;
+
+  return {
+    ...findAllImportsFromEntriesResults,
+    chain,
+    edges: chain ? makeWhyEdges(chain, graph) : [],
+  };
+};
+
+/* watchAllImports */
+
+/**
+ * Finds the imports of a single file path with the traversal core, without traversing them nor recording anything in the results of the traversal.
+ * @param {string} filePath The absolute path of the file whose imports are being found.
+ * @param {TraversalSettings} settings The settings of the traversal, whose results are left untouched.
+ * @returns The imports found in the file path (`imports`) in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+const findFileImports = (filePath, settings) => {
+  // Gathers the options of the traversal with results of its own, in which the failures aren't recovered from.
+  const {
     visitedSet,
-    depth,
-    maxDepth,
+    graph,
+    unresolved,
+    external,
+    cycles,
+    fileImports,
+    errors,
+    packages,
+    depths,
+    shortestChains,
+    ...options
+  } = settings;
+  const fileSettings = makeTraversalSettings({
+    ...options,
+    continueOnError: false,
   });
 
-  // Processes all top-level imports.
-  for (const node of sourceCode.ast.body) {
-    // ES Modules (import x from 'y')
-    if (nodeIsImportDeclaration(node)) {
-      const processImportResults = await processImportWithCallbackAsync(
-        node.source.value,
-        callbackConfig,
-        processImportSettings
+  // Drives the traversal until the file path is found, without going any further.
+  const step = driveTraversalSync(filePath, fileSettings).next();
+  if (step.done)
+    return step.value.success ? { ...successTrue, imports: [] } : step.value;
+
+  return { ...successTrue, imports: step.value.file.imports };
+};
+
+/**
+ * Finds all import paths recursively related to a given entry like `findAllImports`, then keeps them up to date by watching the directories of the visited files and of the import paths left unresolved, finding again only the imports of the files that change and traversing only the file paths they newly reach, and emitting events as the set of reachable files evolves.
+ * @param {string} entry The path of the entry whose imports are being watched, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions & {debounce?: number}} [options] The additional options, described along with their default values in `FindAllImportsOptions`, along with the delay in milliseconds during which the successive events of a changed file are gathered before the change is addressed, set at `50` by default (`debounce`).
+ * @returns The results of the first traversal along with the watcher keeping them up to date (`watcher`), in a success object (`success: true`). The watcher emits `"add"` with each file path becoming reachable, `"remove"` with each file path no longer reachable, `"change"` with each reachable file path that changed and its imports when the change altered its imports, and `"failure"` with the failure object of an update that failed, after which the previous results are kept. Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const watchAllImports = (entry, { debounce = 50, ...options } = {}) => {
+  // Gathers the options along with their default values, the traversals being sequential.
+  let settings = makeTraversalSettings({ ...options, concurrency: 1 });
+  const { cwd, cache, detectCycles, failOnCycle } = settings;
+
+  // Begins with validating entry and debounce, the other options being validated by findAllImports.
+  if (typeof entry !== "string")
+    return makeSuccessFalseTypeError(
+      "ERROR. entry is supposed to be a string.",
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Number.isInteger(debounce) || debounce < 0)
+    return makeSuccessFalseTypeError(
+      "ERROR. debounce is supposed to be a non-negative integer.",
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof cwd !== "string")
+    return makeSuccessFalseTypeError("ERROR. cwd is supposed to be a string.", {
+      code: errorCodes.INVALID_OPTION,
+    });
+
+  const entryPath = path.resolve(cwd, entry);
+
+  // Runs the first traversal, failing early if it fails.
+  const findAllImportsResults = findAllImports(entryPath, settings);
+  if (!findAllImportsResults.success) return findAllImportsResults;
+
+  // Leaves out previousState from the updates, since it describes the files before they changed.
+  settings = { ...settings, previousState: null };
+
+  const emitter = new EventEmitter();
+  /** @type {Map<string, fs.FSWatcher>} */
+  const dirWatchers = new Map();
+  /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+  const pendingChanges = new Map();
+
+  /**
+   * Finds again the imports of some visited file paths within a copy of the current results, traversing only the file paths they newly reach from their shortest import chains, then leaves out the file paths no longer reachable from the entry.
+   * @param {Set<string>} filePaths The absolute paths of the files whose imports are found again.
+   * @returns The settings holding the updated results (`settings`) in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+   */
+  const updateImports = (filePaths) => {
+    const nextSettings = {
+      ...settings,
+      ...copyResults(settings),
+      failureControl: { failed: false },
+    };
+    const { visitedSet, shortestChains } = nextSettings;
+
+    // Begins with forgetting what the file paths were found to import.
+    for (const filePath of filePaths) forgetFileImports(filePath, nextSettings);
+
+    // Traverses each file path again, only going through the file paths it newly reaches since the others are already visited.
+    for (const filePath of filePaths) {
+      if (visitedSet.has(filePath)) continue;
+
+      const chain = shortestChains.get(filePath) ?? [filePath];
+      const traversal = driveTraversalSync(filePath, {
+        ...nextSettings,
+        stack: chain.slice(0, -1),
+        depth: chain.length - 1,
+      });
+      let step = traversal.next();
+      while (!step.done) step = traversal.next();
+      if (!step.value.success) return step.value;
+    }
+
+    // Leaves out the file paths no longer reachable from the entry.
+    pruneUnreachableResults(entryPath, nextSettings);
+
+    // Finds the import cycles again from the graph, since the removed imports may have broken some of them.
+    if (detectCycles || failOnCycle) {
+      nextSettings.cycles = [];
+      nextSettings.errors = nextSettings.errors.filter(
+        ({ code }) => code !== errorCodes.IMPORT_CYCLE
+      );
+      const updateCyclesFromGraphResults = updateCyclesFromGraph(
+        entryPath,
+        nextSettings
+      );
+      if (!updateCyclesFromGraphResults.success)
+        return recoverFromFailure(updateCyclesFromGraphResults, nextSettings, {
+          ...successTrue,
+          settings: nextSettings,
+        });
+    }
+
+    return { ...successTrue, settings: nextSettings };
+  };
+
+  /**
+   * Addresses the change of a file path within a watched directory: a visited file path has only its own imports found again, and only when they changed; a visited file path that was deleted has its importers resolve their imports again; and any other file path may resolve the import paths left unresolved. Then emits the events of the differences found.
+   * @param {string} filePath The absolute path of the file that changed.
+   * @returns
+   */
+  const handleChange = (filePath) => {
+    pendingChanges.delete(filePath);
+
+    const { visitedSet, graph, fileImports } = settings;
+    /** @type {Set<string>} */
+    const updatedPaths = new Set();
+
+    if (visitedSet.has(filePath) && fs.existsSync(filePath)) {
+      // Finds the imports of the changed file path alone, returning early when they haven't changed apart from their locations.
+      const findFileImportsResults = findFileImports(filePath, settings);
+      if (findFileImportsResults.success) {
+        const { added, removed } = diffFileImports(
+          fileImports.get(filePath) ?? [],
+          findFileImportsResults.imports
+        );
+        if (added.length === 0 && removed.length === 0) {
+          fileImports.set(filePath, findFileImportsResults.imports);
+          return;
+        }
+      }
+
+      updatedPaths.add(filePath);
+    } else if (visitedSet.has(filePath)) {
+      // Has the importers of the deleted file path resolve their imports again.
+      invalidateStaleResolvedPaths(cache, filePath);
+      for (const { importer, resolvedPath } of graph)
+        if (resolvedPath === filePath) updatedPaths.add(importer);
+      if (filePath === entryPath) updatedPaths.add(filePath);
+    } else if (fs.existsSync(filePath))
+      // Has the importers whose unresolved import paths now resolve find their imports again.
+      for (const importer of getNewlyResolvedImporters(settings))
+        updatedPaths.add(importer);
+
+    if (updatedPaths.size === 0) return;
+
+    // Updates the results, keeping the previous ones if it fails.
+    const updateImportsResults = updateImports(updatedPaths);
+    if (!updateImportsResults.success) {
+      emitter.emit("failure", updateImportsResults);
+      return;
+    }
+
+    const previousSettings = settings;
+    settings = updateImportsResults.settings;
+
+    // Emits the events of the differences found, watching and unwatching directories accordingly.
+    const { added, removed } = diffVisitedSets(
+      previousSettings.visitedSet,
+      settings.visitedSet
+    );
+    for (const removedPath of removed) emitter.emit("remove", removedPath);
+    for (const addedPath of added) emitter.emit("add", addedPath);
+    updateDirWatchers();
+
+    if (settings.visitedSet.has(filePath) && !added.includes(filePath)) {
+      const imports = settings.fileImports.get(filePath) ?? [];
+      const diffFileImportsResults = diffFileImports(
+        previousSettings.fileImports.get(filePath) ?? [],
+        imports
       );
-      if (!processImportResults.success) return processImportResults;
+      if (
+        diffFileImportsResults.added.length > 0 ||
+        diffFileImportsResults.removed.length > 0
+      )
+        emitter.emit("change", filePath, imports);
+    }
+  };
+
+  /**
+   * Starts watching a directory, gathering the successive events of each of its files within the debounce delay before addressing their changes.
+   * @param {string} dir The absolute path of the directory being watched.
+   * @returns
+   */
+  const watchDir = (dir) => {
+    try {
+      const dirWatcher = fs.watch(dir, (_eventType, fileName) => {
+        if (!fileName) return;
+
+        const filePath = path.join(dir, fileName.toString());
+        clearTimeout(pendingChanges.get(filePath));
+        pendingChanges.set(
+          filePath,
+          setTimeout(() => handleChange(filePath), debounce)
+        );
+      });
+      dirWatcher.on("error", () => unwatchDir(dir));
+      dirWatchers.set(dir, dirWatcher);
+    } catch {
+      // The directory vanished in the meantime, along with the files it held.
     }
+  };
+
+  /**
+   * Stops watching a directory.
+   * @param {string} dir The absolute path of the directory no longer watched.
+   * @returns
+   */
+  const unwatchDir = (dir) => {
+    dirWatchers.get(dir)?.close();
+    dirWatchers.delete(dir);
+  };
+
+  /**
+   * Watches the directories needed by the current results and only those.
+   * @returns
+   */
+  const updateDirWatchers = () => {
+    const watchedDirs = getWatchedDirs(settings);
+    for (const dir of [...dirWatchers.keys()])
+      if (!watchedDirs.has(dir)) unwatchDir(dir);
+    for (const dir of watchedDirs) if (!dirWatchers.has(dir)) watchDir(dir);
+  };
+
+  // Watches the directories needed by the first traversal.
+  updateDirWatchers();
+
+  const watcher = /** @type {ImportsWatcher} */ (
+    Object.assign(emitter, {
+      getResults: () => makeSuccessTrueResults(settings),
+      close: () => {
+        for (const pendingChange of pendingChanges.values())
+          clearTimeout(pendingChange);
+        pendingChanges.clear();
+        for (const dir of [...dirWatchers.keys()]) unwatchDir(dir);
+      },
+    })
+  );
+
+  return { ...findAllImportsResults, ...successTrue, watcher };
+};
+
+/* toDot */
+
+/**
+ * Serializes the graph of a traversal as a Graphviz DOT digraph, with edges styled by import kind (solid for static imports, bold for re-exports, dashed for dynamic imports and dotted for `require` calls) and grayed out when type-only.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`) and the graph of import edges between them (`graph`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @param {boolean} [options.clusterByDirectory] Whether nodes are clustered by the directory containing them, set as `false` by default.
+ * @returns The DOT source of the graph.
+ */
+export const toDot = (
+  { visitedSet, graph },
+  { cwd = process.cwd(), relative = true, clusterByDirectory = false } = {}
+) => {
+  const nodeLabels = makeNodeLabels({ visitedSet, graph }, { cwd, relative });
+  const lines = ["digraph imports {", "  node [shape=box];"];
 
-    // now with dynamic imports since same flow as ImportDeclaration
-    if (nodeIsImportExpression(node)) {
-      const processImportResults = await processImportWithCallbackAsync(
-        node.source.value,
-        processImportSettings
+  /**
+   * Makes the quoted identifier of a node, which is its label.
+   * @param {string} filePath The absolute file path of the node.
+   * @returns The quoted label of the node.
+   */
+  const quoteNode = (filePath) =>
+    quoteDotId(/** @type {string} */ (nodeLabels.get(filePath)));
+
+  // Declares the nodes, within a cluster per directory if requested.
+  if (clusterByDirectory) {
+    let clusterIndex = 0;
+    for (const [directory, filePaths] of groupNodesByDirectory(nodeLabels, {
+      cwd,
+      relative,
+    })) {
+      lines.push(
+        `  subgraph ${quoteDotId(`cluster_${clusterIndex++}`)} {`,
+        `    label=${quoteDotId(directory)};`,
+        ...filePaths.map((filePath) => `    ${quoteNode(filePath)};`),
+        "  }"
       );
-      if (!processImportResults.success) return processImportResults;
     }
+  } else {
+    for (const filePath of nodeLabels.keys())
+      lines.push(`  ${quoteNode(filePath)};`);
+  }
 
-    // CommonJS (require('x'))
-    if (nodeIsRequireCall(node)) {
-      const processImportResults = await processImportWithCallbackAsync(
-        node.expression.arguments[0].value,
-        callbackConfig,
-        processImportSettings
+  // Declares the edges, styled by import kind.
+  for (const { importer, resolvedPath, kind, typeOnly } of graph) {
+    const attributes = [`style=${dotEdgeStyles[kind]}`];
+    if (typeOnly) attributes.push("color=gray");
+    lines.push(
+      `  ${quoteNode(importer)} -> ${quoteNode(
+        resolvedPath
+      )} [${attributes.join(", ")}];`
+    );
+  }
+
+  lines.push("}");
+  return lines.join("\n");
+};
+
+/* toMermaid */
+
+/**
+ * Serializes the graph of a traversal as a Mermaid flowchart, with links styled by import kind (`-->` for static imports, `==>` for re-exports, `-.->` for dynamic imports and `--o` for `require` calls) and labeled `type` when type-only.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`) and the graph of import edges between them (`graph`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @param {boolean} [options.clusterByDirectory] Whether nodes are clustered by the directory containing them, set as `false` by default.
+ * @returns The Mermaid source of the flowchart.
+ */
+export const toMermaid = (
+  { visitedSet, graph },
+  { cwd = process.cwd(), relative = true, clusterByDirectory = false } = {}
+) => {
+  const nodeLabels = makeNodeLabels({ visitedSet, graph }, { cwd, relative });
+  const lines = ["flowchart LR"];
+
+  // Identifies the nodes by their order, since file paths aren't valid Mermaid identifiers.
+  /** @type {Map<string, string>} */
+  const nodeIds = new Map();
+  for (const filePath of nodeLabels.keys())
+    nodeIds.set(filePath, `n${nodeIds.size}`);
+
+  /**
+   * Makes the declaration of a node.
+   * @param {string} filePath The absolute file path of the node.
+   * @returns The node's identifier followed by its quoted label.
+   */
+  const declareNode = (filePath) =>
+    `${nodeIds.get(filePath)}[${quoteMermaidLabel(
+      /** @type {string} */ (nodeLabels.get(filePath))
+    )}]`;
+
+  // Declares the nodes, within a subgraph per directory if requested.
+  if (clusterByDirectory) {
+    let subgraphIndex = 0;
+    for (const [directory, filePaths] of groupNodesByDirectory(nodeLabels, {
+      cwd,
+      relative,
+    })) {
+      lines.push(
+        `  subgraph d${subgraphIndex++}[${quoteMermaidLabel(directory)}]`,
+        ...filePaths.map((filePath) => `    ${declareNode(filePath)}`),
+        "  end"
       );
-      if (!processImportResults.success) return processImportResults;
     }
+  } else {
+    for (const filePath of nodeLabels.keys())
+      lines.push(`  ${declareNode(filePath)}`);
+  }
+
+  // Declares the edges, styled by import kind.
+  for (const { importer, resolvedPath, kind, typeOnly } of graph)
+    lines.push(
+      `  ${nodeIds.get(importer)} ${mermaidEdgeLinks[kind]}${
+        typeOnly ? "|type|" : ""
+      } ${nodeIds.get(resolvedPath)}`
+    );
+
+  return lines.join("\n");
+};
+
+/* toJSON */
+
+/**
+ * Serializes the results of a traversal as JSON, turning their sets and maps into arrays and objects.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`), the graph (`graph`), the unresolved import paths (`unresolved`), the external imports (`external`), the import cycles (`cycles`), the imports of each file (`fileImports`), the errors recorded (`errors`), the external packages followed (`packages`), the minimum depths (`depths`) and the shortest import chains (`shortestChains`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @returns The JSON text of the results, indented with two spaces.
+ */
+export const toJSON = (
+  results,
+  { cwd = process.cwd(), relative = true } = {}
+) => JSON.stringify(makeSerializedResults(results, { cwd, relative }), null, 2);
+
+/* serializeState */
+
+/**
+ * Serializes the state of a traversal as a JSON-compatible object, made of its results with their paths relative to the current working directory, of the modification time, the content hash and the tsconfig.json file of each visited file, and of the content hash of each of these tsconfig.json files, so that it can be stored and passed as the `previousState` option of a later call.
+ * @param {SerializableResults & {options: TraversalOptions}} results The successful results of any `findAllImports` function, whose paths are made relative to the current working directory of their traversal and whose traversal options (`options`) are recorded along with them.
+ * @returns The state of the traversal.
+ */
+export const serializeState = (results) => {
+  const { cwd, startedAt, ...options } = results.options;
+  const cache = makeCache();
+  const toPath = (/** @type {string} */ p) =>
+    formatPath(p, { cwd, relative: true });
+
+  /** @type {TraversalState["files"]} */
+  const files = {};
+  /** @type {TraversalState["tsconfigs"]} */
+  const tsconfigs = {};
+  for (const filePath of results.visitedSet) {
+    // Leaves out the files that vanished since the traversal, which will be read again.
+    const fileHash = getFileHash(filePath, cache.fileHashes);
+    if (!fileHash) continue;
+
+    // Records the tsconfig.json file of the file along with its content hash, which its resolutions depend on.
+    const tsconfigPath = findTsconfigPath(
+      path.dirname(filePath),
+      cache.tsconfigPaths
+    );
+    const tsconfigHash = tsconfigPath
+      ? getFileHash(tsconfigPath, cache.fileHashes)
+      : null;
+    if (tsconfigPath && tsconfigHash)
+      tsconfigs[toPath(tsconfigPath)] = tsconfigHash.hash;
+
+    files[toPath(filePath)] = {
+      ...fileHash,
+      tsconfig: tsconfigPath && tsconfigHash ? toPath(tsconfigPath) : null,
+    };
   }
 
   return {
-    ...successTrue,
-    visitedSet,
-    accumulator: callbackConfig.accumulator,
+    version: traversalStateVersion,
+    options: makeStateOptions(options),
+    startedAt,
+    files,
+    tsconfigs,
+    results: makeSerializedResults(results, { cwd, relative: true }),
   };
 };
+
+/* deserializeState */
+
+/**
+ * Rehydrates the results of a traversal from its state, turning their arrays and objects back into sets and maps and their paths back into absolute paths.
+ * @param {unknown} state The state of a traversal made with `serializeState`.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory the state was made from, set as `process.cwd()` by default.
+ * @returns The results of the traversal in a success object (`success: true`), or a failure object (`success: false`) along with its errors when the state is not one made with `serializeState` in its current version.
+ */
+export const deserializeState = (state, { cwd = process.cwd() } = {}) => {
+  // Begins with validating state.
+  const validateTraversalStateResults = validateTraversalState(state);
+  if (!validateTraversalStateResults.success)
+    return validateTraversalStateResults;
+
+  // Also begins with validating cwd.
+  if (typeof cwd !== "string")
+    return makeSuccessFalseTypeError("ERROR. cwd is supposed to be a string.", {
+      code: errorCodes.INVALID_OPTION,
+    });
+
+  const { results, options, startedAt } = /** @type {TraversalState} */ (state);
+
+  return makeDeserializedResults(results, { cwd, startedAt, options });
+};
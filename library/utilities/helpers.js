@@ -1,33 +1,244 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { isBuiltin } from "module";
 
+import { Linter } from "eslint";
 import { getSourceCodeFromFilePath } from "get-sourcecode-from-file-path";
+import { resolveImportingPath } from "resolve-importing-path";
+import { findUpSync } from "find-up";
+import picomatch from "picomatch";
+import { globSync, isDynamicPattern } from "tinyglobby";
 
-import { successTrue, successFalse, typeError } from "../constants/bases.js";
-import { VisitedSetSchema } from "../constants/schemas.js";
+import {
+  successTrue,
+  successFalse,
+  typeError,
+  errorCodes,
+} from "../constants/bases.js";
+import {
+  VisitedSetSchema,
+  TraversalStateSchema,
+  ExtractedImportsSchema,
+} from "../constants/schemas.js";
+import { typeScriptAndJSXCompatible } from "../constants/parsers.js";
+import {
+  assetExtensions,
+  styleExtensions,
+  componentExtensions,
+  mdxExtensions,
+} from "../constants/handlers.js";
+import { scriptExtensions } from "../constants/resolution.js";
+import { modificationTimeMarginMs } from "../constants/state.js";
 
 /**
  * @typedef {import("../../types/typedefs.js").ASTBodyNode} ASTBodyNode
+ * @typedef {import("../../types/typedefs.js").ASTNode} ASTNode
+ * @typedef {import("../../types/typedefs.js").SourceCode} SourceCode
+ * @typedef {import("../../types/typedefs.js").ImportEdge} ImportEdge
+ * @typedef {import("../../types/typedefs.js").ImportKind} ImportKind
+ * @typedef {import("../../types/typedefs.js").UnresolvedImport} UnresolvedImport
+ * @typedef {import("../../types/typedefs.js").ScanMode} ScanMode
+ * @typedef {import("../../types/typedefs.js").ImportKindsMode} ImportKindsMode
+ * @typedef {import("../../types/typedefs.js").FindAllImportsCache} FindAllImportsCache
+ * @typedef {import("../../types/typedefs.js").Limiter} Limiter
+ * @typedef {import("../../types/typedefs.js").ShouldTraverse} ShouldTraverse
+ * @typedef {import("../../types/typedefs.js").ImportedName} ImportedName
+ * @typedef {import("../../types/typedefs.js").FileImport} FileImport
+ * @typedef {import("../../types/typedefs.js").ExtractedImport} ExtractedImport
+ * @typedef {import("../../types/typedefs.js").ErrorDetails} ErrorDetails
+ * @typedef {import("../../types/typedefs.js").ErrorLocation} ErrorLocation
+ * @typedef {import("../../types/typedefs.js").FindAllImportsError} FindAllImportsError
+ * @typedef {import("../../types/typedefs.js").FileHandler} FileHandler
+ * @typedef {import("../../types/typedefs.js").FileHandlers} FileHandlers
+ * @typedef {import("../../types/typedefs.js").Resolver} Resolver
+ * @typedef {import("../../types/typedefs.js").ImportsExtractor} ImportsExtractor
+ * @typedef {import("../../types/typedefs.js").PackageJson} PackageJson
+ * @typedef {import("../../types/typedefs.js").ExternalPackage} ExternalPackage
+ * @typedef {import("../../types/typedefs.js").FollowExternalMode} FollowExternalMode
+ * @typedef {import("../../types/typedefs.js").TraversalState} TraversalState
+ * @typedef {import("../../types/typedefs.js").TraversalStateOptions} TraversalStateOptions
+ * @typedef {import("../../types/typedefs.js").CallbackControl} CallbackControl
+ * @typedef {import("../../types/typedefs.js").FailureControl} FailureControl
+ * @typedef {import("../../types/typedefs.js").SerializableResults} SerializableResults
+ * @typedef {import("../../types/typedefs.js").SerializedResults} SerializedResults
+ * @typedef {import("../../types/typedefs.js").TraversalSettings} TraversalSettings
+ * @typedef {import("../../types/typedefs.js").WalkedFile} WalkedFile
+ * @typedef {import("../../types/typedefs.js").SynchronousCallbackConfig} SynchronousCallbackConfig
+ * @typedef {import("../../types/typedefs.js").AsynchronousCallbackConfig} AsynchronousCallbackConfig
  */
 
 /* makeSuccessFalseTypeError */
 
 /**
- * Makes a `{success: false}` object with a single error in its errors array of `{type: "error"}` based on the message it is meant to display.
+ * Makes a `{success: false}` object with a single error in its errors array of `{type: "error"}` based on the message it is meant to display and the details identifying it.
  * @param {string} message The human-readable message of the error.
+ * @param {ErrorDetails} details The stable code of the error (`code`), along with the file path it is about (`filePath`), the file importing it (`importer`), the specifier it is imported with (`specifier`) and the import chain leading to it from the original file path (`chain`) when they are known.
  * @returns A `{success: false}` object with a single error in its error array of `{type: "error"}`.
  */
-export const makeSuccessFalseTypeError = (message) => ({
+export const makeSuccessFalseTypeError = (message, details) => ({
   ...successFalse,
   errors: [
     {
       ...typeError,
       message,
+      ...details,
     },
   ],
 });
 
-/* validateFilePathAndOptions */
+/* makeErrorLocation */
+
+/**
+ * Makes the location of an error met on a file path of the traversal, that is the file path itself, the file importing it and the specifier it is imported with unless it is the original file path, and the import chain leading to it from the original file path.
+ * @param {string} filePath The absolute path of the file the error is about.
+ * @param {Object} settings The required settings as follows:
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @returns The file path (`filePath`), its importer (`importer`) and its specifier (`specifier`) if any, and the import chain leading to it (`chain`).
+ */
+export const makeErrorLocation = (filePath, { stack, fileImports }) => {
+  const chain = [...stack, filePath];
+
+  // Returns early for the original file path, which has no importer.
+  const importer = stack.at(-1);
+  if (importer === undefined) return { filePath, chain };
+
+  // Retrieves the specifier from the imports recorded for the importer.
+  const specifier = fileImports
+    .get(importer)
+    ?.find((fileImport) => fileImport.resolvedPath === filePath)?.specifier;
+
+  return specifier === undefined
+    ? { filePath, importer, chain }
+    : { filePath, importer, specifier, chain };
+};
+
+/* makeSuccessTrueResults */
+
+/**
+ * Makes a `{success: true}` object with everything tracked during the recursion, based on the options or settings of the current round of `findAllImports`.
+ * @param {Object} settings The required settings as follows:
+ * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
+ * @param {ImportEdge[]} settings.graph The array of import edges tracking every import relationship found during the recursion.
+ * @param {UnresolvedImport[]} settings.unresolved The array of the import paths that could not be resolved during the recursion, along with their importers.
+ * @param {Set<string>} settings.external The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.
+ * @param {string[][]} settings.cycles The array of the import cycles found during the recursion.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @param {FindAllImportsError[]} settings.errors The array of the errors recorded instead of failing in `continueOnError` mode.
+ * @param {Map<string, ExternalPackage>} settings.packages The map of the external packages imported during the recursion, keyed by name, in `followExternal` mode.
+ * @param {Map<string, number>} settings.depths The map of each visited file path to its minimum depth.
+ * @param {Map<string, string[]>} settings.shortestChains The map of each visited file path to one of its shortest import chains.
+ * @param {string} settings.cwd The current working directory.
+ * @param {number} settings.startedAt The time at which the traversal started, in milliseconds since the epoch.
+ * @param {ScanMode} settings.scan The scan mode of the extraction of imports.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {boolean} settings.resolvePackages Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} settings.followExternal How far external packages are followed.
+ * @param {FileHandlers} [settings.handlers] The map of file extensions to the handlers provided.
+ * @param {Resolver | null} [settings.resolve] The custom resolver replacing the default resolution of import paths.
+ * @param {ImportsExtractor | null} [settings.extractImports] The custom extractor replacing the default extraction of imports.
+ * @param {boolean} [settings.customHooks] Whether the traversal used a custom resolver, extractor or handler, found from `handlers`, `resolve` and `extractImports` by default.
+ * @returns A `{success: true}` object with the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the recursion, along with the options of the traversal that its state depends on.
+ */
+export const makeSuccessTrueResults = ({
+  visitedSet,
+  graph,
+  unresolved,
+  external,
+  cycles,
+  fileImports,
+  errors,
+  packages,
+  depths,
+  shortestChains,
+  cwd,
+  startedAt,
+  scan,
+  importKinds,
+  resolvePackages,
+  conditions,
+  followExternal,
+  handlers,
+  resolve,
+  extractImports,
+  customHooks = hasCustomHooks({
+    handlers: /** @type {FileHandlers} */ (handlers),
+    resolve: /** @type {Resolver | null} */ (resolve),
+    extractImports: /** @type {ImportsExtractor | null} */ (extractImports),
+  }),
+}) => ({
+  ...successTrue,
+  visitedSet,
+  graph,
+  unresolved,
+  external,
+  cycles,
+  fileImports,
+  errors,
+  packages,
+  depths,
+  shortestChains,
+  options: {
+    cwd,
+    startedAt,
+    ...makeStateOptions({
+      scan,
+      importKinds,
+      resolvePackages,
+      conditions,
+      followExternal,
+      customHooks,
+    }),
+  },
+});
+
+/* recoverFromFailure */
+
+/**
+ * Recovers from a failure in `continueOnError` mode by recording its errors in `errors` and returning the results the recursion goes on with, skipping the subtree of the file path that failed, or bubbles up the failure otherwise, recording in `failureControl` that the traversal failed. (Failures on invalid options always bubble up, since the recursion cannot go on without valid options.)
+ * @param {{success: false; errors: FindAllImportsError[]}} failureResults The failure object being recovered from.
+ * @param {Object} settings The required settings as follows:
+ * @param {FindAllImportsError[]} settings.errors The array of the errors recorded instead of failing in `continueOnError` mode.
+ * @param {boolean} settings.continueOnError Whether the failures met on file paths are recorded in `errors` instead of making the recursion fail.
+ * @param {FailureControl} settings.failureControl The object shared by all the rounds of the traversal, tracking whether one of them failed.
+ * @param {Object} recoveredResults The results returned instead of the failure when it is recovered from.
+ * @returns The recovered results in `continueOnError` mode, or the failure object otherwise.
+ */
+export const recoverFromFailure = (
+  failureResults,
+  { errors, continueOnError, failureControl },
+  recoveredResults
+) => {
+  if (
+    continueOnError !== true ||
+    failureResults.errors.some(
+      (error) => error.code === errorCodes.INVALID_OPTION
+    )
+  ) {
+    failureControl.failed = true;
+    return failureResults;
+  }
+
+  errors.push(...failureResults.errors);
+  return recoveredResults;
+};
+
+/* makeAggregateError */
+
+/**
+ * Makes the error thrown for a failure by the functions that cannot return it, such as the generators consumed with `for...of` and `for await...of`.
+ * @param {{success: false; errors: FindAllImportsError[]}} failureResults The failure object being thrown.
+ * @returns An AggregateError with the errors of the failure (`errors`) and their messages as its message.
+ */
+export const makeAggregateError = (failureResults) =>
+  new AggregateError(
+    failureResults.errors,
+    failureResults.errors.map((error) => error.message).join("\n")
+  );
+
+/* validateOptions */
 
 /**
  * Makes a standardized string for `typeof` errors, `instanceof` errors and the likes.
@@ -39,39 +250,260 @@ const makeIsSupposedToBe = (paramName, paramKind) =>
   `${paramName} is supposed to be ${paramKind}.`;
 
 /**
- * Validates filePath and options in `findAllImports` functions, both structurally and functionally.
- * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ * Validates the settings of a traversal structurally, once at the start of the traversal rather than on every round of its recursion.
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @returns A `{success: true}` object if the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
  */
-export const validateFilePathAndOptions = (
-  filePath,
-  { cwd, visitedSet, depth, maxDepth }
-) => {
-  // Begins with roughly validating filePath and options.
-  if (typeof filePath !== "string")
-    return makeSuccessFalseTypeError(
-      `ERROR. ${makeIsSupposedToBe("filePath", "a string")}`
-    );
+export const validateOptions = ({
+  cwd,
+  visitedSet,
+  graph,
+  unresolved,
+  external,
+  cycles,
+  fileImports,
+  errors,
+  packages,
+  depths,
+  shortestChains,
+  stack,
+  depth,
+  maxDepth,
+  scan,
+  importKinds,
+  strict,
+  detectCycles,
+  failOnCycle,
+  continueOnError,
+  include,
+  exclude,
+  shouldTraverse,
+  keepExcludedAsLeaves,
+  handlers,
+  resolve,
+  resolvePackages,
+  conditions,
+  followExternal,
+  extractImports,
+  cache,
+  startedAt,
+  failureControl,
+}) => {
+  // Begins with roughly validating options.
   if (typeof cwd !== "string")
     return makeSuccessFalseTypeError(
-      `ERROR. ${makeIsSupposedToBe("cwd", "a string")}`
+      `ERROR. ${makeIsSupposedToBe("cwd", "a string")}`,
+      { code: errorCodes.INVALID_OPTION }
     );
   if (visitedSet instanceof Set === false)
     return makeSuccessFalseTypeError(
-      `ERROR. ${makeIsSupposedToBe("visitedSet", "a Set")}`
+      `ERROR. ${makeIsSupposedToBe("visitedSet", "a Set")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Array.isArray(graph))
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("graph", "an array")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Array.isArray(unresolved))
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("unresolved", "an array")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (external instanceof Set === false)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("external", "a Set")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Array.isArray(cycles))
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("cycles", "an array")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (fileImports instanceof Map === false)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("fileImports", "a Map")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Array.isArray(errors))
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("errors", "an array")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (packages instanceof Map === false)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("packages", "a Map")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (depths instanceof Map === false)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("depths", "a Map")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (shortestChains instanceof Map === false)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("shortestChains", "a Map")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (!Array.isArray(stack))
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("stack", "an array")}`,
+      { code: errorCodes.INVALID_OPTION }
     );
   if (typeof depth !== "number")
     return makeSuccessFalseTypeError(
-      `ERROR. ${makeIsSupposedToBe("depth", "a number")}`
+      `ERROR. ${makeIsSupposedToBe("depth", "a number")}`,
+      { code: errorCodes.INVALID_OPTION }
     );
   if (typeof maxDepth !== "number")
     return makeSuccessFalseTypeError(
-      `ERROR. ${makeIsSupposedToBe("maxDepth", "a number")}`
+      `ERROR. ${makeIsSupposedToBe("maxDepth", "a number")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (scan !== "top-level" && scan !== "deep")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("scan", '"top-level" or "deep"')}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    importKinds !== "value" &&
+    importKinds !== "type" &&
+    importKinds !== "all"
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("importKinds", '"value", "type" or "all"')}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof strict !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("strict", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof detectCycles !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("detectCycles", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof failOnCycle !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("failOnCycle", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof continueOnError !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("continueOnError", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    !Array.isArray(include) ||
+    include.some((pattern) => typeof pattern !== "string")
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("include", "an array of strings")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    !Array.isArray(exclude) ||
+    exclude.some((pattern) => typeof pattern !== "string")
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("exclude", "an array of strings")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (shouldTraverse !== null && typeof shouldTraverse !== "function")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("shouldTraverse", "a function or null")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof keepExcludedAsLeaves !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("keepExcludedAsLeaves", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof resolvePackages !== "boolean")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("resolvePackages", "a boolean")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    !Array.isArray(conditions) ||
+    conditions.some((condition) => typeof condition !== "string")
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("conditions", "an array of strings")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    followExternal !== "none" &&
+    followExternal !== "package" &&
+    followExternal !== "deep"
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe(
+        "followExternal",
+        '"none", "package" or "deep"'
+      )}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (resolve !== null && typeof resolve !== "function")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("resolve", "a function or null")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (extractImports !== null && typeof extractImports !== "function")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("extractImports", "a function or null")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    typeof handlers !== "object" ||
+    handlers === null ||
+    Object.entries(handlers).some(
+      ([extension, handler]) =>
+        !extension.startsWith(".") ||
+        (handler !== null &&
+          (typeof handler !== "object" ||
+            (typeof handler.getScript !== "function" &&
+              typeof handler.getImports !== "function")))
+    )
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe(
+        "handlers",
+        "an object mapping file extensions starting with a dot to null or to objects with a getScript or a getImports function"
+      )}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    typeof cache !== "object" ||
+    cache === null ||
+    cache.tsconfigPaths instanceof Map === false ||
+    cache.resolvedPaths instanceof Map === false ||
+    cache.sourceCodes instanceof Map === false ||
+    cache.packageJsons instanceof Map === false ||
+    cache.workspacePackages instanceof Map === false ||
+    cache.fileHashes instanceof Map === false
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("cache", "an object made with makeCache")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof startedAt !== "number")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("startedAt", "a number")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (
+    !failureControl ||
+    typeof failureControl !== "object" ||
+    typeof failureControl.failed !== "boolean"
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe(
+        "failureControl",
+        "an object with a boolean failed property"
+      )}`,
+      { code: errorCodes.INVALID_OPTION }
     );
 
   // Then validates visitedSet with zod.
@@ -83,173 +515,2656 @@ export const validateFilePathAndOptions = (
         {
           ...typeError,
           message: "ERROR. Config data could not pass validation from zod.",
+          code: errorCodes.INVALID_OPTION,
         },
         ...visitedSetResults.error.issues.map((e) => ({
           ...typeError,
           message: e.message,
+          code: errorCodes.INVALID_OPTION,
         })),
       ],
     };
   }
 
-  // Fails early if max depth is recursively reached.
-  if (depth > maxDepth)
+  return successTrue;
+};
+
+/**
+ * Validates filePath and the settings of a traversal from a single file path structurally, once at the start of the traversal.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {TraversalSettings} settings The settings of the traversal, made from its options with `makeTraversalSettings`.
+ * @returns A `{success: true}` object if filePath and the settings are valid, or a `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const validateFilePathAndOptions = (filePath, settings) => {
+  if (typeof filePath !== "string")
     return makeSuccessFalseTypeError(
-      `ERROR. Max depth ${maxDepth} reached at ${filePath}.`
+      `ERROR. ${makeIsSupposedToBe("filePath", "a string")}`,
+      { code: errorCodes.INVALID_OPTION }
     );
 
-  // Fails early if no file is found.
-  if (!fs.existsSync(filePath))
-    return makeSuccessFalseTypeError(`ERROR. File not found at ${filePath}.`);
+  return validateOptions(settings);
+};
 
-  // Parses the file's source code AST.
-  const sourceCode = getSourceCodeFromFilePath(filePath);
-  // Fails early if there is no AST.
-  if (!sourceCode?.ast)
-    return makeSuccessFalseTypeError(
-      `ERROR. Failed to parse AST for ${filePath} somehow.`
-    );
+/* parseSourceText */
 
-  return {
-    ...successTrue,
-    filePath,
-    cwd,
-    visitedSet: visitedSetResults.data,
-    depth,
-    maxDepth,
-    sourceCode,
-  };
+/**
+ * Parses a source text into its SourceCode object with the same language options as `get-sourcecode-from-file-path`.
+ * @param {string} sourceText The JavaScript or TypeScript source text being parsed.
+ * @returns The SourceCode object of the source text.
+ */
+const parseSourceText = (sourceText) => {
+  const linter = new Linter();
+  linter.verify(sourceText, { languageOptions: typeScriptAndJSXCompatible });
+  return linter.getSourceCode();
 };
 
-/* validateCallbackConfig */
+/* getScriptWithHandler */
 
 /**
- * Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown.
- * @param {unknown} callbackConfig The configuration of a callback function provided to a `findAllImports` function, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
- * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ * Gets the JavaScript or TypeScript source text embedded in a file with the `getScript` function of its handler, turning a throwing or invalid handler into a failure.
+ * @param {string} filePath The absolute path of the file whose script is being retrieved.
+ * @param {string} sourceText The text of the file.
+ * @param {NonNullable<FileHandler["getScript"]>} getScript The function of the file's handler getting its script.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @returns The script of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return a string.
  */
-export const validateCallbackConfig = (callbackConfig) => {
-  // Begins by checking the integrity of callbackConfig.
-  if (
-    !callbackConfig ||
-    typeof callbackConfig !== "object" ||
-    Array.isArray(callbackConfig)
-  )
+const getScriptWithHandler = (
+  filePath,
+  sourceText,
+  getScript,
+  errorLocation
+) => {
+  let script;
+  try {
+    script = getScript(sourceText, filePath);
+  } catch (e) {
     return makeSuccessFalseTypeError(
-      "ERROR. Invalid callbackConfig format. The callbackConfig should be an object."
+      `ERROR. Handler error in ${filePath}. \nError: \n${e}`,
+      { code: errorCodes.HANDLER_FAILED, ...errorLocation }
     );
-
-  // Ensures callbackConfig.callback is a function.
-  const callback = /** @type {unknown} */ (callbackConfig.callback);
-  if (typeof callback !== "function")
+  }
+  if (typeof script !== "string")
     return makeSuccessFalseTypeError(
-      "ERROR. Invalid callbackConfig.callback format. The callbackConfig.callback should be a function."
+      `ERROR. The getScript handler of ${filePath} is supposed to return a string.`,
+      { code: errorCodes.HANDLER_FAILED, ...errorLocation }
     );
 
-  // Ascertains callbackConfig.accumulator to be unknown.
-  const accumulator = /** @type {unknown} */ (callbackConfig.accumulator);
-
-  // Returns callbackConfig with validated and typed properties. (Even though these won't be used within the functions in order to benefit fom the preexisting JSDoc.)
-  return {
-    ...successTrue,
-    callbackConfig: {
-      callback,
-      accumulator,
-    },
-  };
+  return { ...successTrue, script };
 };
 
-/* updateVisitedSet */
+/* getSourceCode */
 
 /**
- * Updates visitedSet with the current filePath once all validations have been successful, thus including it in the list of the original file path and all of its recursive imports.
- * @param {Set<string>} visitedSet The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @returns
+ * Gets the SourceCode object of a file from the cache, only parsing the file again when it isn't cached yet or when it has been modified since it was cached.
+ * @param {string} filePath The absolute path of the file whose SourceCode object is being retrieved.
+ * @param {FindAllImportsCache["sourceCodes"]} sourceCodes The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files and the getScript handler they were parsed with.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @param {FileHandler["getScript"]} [getScript] The function of the file's handler getting the script embedded in it, such as the `<script>` blocks of a Vue or Svelte component, parsed instead of the whole file when provided.
+ * @returns The SourceCode object of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the file is not found or could not be parsed.
  */
-export const updateVisitedSet = (visitedSet, filePath) => {
-  visitedSet.add(filePath);
+export const getSourceCode = (
+  filePath,
+  sourceCodes,
+  errorLocation,
+  getScript
+) => {
+  // Fails early if no file is found.
+  if (!fs.existsSync(filePath))
+    return makeSuccessFalseTypeError(`ERROR. File not found at ${filePath}.`, {
+      code: errorCodes.FILE_NOT_FOUND,
+      ...errorLocation,
+    });
+
+  const { mtimeMs } = fs.statSync(filePath);
+
+  // Returns the cached SourceCode object if the file hasn't changed since and if it was parsed with the same getScript handler, since a cache shared across calls may have been filled with other handlers.
+  const cached = sourceCodes.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.getScript === getScript)
+    return { ...successTrue, sourceCode: cached.sourceCode };
+
+  // Otherwise parses the file's source code AST, or that of its script when it has a getScript handler.
+  let sourceCode;
+  if (getScript) {
+    const getScriptResults = getScriptWithHandler(
+      filePath,
+      fs.readFileSync(filePath, "utf8"),
+      getScript,
+      errorLocation
+    );
+    if (!getScriptResults.success) return getScriptResults;
+    sourceCode = parseSourceText(getScriptResults.script);
+  } else
+    sourceCode = getSourceCodeFromFilePath(filePath, {
+      languageOptions: typeScriptAndJSXCompatible,
+    });
+  // Fails early if there is no AST.
+  if (!sourceCode?.ast)
+    return makeSuccessFalseTypeError(
+      `ERROR. Failed to parse AST for ${filePath} somehow.`,
+      { code: errorCodes.PARSE_FAILED, ...errorLocation }
+    );
+
+  // Caches the SourceCode object along with the modification time of its file and the getScript handler it was parsed with.
+  sourceCodes.set(filePath, { mtimeMs, getScript, sourceCode });
+  return { ...successTrue, sourceCode };
 };
 
-/* makeProcessImportSettings */
+/* getSourceCodeAsync */
 
 /**
- * Makes the settings of the next round of `processImport`.
- * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {Object} settings The required settings as follows:
- * @param {string} settings.cwd The current working directory.
- * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
- * @param {number} settings.depth The current depth of the recursion.
- * @param {number} settings.maxDepth The maximum depth allowed for the recursion.
- * @returns The settings object of the next round of `processImport`.
+ * Gets the SourceCode object of a file from the cache like `getSourceCode`, but reading the file asynchronously so that several files can be read at the same time.
+ * @param {string} filePath The absolute path of the file whose SourceCode object is being retrieved.
+ * @param {FindAllImportsCache["sourceCodes"]} sourceCodes The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files and the getScript handler they were parsed with.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @param {FileHandler["getScript"]} [getScript] The function of the file's handler getting the script embedded in it, such as the `<script>` blocks of a Vue or Svelte component, parsed instead of the whole file when provided.
+ * @returns The SourceCode object of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the file is not found or could not be parsed.
  */
-export const makeProcessImportSettings = (
+export const getSourceCodeAsync = async (
   filePath,
-  { cwd, visitedSet, depth, maxDepth }
-) => ({
-  currentDir: path.dirname(filePath),
-  cwd,
-  visitedSet,
-  depth,
-  maxDepth,
-});
-
-/* makeFindAllImportsOptions */
+  sourceCodes,
+  errorLocation,
+  getScript
+) => {
+  // Fails early if no file is found.
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = await fs.promises.stat(filePath));
+  } catch {
+    return makeSuccessFalseTypeError(`ERROR. File not found at ${filePath}.`, {
+      code: errorCodes.FILE_NOT_FOUND,
+      ...errorLocation,
+    });
+  }
 
-/**
- * Makes the options of the next round of `findAllImports`. (Given that they are required, they are no longer "options" per se and are therefore considered here as "settings".)
- * @param {Object} settings The required settings as follows:
- * @param {string} settings.currentDir The directory containing the import path currently being addressed.
- * @param {string} settings.cwd The current working directory.
- * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
- * @param {number} settings.depth The current depth of the recursion.
- * @param {number} settings.maxDepth The maximum depth allowed for the recursion.
- * @returns The options object of the next round of `findAllImports`.
- */
-export const makeFindAllImportsOptions = ({
-  cwd,
-  visitedSet,
-  depth,
-  maxDepth,
-}) => ({
-  cwd,
-  visitedSet,
-  depth: depth + 1,
-  maxDepth,
-});
+  // Returns the cached SourceCode object if the file hasn't changed since and if it was parsed with the same getScript handler, since a cache shared across calls may have been filled with other handlers.
+  const cached = sourceCodes.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.getScript === getScript)
+    return { ...successTrue, sourceCode: cached.sourceCode };
 
-/* visitedSetHasPreviousVisit */
+  // Otherwise reads the file and parses its source code AST, or that of its script when it has a getScript handler.
+  let text = await fs.promises.readFile(filePath, "utf8");
+  if (getScript) {
+    const getScriptResults = getScriptWithHandler(
+      filePath,
+      text,
+      getScript,
+      errorLocation
+    );
+    if (!getScriptResults.success) return getScriptResults;
+    text = getScriptResults.script;
+  }
+  const sourceCode = parseSourceText(text);
+  // Fails early if there is no AST.
+  if (!sourceCode?.ast)
+    return makeSuccessFalseTypeError(
+      `ERROR. Failed to parse AST for ${filePath} somehow.`,
+      { code: errorCodes.PARSE_FAILED, ...errorLocation }
+    );
 
-/**
- * Tells if the current file path has already been visited within the current recursion.
- * @param {Set<string>} visitedSet The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @returns `true` if the file path has been visited before, `false` if it hasn't.
- */
-export const visitedSetHasPreviousVisit = (visitedSet, filePath) =>
-  visitedSet.has(filePath);
+  // Caches the SourceCode object along with the modification time of its file and the getScript handler it was parsed with.
+  sourceCodes.set(filePath, { mtimeMs, getScript, sourceCode });
+  return { ...successTrue, sourceCode };
+};
 
-/* nodeIsImportDeclaration */
+/* getFileHandler */
 
 /**
- * Tells if the node being walked through corresponds to an ES Module import.
- * @param {ASTBodyNode} node The current node of the current file path's AST (Abstract Syntax Tree).
- * @returns `true` if the node is an `import`, `false` if it isn't.
+ * Gets the handler of a file from its extension, the handlers provided taking precedence over the built-in ones.
+ * @param {string} filePath The absolute path of the file whose handler is being retrieved.
+ * @param {FileHandlers} handlers The map of file extensions to the handlers provided.
+ * @returns The handler of the file, `null` for assets, or `undefined` when the file has no handler and is parsed as JavaScript or TypeScript.
  */
-export const nodeIsImportDeclaration = (node) =>
-  node.type === "ImportDeclaration";
+export const getFileHandler = (filePath, handlers) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.hasOwn(handlers, extension)
+    ? handlers[extension]
+    : defaultHandlers[extension];
+};
 
-/* nodeIsImportExpression */
+/* getLocationAtIndex */
 
 /**
- * Tells if the node being walked through corresponds to a dynamic import.
- * @param {ASTBodyNode} node The current node of the current file path's AST (Abstract Syntax Tree).
- * @returns `true` if the node is an `import()`, `false` if it isn't.
+ * Gets the line and column of a character in a source text, with lines starting at 1 and columns at 0 like in ASTs.
+ * @param {string} sourceText The source text the character belongs to.
+ * @param {number} index The index of the character in the source text.
+ * @returns The position of the character, with its line (`line`) and column (`column`).
  */
-export const nodeIsImportExpression = (node) =>
-  node.type === "ImportExpression";
+const getLocationAtIndex = (sourceText, index) => {
+  const lines = sourceText.slice(0, index).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length };
+};
 
-/* nodeIsRequireCall */
+/* getHandledImports */
+
+/**
+ * Gets the imports of a file with the `getImports` function of its handler, locating each import path in the file's text in order.
+ * @param {string} filePath The absolute path of the file whose imports are being retrieved.
+ * @param {string} sourceText The text of the file.
+ * @param {NonNullable<FileHandler["getImports"]>} getImports The function of the file's handler getting its import paths.
+ * @param {ImportKindsMode} importKinds The kinds of imports kept, the import paths of handlers always being static value imports.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @returns The imports of the file in a success object (`success: true`), or a `{success: false}` object along with its errors when the handler throws or doesn't return an array of strings.
+ */
+const getHandledImports = (
+  filePath,
+  sourceText,
+  getImports,
+  importKinds,
+  errorLocation
+) => {
+  let specifiers;
+  try {
+    specifiers = getImports(sourceText, filePath);
+  } catch (e) {
+    return makeSuccessFalseTypeError(
+      `ERROR. Handler error in ${filePath}. \nError: \n${e}`,
+      { code: errorCodes.HANDLER_FAILED, ...errorLocation }
+    );
+  }
+  if (
+    !Array.isArray(specifiers) ||
+    specifiers.some((specifier) => typeof specifier !== "string")
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. The getImports handler of ${filePath} is supposed to return an array of strings.`,
+      { code: errorCodes.HANDLER_FAILED, ...errorLocation }
+    );
+
+  // Locates each import path after the previous one, at the start of the file when it can't be found.
+  let fromIndex = 0;
+  /** @type {ExtractedImport[]} */
+  const handledImports = specifiers.map((specifier) => {
+    const index = sourceText.indexOf(specifier, fromIndex);
+    const start = index === -1 ? 0 : index;
+    if (index !== -1) fromIndex = index + specifier.length;
+    return {
+      specifier,
+      kind: "static",
+      typeOnly: false,
+      names: [],
+      loc: {
+        start: getLocationAtIndex(sourceText, start),
+        end: getLocationAtIndex(
+          sourceText,
+          index === -1 ? start : start + specifier.length
+        ),
+      },
+    };
+  });
+
+  return {
+    ...successTrue,
+    handledImports: handledImports.filter((handledImport) =>
+      importIsOfKinds(handledImport, importKinds)
+    ),
+  };
+};
+
+/* getFileSource */
+
+/**
+ * Gets what the imports of a file are found from depending on its handler: its SourceCode object for JavaScript and TypeScript files and for the files whose handler gets their script, or its imports directly for assets and for the files whose handler gets their import paths.
+ * @param {string} filePath The absolute path of the file being read.
+ * @param {Object} settings The required settings as follows:
+ * @param {FileHandlers} settings.handlers The map of file extensions to the handlers provided.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {FindAllImportsCache["sourceCodes"]} settings.sourceCodes The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @returns A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.
+ */
+export const getFileSource = (
+  filePath,
+  { handlers, importKinds, sourceCodes },
+  errorLocation
+) => {
+  const handler = getFileHandler(filePath, handlers);
+
+  // Parses JavaScript and TypeScript files, along with the files whose handler gets their script.
+  if (handler === undefined || handler?.getScript) {
+    const getSourceCodeResults = getSourceCode(
+      filePath,
+      sourceCodes,
+      errorLocation,
+      handler?.getScript
+    );
+    if (!getSourceCodeResults.success) return getSourceCodeResults;
+
+    return {
+      ...successTrue,
+      sourceCode: getSourceCodeResults.sourceCode,
+      handledImports: null,
+    };
+  }
+
+  // Fails early if no file is found.
+  if (!fs.existsSync(filePath))
+    return makeSuccessFalseTypeError(`ERROR. File not found at ${filePath}.`, {
+      code: errorCodes.FILE_NOT_FOUND,
+      ...errorLocation,
+    });
+
+  // Records assets as leaves, without reading them.
+  if (handler === null || !handler.getImports)
+    return { ...successTrue, sourceCode: null, handledImports: [] };
+
+  // Otherwise gets the imports of the file with its handler.
+  const getHandledImportsResults = getHandledImports(
+    filePath,
+    fs.readFileSync(filePath, "utf8"),
+    handler.getImports,
+    importKinds,
+    errorLocation
+  );
+  if (!getHandledImportsResults.success) return getHandledImportsResults;
+
+  return {
+    ...successTrue,
+    sourceCode: null,
+    handledImports: getHandledImportsResults.handledImports,
+  };
+};
+
+/* getFileSourceAsync */
+
+/**
+ * Gets what the imports of a file are found from like `getFileSource`, but reading the file asynchronously so that several files can be read at the same time.
+ * @param {string} filePath The absolute path of the file being read.
+ * @param {Object} settings The required settings as follows:
+ * @param {FileHandlers} settings.handlers The map of file extensions to the handlers provided.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {FindAllImportsCache["sourceCodes"]} settings.sourceCodes The map of the SourceCode objects already parsed, keyed by file path along with the modification time of their files.
+ * @param {ErrorLocation} errorLocation The location of the file path within the traversal, added to the errors.
+ * @returns A success object (`success: true`) with the SourceCode object of the file (`sourceCode`), `null` when it has none, and the imports found by its handler (`handledImports`), `null` when they are to be extracted from its SourceCode object; or a `{success: false}` object along with its errors when the file is not found, could not be parsed or its handler fails.
+ */
+export const getFileSourceAsync = async (
+  filePath,
+  { handlers, importKinds, sourceCodes },
+  errorLocation
+) => {
+  const handler = getFileHandler(filePath, handlers);
+
+  // Parses JavaScript and TypeScript files, along with the files whose handler gets their script.
+  if (handler === undefined || handler?.getScript) {
+    const getSourceCodeResults = await getSourceCodeAsync(
+      filePath,
+      sourceCodes,
+      errorLocation,
+      handler?.getScript
+    );
+    if (!getSourceCodeResults.success) return getSourceCodeResults;
+
+    return {
+      ...successTrue,
+      sourceCode: getSourceCodeResults.sourceCode,
+      handledImports: null,
+    };
+  }
+
+  // Fails early if no file is found.
+  try {
+    await fs.promises.access(filePath);
+  } catch {
+    return makeSuccessFalseTypeError(`ERROR. File not found at ${filePath}.`, {
+      code: errorCodes.FILE_NOT_FOUND,
+      ...errorLocation,
+    });
+  }
+
+  // Records assets as leaves, without reading them.
+  if (handler === null || !handler.getImports)
+    return { ...successTrue, sourceCode: null, handledImports: [] };
+
+  // Otherwise gets the imports of the file with its handler.
+  const getHandledImportsResults = getHandledImports(
+    filePath,
+    await fs.promises.readFile(filePath, "utf8"),
+    handler.getImports,
+    importKinds,
+    errorLocation
+  );
+  if (!getHandledImportsResults.success) return getHandledImportsResults;
+
+  return {
+    ...successTrue,
+    sourceCode: null,
+    handledImports: getHandledImportsResults.handledImports,
+  };
+};
+
+/* validateConcurrencyOptions */
+
+/**
+ * Validates the options specific to the concurrency of `findAllImportsWithCallbackAsync`.
+ * @param {Object} options The concurrency options as follows:
+ * @param {number} options.concurrency The maximum number of files read and of callbacks running at the same time, files being parsed on the main thread.
+ * @param {Limiter} options.limiter The function running the tasks of the traversal within the concurrency limit.
+ * @returns A `{success: true}` object if the concurrency options are valid, or a `{success: false}` object along with its errors when an issue is encountered.
+ */
+export const validateConcurrencyOptions = ({ concurrency, limiter }) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1)
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("concurrency", "a positive integer")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof limiter !== "function")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("limiter", "a function")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  return successTrue;
+};
+
+/* validateCallbackControl */
+
+/**
+ * Validates the callbackControl option of `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`, ensuring that it is an object whose property `stopped` is a boolean.
+ * @param {CallbackControl} callbackControl The object tracking whether the callback stopped the traversal.
+ * @returns A `{success: true}` object if callbackControl is valid, or a `{success: false}` object along with its errors when an issue is encountered.
+ */
+export const validateCallbackControl = (callbackControl) => {
+  if (
+    !callbackControl ||
+    typeof callbackControl !== "object" ||
+    typeof callbackControl.stopped !== "boolean"
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe(
+        "callbackControl",
+        "an object with a boolean stopped property"
+      )}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  return successTrue;
+};
+
+/* resolveEntries */
+
+/**
+ * Resolves the entries passed to `findAllImportsFromEntries` into absolute file paths, expanding those that are glob patterns.
+ * @param {unknown} entries The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute.
+ * @param {string} cwd The current working directory.
+ * @returns The deduplicated array of the absolute file paths of the entries in a success object (`success: true`), or a `{success: false}` object along with its errors when an issue is encountered.
+ */
+export const resolveEntries = (entries, cwd) => {
+  // Accepts a single entry as an array of one entry.
+  const entriesArray = typeof entries === "string" ? [entries] : entries;
+
+  // Begins with roughly validating entries and cwd.
+  if (
+    !Array.isArray(entriesArray) ||
+    entriesArray.some((entry) => typeof entry !== "string")
+  )
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe(
+        "entries",
+        "a string or an array of strings"
+      )}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+  if (typeof cwd !== "string")
+    return makeSuccessFalseTypeError(
+      `ERROR. ${makeIsSupposedToBe("cwd", "a string")}`,
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  // Expands glob patterns in order, and resolves plain file paths as is so that missing files are still reported by findAllImports.
+  /** @type {Set<string>} */
+  const entryPaths = new Set();
+  for (const entry of entriesArray) {
+    if (isDynamicPattern(entry)) {
+      for (const match of globSync(entry, { cwd, absolute: true }).sort())
+        entryPaths.add(path.normalize(match));
+    } else {
+      entryPaths.add(path.resolve(cwd, entry));
+    }
+  }
+
+  // Fails early if no entry is found at all.
+  if (entryPaths.size === 0)
+    return makeSuccessFalseTypeError(
+      `ERROR. No entry found for ${entriesArray.join(", ")}.`,
+      { code: errorCodes.NO_ENTRY_FOUND }
+    );
+
+  return { ...successTrue, entryPaths: [...entryPaths] };
+};
+
+/* validateCallbackConfig */
+
+/**
+ * Validates the callbackConfig passed, ensures that it is an object, that its property `callback` is a function, and ascertains that its property `accumulator` is unknown.
+ * @param {unknown} callbackConfig The configuration of a callback function provided to a `findAllImports` function, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const validateCallbackConfig = (callbackConfig) => {
+  // Begins by checking the integrity of callbackConfig.
+  if (
+    !callbackConfig ||
+    typeof callbackConfig !== "object" ||
+    Array.isArray(callbackConfig)
+  )
+    return makeSuccessFalseTypeError(
+      "ERROR. Invalid callbackConfig format. The callbackConfig should be an object.",
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  // Ensures callbackConfig.callback is a function.
+  const callback = /** @type {unknown} */ (callbackConfig.callback);
+  if (typeof callback !== "function")
+    return makeSuccessFalseTypeError(
+      "ERROR. Invalid callbackConfig.callback format. The callbackConfig.callback should be a function.",
+      { code: errorCodes.INVALID_OPTION }
+    );
+
+  // Ascertains callbackConfig.accumulator to be unknown.
+  const accumulator = /** @type {unknown} */ (callbackConfig.accumulator);
+
+  // Returns callbackConfig with validated and typed properties. (Even though these won't be used within the functions in order to benefit fom the preexisting JSDoc.)
+  return {
+    ...successTrue,
+    callbackConfig: {
+      callback,
+      accumulator,
+    },
+  };
+};
+
+/* getCallbackResults */
+
+/**
+ * Runs the callback of a synchronous callbackConfig on a file found by the traversal if it has a SourceCode object, turning a throwing callback into a failure.
+ * @param {{file: WalkedFile; errorLocation: ErrorLocation}} fileEffect The file found (`file`) along with its location within the traversal (`errorLocation`), added to the errors.
+ * @param {SynchronousCallbackConfig} callbackConfig The configuration of the callback, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
+ * @returns What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws.
+ */
+export const getCallbackResults = ({ file, errorLocation }, callbackConfig) => {
+  const { filePath, sourceCode, imports } = file;
+
+  // Returns early for the files without a SourceCode object, which the callback doesn't run on.
+  if (!sourceCode) return successTrue;
+
+  try {
+    return {
+      ...successTrue,
+      action: callbackConfig.callback(
+        filePath,
+        sourceCode,
+        callbackConfig.accumulator,
+        imports
+      ),
+    };
+  } catch (e) {
+    return makeSuccessFalseTypeError(
+      `ERROR. Callback error in ${filePath}. \nError: \n${e}`,
+      { code: errorCodes.CALLBACK_THREW, ...errorLocation }
+    );
+  }
+};
+
+/* getCallbackResultsAsync */
+
+/**
+ * Runs the callback of an asynchronous callbackConfig on a file found by the traversal like `getCallbackResults`, but within the concurrency limit.
+ * @param {{file: WalkedFile; errorLocation: ErrorLocation}} fileEffect The file found (`file`) along with its location within the traversal (`errorLocation`), added to the errors.
+ * @param {AsynchronousCallbackConfig} callbackConfig The configuration of the callback, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties.
+ * @param {Limiter} limiter The function running the callbacks of the whole traversal within the concurrency limit.
+ * @returns What the callback returned (`action`) in a success object (`success: true`), or a `{success: false}` object along with its errors when the callback throws or rejects.
+ */
+export const getCallbackResultsAsync = async (
+  { file, errorLocation },
+  callbackConfig,
+  limiter
+) => {
+  const { filePath, sourceCode, imports } = file;
+
+  // Returns early for the files without a SourceCode object, which the callback doesn't run on.
+  if (!sourceCode) return successTrue;
+
+  try {
+    return {
+      ...successTrue,
+      action: await limiter(() =>
+        callbackConfig.callback(
+          filePath,
+          sourceCode,
+          callbackConfig.accumulator,
+          imports
+        )
+      ),
+    };
+  } catch (e) {
+    return makeSuccessFalseTypeError(
+      `ERROR. Callback error in ${filePath}. \nError: \n${e}`,
+      { code: errorCodes.CALLBACK_THREW, ...errorLocation }
+    );
+  }
+};
+
+/* readPackageJson */
+
+/**
+ * Reads and parses a package.json file once through the cache.
+ * @param {string} packageJsonPath The absolute path of the package.json file.
+ * @param {FindAllImportsCache} cache The cache of the traversal, with its map of the package.json files already read.
+ * @returns The parsed package.json file, or `null` when it doesn't exist or can't be parsed.
+ */
+const readPackageJson = (packageJsonPath, cache) => {
+  if (!cache.packageJsons.has(packageJsonPath)) {
+    let packageJson = null;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    } catch {
+      // A missing or invalid package.json file is cached as null.
+    }
+    cache.packageJsons.set(packageJsonPath, packageJson);
+  }
+
+  return cache.packageJsons.get(packageJsonPath) ?? null;
+};
+
+/* resolvePackageTarget */
+
+/**
+ * Resolves a target of the `exports` or `imports` field of a package.json file against the conditions like Node.js does: strings are taken with their `*` replaced by the matched pattern, arrays are tried in order, and objects are matched key by key in order against `"default"` and the conditions.
+ * @param {unknown} target The target being resolved.
+ * @param {string | undefined} patternMatch The part of the subpath matched by the `*` of the key of the target, `undefined` for exact keys.
+ * @param {string[]} conditions The conditions matched by conditional targets along with `"default"`.
+ * @returns The path of the target relative to its package, or the bare specifier it maps to, `null` when no target matches.
+ */
+const resolvePackageTarget = (target, patternMatch, conditions) => {
+  if (typeof target === "string")
+    return patternMatch === undefined
+      ? target
+      : target.replaceAll("*", patternMatch);
+
+  // Tries the targets of arrays in order.
+  if (Array.isArray(target)) {
+    for (const fallback of target) {
+      const resolvedTarget = resolvePackageTarget(
+        fallback,
+        patternMatch,
+        conditions
+      );
+      if (resolvedTarget !== null) return resolvedTarget;
+    }
+    return null;
+  }
+
+  // Matches the keys of conditional targets in order.
+  if (typeof target === "object" && target !== null)
+    for (const [condition, conditionalTarget] of Object.entries(target))
+      if (condition === "default" || conditions.includes(condition)) {
+        const resolvedTarget = resolvePackageTarget(
+          conditionalTarget,
+          patternMatch,
+          conditions
+        );
+        if (resolvedTarget !== null) return resolvedTarget;
+      }
+
+  return null;
+};
+
+/* matchPackageField */
+
+/**
+ * Matches a subpath, such as `"."`, `"./utils"` or `"#internal/utils"`, against the keys of the `exports` or `imports` field of a package.json file, exact keys first and then `*` patterns, the one with the longest prefix winning.
+ * @param {Record<string, unknown>} field The `exports` or `imports` field, keyed by subpath.
+ * @param {string} subpath The subpath being matched.
+ * @param {string[]} conditions The conditions matched by conditional targets along with `"default"`.
+ * @returns The path of the target relative to its package, or the bare specifier it maps to, `null` when no key matches.
+ */
+const matchPackageField = (field, subpath, conditions) => {
+  if (Object.hasOwn(field, subpath) && !subpath.includes("*"))
+    return resolvePackageTarget(field[subpath], undefined, conditions);
+
+  /** @type {{ key: string; prefix: string; patternMatch: string } | undefined} */
+  let bestMatch;
+  for (const key of Object.keys(field)) {
+    const starIndex = key.indexOf("*");
+    if (starIndex === -1) continue;
+
+    const prefix = key.slice(0, starIndex);
+    const suffix = key.slice(starIndex + 1);
+    if (
+      subpath.length >= key.length &&
+      subpath.startsWith(prefix) &&
+      subpath.endsWith(suffix) &&
+      (!bestMatch || prefix.length > bestMatch.prefix.length)
+    )
+      bestMatch = {
+        key,
+        prefix,
+        patternMatch: subpath.slice(
+          prefix.length,
+          subpath.length - suffix.length
+        ),
+      };
+  }
+
+  return bestMatch
+    ? resolvePackageTarget(
+        field[bestMatch.key],
+        bestMatch.patternMatch,
+        conditions
+      )
+    : null;
+};
+
+/* getNodeModulesPackageRoot */
+
+/**
+ * Gets the root directory of the package installed in node_modules that a directory belongs to, scoped or not.
+ * @param {string} dir The directory being checked.
+ * @returns The root directory of the package, or `undefined` when the directory isn't in node_modules.
+ */
+const getNodeModulesPackageRoot = (dir) => {
+  const segments = dir.split(path.sep);
+  const index = segments.lastIndexOf("node_modules");
+  if (index === -1 || index === segments.length - 1) return undefined;
+
+  const packageNameLength = segments[index + 1].startsWith("@") ? 2 : 1;
+  return segments.slice(0, index + 1 + packageNameLength).join(path.sep);
+};
+
+/* resolveNodeModulesFilePath */
+
+/**
+ * Resolves an absolute path within a package installed in node_modules to the file it refers to, as is, with a script extension appended or as the index file of a directory, since resolve-importing-path leaves node_modules out.
+ * @param {string} basePath The absolute path being resolved.
+ * @returns The absolute path of the file, or `null` if no file is found.
+ */
+const resolveNodeModulesFilePath = (basePath) => {
+  const isFile = (/** @type {string} */ filePath) =>
+    fs.statSync(filePath, { throwIfNoEntry: false })?.isFile() ?? false;
+
+  if (path.extname(basePath) && isFile(basePath)) return basePath;
+  for (const candidate of [basePath, path.join(basePath, "index")])
+    for (const extension of scriptExtensions)
+      if (isFile(`${candidate}${extension}`)) return `${candidate}${extension}`;
+
+  return null;
+};
+
+/* resolvePackagePath */
+
+/**
+ * Resolves a relative target of a package, directly when the package is installed in node_modules and through resolve-importing-path otherwise.
+ * @param {string} packageDir The directory of the package.
+ * @param {string} target The relative target being resolved, starting with `./`.
+ * @param {string} cwd The current working directory.
+ * @returns The absolute path the target resolves to, or `null` if it could not be resolved.
+ */
+const resolvePackagePath = (packageDir, target, cwd) =>
+  getNodeModulesPackageRoot(packageDir)
+    ? resolveNodeModulesFilePath(path.resolve(packageDir, target))
+    : resolveImportingPath(packageDir, target, cwd) ?? null;
+
+/* resolvePackageEntry */
+
+/**
+ * Resolves a subpath of a package through the `exports` field of its package.json file, or through its `module` and `main` fields when it has none.
+ * @param {string} packageDir The directory of the package.
+ * @param {PackageJson} packageJson The parsed package.json file of the package.
+ * @param {string} subpath The subpath being resolved, `"."` for the package itself.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {string[]} settings.conditions The conditions matched by conditional targets along with `"default"`.
+ * @returns The absolute path the subpath resolves to, or `null` if it could not be resolved.
+ */
+const resolvePackageEntry = (
+  packageDir,
+  packageJson,
+  subpath,
+  { cwd, conditions }
+) => {
+  let target;
+  if (packageJson.exports !== undefined && packageJson.exports !== null) {
+    // Treats exports made of a single target or of conditions only as the exports of the package itself.
+    const { exports } = packageJson;
+    const exportsField =
+      typeof exports === "object" &&
+      !Array.isArray(exports) &&
+      Object.keys(exports).some((key) => key.startsWith("."))
+        ? /** @type {Record<string, unknown>} */ (exports)
+        : { ".": exports };
+
+    target = matchPackageField(exportsField, subpath, conditions);
+    if (typeof target !== "string" || !target.startsWith("./")) return null;
+  } else
+    target = `./${path.posix.join(
+      ".",
+      subpath === "."
+        ? packageJson.module ?? packageJson.main ?? "index"
+        : subpath
+    )}`;
+
+  return resolvePackagePath(packageDir, target, cwd);
+};
+
+/* getWorkspacePatterns */
+
+/**
+ * Gets the glob patterns of the packages of the npm, Yarn or pnpm workspace whose root is a given directory, from its pnpm-workspace.yaml file or from the `workspaces` field of its package.json file.
+ * @param {string} dir The directory being checked for a workspace root.
+ * @param {FindAllImportsCache} cache The cache of the traversal, with its map of the package.json files already read.
+ * @returns The array of the glob patterns of the workspace packages, or `undefined` when the directory isn't a workspace root.
+ */
+const getWorkspacePatterns = (dir, cache) => {
+  // Reads the packages list of pnpm-workspace.yaml line by line.
+  const pnpmWorkspacePath = path.join(dir, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    /** @type {string[]} */
+    const patterns = [];
+    let inPackages = false;
+    for (const line of fs
+      .readFileSync(pnpmWorkspacePath, "utf8")
+      .split(/\r?\n/)) {
+      if (/^packages\s*:/.test(line)) inPackages = true;
+      else if (inPackages) {
+        const item = line.match(/^\s+-\s*(["']?)([^"'#]+?)\1\s*(?:#.*)?$/);
+        if (item) patterns.push(item[2]);
+        else if (/^\S/.test(line)) inPackages = false;
+      }
+    }
+    return patterns;
+  }
+
+  const workspaces = readPackageJson(
+    path.join(dir, "package.json"),
+    cache
+  )?.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (Array.isArray(workspaces?.packages)) return workspaces.packages;
+  return undefined;
+};
+
+/* findWorkspacePackages */
+
+/**
+ * Finds the packages of the npm, Yarn or pnpm workspace containing a directory, caching them for every directory walked through up to the workspace root.
+ * @param {string} currentDir The directory whose workspace is being found.
+ * @param {FindAllImportsCache} cache The cache of the traversal, with its maps of the package.json files already read and of the workspace packages per directory.
+ * @returns The map of the names of the workspace packages to their directories, empty when the directory isn't in a workspace.
+ */
+const findWorkspacePackages = (currentDir, cache) => {
+  /** @type {string[]} */
+  const walkedDirs = [];
+  /** @type {Map<string, string>} */
+  let workspacePackages = new Map();
+
+  for (let dir = currentDir; ; dir = path.dirname(dir)) {
+    const cached = cache.workspacePackages.get(dir);
+    if (cached) {
+      workspacePackages = cached;
+      break;
+    }
+    walkedDirs.push(dir);
+
+    // Globs the package.json files of the workspace packages from the workspace root, outside of node_modules.
+    const patterns = getWorkspacePatterns(dir, cache);
+    if (patterns) {
+      const toPackageJsonPattern = (/** @type {string} */ pattern) =>
+        `${pattern.replace(/\/+$/, "")}/package.json`;
+      const packageJsonPaths = globSync(
+        patterns
+          .filter((pattern) => !pattern.startsWith("!"))
+          .map(toPackageJsonPattern),
+        {
+          cwd: dir,
+          absolute: true,
+          ignore: [
+            "**/node_modules/**",
+            ...patterns
+              .filter((pattern) => pattern.startsWith("!"))
+              .map((pattern) => toPackageJsonPattern(pattern.slice(1))),
+          ],
+        }
+      );
+      for (const packageJsonPath of packageJsonPaths) {
+        const name = readPackageJson(
+          path.resolve(packageJsonPath),
+          cache
+        )?.name;
+        if (typeof name === "string")
+          workspacePackages.set(
+            name,
+            path.dirname(path.resolve(packageJsonPath))
+          );
+      }
+      break;
+    }
+
+    if (path.dirname(dir) === dir) break;
+  }
+
+  for (const walkedDir of walkedDirs)
+    cache.workspacePackages.set(walkedDir, workspacePackages);
+  return workspacePackages;
+};
+
+/* resolvePackageImportPath */
+
+/**
+ * Resolves an import path through package.json files: package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the workspace as well as the package itself through their `exports` field, never through node_modules.
+ * @param {string} currentDir The directory containing the import path currently being addressed.
+ * @param {string} importPath The import path currently being addressed.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @returns The absolute path the import path resolves to, or `null` if it could not be resolved.
+ */
+const resolvePackageImportPath = (
+  currentDir,
+  importPath,
+  { cwd, cache, conditions }
+) => {
+  const packageJsonPath = findUpSync("package.json", { cwd: currentDir });
+  const packageJson = packageJsonPath
+    ? readPackageJson(packageJsonPath, cache)
+    : null;
+
+  // Resolves package imports within the closest package, or as packages in turn when they map to bare specifiers.
+  if (importPath.startsWith("#")) {
+    if (
+      !packageJsonPath ||
+      typeof packageJson?.imports !== "object" ||
+      packageJson.imports === null
+    )
+      return null;
+
+    const target = matchPackageField(
+      packageJson.imports,
+      importPath,
+      conditions
+    );
+    if (typeof target !== "string" || target.startsWith("#")) return null;
+
+    const packageDir = path.dirname(packageJsonPath);
+    return target.startsWith("./")
+      ? resolvePackagePath(packageDir, target, cwd)
+      : resolvePackageImportPath(packageDir, target, {
+          cwd,
+          cache,
+          conditions,
+        });
+  }
+
+  // Leaves out relative and absolute import paths and Node.js built-in modules.
+  const packageName = getExternalName(importPath);
+  if (!packageName || isBuiltin(importPath)) return null;
+  const subpath = `.${importPath.slice(packageName.length)}`;
+
+  // Resolves the package itself when it references its own name.
+  if (
+    packageJsonPath &&
+    packageJson?.name === packageName &&
+    packageJson.exports !== undefined
+  )
+    return resolvePackageEntry(
+      path.dirname(packageJsonPath),
+      packageJson,
+      subpath,
+      { cwd, conditions }
+    );
+
+  // Otherwise resolves the packages of the workspace.
+  const packageDir = findWorkspacePackages(currentDir, cache).get(packageName);
+  if (!packageDir) return null;
+  const workspacePackageJson = readPackageJson(
+    path.join(packageDir, "package.json"),
+    cache
+  );
+  return workspacePackageJson
+    ? resolvePackageEntry(packageDir, workspacePackageJson, subpath, {
+        cwd,
+        conditions,
+      })
+    : null;
+};
+
+/* findNodeModulesPackageDir */
+
+/**
+ * Finds the directory of a package installed in the closest node_modules directory having it, through its symbolic links such as those of pnpm and of workspaces.
+ * @param {string} currentDir The directory the package is being looked up from.
+ * @param {string} packageName The name of the package, scoped or not.
+ * @returns The real directory of the package, or `undefined` when it isn't installed.
+ */
+const findNodeModulesPackageDir = (currentDir, packageName) => {
+  for (let dir = currentDir; ; dir = path.dirname(dir)) {
+    const packageDir = path.join(dir, "node_modules", packageName);
+    if (fs.existsSync(path.join(packageDir, "package.json")))
+      return fs.realpathSync(packageDir);
+
+    if (path.dirname(dir) === dir) return undefined;
+  }
+};
+
+/* resolveNodeModulesImportPath */
+
+/**
+ * Resolves a bare import path to the file of the package installed in node_modules it refers to, through the `exports` field of the package.json file of the package or through its `module` and `main` fields, with the package as the resolution root.
+ * @param {string} currentDir The directory containing the import path currently being addressed.
+ * @param {string} importPath The import path currently being addressed.
+ * @param {Object} settings The required settings as follows:
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @returns The absolute path the import path resolves to, or `null` if it could not be resolved.
+ */
+const resolveNodeModulesImportPath = (
+  currentDir,
+  importPath,
+  { cache, conditions }
+) => {
+  // Leaves out relative and absolute import paths and Node.js built-in modules.
+  const packageName = getExternalName(importPath);
+  if (!packageName || isBuiltin(importPath)) return null;
+
+  const packageDir = findNodeModulesPackageDir(currentDir, packageName);
+  if (!packageDir) return null;
+  const packageJson = readPackageJson(
+    path.join(packageDir, "package.json"),
+    cache
+  );
+  return packageJson
+    ? resolvePackageEntry(
+        packageDir,
+        packageJson,
+        `.${importPath.slice(packageName.length)}`,
+        { cwd: packageDir, conditions }
+      )
+    : null;
+};
+
+/* findTsconfigPath */
+
+/**
+ * Finds the closest tsconfig.json file of a directory, looked up once per directory through the cache.
+ * @param {string} currentDir The directory whose tsconfig.json file is being found.
+ * @param {FindAllImportsCache["tsconfigPaths"]} tsconfigPaths The map of the tsconfig.json paths already found, keyed by directory.
+ * @returns The absolute path of the closest tsconfig.json file, or `undefined` when there is none.
+ */
+export const findTsconfigPath = (currentDir, tsconfigPaths) => {
+  if (!tsconfigPaths.has(currentDir))
+    tsconfigPaths.set(
+      currentDir,
+      findUpSync("tsconfig.json", {
+        cwd: currentDir,
+      })
+    );
+
+  return tsconfigPaths.get(currentDir);
+};
+
+/* getResolvedPathsOfDir */
+
+/**
+ * The keys given to the custom resolvers within the resolution keys of the cache, each custom resolver getting its own resolutions.
+ * @type {WeakMap<Resolver, number>}
+ */
+const resolverKeys = new WeakMap();
+let resolverKeysCount = 0;
+
+/**
+ * Gets the cached resolutions of the import paths of a directory under the options the resolution depends on, so that calls sharing the same cache with different options never reuse each other's resolutions.
+ * @param {string} currentDir The directory containing the import paths being resolved.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {Resolver | null} settings.resolve The custom resolver replacing the default resolution of import paths.
+ * @param {boolean} settings.resolvePackages Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} settings.followExternal How far external packages are followed, bare import paths being resolved into node_modules in `"deep"` mode.
+ * @returns The map of the resolved path of each import path from the directory under these options, `null` when it could not be resolved, added to the cache when missing.
+ */
+export const getResolvedPathsOfDir = (
+  currentDir,
+  { cwd, cache, resolve, resolvePackages, conditions, followExternal }
+) => {
+  // Keys the resolutions by every option they depend on, the order of conditions aside.
+  if (resolve && !resolverKeys.has(resolve))
+    resolverKeys.set(resolve, resolverKeysCount++);
+  const resolutionKey = JSON.stringify([
+    cwd,
+    resolve ? resolverKeys.get(resolve) : null,
+    resolvePackages,
+    [...conditions].sort(),
+    followExternal,
+  ]);
+
+  let resolvedPathsOfKey = cache.resolvedPaths.get(resolutionKey);
+  if (!resolvedPathsOfKey) {
+    resolvedPathsOfKey = new Map();
+    cache.resolvedPaths.set(resolutionKey, resolvedPathsOfKey);
+  }
+  let resolvedPathsOfDir = resolvedPathsOfKey.get(currentDir);
+  if (!resolvedPathsOfDir) {
+    resolvedPathsOfDir = new Map();
+    resolvedPathsOfKey.set(currentDir, resolvedPathsOfDir);
+  }
+
+  return resolvedPathsOfDir;
+};
+
+/* resolveImportPathWithCache */
+
+/**
+ * Resolves an import path from the directory containing it, with the custom resolver if any or otherwise based on the closest tsconfig.json file, going through the cache for both the tsconfig.json lookup of the directory and the resolution of the import path.
+ * @param {string} currentDir The directory containing the import path currently being addressed.
+ * @param {string} importPath The import path currently being addressed.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {Resolver | null} [settings.resolve] The custom resolver replacing the default resolution of import paths.
+ * @param {boolean} [settings.resolvePackages] Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} [settings.conditions] The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} [settings.followExternal] How far external packages are followed, bare import paths being resolved into node_modules in `"deep"` mode.
+ * @returns The absolute path the import path resolves to, or `null` if it could not be resolved. (Throws when the custom resolver throws or returns anything else.)
+ */
+export const resolveImportPathWithCache = (
+  currentDir,
+  importPath,
+  {
+    cwd,
+    cache,
+    resolve = null,
+    resolvePackages = false,
+    conditions = [],
+    followExternal = "none",
+  }
+) => {
+  // Returns the cached resolved path if the import path has already been resolved from the same directory with the same options.
+  const resolvedPathsOfDir = getResolvedPathsOfDir(currentDir, {
+    cwd,
+    cache,
+    resolve,
+    resolvePackages,
+    conditions,
+    followExternal,
+  });
+  if (resolvedPathsOfDir.has(importPath))
+    return resolvedPathsOfDir.get(importPath) ?? null;
+
+  /**
+   * Resolves the import path based on the closest tsconfig.json file, looked up once per directory, or directly within the packages installed in node_modules, then through package.json files when resolvePackages is enabled, and then into node_modules in `"deep"` followExternal mode.
+   * @returns The absolute path the import path resolves to, or `null` if it could not be resolved.
+   */
+  const defaultResolve = () => {
+    let resolvedPath = null;
+    if (getNodeModulesPackageRoot(currentDir)) {
+      // Resolves relative and absolute import paths directly within the packages installed in node_modules, whose tsconfig.json files don't apply.
+      if (importPath.startsWith(".") || path.isAbsolute(importPath))
+        resolvedPath = resolveNodeModulesFilePath(
+          path.resolve(currentDir, importPath)
+        );
+    } else
+      resolvedPath =
+        resolveImportingPath(
+          currentDir,
+          importPath,
+          findTsconfigPath(currentDir, cache.tsconfigPaths) ?? cwd
+        ) ?? null;
+
+    if (resolvedPath === null && resolvePackages)
+      resolvedPath = resolvePackageImportPath(currentDir, importPath, {
+        cwd,
+        cache,
+        conditions,
+      });
+    if (resolvedPath === null && followExternal === "deep")
+      resolvedPath = resolveNodeModulesImportPath(currentDir, importPath, {
+        cache,
+        conditions,
+      });
+
+    return resolvedPath;
+  };
+
+  // Resolves the import path, with the custom resolver if any.
+  const resolvedPath = resolve
+    ? resolve(importPath, currentDir, { cwd, defaultResolve })
+    : defaultResolve();
+  if (
+    resolvedPath !== null &&
+    (typeof resolvedPath !== "string" || !path.isAbsolute(resolvedPath))
+  )
+    throw new TypeError(
+      makeIsSupposedToBe("The resolved path", "an absolute path or null")
+    );
+
+  // Caches the resolved path, including when it could not be resolved.
+  resolvedPathsOfDir.set(importPath, resolvedPath);
+
+  return resolvedPath;
+};
+
+/* shouldTraversePath */
+
+/** @type {Map<string, (testedPath: string) => boolean>} */
+const globMatchers = new Map();
+
+/**
+ * Tells if a path matches any of the given glob patterns, compiling each glob pattern only once across traversals.
+ * @param {string} relativePath The path being matched, relative to the current working directory.
+ * @param {string[]} patterns The array of the glob patterns being matched against.
+ * @returns `true` if the path matches any of the glob patterns, `false` if it doesn't.
+ */
+const pathMatchesAnyGlob = (relativePath, patterns) =>
+  patterns.some((pattern) => {
+    let globMatcher = globMatchers.get(pattern);
+    if (!globMatcher) {
+      globMatcher = picomatch(pattern, { dot: true });
+      globMatchers.set(pattern, globMatcher);
+    }
+    return globMatcher(relativePath);
+  });
+
+/**
+ * Tells if a resolved path is to be traversed, based on the include and exclude glob patterns first, then on the shouldTraverse predicate.
+ * @param {string} resolvedPath The absolute resolved path of the import path currently being addressed.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.importer The absolute path of the file containing the import path currently being addressed.
+ * @param {string} settings.cwd The current working directory.
+ * @param {string[]} settings.include The array of the glob patterns that resolved paths have to match to be traversed.
+ * @param {string[]} settings.exclude The array of the glob patterns that resolved paths must not match to be traversed.
+ * @param {ShouldTraverse | null} settings.shouldTraverse The predicate telling whether a resolved path is traversed.
+ * @returns Whether the resolved path is to be traversed (`traversable`) in a success object (`success: true`), or a `{success: false}` object along with its errors when shouldTraverse throws.
+ */
+export const shouldTraversePath = (
+  resolvedPath,
+  { importer, cwd, include, exclude, shouldTraverse }
+) => {
+  // Matches the resolved path relative to the current working directory, with forward slashes on every platform.
+  const relativePath = path
+    .relative(cwd, resolvedPath)
+    .split(path.sep)
+    .join("/");
+
+  // Leaves out the resolved path if it doesn't match include or if it matches exclude.
+  if (include.length > 0 && !pathMatchesAnyGlob(relativePath, include))
+    return { ...successTrue, traversable: false };
+  if (exclude.length > 0 && pathMatchesAnyGlob(relativePath, exclude))
+    return { ...successTrue, traversable: false };
+
+  // Then leaves it to shouldTraverse if any.
+  if (!shouldTraverse) return { ...successTrue, traversable: true };
+  try {
+    return {
+      ...successTrue,
+      traversable: !!shouldTraverse(resolvedPath, importer),
+    };
+  } catch (e) {
+    return makeSuccessFalseTypeError(
+      `ERROR. shouldTraverse error on ${resolvedPath}. \nError: \n${e}`,
+      {
+        code: errorCodes.SHOULD_TRAVERSE_THREW,
+        filePath: resolvedPath,
+        importer,
+      }
+    );
+  }
+};
+
+/* updateVisitedSet */
+
+/**
+ * Updates visitedSet with the current filePath once all validations have been successful, thus including it in the list of the original file path and all of its recursive imports.
+ * @param {Set<string>} visitedSet The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @returns
+ */
+export const updateVisitedSet = (visitedSet, filePath) => {
+  visitedSet.add(filePath);
+};
+
+/* updateShortestChains */
+
+/**
+ * Updates shortestChains and depths with the import chain through which a file path is reached, when it is the first one or a shorter one than before, and then shortens breadth-first the chains of the file paths it already imports accordingly, so that every visited file path ends up with one of its shortest chains whatever the order of the traversal.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {Object} settings The required settings as follows:
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @param {Map<string, number>} settings.depths The map of each visited file path to its minimum depth.
+ * @param {Map<string, string[]>} settings.shortestChains The map of each visited file path to one of its shortest import chains.
+ * @returns
+ */
+export const updateShortestChains = (
+  filePath,
+  { stack, fileImports, depths, shortestChains }
+) => {
+  // Reaches the file path through the shortest chain of its importer, which may already be shorter than the stack.
+  const importer = stack[stack.length - 1];
+  const chain = [
+    ...(importer === undefined ? [] : shortestChains.get(importer) ?? stack),
+    filePath,
+  ];
+  const previousChain = shortestChains.get(filePath);
+  if (previousChain && previousChain.length <= chain.length) return;
+
+  shortestChains.set(filePath, chain);
+  depths.set(filePath, chain.length - 1);
+
+  // Shortens the chains of the file paths already reached through the file path, and in turn those of their own imports.
+  const shortenedPaths = [filePath];
+  for (const shortenedPath of shortenedPaths) {
+    const shortenedChain = /** @type {string[]} */ (
+      shortestChains.get(shortenedPath)
+    );
+    for (const { resolvedPath } of fileImports.get(shortenedPath) ?? []) {
+      const resolvedChain = resolvedPath && shortestChains.get(resolvedPath);
+      if (!resolvedChain || resolvedChain.length <= shortenedChain.length + 1)
+        continue;
+
+      shortestChains.set(resolvedPath, [...shortenedChain, resolvedPath]);
+      depths.set(resolvedPath, shortenedChain.length);
+      shortenedPaths.push(resolvedPath);
+    }
+  }
+};
+
+/* updateGraph */
+
+/**
+ * Updates graph with the import edge currently being addressed, thus recording who imports whom, including toward import paths that have already been visited.
+ * @param {ImportEdge[]} graph The array of import edges tracking every import relationship found during the recursion.
+ * @param {ImportEdge} edge The import edge currently being addressed, made of its importer, its specifier, its resolved path, its kind and whether it is type-only.
+ * @returns
+ */
+export const updateGraph = (graph, edge) => {
+  graph.push(edge);
+};
+
+/* makeFileImports */
+
+/**
+ * Makes the descriptions of the imports found in the current file path, resolving their import paths along the way so that they can be shared with callbacks before the recursion.
+ * @param {string} filePath The absolute path of the file whose imports are being described.
+ * @param {ExtractedImport[]} extractedImports The array of the imports extracted from the file, with their import paths, kinds, imported names and locations.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {Resolver | null} settings.resolve The custom resolver replacing the default resolution of import paths.
+ * @param {boolean} settings.resolvePackages Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} settings.followExternal How far external packages are followed.
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @returns The array of the imports of the file, each with its resolved path, `null` when it could not be resolved, in a success object (`success: true`), or a `{success: false}` object along with its errors when the custom resolver fails.
+ */
+export const makeFileImports = (
+  filePath,
+  extractedImports,
+  {
+    cwd,
+    cache,
+    resolve,
+    resolvePackages,
+    conditions,
+    followExternal,
+    stack,
+    fileImports,
+  }
+) => {
+  /** @type {FileImport[]} */
+  const imports = [];
+
+  for (const extractedImport of extractedImports) {
+    // Resolves the import path, failing if the custom resolver fails.
+    let resolvedPath;
+    try {
+      resolvedPath = resolveImportPathWithCache(
+        path.dirname(filePath),
+        extractedImport.specifier,
+        { cwd, cache, resolve, resolvePackages, conditions, followExternal }
+      );
+    } catch (e) {
+      return makeSuccessFalseTypeError(
+        `ERROR. Resolver error for "${extractedImport.specifier}" in ${filePath}. \nError: \n${e}`,
+        {
+          code: errorCodes.RESOLVE_FAILED,
+          ...makeErrorLocation(filePath, { stack, fileImports }),
+        }
+      );
+    }
+
+    imports.push({
+      specifier: extractedImport.specifier,
+      resolvedPath,
+      kind: extractedImport.kind,
+      typeOnly: extractedImport.typeOnly,
+      names: extractedImport.names,
+      loc: extractedImport.loc,
+    });
+  }
+
+  return { ...successTrue, imports };
+};
+
+/* updateFileImports */
+
+/**
+ * Updates fileImports with the imports found in the current file path.
+ * @param {Map<string, FileImport[]>} fileImports The map of each visited file path to the imports found in it.
+ * @param {string} filePath The absolute path of the file whose imports are being recorded.
+ * @param {FileImport[]} imports The array of the imports of the file.
+ * @returns
+ */
+export const updateFileImports = (fileImports, filePath, imports) => {
+  fileImports.set(filePath, imports);
+};
+
+/* updateUnresolvedOrExternal */
+
+/**
+ * Tells if an import path is relative or absolute, as opposed to bare import paths such as those of packages, Node.js built-in modules or aliases.
+ * @param {string} importPath The import path currently being addressed.
+ * @returns `true` if the import path is relative or absolute, `false` if it isn't.
+ */
+const importPathIsRelativeOrAbsolute = (importPath) =>
+  importPath.startsWith(".") || path.isAbsolute(importPath);
+
+/**
+ * Gets the name under which an import path that could not be resolved is recorded as external, that is the `node:`-prefixed name of a Node.js built-in module or the name of a package.
+ * @param {string} importPath The import path currently being addressed.
+ * @returns The external name of the import path, or `undefined` if it does not designate a Node.js built-in module or a package.
+ */
+const getExternalName = (importPath) => {
+  // Relative and absolute import paths are never external.
+  if (importPathIsRelativeOrAbsolute(importPath)) return undefined;
+
+  // Node.js built-in modules are consistently recorded with their `node:` prefix.
+  if (isBuiltin(importPath))
+    return importPath.startsWith("node:") ? importPath : `node:${importPath}`;
+
+  // Packages are recorded by their names, scoped or not, without their subpaths.
+  const packageNameMatch = importPath.match(
+    /^(?:@[a-z0-9][a-z0-9-._~]*\/)?[a-z0-9][a-z0-9-._~]*/i
+  );
+  return packageNameMatch &&
+    (importPath.length === packageNameMatch[0].length ||
+      importPath[packageNameMatch[0].length] === "/")
+    ? packageNameMatch[0]
+    : undefined;
+};
+
+/**
+ * Updates unresolved or external with an import path that could not be resolved, failing instead on relative or absolute import paths in strict mode.
+ * @param {string} importPath The import path currently being addressed.
+ * @param {ImportKind} kind The kind of the import currently being addressed, either `"static"`, `"re-export"`, `"dynamic"` or `"require"`.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.importer The absolute path of the file containing the import path currently being addressed.
+ * @param {UnresolvedImport[]} settings.unresolved The array of the import paths that could not be resolved during the recursion, along with their importers.
+ * @param {Set<string>} settings.external The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer.
+ * @param {boolean} settings.strict Whether unresolved relative or absolute import paths make the recursion fail.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const updateUnresolvedOrExternal = (
+  importPath,
+  kind,
+  { importer, unresolved, external, stack, strict }
+) => {
+  // Records Node.js built-in modules and packages as external.
+  const externalName = getExternalName(importPath);
+  if (externalName) {
+    external.add(externalName);
+    return successTrue;
+  }
+
+  // Fails on unresolved relative or absolute import paths in strict mode.
+  if (strict && importPathIsRelativeOrAbsolute(importPath))
+    return makeSuccessFalseTypeError(
+      `ERROR. Could not resolve "${importPath}" imported in ${importer}.`,
+      {
+        code: errorCodes.UNRESOLVED_IMPORT,
+        importer,
+        specifier: importPath,
+        chain: [...stack],
+      }
+    );
+
+  // Otherwise records the import path as unresolved.
+  unresolved.push({ importer, specifier: importPath, kind });
+  return successTrue;
+};
+
+/* updatePackages */
+
+/**
+ * Updates packages with the package installed in node_modules that an import path refers to, once per package name, when it is left unresolved or resolved into node_modules, thus leaving out the workspace packages resolved to their sources.
+ * @param {string} importPath The import path currently being addressed.
+ * @param {string | null} resolvedPath The absolute resolved path of the import path, `null` when it could not be resolved.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.currentDir The directory containing the import path currently being addressed.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {Set<string>} settings.external The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.
+ * @param {Map<string, ExternalPackage>} settings.packages The map of the external packages imported during the recursion, keyed by name.
+ * @returns
+ */
+export const updatePackages = (
+  importPath,
+  resolvedPath,
+  { currentDir, cache, conditions, external, packages }
+) => {
+  if (resolvedPath && !getNodeModulesPackageRoot(path.dirname(resolvedPath)))
+    return;
+
+  // Leaves out relative and absolute import paths, Node.js built-in modules and the packages already recorded.
+  const packageName = getExternalName(importPath);
+  if (!packageName || isBuiltin(importPath) || packages.has(packageName))
+    return;
+
+  // Leaves out the packages that aren't installed.
+  const packageDir = findNodeModulesPackageDir(currentDir, packageName);
+  if (!packageDir) return;
+
+  const packageJson =
+    readPackageJson(path.join(packageDir, "package.json"), cache) ?? {};
+  packages.set(packageName, {
+    name: packageName,
+    version:
+      typeof packageJson.version === "string" ? packageJson.version : null,
+    dir: packageDir,
+    entry: resolvePackageEntry(packageDir, packageJson, ".", {
+      cwd: packageDir,
+      conditions,
+    }),
+  });
+  external.add(packageName);
+};
+
+/* updateCycles */
+
+/**
+ * Updates cycles with the import cycle closed by the resolved path currently being addressed if it is still being processed by the recursion, failing instead in `failOnCycle` mode.
+ * @param {string} resolvedPath The absolute resolved path of the import path currently being addressed.
+ * @param {Object} settings The required settings as follows:
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {string[][]} settings.cycles The array of the import cycles found during the recursion.
+ * @param {boolean} settings.failOnCycle Whether import cycles make the recursion fail.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const updateCycles = (resolvedPath, { stack, cycles, failOnCycle }) => {
+  // Returns early if the resolved path is not being processed by the recursion, meaning it closes no cycle.
+  const cycleStart = stack.indexOf(resolvedPath);
+  if (cycleStart === -1) return successTrue;
+
+  // Makes the cycle from the resolved path back to itself.
+  const cycle = [...stack.slice(cycleStart), resolvedPath];
+
+  // Fails on the cycle in failOnCycle mode.
+  if (failOnCycle)
+    return makeSuccessFalseTypeError(
+      `ERROR. Import cycle detected: ${cycle.join(" -> ")}.`,
+      {
+        code: errorCodes.IMPORT_CYCLE,
+        filePath: resolvedPath,
+        importer: stack.at(-1),
+        chain: [...stack, resolvedPath],
+      }
+    );
+
+  // Otherwise records the cycle.
+  cycles.push(cycle);
+  return successTrue;
+};
+
+/* indexGraphByImporter */
+
+/**
+ * Indexes the resolved paths imported by each importer of the graph, in the order of the graph.
+ * @param {ImportEdge[]} graph The array of import edges tracking every import relationship found during the recursion.
+ * @returns The map of each importer's absolute file path to the array of the resolved paths it imports.
+ */
+const indexGraphByImporter = (graph) => {
+  /** @type {Map<string, string[]>} */
+  const importsByImporter = new Map();
+  for (const { importer, resolvedPath } of graph) {
+    const imports = importsByImporter.get(importer) ?? [];
+    imports.push(resolvedPath);
+    importsByImporter.set(importer, imports);
+  }
+
+  return importsByImporter;
+};
+
+/* updateCyclesFromGraph */
+
+/**
+ * Updates cycles with all the import cycles reachable from a file path, by walking through the graph depth-first once the traversal is complete, failing instead in `failOnCycle` mode. (Used when the order in which files are visited is unpredictable, such as in concurrent mode.)
+ * @param {string} filePath The absolute path of the file from which the graph is walked through.
+ * @param {Object} settings The required settings as follows:
+ * @param {ImportEdge[]} settings.graph The array of import edges tracking every import relationship found during the recursion.
+ * @param {string[][]} settings.cycles The array of the import cycles found during the recursion.
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {boolean} settings.failOnCycle Whether import cycles make the recursion fail.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const updateCyclesFromGraph = (
+  filePath,
+  { graph, cycles, stack, failOnCycle }
+) => {
+  const importsByImporter = indexGraphByImporter(graph);
+  /** @type {Set<string>} */
+  const walkedSet = new Set();
+
+  /**
+   * Walks through the graph from the current file path, with the stack of the file paths leading to it.
+   * @param {string} currentPath The absolute path of the file currently being walked through.
+   * @param {string[]} stack The array of the file paths leading to the current one.
+   * @returns A `{success: false}` object along with its errors when an issue is encountered.
+   */
+  const walk = (currentPath, stack) => {
+    walkedSet.add(currentPath);
+    const nextStack = [...stack, currentPath];
+
+    for (const resolvedPath of importsByImporter.get(currentPath) ?? []) {
+      const updateCyclesResults = updateCycles(resolvedPath, {
+        stack: nextStack,
+        cycles,
+        failOnCycle,
+      });
+      if (!updateCyclesResults.success) return updateCyclesResults;
+
+      if (!walkedSet.has(resolvedPath)) {
+        const walkResults = walk(resolvedPath, nextStack);
+        if (!walkResults.success) return walkResults;
+      }
+    }
+
+    return successTrue;
+  };
+
+  return walk(filePath, stack);
+};
+
+/* makeProcessImportSettings */
+
+/**
+ * Makes the settings of the next round of `processImport`.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {TraversalSettings} settings The settings of the current round of the traversal.
+ * @returns The settings object of the next round of `processImport`.
+ */
+export const makeProcessImportSettings = (filePath, settings) => ({
+  ...settings,
+  currentDir: path.dirname(filePath),
+  importer: filePath,
+  stack: [...settings.stack, filePath],
+});
+
+/* makeFindAllImportsOptions */
+
+/**
+ * Makes the options of the next round of `findAllImports`. (Given that they are required, they are no longer "options" per se and are therefore considered here as "settings".)
+ * @param {TraversalSettings} settings The settings of the round of `processImport`, made with `makeProcessImportSettings`.
+ * @returns The options object of the next round of `findAllImports`.
+ */
+export const makeFindAllImportsOptions = (settings) => ({
+  ...settings,
+  depth: settings.depth + 1,
+});
+
+/* makeEntrySets */
+
+/**
+ * Makes the set of the file paths reachable from each entry, by walking through the graph shared by all entries from each of them.
+ * @param {string[]} entryPaths The array of the absolute file paths of the entries.
+ * @param {ImportEdge[]} graph The array of import edges tracking every import relationship found during the recursion.
+ * @returns The map of each entry's absolute file path to the set of strings of the file paths it reaches, itself included.
+ */
+export const makeEntrySets = (entryPaths, graph) => {
+  // Indexes the resolved paths imported by each importer.
+  const importsByImporter = indexGraphByImporter(graph);
+
+  /** @type {Map<string, Set<string>>} */
+  const entrySets = new Map();
+  for (const entryPath of entryPaths) {
+    // Walks through the graph breadth-first from the entry.
+    const entrySet = new Set([entryPath]);
+    for (const filePath of entrySet)
+      for (const resolvedPath of importsByImporter.get(filePath) ?? [])
+        entrySet.add(resolvedPath);
+
+    entrySets.set(entryPath, entrySet);
+  }
+
+  return entrySets;
+};
+
+/* makeDependentChains */
+
+/**
+ * Makes the shortest import chain from each file path transitively importing the target path to the target path, by walking through the inverted graph breadth-first from the target path.
+ * @param {string} targetPath The absolute path of the file whose dependents are being found.
+ * @param {ImportEdge[]} graph The array of import edges tracking every import relationship found during the recursion.
+ * @returns The map of each dependent's absolute file path to its shortest import chain, as the ordered array of the file paths it goes through from the dependent to the target path.
+ */
+export const makeDependentChains = (targetPath, graph) => {
+  // Indexes the importers of each resolved path, inverting the graph.
+  /** @type {Map<string, string[]>} */
+  const importersByResolvedPath = new Map();
+  for (const { importer, resolvedPath } of graph) {
+    const importers = importersByResolvedPath.get(resolvedPath) ?? [];
+    if (!importers.includes(importer)) importers.push(importer);
+    importersByResolvedPath.set(resolvedPath, importers);
+  }
+
+  /** @type {Map<string, string[]>} */
+  const chains = new Map([[targetPath, [targetPath]]]);
+  // Walks through the inverted graph breadth-first, so that each dependent is first reached through its shortest chain.
+  for (const [filePath, chain] of chains)
+    for (const importer of importersByResolvedPath.get(filePath) ?? [])
+      if (!chains.has(importer)) chains.set(importer, [importer, ...chain]);
+
+  // Leaves out the target path itself, which can only depend on itself through an import cycle.
+  chains.delete(targetPath);
+  return chains;
+};
+
+/* makeWhyEdges */
+
+/**
+ * Makes the import edges an import chain goes through, by finding in the graph the first edge from each file path of the chain to the next one.
+ * @param {string[]} chain The import chain, as the ordered array of the file paths it goes through from an entry to the target path.
+ * @param {ImportEdge[]} graph The array of import edges tracking every import relationship found during the recursion.
+ * @returns The array of the import edges the chain goes through, in order.
+ */
+export const makeWhyEdges = (chain, graph) =>
+  chain
+    .slice(1)
+    .map(
+      (resolvedPath, index) =>
+        /** @type {ImportEdge} */ (
+          graph.find(
+            (edge) =>
+              edge.importer === chain[index] &&
+              edge.resolvedPath === resolvedPath
+          )
+        )
+    );
+
+/* invalidateStaleResolvedPaths */
+
+/**
+ * Invalidates the cached resolutions and SourceCode object a deleted file has made stale, that is its SourceCode object and the resolutions to it under every set of options, so that its importers resolve their import paths again.
+ * @param {FindAllImportsCache} cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @param {string} filePath The absolute path of the file that was deleted.
+ * @returns
+ */
+export const invalidateStaleResolvedPaths = (cache, filePath) => {
+  cache.sourceCodes.delete(filePath);
+
+  for (const resolvedPathsOfKey of cache.resolvedPaths.values())
+    for (const resolvedPathsOfDir of resolvedPathsOfKey.values())
+      for (const [importPath, resolvedPath] of resolvedPathsOfDir)
+        if (resolvedPath === filePath) resolvedPathsOfDir.delete(importPath);
+};
+
+/* diffVisitedSets */
+
+/**
+ * Diffs the visited sets of two traversals, telling which file paths became reachable and which ones no longer are.
+ * @param {Set<string>} previousVisitedSet The set of strings of the file paths visited by the previous traversal.
+ * @param {Set<string>} visitedSet The set of strings of the file paths visited by the current traversal.
+ * @returns The arrays of the file paths added (`added`) and removed (`removed`) by the current traversal.
+ */
+export const diffVisitedSets = (previousVisitedSet, visitedSet) => ({
+  added: [...visitedSet].filter(
+    (filePath) => !previousVisitedSet.has(filePath)
+  ),
+  removed: [...previousVisitedSet].filter(
+    (filePath) => !visitedSet.has(filePath)
+  ),
+});
+
+/* filterInPlace */
+
+/**
+ * Filters an array in place, so that the objects sharing it keep seeing its current items.
+ * @template T
+ * @param {T[]} array The array being filtered.
+ * @param {(item: T) => boolean} predicate The predicate telling whether an item is kept.
+ * @returns
+ */
+const filterInPlace = (array, predicate) => {
+  let keptCount = 0;
+  for (const item of array) if (predicate(item)) array[keptCount++] = item;
+  array.length = keptCount;
+};
+
+/* copyResults */
+
+/**
+ * Copies everything tracked during a traversal, so that it can be updated without altering the original results until the update succeeds.
+ * @param {TraversalSettings} settings The settings of the traversal, holding its results.
+ * @returns The copies of the visited set, the graph, the unresolved import paths, the external imports, the import cycles, the imports of each file, the errors recorded, the external packages, the minimum depths and the shortest import chains of the traversal.
+ */
+export const copyResults = ({
+  visitedSet,
+  graph,
+  unresolved,
+  external,
+  cycles,
+  fileImports,
+  errors,
+  packages,
+  depths,
+  shortestChains,
+}) => ({
+  visitedSet: new Set(visitedSet),
+  graph: [...graph],
+  unresolved: [...unresolved],
+  external: new Set(external),
+  cycles: [...cycles],
+  fileImports: new Map(fileImports),
+  errors: [...errors],
+  packages: new Map(packages),
+  depths: new Map(depths),
+  shortestChains: new Map(shortestChains),
+});
+
+/* diffFileImports */
+
+/**
+ * Makes the key under which an import is compared, made of everything about it but its locations, which change whenever the code before it does.
+ * @param {FileImport} fileImport The import being compared.
+ * @returns The string key of the import.
+ */
+const makeFileImportKey = ({
+  specifier,
+  resolvedPath,
+  kind,
+  typeOnly,
+  names,
+}) => JSON.stringify([specifier, resolvedPath, kind, typeOnly, names]);
+
+/**
+ * Diffs the imports found in a file before and after it changed, leaving out the locations of the imports.
+ * @param {FileImport[]} previousImports The imports previously found in the file.
+ * @param {FileImport[]} imports The imports now found in the file.
+ * @returns The arrays of the imports added (`added`) and removed (`removed`) by the change.
+ */
+export const diffFileImports = (previousImports, imports) => {
+  const previousKeys = new Set(previousImports.map(makeFileImportKey));
+  const keys = new Set(imports.map(makeFileImportKey));
+
+  return {
+    added: imports.filter(
+      (fileImport) => !previousKeys.has(makeFileImportKey(fileImport))
+    ),
+    removed: previousImports.filter(
+      (fileImport) => !keys.has(makeFileImportKey(fileImport))
+    ),
+  };
+};
+
+/* forgetFileImports */
+
+/**
+ * Forgets what a visited file path was found to import, along with the errors met on it, so that its imports can be found again.
+ * @param {string} filePath The absolute path of the file whose imports are forgotten.
+ * @param {Object} settings The required settings as follows:
+ * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
+ * @param {ImportEdge[]} settings.graph The array of import edges tracking every import relationship found during the recursion.
+ * @param {UnresolvedImport[]} settings.unresolved The array of the import paths that could not be resolved during the recursion, along with their importers.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @param {FindAllImportsError[]} settings.errors The array of the errors recorded instead of failing in `continueOnError` mode.
+ * @returns
+ */
+export const forgetFileImports = (
+  filePath,
+  { visitedSet, graph, unresolved, fileImports, errors }
+) => {
+  visitedSet.delete(filePath);
+  fileImports.delete(filePath);
+  filterInPlace(graph, ({ importer }) => importer !== filePath);
+  filterInPlace(unresolved, ({ importer }) => importer !== filePath);
+  filterInPlace(
+    errors,
+    (error) => error.importer !== filePath && error.filePath !== filePath
+  );
+};
+
+/* pruneUnreachableResults */
+
+/**
+ * Leaves out of the results of a traversal the file paths no longer reachable from its entry along with everything found in them, and sets again the minimum depths and the shortest import chains of the file paths still reachable, as well as the external imports and packages they still refer to.
+ * @param {string} entryPath The absolute path of the entry of the traversal.
+ * @param {Object} settings The required settings as follows:
+ * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
+ * @param {ImportEdge[]} settings.graph The array of import edges tracking every import relationship found during the recursion.
+ * @param {UnresolvedImport[]} settings.unresolved The array of the import paths that could not be resolved during the recursion, along with their importers.
+ * @param {Set<string>} settings.external The set of strings tracking the external packages and Node.js built-in modules imported during the recursion.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @param {FindAllImportsError[]} settings.errors The array of the errors recorded instead of failing in `continueOnError` mode.
+ * @param {Map<string, ExternalPackage>} settings.packages The map of the external packages imported during the recursion, keyed by name.
+ * @param {Map<string, number>} settings.depths The map of each visited file path to its minimum depth from the entry.
+ * @param {Map<string, string[]>} settings.shortestChains The map of each visited file path to one of its shortest import chains from the entry.
+ * @returns
+ */
+export const pruneUnreachableResults = (
+  entryPath,
+  {
+    visitedSet,
+    graph,
+    unresolved,
+    external,
+    fileImports,
+    errors,
+    packages,
+    depths,
+    shortestChains,
+  }
+) => {
+  // Walks through the graph breadth-first from the entry, finding the shortest import chain of each visited file path reached.
+  const importsByImporter = indexGraphByImporter(graph);
+  /** @type {Map<string, string[]>} */
+  const chains = new Map(
+    visitedSet.has(entryPath) ? [[entryPath, [entryPath]]] : []
+  );
+  for (const [filePath, chain] of chains)
+    for (const resolvedPath of importsByImporter.get(filePath) ?? [])
+      if (visitedSet.has(resolvedPath) && !chains.has(resolvedPath))
+        chains.set(resolvedPath, [...chain, resolvedPath]);
+
+  // Leaves out the file paths no longer reachable, along with their imports and the errors met on them.
+  for (const filePath of [...visitedSet])
+    if (!chains.has(filePath)) {
+      visitedSet.delete(filePath);
+      fileImports.delete(filePath);
+    }
+  filterInPlace(graph, ({ importer }) => chains.has(importer));
+  filterInPlace(unresolved, ({ importer }) => chains.has(importer));
+  filterInPlace(errors, (error) =>
+    error.importer === undefined
+      ? error.filePath === entryPath
+      : chains.has(error.importer)
+  );
+
+  // Sets again the minimum depths and the shortest import chains.
+  depths.clear();
+  shortestChains.clear();
+  for (const [filePath, chain] of chains) {
+    shortestChains.set(filePath, chain);
+    depths.set(filePath, chain.length - 1);
+  }
+
+  // Leaves out the external imports and packages no longer imported by the file paths still reachable, that is either left unresolved or resolved into node_modules.
+  /** @type {Set<string>} */
+  const externalNames = new Set();
+  for (const imports of fileImports.values())
+    for (const { specifier, resolvedPath } of imports) {
+      const externalName = getExternalName(specifier);
+      if (externalName && (!resolvedPath || packages.has(externalName)))
+        externalNames.add(externalName);
+    }
+  for (const externalName of [...external])
+    if (!externalNames.has(externalName)) external.delete(externalName);
+  for (const packageName of [...packages.keys()])
+    if (!externalNames.has(packageName)) packages.delete(packageName);
+};
+
+/* getNewlyResolvedImporters */
+
+/**
+ * Resolves again the import paths left unresolved by a traversal, telling which importers now have some of them resolved, such as after the files they were looking for were created.
+ * @param {TraversalSettings} settings The settings of the traversal, holding its results.
+ * @returns The set of the absolute paths of the importers with import paths that are no longer unresolved.
+ */
+export const getNewlyResolvedImporters = (settings) => {
+  /** @type {Set<string>} */
+  const importers = new Set();
+
+  for (const { importer, specifier } of settings.unresolved) {
+    // Forgets the cached resolution of the import path, made when it could not be resolved.
+    const currentDir = path.dirname(importer);
+    getResolvedPathsOfDir(currentDir, settings).delete(specifier);
+
+    // Leaves a custom resolver that throws to the traversal of the importer, which reports it.
+    try {
+      if (resolveImportPathWithCache(currentDir, specifier, settings))
+        importers.add(importer);
+    } catch {
+      importers.add(importer);
+    }
+  }
+
+  return importers;
+};
+
+/* getWatchedDirs */
+
+/**
+ * Gets the directories watched for the results of a traversal, that is those of the visited file paths, whose changes they address, and those that the relative and absolute import paths left unresolved point to, where the files they were looking for may be created.
+ * @param {Object} settings The required settings as follows:
+ * @param {Set<string>} settings.visitedSet The set of strings tracking the import paths that have already been visited.
+ * @param {UnresolvedImport[]} settings.unresolved The array of the import paths that could not be resolved during the recursion, along with their importers.
+ * @returns The set of the absolute paths of the directories watched.
+ */
+export const getWatchedDirs = ({ visitedSet, unresolved }) => {
+  const watchedDirs = new Set(
+    [...visitedSet].map((filePath) => path.dirname(filePath))
+  );
+
+  for (const { importer, specifier } of unresolved) {
+    if (!importPathIsRelativeOrAbsolute(specifier)) continue;
+
+    const specifierDir = path.dirname(
+      path.resolve(path.dirname(importer), specifier)
+    );
+    if (fs.existsSync(specifierDir)) watchedDirs.add(specifierDir);
+  }
+
+  return watchedDirs;
+};
+
+/* formatPath */
+
+/**
+ * Formats an absolute path for the output, either as is or relative to the current working directory.
+ * @param {string} absolutePath The absolute path being formatted.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {boolean} settings.relative Whether paths are formatted relative to the current working directory.
+ * @returns The path as it is meant to be output.
+ */
+export const formatPath = (absolutePath, { cwd, relative }) =>
+  relative ? path.relative(cwd, absolutePath) || "." : absolutePath;
+
+/* getFileHash */
+
+/**
+ * Gets the content hash of a file from the cache, only reading and hashing the file again when it isn't cached yet or when it has been modified since it was cached.
+ * @param {string} filePath The absolute path of the file being hashed.
+ * @param {FindAllImportsCache["fileHashes"]} fileHashes The map of the content hashes already computed, keyed by file path along with the modification time of their files.
+ * @returns The modification time (`mtimeMs`) and the SHA-256 content hash (`hash`) of the file, or `null` when it doesn't exist.
+ */
+export const getFileHash = (filePath, fileHashes) => {
+  const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (!stats?.isFile()) return null;
+
+  // Returns the cached hash if the file hasn't changed since.
+  const cached = fileHashes.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) return cached;
+
+  const fileHash = {
+    mtimeMs: stats.mtimeMs,
+    hash: crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(filePath))
+      .digest("hex"),
+  };
+  fileHashes.set(filePath, fileHash);
+  return fileHash;
+};
+
+/* makeStateOptions */
+
+/**
+ * Makes the options a traversal state depends on, that is those of the extraction and of the default resolution of imports, with the conditions deduplicated and sorted so that their order doesn't matter.
+ * @param {Object} settings The required settings as follows:
+ * @param {ScanMode} settings.scan The scan mode of the extraction of imports.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {boolean} settings.resolvePackages Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} settings.followExternal How far external packages are followed.
+ * @param {boolean} settings.customHooks Whether the traversal used a custom resolver, extractor or handler.
+ * @returns The options of the traversal state.
+ */
+export const makeStateOptions = ({
+  scan,
+  importKinds,
+  resolvePackages,
+  conditions,
+  followExternal,
+  customHooks,
+}) => ({
+  scan,
+  importKinds,
+  resolvePackages,
+  conditions: [...new Set(conditions)].sort(),
+  followExternal,
+  customHooks,
+});
+
+/* hasCustomHooks */
+
+/**
+ * Tells if a traversal uses a custom resolver, extractor or handler, whose functions can't be compared with those of another traversal.
+ * @param {Object} settings The required settings as follows:
+ * @param {FileHandlers} settings.handlers The map of file extensions to the handlers provided.
+ * @param {Resolver | null} settings.resolve The custom resolver replacing the default resolution of import paths.
+ * @param {ImportsExtractor | null} settings.extractImports The custom extractor replacing the default extraction of imports.
+ * @returns `true` if the traversal uses a custom resolver, extractor or handler, `false` otherwise.
+ */
+export const hasCustomHooks = ({ handlers, resolve, extractImports }) =>
+  resolve !== null ||
+  extractImports !== null ||
+  Object.keys(handlers).length > 0;
+
+/* stateOptionsAreEqual */
+
+/**
+ * Tells if two sets of traversal state options are the same, option by option, regardless of the order of their conditions.
+ * @param {TraversalState["options"]} options The options of a traversal state.
+ * @param {TraversalState["options"]} otherOptions The options of another traversal state.
+ * @returns `true` if the options are the same, `false` otherwise.
+ */
+const stateOptionsAreEqual = (options, otherOptions) => {
+  const normalizedOptions = makeStateOptions(options);
+  const normalizedOtherOptions = makeStateOptions(otherOptions);
+
+  return (
+    normalizedOptions.scan === normalizedOtherOptions.scan &&
+    normalizedOptions.importKinds === normalizedOtherOptions.importKinds &&
+    normalizedOptions.resolvePackages ===
+      normalizedOtherOptions.resolvePackages &&
+    normalizedOptions.followExternal ===
+      normalizedOtherOptions.followExternal &&
+    normalizedOptions.customHooks === normalizedOtherOptions.customHooks &&
+    normalizedOptions.conditions.length ===
+      normalizedOtherOptions.conditions.length &&
+    normalizedOptions.conditions.every(
+      (condition, index) =>
+        condition === normalizedOtherOptions.conditions[index]
+    )
+  );
+};
+
+/* validateTraversalState */
+
+/**
+ * Validates a traversal state with zod, which has to be made with `serializeState` in its current version.
+ * @param {unknown} state The state of a traversal made with `serializeState`.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const validateTraversalState = (state) => {
+  const stateResults = TraversalStateSchema.safeParse(state);
+  if (!stateResults.success) {
+    return {
+      ...successFalse,
+      errors: [
+        {
+          ...typeError,
+          message: "ERROR. Traversal state could not pass validation from zod.",
+          code: errorCodes.INVALID_OPTION,
+        },
+        ...stateResults.error.issues.map((e) => ({
+          ...typeError,
+          message: e.message,
+          code: errorCodes.INVALID_OPTION,
+        })),
+      ],
+    };
+  }
+
+  return successTrue;
+};
+
+/* validatePreviousState */
+
+/**
+ * Validates the previousState option, which has to be `null` or a traversal state made with `serializeState` in its current version.
+ * @param {TraversalState | null} previousState The state of a previous traversal whose unchanged files are reused.
+ * @returns A `{success: false}` object along with its errors when an issue is encountered, used to stop the process while notifying on the reasons why it stopped at the point of consumption.
+ */
+export const validatePreviousState = (previousState) =>
+  previousState === null ? successTrue : validateTraversalState(previousState);
+
+/* getPreviousImports */
+
+/**
+ * Gets the imports the previous state recorded for a file when it hasn't changed since, that is when its modification time or, failing that, its content hash is the same, and seeds the cache with their resolutions when its tsconfig.json file hasn't changed either and the files they resolve to still exist, provided that the state was made with the same options and that there is no custom resolver, extractor or handler.
+ * @param {string} filePath The absolute path of the file whose imports are being retrieved.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {TraversalState} settings.previousState The state of a previous traversal whose unchanged files are reused.
+ * @param {ScanMode} settings.scan The scan mode of the extraction of imports.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {FileHandlers} settings.handlers The map of file extensions to the handlers provided.
+ * @param {Resolver | null} settings.resolve The custom resolver replacing the default resolution of import paths.
+ * @param {boolean} settings.resolvePackages Whether package imports and workspace packages are resolved through package.json files.
+ * @param {string[]} settings.conditions The conditions matched by the conditional targets of `exports` and `imports` along with `"default"`.
+ * @param {FollowExternalMode} settings.followExternal How far external packages are followed.
+ * @param {ImportsExtractor | null} settings.extractImports The custom extractor replacing the default extraction of imports.
+ * @param {FindAllImportsCache} settings.cache The cache of the tsconfig.json lookups, of the resolved paths, of the SourceCode objects, of the package.json files and workspace packages and of the content hashes.
+ * @returns The imports of the file, or `null` when the file has to be read again.
+ */
+export const getPreviousImports = (
+  filePath,
+  {
+    cwd,
+    previousState,
+    scan,
+    importKinds,
+    handlers,
+    resolve,
+    resolvePackages,
+    conditions,
+    followExternal,
+    extractImports,
+    cache,
+  }
+) => {
+  // Leaves out the states altogether when a custom resolver, extractor or handler is used, since their functions can't be compared with those the state was made with.
+  if (hasCustomHooks({ handlers, resolve, extractImports })) return null;
+
+  // Also leaves out the states made with other options than those the imports and their resolutions depend on, including the states made with custom hooks.
+  if (
+    !stateOptionsAreEqual(previousState.options, {
+      scan,
+      importKinds,
+      resolvePackages,
+      conditions,
+      followExternal,
+      customHooks: false,
+    })
+  )
+    return null;
+
+  // Leaves out the files that weren't visited or that have changed since.
+  const relativePath = formatPath(filePath, { cwd, relative: true });
+  const previousFile = previousState.files[relativePath];
+  const previousImports = previousState.results.fileImports[relativePath];
+  if (!previousFile || !previousImports) return null;
+
+  const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (!stats?.isFile()) return null;
+  if (
+    stats.mtimeMs !== previousFile.mtimeMs &&
+    getFileHash(filePath, cache.fileHashes)?.hash !== previousFile.hash
+  )
+    return null;
+
+  // Seeds the cache with the resolutions of the file if its tsconfig.json file hasn't changed either, so that they aren't resolved again.
+  const currentDir = path.dirname(filePath);
+  const tsconfigPath = findTsconfigPath(currentDir, cache.tsconfigPaths);
+  if (
+    (tsconfigPath
+      ? formatPath(tsconfigPath, { cwd, relative: true })
+      : null) === previousFile.tsconfig &&
+    (!tsconfigPath ||
+      getFileHash(tsconfigPath, cache.fileHashes)?.hash ===
+        previousState.tsconfigs[previousFile.tsconfig ?? ""])
+  ) {
+    const resolvedPaths = getResolvedPathsOfDir(currentDir, {
+      cwd,
+      cache,
+      resolve,
+      resolvePackages,
+      conditions,
+      followExternal,
+    });
+    for (const { specifier, resolvedPath } of previousImports) {
+      const absoluteResolvedPath =
+        resolvedPath && path.resolve(cwd, resolvedPath);
+      if (
+        absoluteResolvedPath &&
+        !resolvedPaths.has(specifier) &&
+        fs.existsSync(absoluteResolvedPath) &&
+        candidatesAreUnchanged(specifier, {
+          currentDir,
+          startedAt: previousState.startedAt,
+        })
+      )
+        resolvedPaths.set(specifier, absoluteResolvedPath);
+    }
+  }
+
+  return previousImports.map(({ resolvedPath, ...extractedImport }) => ({
+    ...extractedImport,
+  }));
+};
+
+/* candidatesAreUnchanged */
+
+/**
+ * Tells if no candidate file of a relative import path can have been created or deleted since a previous traversal started, that is if neither the directory of its target nor its target as a directory have been modified since, so that its previous resolution still holds. Import paths that aren't relative are never considered unchanged, since their candidates are spread across tsconfig.json paths and packages.
+ * @param {string} specifier The import path as written in the source code.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.currentDir The absolute path of the directory of the importing file.
+ * @param {number} settings.startedAt The time at which the previous traversal started, in milliseconds since the epoch.
+ * @returns `true` if the candidates of the import path are unchanged, `false` otherwise.
+ */
+const candidatesAreUnchanged = (specifier, { currentDir, startedAt }) => {
+  if (!/^\.\.?(\/|$)/.test(specifier)) return false;
+
+  // Checks the target itself, whose index files are candidates when it is a directory, then its directory, where its extensions are tried.
+  const targetPath = path.resolve(currentDir, specifier);
+
+  return [targetPath, path.dirname(targetPath)].every(
+    (candidateDir) =>
+      (fs.statSync(candidateDir, { throwIfNoEntry: false })?.mtimeMs ??
+        -Infinity) <
+      startedAt - modificationTimeMarginMs
+  );
+};
+
+/* makeSerializedResults */
+
+/**
+ * Makes the JSON-compatible version of the results of a traversal, turning their sets and maps into arrays and objects.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {boolean} settings.relative Whether paths are serialized relative to the current working directory.
+ * @returns The JSON-compatible results.
+ */
+export const makeSerializedResults = (
+  {
+    visitedSet,
+    graph,
+    unresolved,
+    external,
+    cycles,
+    fileImports,
+    errors,
+    packages,
+    depths,
+    shortestChains,
+  },
+  { cwd, relative }
+) => {
+  const toPath = (/** @type {string} */ p) => formatPath(p, { cwd, relative });
+
+  return {
+    files: [...visitedSet].map(toPath),
+    graph: graph.map((edge) => ({
+      ...edge,
+      importer: toPath(edge.importer),
+      resolvedPath: toPath(edge.resolvedPath),
+    })),
+    unresolved: unresolved.map((unresolvedImport) => ({
+      ...unresolvedImport,
+      importer: toPath(unresolvedImport.importer),
+    })),
+    external: [...external],
+    cycles: cycles.map((cycle) => cycle.map(toPath)),
+    fileImports: Object.fromEntries(
+      [...fileImports].map(([filePath, imports]) => [
+        toPath(filePath),
+        imports.map((fileImport) => ({
+          ...fileImport,
+          resolvedPath: fileImport.resolvedPath
+            ? toPath(fileImport.resolvedPath)
+            : null,
+        })),
+      ])
+    ),
+    errors: errors.map((error) => ({
+      ...error,
+      ...(error.filePath !== undefined && {
+        filePath: toPath(error.filePath),
+      }),
+      ...(error.importer !== undefined && {
+        importer: toPath(error.importer),
+      }),
+      ...(error.chain !== undefined && { chain: error.chain.map(toPath) }),
+    })),
+    packages: Object.fromEntries(
+      [...packages].map(([name, externalPackage]) => [
+        name,
+        {
+          ...externalPackage,
+          dir: toPath(externalPackage.dir),
+          entry: externalPackage.entry ? toPath(externalPackage.entry) : null,
+        },
+      ])
+    ),
+    depths: Object.fromEntries(
+      [...depths].map(([filePath, fileDepth]) => [toPath(filePath), fileDepth])
+    ),
+    shortestChains: Object.fromEntries(
+      [...shortestChains].map(([filePath, chain]) => [
+        toPath(filePath),
+        chain.map(toPath),
+      ])
+    ),
+  };
+};
+
+/* makeDeserializedResults */
+
+/**
+ * Makes the results of a traversal back from their JSON-compatible version, turning their arrays and objects back into sets and maps and their paths back into absolute paths.
+ * @param {SerializedResults} serializedResults The JSON-compatible results.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {number} settings.startedAt The time at which the traversal started, in milliseconds since the epoch.
+ * @param {TraversalStateOptions} settings.options The options of the traversal that its state depends on.
+ * @returns The results in a success object (`success: true`).
+ */
+export const makeDeserializedResults = (
+  {
+    files,
+    graph,
+    unresolved,
+    external,
+    cycles,
+    fileImports,
+    errors,
+    packages,
+    depths,
+    shortestChains,
+  },
+  { cwd, startedAt, options }
+) => {
+  const toPath = (/** @type {string} */ p) => path.resolve(cwd, p);
+
+  return makeSuccessTrueResults({
+    ...options,
+    cwd,
+    startedAt,
+    visitedSet: new Set(files.map(toPath)),
+    graph: graph.map((edge) => ({
+      ...edge,
+      importer: toPath(edge.importer),
+      resolvedPath: toPath(edge.resolvedPath),
+    })),
+    unresolved: unresolved.map((unresolvedImport) => ({
+      ...unresolvedImport,
+      importer: toPath(unresolvedImport.importer),
+    })),
+    external: new Set(external),
+    cycles: cycles.map((cycle) => cycle.map(toPath)),
+    fileImports: new Map(
+      Object.entries(fileImports).map(([filePath, imports]) => [
+        toPath(filePath),
+        imports.map((fileImport) => ({
+          ...fileImport,
+          resolvedPath: fileImport.resolvedPath
+            ? toPath(fileImport.resolvedPath)
+            : null,
+        })),
+      ])
+    ),
+    errors: errors.map((error) => ({
+      ...error,
+      ...(error.filePath !== undefined && {
+        filePath: toPath(error.filePath),
+      }),
+      ...(error.importer !== undefined && {
+        importer: toPath(error.importer),
+      }),
+      ...(error.chain !== undefined && { chain: error.chain.map(toPath) }),
+    })),
+    packages: new Map(
+      Object.entries(packages).map(([name, externalPackage]) => [
+        name,
+        {
+          ...externalPackage,
+          dir: toPath(externalPackage.dir),
+          entry: externalPackage.entry ? toPath(externalPackage.entry) : null,
+        },
+      ])
+    ),
+    depths: new Map(
+      Object.entries(depths).map(([filePath, fileDepth]) => [
+        toPath(filePath),
+        fileDepth,
+      ])
+    ),
+    shortestChains: new Map(
+      Object.entries(shortestChains).map(([filePath, chain]) => [
+        toPath(filePath),
+        chain.map(toPath),
+      ])
+    ),
+  });
+};
+
+/* makeNodeLabels */
+
+/**
+ * Makes the label of every node of a serialized graph, that is of every visited file path and of every file path found at either end of the graph's edges, in the order they were found.
+ * @param {Object} results The results being serialized as follows:
+ * @param {Set<string>} results.visitedSet The set of strings of the file paths visited during the recursion.
+ * @param {ImportEdge[]} results.graph The array of import edges found during the recursion.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {boolean} settings.relative Whether paths are formatted relative to the current working directory.
+ * @returns The map of each node's absolute file path to its label.
+ */
+export const makeNodeLabels = ({ visitedSet, graph }, { cwd, relative }) => {
+  /** @type {Map<string, string>} */
+  const nodeLabels = new Map();
+  const filePaths = [
+    ...visitedSet,
+    ...graph.flatMap(({ importer, resolvedPath }) => [importer, resolvedPath]),
+  ];
+  for (const filePath of filePaths)
+    if (!nodeLabels.has(filePath))
+      nodeLabels.set(filePath, formatPath(filePath, { cwd, relative }));
+
+  return nodeLabels;
+};
+
+/* groupNodesByDirectory */
+
+/**
+ * Groups the nodes of a serialized graph by the directory containing them, for the serializers clustering nodes by directory.
+ * @param {Map<string, string>} nodeLabels The map of each node's absolute file path to its label.
+ * @param {Object} settings The required settings as follows:
+ * @param {string} settings.cwd The current working directory.
+ * @param {boolean} settings.relative Whether paths are formatted relative to the current working directory.
+ * @returns The map of each directory's label to the array of the absolute file paths of the nodes it contains.
+ */
+export const groupNodesByDirectory = (nodeLabels, { cwd, relative }) => {
+  /** @type {Map<string, string[]>} */
+  const nodesByDirectory = new Map();
+  for (const filePath of nodeLabels.keys()) {
+    const directory = formatPath(path.dirname(filePath), { cwd, relative });
+    const filePaths = nodesByDirectory.get(directory) ?? [];
+    filePaths.push(filePath);
+    nodesByDirectory.set(directory, filePaths);
+  }
+
+  return nodesByDirectory;
+};
+
+/* quoteDotId */
+
+/**
+ * Quotes a string as a Graphviz DOT identifier, escaping its backslashes and double quotes.
+ * @param {string} id The string being quoted.
+ * @returns The quoted identifier.
+ */
+export const quoteDotId = (id) =>
+  `"${id.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/* quoteMermaidLabel */
+
+/**
+ * Quotes a string as a Mermaid node label, escaping its double quotes as entity codes.
+ * @param {string} label The string being quoted.
+ * @returns The quoted label.
+ */
+export const quoteMermaidLabel = (label) =>
+  `"${label.replace(/"/g, "#quot;")}"`;
+
+/* visitedSetHasPreviousVisit */
+
+/**
+ * Tells if the current file path has already been visited within the current recursion.
+ * @param {Set<string>} visitedSet The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @returns `true` if the file path has been visited before, `false` if it hasn't.
+ */
+export const visitedSetHasPreviousVisit = (visitedSet, filePath) =>
+  visitedSet.has(filePath);
+
+/* nodeIsImportDeclaration */
+
+/**
+ * Tells if the node being walked through corresponds to an ES Module import.
+ * @param {ASTBodyNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns `true` if the node is an `import`, `false` if it isn't.
+ */
+export const nodeIsImportDeclaration = (node) =>
+  node.type === "ImportDeclaration";
+
+/* nodeIsReExportDeclaration */
+
+/**
+ * Tells if the node being walked through corresponds to an ES Module re-export.
+ * @param {ASTBodyNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns `true` if the node is an `export * from` or an `export { x } from`, `false` if it isn't.
+ */
+export const nodeIsReExportDeclaration = (node) =>
+  (node.type === "ExportAllDeclaration" ||
+    node.type === "ExportNamedDeclaration") &&
+  !!node.source;
+
+/* nodeIsTypeOnlyImportOrReExport */
+
+/**
+ * Tells if the import or the re-export being walked through only involves types as a whole (`import type`, `export type`), and is therefore erased at runtime. (Imports and re-exports whose specifiers are all inline type specifiers, such as `import { type X }`, aren't type-only as a whole, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`, their inline type specifiers being recorded on their names instead.)
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree), already known to be an import or a re-export.
+ * @returns `true` if the import or the re-export is type-only, `false` if it isn't.
+ */
+export const nodeIsTypeOnlyImportOrReExport = (node) => {
+  if (node.type === "ImportDeclaration") return node.importKind === "type";
+  if (
+    node.type === "ExportNamedDeclaration" ||
+    node.type === "ExportAllDeclaration"
+  )
+    return node.exportKind === "type";
+  return false;
+};
+
+/* importIsOfKinds */
+
+/**
+ * Tells if an import extracted from the current file path is to be followed given the kinds of imports followed by the recursion, the imports with inline type specifiers (`import { type X }`) being followed both as values, since they remain at runtime unless type-only as a whole, and as types, through the names they bring in.
+ * @param {ExtractedImport} extractedImport The import currently being extracted, with its import path, its kind, whether it is type-only and the names it brings in.
+ * @param {ImportKindsMode} importKinds The kinds of imports followed by the recursion, either `"value"`, `"type"` or `"all"`.
+ * @returns `true` if the import is to be followed, `false` if it isn't.
+ */
+const importIsOfKinds = ({ typeOnly, names }, importKinds) => {
+  if (importKinds === "value") return !typeOnly;
+  if (importKinds === "type")
+    return typeOnly || names.some((name) => name.typeOnly);
+  return true;
+};
+
+/* nodeIsImportExpression */
+
+/**
+ * Tells if the node being walked through corresponds to a dynamic import.
+ * @param {ASTBodyNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns `true` if the node is an `import()`, `false` if it isn't.
+ */
+export const nodeIsImportExpression = (node) =>
+  node.type === "ImportExpression";
+
+/* nodeIsRequireCall */
 
 /**
  * Tells if the node being walked through corresponds to a CommonJS require.
@@ -261,3 +3176,440 @@ export const nodeIsRequireCall = (node) =>
   node.expression.type === "CallExpression" &&
   node.expression.callee.name === "require" &&
   node.expression.arguments[0]?.type === "Literal";
+
+/* getStaticStringValue */
+
+/**
+ * Gets the string value of a node when it can be known without running the code, that is when it is a string literal or a template literal without expressions.
+ * @param {ASTNode | null | undefined} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns The string value of the node if it is static, `undefined` if it isn't.
+ */
+export const getStaticStringValue = (node) => {
+  if (node?.type === "Literal" && typeof node.value === "string")
+    return node.value;
+  if (node?.type === "TemplateLiteral" && node.expressions.length === 0)
+    return node.quasis[0].value.cooked ?? undefined;
+  return undefined;
+};
+
+/* nodeIsStaticImportExpression */
+
+/**
+ * Tells if the node being walked through corresponds to a dynamic import whose import path is a static string, wherever it is found in the AST.
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns `true` if the node is an `import()` of a static string, `false` if it isn't.
+ */
+export const nodeIsStaticImportExpression = (node) =>
+  node.type === "ImportExpression" &&
+  getStaticStringValue(node.source) !== undefined;
+
+/* nodeIsStaticRequireCallExpression */
+
+/**
+ * Tells if the node being walked through corresponds to a CommonJS require whose import path is a static string, wherever it is found in the AST.
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @returns `true` if the node is a `require()` of a static string, `false` if it isn't.
+ */
+export const nodeIsStaticRequireCallExpression = (node) =>
+  node.type === "CallExpression" &&
+  node.callee.type === "Identifier" &&
+  node.callee.name === "require" &&
+  getStaticStringValue(node.arguments[0]) !== undefined;
+
+/* getImportedNames */
+
+/**
+ * Gets the name of an identifier or of a string literal used as a module export name.
+ * @param {ASTNode} node The identifier or the string literal.
+ * @returns The name as a string.
+ */
+const getModuleExportName = (node) =>
+  node.type === "Identifier" ? node.name : String(node.value);
+
+/**
+ * Gets the names brought in by an import or a re-export, whether they are default, named or namespace imports.
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree), already known to be an import or a re-export.
+ * @returns The array of the names brought in, each with its kind, its name in the imported file, its name in the importing file (or its exported name for re-exports) and whether it is type-only.
+ */
+export const getImportedNames = (node) => {
+  /** @type {ImportedName[]} */
+  const names = [];
+
+  // import x, { y as z, type T } from 'y' and import * as ns from 'y'
+  if (node.type === "ImportDeclaration") {
+    const declarationIsTypeOnly = node.importKind === "type";
+    for (const specifier of node.specifiers) {
+      if (specifier.type === "ImportDefaultSpecifier")
+        names.push({
+          kind: "default",
+          imported: "default",
+          local: specifier.local.name,
+          typeOnly: declarationIsTypeOnly,
+        });
+      else if (specifier.type === "ImportNamespaceSpecifier")
+        names.push({
+          kind: "namespace",
+          imported: "*",
+          local: specifier.local.name,
+          typeOnly: declarationIsTypeOnly,
+        });
+      else {
+        const imported = getModuleExportName(specifier.imported);
+        names.push({
+          kind: imported === "default" ? "default" : "named",
+          imported,
+          local: specifier.local.name,
+          typeOnly: declarationIsTypeOnly || specifier.importKind === "type",
+        });
+      }
+    }
+  }
+
+  // export { x as y, type T } from 'y'
+  if (node.type === "ExportNamedDeclaration") {
+    const declarationIsTypeOnly = node.exportKind === "type";
+    for (const specifier of node.specifiers) {
+      const imported = getModuleExportName(specifier.local);
+      names.push({
+        kind: imported === "default" ? "default" : "named",
+        imported,
+        local: getModuleExportName(specifier.exported),
+        typeOnly: declarationIsTypeOnly || specifier.exportKind === "type",
+      });
+    }
+  }
+
+  // export * from 'y' and export * as ns from 'y'
+  if (node.type === "ExportAllDeclaration")
+    names.push({
+      kind: "namespace",
+      imported: "*",
+      local: node.exported ? getModuleExportName(node.exported) : "*",
+      typeOnly: node.exportKind === "type",
+    });
+
+  return names;
+};
+
+/* walkAST */
+
+/**
+ * Walks through every node of an AST depth-first, in source order, running the visit function on each of them.
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @param {SourceCode["visitorKeys"]} visitorKeys The visitor keys of the current file path's SourceCode object, telling which properties of each node type hold its child nodes.
+ * @param {(node: ASTNode) => void} visit The function running on every node walked through.
+ * @returns
+ */
+const walkAST = (node, visitorKeys, visit) => {
+  visit(node);
+
+  for (const key of visitorKeys[node.type] ?? []) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const grandChild of child)
+        if (grandChild) walkAST(grandChild, visitorKeys, visit);
+    } else if (child && typeof child.type === "string") {
+      walkAST(child, visitorKeys, visit);
+    }
+  }
+};
+
+/* extractNodeImport */
+
+/**
+ * Extracts the import the node being walked through corresponds to, if any, the dynamic imports and the CommonJS requires being found at any level in deep scan mode, but only as top-level statements otherwise.
+ * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+ * @param {ScanMode} scan The scan mode of the extraction, either `"top-level"` or `"deep"`.
+ * @returns The import the node corresponds to, with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`), or `null` if the node isn't an import.
+ */
+const extractNodeImport = (node, scan) => {
+  // ES Modules (import x from 'y', import type { X } from 'y') and their re-exports (export * from 'y', export { x } from 'y', export type { X } from 'y')
+  if (nodeIsImportDeclaration(node) || nodeIsReExportDeclaration(node))
+    return {
+      specifier: node.source.value,
+      kind: nodeIsImportDeclaration(node) ? "static" : "re-export",
+      typeOnly: nodeIsTypeOnlyImportOrReExport(node),
+      names: getImportedNames(node),
+      loc: node.loc,
+    };
+
+  // Dynamic imports (import('x')), at any level in deep scan mode
+  if (
+    scan === "deep"
+      ? nodeIsStaticImportExpression(node)
+      : nodeIsImportExpression(node)
+  )
+    return {
+      specifier: getStaticStringValue(node.source),
+      kind: "dynamic",
+      typeOnly: false,
+      names: [],
+      loc: node.loc,
+    };
+
+  // CommonJS (require('x')), at any level in deep scan mode
+  if (
+    scan === "deep"
+      ? nodeIsStaticRequireCallExpression(node)
+      : nodeIsRequireCall(node)
+  ) {
+    const requireCall =
+      node.type === "ExpressionStatement" ? node.expression : node;
+    return {
+      specifier: getStaticStringValue(requireCall.arguments[0]),
+      kind: "require",
+      typeOnly: false,
+      names: [],
+      loc: node.loc,
+    };
+  }
+
+  return null;
+};
+
+/* extractImports */
+
+/**
+ * Extracts all imports of a file from its SourceCode object, either from its top-level nodes only or from its whole AST depending on the scan mode, keeping only those of the kinds followed by the recursion.
+ * @param {SourceCode} sourceCode The current file path's SourceCode object.
+ * @param {ScanMode} scan The scan mode of the extraction, either `"top-level"` to only address the nodes at the root of the AST, or `"deep"` to walk through the whole AST and also find the `import()` and `require()` calls nested in expressions, declarations and function bodies.
+ * @param {ImportKindsMode} importKinds The kinds of imports kept by the extraction, either `"value"` for the imports that remain at runtime, `"type"` for the imports bringing in types, or `"all"` for both.
+ * @returns The array of the imports found in the file in source order, each with its import path (`specifier`), its kind (`kind`), whether it is type-only (`typeOnly`), the names it brings in (`names`) and its location (`loc`).
+ */
+export const extractImports = (sourceCode, scan, importKinds) => {
+  /** @type {ExtractedImport[]} */
+  const imports = [];
+
+  /**
+   * Records the import the node corresponds to, if any, when it is of the kinds followed by the recursion.
+   * @param {ASTNode} node The current node of the current file path's AST (Abstract Syntax Tree).
+   * @returns
+   */
+  const visit = (node) => {
+    const extractedImport = /** @type {ExtractedImport | null} */ (
+      extractNodeImport(node, scan)
+    );
+    if (extractedImport && importIsOfKinds(extractedImport, importKinds))
+      imports.push(extractedImport);
+  };
+
+  // Walks through the whole AST in deep scan mode, or only addresses top-level nodes otherwise.
+  if (scan === "deep")
+    walkAST(
+      /** @type {ASTNode} */ (/** @type {unknown} */ (sourceCode.ast)),
+      sourceCode.visitorKeys,
+      visit
+    );
+  else
+    for (const node of sourceCode.ast.body)
+      visit(/** @type {ASTNode} */ (node));
+
+  return imports;
+};
+
+/* extractFileImports */
+
+/**
+ * Extracts the imports of a file, with the custom extractor if any, unless they have already been found by the file's handler.
+ * @param {string} filePath The absolute path of the file whose imports are being extracted.
+ * @param {Object} fileSource The source of the file as follows:
+ * @param {SourceCode | null} fileSource.sourceCode The file's SourceCode object, `null` when it has none.
+ * @param {ExtractedImport[] | null} fileSource.handledImports The imports found by the file's handler, `null` when they are to be extracted from its SourceCode object.
+ * @param {Object} settings The required settings as follows:
+ * @param {ScanMode} settings.scan The scan mode of the extraction of imports.
+ * @param {ImportKindsMode} settings.importKinds The kinds of imports followed by the recursion.
+ * @param {ImportsExtractor | null} settings.extractImports The custom extractor replacing the default extraction of imports.
+ * @param {string[]} settings.stack The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one.
+ * @param {Map<string, FileImport[]>} settings.fileImports The map of each visited file path to the imports found in it.
+ * @returns The imports of the file of the kinds followed in a success object (`success: true`), with the `kind`, `typeOnly`, `names` and `loc` left out by the custom extractor set as `"static"`, `false`, `[]` and the start of the file, or a `{success: false}` object along with its errors when the custom extractor throws or doesn't return an array of valid imports.
+ */
+export const extractFileImports = (
+  filePath,
+  { sourceCode, handledImports },
+  {
+    scan,
+    importKinds,
+    extractImports: customExtractImports,
+    stack,
+    fileImports,
+  }
+) => {
+  // Returns early the imports already found by the file's handler.
+  if (handledImports)
+    return { ...successTrue, extractedImports: handledImports };
+
+  const defaultExtractImports = () =>
+    extractImports(/** @type {SourceCode} */ (sourceCode), scan, importKinds);
+
+  // Extracts the imports the default way when there is no custom extractor.
+  if (!customExtractImports)
+    return { ...successTrue, extractedImports: defaultExtractImports() };
+
+  // Otherwise extracts them with the custom extractor, failing if it fails.
+  let extractedImports;
+  try {
+    extractedImports = customExtractImports(
+      /** @type {SourceCode} */ (sourceCode),
+      filePath,
+      { scan, importKinds, defaultExtractImports }
+    );
+  } catch (e) {
+    return makeSuccessFalseTypeError(
+      `ERROR. Extractor error in ${filePath}. \nError: \n${e}`,
+      {
+        code: errorCodes.EXTRACT_IMPORTS_FAILED,
+        ...makeErrorLocation(filePath, { stack, fileImports }),
+      }
+    );
+  }
+
+  // Validates the imports returned with zod, giving the properties left out their default values.
+  const extractedImportsResults =
+    ExtractedImportsSchema.safeParse(extractedImports);
+  if (!extractedImportsResults.success) {
+    const errorLocation = makeErrorLocation(filePath, { stack, fileImports });
+    return {
+      ...successFalse,
+      errors: [
+        {
+          ...typeError,
+          message: `ERROR. The imports returned by extractImports for ${filePath} could not pass validation from zod.`,
+          code: errorCodes.EXTRACT_IMPORTS_FAILED,
+          ...errorLocation,
+        },
+        ...extractedImportsResults.error.issues.map((e) => ({
+          ...typeError,
+          message: e.message,
+          code: errorCodes.EXTRACT_IMPORTS_FAILED,
+          ...errorLocation,
+        })),
+      ],
+    };
+  }
+
+  return {
+    ...successTrue,
+    extractedImports: /** @type {ExtractedImport[]} */ (
+      extractedImportsResults.data
+    ).filter((extractedImport) =>
+      importIsOfKinds(extractedImport, importKinds)
+    ),
+  };
+};
+
+/* blankOut */
+
+/**
+ * Replaces every character of a text with a space except its line breaks, so that the code kept around it keeps its locations.
+ * @param {string} text The text being blanked out.
+ * @returns The blanked out text, with the same length and lines.
+ */
+const blankOut = (text) => text.replace(/[^\n]/g, " ");
+
+/* blankOutStyleComments */
+
+/**
+ * Blanks out the comments of a stylesheet, so that the rules they contain are ignored.
+ * @param {string} sourceText The text of the stylesheet.
+ * @returns The text of the stylesheet with its comments blanked out.
+ */
+const blankOutStyleComments = (sourceText) =>
+  sourceText.replace(/\/\*[\s\S]*?\*\//g, blankOut);
+
+/* getStyleImports */
+
+/**
+ * Gets the import paths of a stylesheet from its `@import`, `@use` and `@forward` rules, leaving out URLs and the rules found in comments.
+ * @param {string} sourceText The text of the stylesheet.
+ * @returns The array of the import paths of the stylesheet, in source order.
+ */
+export const getStyleImports = (sourceText) =>
+  [
+    ...blankOutStyleComments(sourceText).matchAll(
+      /@(?:import|use|forward)\s+(?:url\(\s*)?(["']?)([^"'\s();]+)\1/g
+    ),
+  ]
+    .map((match) => match[2])
+    .filter((specifier) => !/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(specifier));
+
+/* getComponentScript */
+
+/**
+ * Gets the script of a Vue or Svelte component from its `<script>` blocks, blanking out the rest of the component so that the imports keep their locations.
+ * @param {string} sourceText The text of the component.
+ * @returns The script of the component, with everything outside of its `<script>` blocks blanked out.
+ */
+export const getComponentScript = (sourceText) => {
+  let script = "";
+  let lastIndex = 0;
+
+  for (const match of sourceText.matchAll(
+    /(<script\b[^>]*>)([\s\S]*?)<\/script\s*>/gi
+  )) {
+    const contentIndex = match.index + match[1].length;
+    script += blankOut(sourceText.slice(lastIndex, contentIndex)) + match[2];
+    lastIndex = contentIndex + match[2].length;
+  }
+
+  return script + blankOut(sourceText.slice(lastIndex));
+};
+
+/* getMdxScript */
+
+/**
+ * Gets the script of an MDX document from its ESM blocks, the paragraphs starting with `import` or `export` outside of code fences, blanking out the rest of the document so that the imports keep their locations.
+ * @param {string} sourceText The text of the MDX document.
+ * @returns The script of the MDX document, with everything outside of its ESM blocks blanked out.
+ */
+export const getMdxScript = (sourceText) => {
+  let inFence = false;
+  let inESMBlock = false;
+
+  return sourceText
+    .split("\n")
+    .map((line) => {
+      // Tracks code fences, whose content is never an ESM block.
+      if (/^\s*(?:```|~~~)/.test(line)) {
+        inFence = !inFence;
+        inESMBlock = false;
+        return blankOut(line);
+      }
+      if (inFence) return blankOut(line);
+
+      // ESM blocks start with import or export and end at the next blank line.
+      if (line.trim() === "") inESMBlock = false;
+      else if (!inESMBlock && /^(?:import|export)\b/.test(line))
+        inESMBlock = true;
+
+      return inESMBlock ? line : blankOut(line);
+    })
+    .join("\n");
+};
+
+/* defaultHandlers */
+
+/**
+ * The built-in handlers per file extension, recording assets as leaves, following the `@import`, `@use` and `@forward` rules of stylesheets, and parsing the `<script>` blocks of Vue and Svelte components and the ESM blocks of MDX documents. Provided handlers take precedence over them.
+ * @type {Readonly<FileHandlers>}
+ */
+export const defaultHandlers = Object.freeze({
+  ...Object.fromEntries(assetExtensions.map((extension) => [extension, null])),
+  ...Object.fromEntries(
+    styleExtensions.map((extension) => [
+      extension,
+      Object.freeze({ getImports: getStyleImports }),
+    ])
+  ),
+  ...Object.fromEntries(
+    componentExtensions.map((extension) => [
+      extension,
+      Object.freeze({ getScript: getComponentScript }),
+    ])
+  ),
+  ...Object.fromEntries(
+    mdxExtensions.map((extension) => [
+      extension,
+      Object.freeze({ getScript: getMdxScript }),
+    ])
+  ),
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const cwd = fixturePath("graph");
+const graphEntry = fixturePath("graph", "entry.js");
+
+/**
+ * Gets the edges of some results as `"importer -> resolved path"` base names.
+ * @param {{importer: string, resolvedPath: string}[]} graph The graph of the results.
+ */
+const toEdges = (graph) =>
+  graph.map(
+    ({ importer, resolvedPath }) =>
+      `${toBasenames([importer])} -> ${toBasenames([resolvedPath])}`
+  );
+
+test("include and exclude leave the resolved paths out of the traversal", () => {
+  const excludedResults = findAllImports(graphEntry, {
+    cwd,
+    exclude: ["shared.js"],
+  });
+
+  assert.equal(excludedResults.success, true);
+  assert.deepEqual(toBasenames(excludedResults.visitedSet), [
+    "entry.js",
+    "a.js",
+    "b.js",
+    "c.js",
+  ]);
+  assert.equal(
+    toEdges(excludedResults.graph).some((edge) => edge.endsWith("shared.js")),
+    false
+  );
+
+  const includedResults = findAllImports(graphEntry, {
+    cwd,
+    include: ["{entry,a,shared}.js"],
+  });
+
+  assert.equal(includedResults.success, true);
+  assert.deepEqual(toBasenames(includedResults.visitedSet), [
+    "entry.js",
+    "a.js",
+    "shared.js",
+  ]);
+});
+
+test("shouldTraverse receives the importer, and keepExcludedAsLeaves keeps the edges left out", () => {
+  /** @type {string[]} */
+  const calls = [];
+  const results = findAllImports(graphEntry, {
+    cwd,
+    shouldTraverse: (resolvedPath, importer) => {
+      calls.push(
+        `${toBasenames([importer])} -> ${toBasenames([resolvedPath])}`
+      );
+      return !resolvedPath.endsWith("shared.js");
+    },
+    keepExcludedAsLeaves: true,
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "a.js",
+    "b.js",
+    "c.js",
+  ]);
+  assert.equal(calls.includes("b.js -> shared.js"), true);
+  assert.deepEqual(toEdges(results.graph), [
+    "entry.js -> a.js",
+    "a.js -> shared.js",
+    "entry.js -> b.js",
+    "b.js -> shared.js",
+    "b.js -> c.js",
+    "c.js -> entry.js",
+  ]);
+});
+
+test("findAllImports fails when shouldTraverse throws", () => {
+  const results = findAllImports(graphEntry, {
+    cwd,
+    shouldTraverse: () => {
+      throw new Error("Out of bounds.");
+    },
+  });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.SHOULD_TRAVERSE_THREW);
+  assert.equal(results.errors[0].importer, graphEntry);
+});
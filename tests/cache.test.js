@@ -0,0 +1,127 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+
+import { findAllImports, makeCache } from "../library/index.js";
+import { fixturePath, toBasenames, makeTemporaryFiles } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+// Writes the package installed in node_modules to a temporary directory, since node_modules directories are ignored by git.
+const externalFiles = makeTemporaryFiles({
+  "entry.js": 'import "dep";\n',
+  "node_modules/dep/package.json": JSON.stringify({
+    name: "dep",
+    version: "1.0.0",
+    main: "index.js",
+  }),
+  "node_modules/dep/index.js": 'import "./inner.js";\n',
+  "node_modules/dep/inner.js": "export const inner = true;\n",
+});
+const externalEntry = externalFiles.filePath("entry.js");
+
+after(externalFiles.remove);
+
+test("a shared cache doesn't reuse resolutions across followExternal modes", () => {
+  const cache = makeCache();
+
+  assert.deepEqual(
+    toBasenames(findAllImports(externalEntry, { cache }).visitedSet),
+    ["entry.js"]
+  );
+  assert.deepEqual(
+    toBasenames(
+      findAllImports(externalEntry, { cache, followExternal: "deep" })
+        .visitedSet
+    ),
+    toBasenames(
+      findAllImports(externalEntry, { followExternal: "deep" }).visitedSet
+    )
+  );
+  assert.deepEqual(
+    toBasenames(
+      findAllImports(externalEntry, { cache, followExternal: "deep" })
+        .visitedSet
+    ),
+    ["entry.js", "index.js", "inner.js"]
+  );
+});
+
+test("a shared cache doesn't reuse resolutions across custom resolvers", () => {
+  const cache = makeCache();
+
+  assert.equal(
+    findAllImports(graphEntry, { cache, resolve: () => null }).visitedSet.size,
+    1
+  );
+  assert.equal(findAllImports(graphEntry, { cache }).visitedSet.size, 6);
+});
+
+test("followExternal records each package once in package mode without traversing it", () => {
+  const results = findAllImports(externalEntry, { followExternal: "package" });
+
+  assert.deepEqual(toBasenames(results.visitedSet), ["entry.js"]);
+  assert.deepEqual(results.external, new Set(["dep"]));
+  assert.deepEqual(results.packages.get("dep"), {
+    name: "dep",
+    version: "1.0.0",
+    dir: externalFiles.filePath("node_modules/dep"),
+    entry: externalFiles.filePath("node_modules/dep/index.js"),
+  });
+});
+
+test("a shared cache doesn't reuse SourceCode objects across handlers", () => {
+  const cache = makeCache();
+  const pageEntry = fixturePath("handlers", "entry.page");
+  const findImportsWithScript = (/** @type {string} */ script) =>
+    findAllImports(pageEntry, {
+      cache,
+      handlers: { ".page": { getScript: () => script } },
+    });
+
+  assert.deepEqual(
+    toBasenames(findImportsWithScript('import "./a.js";').visitedSet),
+    ["entry.page", "a.js"]
+  );
+  assert.deepEqual(
+    toBasenames(findImportsWithScript('import "./b.js";').visitedSet),
+    ["entry.page", "b.js"]
+  );
+});
+
+test("a shared cache reuses the SourceCode objects of unchanged files only", () => {
+  const cache = makeCache();
+  const files = makeTemporaryFiles({
+    "entry.js": 'import "./a.js";\n',
+    "a.js": "export const a = true;\n",
+    "b.js": "export const b = true;\n",
+  });
+
+  try {
+    const entry = files.filePath("entry.js");
+    findAllImports(entry, { cache });
+    const entrySourceCode = cache.sourceCodes.get(entry).sourceCode;
+    const aSourceCode = cache.sourceCodes.get(
+      files.filePath("a.js")
+    ).sourceCode;
+
+    // Moves the modification time of the edited file forward so that it differs whatever the precision of the file system.
+    files.writeFile("entry.js", 'import "./b.js";\n');
+    const later = new Date(Date.now() + 10_000);
+    fs.utimesSync(entry, later, later);
+
+    assert.deepEqual(toBasenames(findAllImports(entry, { cache }).visitedSet), [
+      "entry.js",
+      "b.js",
+    ]);
+    assert.notEqual(cache.sourceCodes.get(entry).sourceCode, entrySourceCode);
+
+    findAllImports(files.filePath("a.js"), { cache });
+    assert.equal(
+      cache.sourceCodes.get(files.filePath("a.js")).sourceCode,
+      aSourceCode
+    );
+  } finally {
+    files.remove();
+  }
+});
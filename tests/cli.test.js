@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { fixtures } from "./utilities.js";
+
+const cliPath = fileURLToPath(new URL("../library/cli.js", import.meta.url));
+
+/**
+ * Runs the command-line interface with the given arguments from the fixtures directory.
+ * @param {string[]} args The command-line arguments.
+ * @returns The exit code (`status`) and the printed output (`stdout`, `stderr`) of the command.
+ */
+const runCli = (args) =>
+  spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: fixtures,
+    encoding: "utf8",
+  });
+
+test("the CLI prints the files found, relative to --cwd with --relative", () => {
+  const { status, stdout } = runCli(["graph/entry.js", "--relative"]);
+
+  assert.equal(status, 0);
+  assert.deepEqual(stdout.trim().split("\n"), [
+    "graph/entry.js",
+    "graph/a.js",
+    "graph/shared.js",
+    "graph/leaf.js",
+    "graph/b.js",
+    "graph/c.js",
+  ]);
+});
+
+test("the CLI prints one JSON object per file in ndjson format", () => {
+  const { status, stdout } = runCli([
+    "graph/a.js",
+    "--relative",
+    "--format",
+    "ndjson",
+  ]);
+
+  assert.equal(status, 0);
+  const lines = stdout
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(
+    lines.map(({ filePath }) => filePath),
+    ["graph/a.js", "graph/shared.js", "graph/leaf.js"]
+  );
+  assert.equal(lines[0].imports[0].resolvedPath, "graph/shared.js");
+});
+
+test("the CLI accepts --max-depth 0 and exits with 2 on invalid usage", () => {
+  const maxDepthResults = runCli(["graph/leaf.js", "--max-depth", "0"]);
+  assert.equal(maxDepthResults.status, 0);
+
+  for (const args of [
+    [],
+    ["graph/entry.js", "--max-depth=-1"],
+    ["graph/entry.js", "--format", "xml"],
+    ["graph/entry.js", "--unknown"],
+  ])
+    assert.equal(runCli(args).status, 2);
+  assert.match(
+    runCli(["graph/entry.js", "--max-depth=-1"]).stderr,
+    /non-negative integer/
+  );
+});
+
+test("the CLI exits with 1 when the traversal fails", () => {
+  const { status, stderr } = runCli(["graph/entry.js", "--max-depth", "1"]);
+
+  assert.equal(status, 1);
+  assert.match(stderr, /Max depth/i);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+import { findAllImportsWithCallbackAsync } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+/**
+ * Runs findAllImportsWithCallbackAsync with the given concurrency, each callback waiting for a different delay so that concurrent callbacks finish out of order.
+ * @param {string} filePath The file path where the traversal begins.
+ * @param {number} concurrency The maximum number of files read and of callbacks running at the same time.
+ * @param {Record<string, unknown>} options The other options of the traversal.
+ * @returns The results of the traversal along with the file paths passed to the callback.
+ */
+const traverseWithConcurrency = async (filePath, concurrency, options = {}) => {
+  /** @type {string[]} */
+  const accumulator = [];
+  const results = await findAllImportsWithCallbackAsync(
+    filePath,
+    {
+      callback: async (filePath, _sourceCode, accumulator) => {
+        await new Promise((resolve) =>
+          setTimeout(resolve, path.basename(filePath).length)
+        );
+        accumulator.push(filePath);
+      },
+      accumulator,
+    },
+    { concurrency, detectCycles: true, ...options }
+  );
+
+  return { results, accumulator };
+};
+
+const sortedCycles = (cycles) =>
+  cycles.map((cycle) => cycle.join(" > ")).sort();
+
+test("concurrent traversals find the same results as sequential ones", async () => {
+  const sequential = await traverseWithConcurrency(graphEntry, 1);
+  const concurrent = await traverseWithConcurrency(graphEntry, 4);
+
+  assert.equal(sequential.results.success, true);
+  assert.equal(concurrent.results.success, true);
+  assert.deepEqual(
+    new Set(concurrent.results.visitedSet),
+    new Set(sequential.results.visitedSet)
+  );
+  assert.deepEqual(
+    new Set(concurrent.results.graph.map(JSON.stringify)),
+    new Set(sequential.results.graph.map(JSON.stringify))
+  );
+  assert.deepEqual(concurrent.results.depths, sequential.results.depths);
+  assert.deepEqual(
+    sortedCycles(concurrent.results.cycles),
+    sortedCycles(sequential.results.cycles)
+  );
+  assert.equal(concurrent.results.cycles.length, 1);
+
+  // Each file goes through the callback exactly once despite the shared subtrees.
+  assert.deepEqual(
+    [...concurrent.accumulator].sort(),
+    [...sequential.accumulator].sort()
+  );
+  assert.equal(concurrent.accumulator.length, 6);
+});
+
+test("concurrent traversals find the cycles going back to the stack passed", async () => {
+  const options = { stack: [fixturePath("graph", "b.js")] };
+  const cEntry = fixturePath("graph", "c.js");
+  const sequential = await traverseWithConcurrency(cEntry, 1, options);
+  const concurrent = await traverseWithConcurrency(cEntry, 4, options);
+
+  assert.ok(sequential.results.cycles.length > 0);
+  assert.deepEqual(
+    sortedCycles(concurrent.results.cycles),
+    sortedCycles(sequential.results.cycles)
+  );
+});
+
+test("concurrent traversals stop their other rounds once one of them fails", async () => {
+  /** @type {string[]} */
+  const accumulator = [];
+  const results = await findAllImportsWithCallbackAsync(
+    fixturePath("failure", "entry.js"),
+    {
+      callback: async (filePath, _sourceCode, accumulator) => {
+        if (path.basename(filePath) === "fails.js") throw new Error("Fails.");
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        accumulator.push(path.basename(filePath));
+      },
+      accumulator,
+    },
+    { concurrency: 4 }
+  );
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.CALLBACK_THREW);
+
+  // The rounds already running may finish their callbacks, but don't go on with the imports of their files.
+  assert.equal(accumulator.includes("entry.js"), true);
+  assert.deepEqual(
+    accumulator.filter((fileName) => fileName.startsWith("deep-")),
+    []
+  );
+});
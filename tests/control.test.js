@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImportsWithCallbackSync,
+  findAllImportsWithCallbackAsync,
+} from "../library/index.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+/**
+ * Runs both callback variants on the graph fixture, with a callback returning the given action on the given file.
+ * @param {string} action The action returned by the callback, `"skip"` or `"stop"`.
+ * @param {string} fileName The base name of the file the callback returns the action on.
+ * @returns The base names of the files the callbacks ran on and of the files visited, for each variant.
+ */
+const runWithAction = async (action, fileName) => {
+  const callback = (filePath, _sourceCode, accumulator) => {
+    accumulator.push(filePath);
+    if (filePath === fixturePath("graph", fileName)) return action;
+  };
+
+  const syncAccumulator = [];
+  const syncResults = findAllImportsWithCallbackSync(graphEntry, {
+    callback,
+    accumulator: syncAccumulator,
+  });
+  const asyncAccumulator = [];
+  const asyncResults = await findAllImportsWithCallbackAsync(graphEntry, {
+    callback: async (...args) => callback(...args),
+    accumulator: asyncAccumulator,
+  });
+
+  return [
+    [syncResults, syncAccumulator],
+    [asyncResults, asyncAccumulator],
+  ].map(([results, accumulator]) => ({
+    success: results.success,
+    called: toBasenames(accumulator),
+    visited: toBasenames(results.visitedSet),
+  }));
+};
+
+test('a callback returning "skip" leaves out the imports of its file', async () => {
+  for (const variant of await runWithAction("skip", "b.js"))
+    assert.deepEqual(variant, {
+      success: true,
+      called: ["entry.js", "a.js", "shared.js", "leaf.js", "b.js"],
+      visited: ["entry.js", "a.js", "shared.js", "leaf.js", "b.js"],
+    });
+});
+
+test('a callback returning "stop" ends the whole traversal successfully', async () => {
+  for (const variant of await runWithAction("stop", "shared.js"))
+    assert.deepEqual(variant, {
+      success: true,
+      called: ["entry.js", "a.js", "shared.js"],
+      visited: ["entry.js", "a.js", "shared.js"],
+    });
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+test("detectCycles records each import cycle as the ordered file paths it goes through", () => {
+  const results = findAllImports(graphEntry, { detectCycles: true });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(results.cycles.map(toBasenames), [
+    ["entry.js", "b.js", "c.js", "entry.js"],
+  ]);
+
+  // Cycles start from the file path through which the recursion entered them.
+  assert.deepEqual(
+    findAllImports(fixturePath("graph", "b.js"), {
+      detectCycles: true,
+    }).cycles.map(toBasenames),
+    [["b.js", "c.js", "entry.js", "b.js"]]
+  );
+});
+
+test("cycles are left out without detectCycles", () => {
+  assert.deepEqual(findAllImports(graphEntry).cycles, []);
+});
+
+test("failOnCycle fails on the first cycle, naming it", () => {
+  const results = findAllImports(graphEntry, { failOnCycle: true });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.IMPORT_CYCLE);
+  assert.deepEqual(toBasenames(results.errors[0].chain), [
+    "entry.js",
+    "b.js",
+    "c.js",
+    "entry.js",
+  ]);
+  assert.match(
+    results.errors[0].message,
+    /Import cycle detected: .*entry\.js -> .*b\.js -> .*c\.js -> .*entry\.js/
+  );
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllDependents } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const cwd = fixturePath("graph");
+
+test("findAllDependents finds every transitive importer with its shortest chain", () => {
+  const results = findAllDependents("leaf.js", {
+    roots: ["a.js", "c.js"],
+    cwd,
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.dependents), [
+    "shared.js",
+    "a.js",
+    "b.js",
+    "entry.js",
+    "c.js",
+  ]);
+  assert.deepEqual(
+    [...results.chains].map(([dependent, chain]) => [
+      ...toBasenames([dependent]),
+      toBasenames(chain),
+    ]),
+    [
+      ["shared.js", ["shared.js", "leaf.js"]],
+      ["a.js", ["a.js", "shared.js", "leaf.js"]],
+      ["b.js", ["b.js", "shared.js", "leaf.js"]],
+      ["entry.js", ["entry.js", "a.js", "shared.js", "leaf.js"]],
+      ["c.js", ["c.js", "entry.js", "a.js", "shared.js", "leaf.js"]],
+    ]
+  );
+  assert.deepEqual(toBasenames(results.affectedRoots), ["a.js", "c.js"]);
+});
+
+test("affectedRoots includes the roots equal to the target path", () => {
+  const results = findAllDependents("a.js", { roots: ["b.js", "a.js"], cwd });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.dependents), [
+    "entry.js",
+    "c.js",
+    "b.js",
+  ]);
+  assert.deepEqual(toBasenames(results.affectedRoots), ["b.js", "a.js"]);
+});
+
+test("findAllDependents fails on an invalid target path or invalid roots", () => {
+  for (const results of [
+    findAllDependents(null, { roots: "a.js", cwd }),
+    findAllDependents("a.js", { cwd }),
+  ]) {
+    assert.equal(results.success, false);
+    assert.equal(results.errors[0].code, errorCodes.INVALID_OPTION);
+  }
+});
@@ -0,0 +1,71 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports, why } from "../library/index.js";
+import { makeTemporaryFiles, toBasenames } from "./utilities.js";
+
+// c.js is first reached at depth 3 through a.js and b.js, then at depth 1 from the entry.
+const { dir, filePath, remove } = makeTemporaryFiles({
+  "entry.js": 'import "./a.js";\nimport "./c.js";\n',
+  "a.js": 'import "./b.js";\n',
+  "b.js": 'import "./c.js";\n',
+  "c.js": 'import "./d.js";\n',
+  "d.js": "export const d = 1;\n",
+});
+after(remove);
+
+test("depths and shortestChains keep the minimum depth and a shortest chain of each file", () => {
+  const results = findAllImports(filePath("entry.js"));
+
+  assert.equal(results.success, true);
+  assert.deepEqual(
+    [...results.depths].map(([visitedPath, depth]) => [
+      ...toBasenames([visitedPath]),
+      depth,
+    ]),
+    [
+      ["entry.js", 0],
+      ["a.js", 1],
+      ["b.js", 2],
+      ["c.js", 1],
+      ["d.js", 2],
+    ]
+  );
+  assert.deepEqual(
+    [...results.shortestChains].map(([visitedPath, chain]) => [
+      ...toBasenames([visitedPath]),
+      toBasenames(chain),
+    ]),
+    [
+      ["entry.js", ["entry.js"]],
+      ["a.js", ["entry.js", "a.js"]],
+      ["b.js", ["entry.js", "a.js", "b.js"]],
+      ["c.js", ["entry.js", "c.js"]],
+      ["d.js", ["entry.js", "c.js", "d.js"]],
+    ]
+  );
+});
+
+test("why explains how a file is pulled in with its shortest chain and edges", () => {
+  const results = why("entry.js", "d.js", { cwd: dir });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.chain), ["entry.js", "c.js", "d.js"]);
+  assert.deepEqual(
+    results.edges.map(({ importer, specifier, resolvedPath }) => [
+      importer,
+      specifier,
+      resolvedPath,
+    ]),
+    [
+      [filePath("entry.js"), "./c.js", filePath("c.js")],
+      [filePath("c.js"), "./d.js", filePath("d.js")],
+    ]
+  );
+
+  const unreachedResults = why("c.js", "a.js", { cwd: dir });
+
+  assert.equal(unreachedResults.success, true);
+  assert.equal(unreachedResults.chain, null);
+  assert.deepEqual(unreachedResults.edges, []);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImportsFromEntries } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const cwd = fixturePath("graph");
+
+test("findAllImportsFromEntries shares one traversal and tells what each entry reaches", () => {
+  const results = findAllImportsFromEntries(["a.js", "c.js"], { cwd });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "a.js",
+    "shared.js",
+    "leaf.js",
+    "c.js",
+    "entry.js",
+    "b.js",
+  ]);
+  assert.deepEqual(
+    [...results.entrySets].map(([entryPath, entrySet]) => [
+      ...toBasenames([entryPath]),
+      toBasenames(entrySet).sort(),
+    ]),
+    [
+      ["a.js", ["a.js", "leaf.js", "shared.js"]],
+      ["c.js", ["a.js", "b.js", "c.js", "entry.js", "leaf.js", "shared.js"]],
+    ]
+  );
+});
+
+test("findAllImportsFromEntries expands glob patterns into entries", () => {
+  const results = findAllImportsFromEntries("s*.js", { cwd });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.entrySets.keys()), ["shared.js"]);
+  assert.deepEqual(toBasenames(results.visitedSet), ["shared.js", "leaf.js"]);
+});
+
+test("findAllImportsFromEntries fails when no entry is found at all", () => {
+  const results = findAllImportsFromEntries(["missing/*.js", "none/*.js"], {
+    cwd,
+  });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.NO_ENTRY_FOUND);
+
+  // Glob patterns matching nothing are skipped as long as another entry is found.
+  assert.equal(
+    findAllImportsFromEntries(["a.js", "missing/*.js"], { cwd }).success,
+    true
+  );
+});
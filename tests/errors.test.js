@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+} from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, makeTemporaryFiles } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+test("failures come with their code, file path, importer, specifier and chain", () => {
+  const { filePath, remove } = makeTemporaryFiles({
+    "entry.js": 'import "./a.js";\n',
+    "a.js": 'import "./broken.js";\n',
+    "broken.js": "export const = ;\n",
+  });
+
+  try {
+    const results = findAllImports(filePath("entry.js"));
+
+    assert.equal(results.success, false);
+    assert.deepEqual(results.errors, [
+      {
+        type: "error",
+        message: `ERROR. Failed to parse AST for ${filePath(
+          "broken.js"
+        )} somehow.`,
+        code: errorCodes.PARSE_FAILED,
+        filePath: filePath("broken.js"),
+        importer: filePath("a.js"),
+        specifier: "./broken.js",
+        chain: [filePath("entry.js"), filePath("a.js"), filePath("broken.js")],
+      },
+    ]);
+  } finally {
+    remove();
+  }
+});
+
+test("a missing original file path fails with FILE_NOT_FOUND", () => {
+  const missingPath = fixturePath("graph", "missing.js");
+  const results = findAllImports(missingPath);
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.FILE_NOT_FOUND);
+  assert.equal(results.errors[0].filePath, missingPath);
+  assert.equal(results.errors[0].importer, undefined);
+  assert.deepEqual(results.errors[0].chain, [missingPath]);
+});
+
+test("a throwing callback fails with CALLBACK_THREW on the file it threw on", () => {
+  const sharedPath = fixturePath("graph", "shared.js");
+  const results = findAllImportsWithCallbackSync(graphEntry, {
+    callback: (filePath) => {
+      if (filePath === sharedPath) throw new Error("Callback failed.");
+    },
+    accumulator: null,
+  });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.CALLBACK_THREW);
+  assert.equal(results.errors[0].filePath, sharedPath);
+  assert.deepEqual(results.errors[0].chain, [
+    graphEntry,
+    fixturePath("graph", "a.js"),
+    sharedPath,
+  ]);
+  assert.match(results.errors[0].message, /Callback failed\./);
+});
@@ -0,0 +1,8 @@
+import "./styles.css";
+import logo from "./logo.svg";
+import data from "./data.json";
+import Button from "./Button.vue";
+import Card from "./Card.svelte";
+import Docs from "./docs.mdx";
+
+export const app = [logo, data, Button, Card, Docs];
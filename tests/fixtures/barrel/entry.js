@@ -0,0 +1,3 @@
+import { a, b, c } from "./features/index.js";
+
+export const entry = [a, b, c];
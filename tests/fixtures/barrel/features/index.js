@@ -0,0 +1,3 @@
+export * from "./a.js";
+export { b } from "./b.js";
+export * as c from "./c.js";
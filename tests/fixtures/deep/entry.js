@@ -0,0 +1,12 @@
+import "./static.js";
+require("./top-level.js");
+
+const required = require("./required.js");
+
+export const load = async (name) => {
+  if (!name) require(`./conditional.js`);
+  await import("./lazy.js");
+  return import(name);
+};
+
+export { required };
@@ -0,0 +1,3 @@
+import "./fails.js";
+import "./slow-a.js";
+import "./slow-b.js";
@@ -0,0 +1 @@
+export const fails = true;
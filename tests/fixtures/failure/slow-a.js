@@ -0,0 +1 @@
+import "./deep-a.js";
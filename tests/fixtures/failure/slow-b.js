@@ -0,0 +1 @@
+import "./deep-b.js";
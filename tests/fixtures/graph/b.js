@@ -0,0 +1,4 @@
+import { shared } from "./shared.js";
+import { c } from "./c.js";
+
+export const b = shared + c;
@@ -0,0 +1,4 @@
+import { a } from "./a.js";
+import { b } from "./b.js";
+
+export const entry = a + b;
@@ -0,0 +1,3 @@
+import { leaf } from "./leaf.js";
+
+export const shared = leaf;
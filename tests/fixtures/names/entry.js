@@ -0,0 +1,7 @@
+import lib, { one as first, two } from "./lib.js";
+import * as everything from "./lib.js";
+export { three as third } from "./lib.js";
+export * from "./missing.js";
+
+export const all = [lib, first, two, everything];
+export const lazy = () => import("./lib.js");
@@ -0,0 +1,4 @@
+export default 0;
+export const one = 1;
+export const two = 2;
+export const three = 3;
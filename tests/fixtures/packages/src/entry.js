@@ -0,0 +1,4 @@
+import { utils } from "#internal/utils";
+import { shared } from "@fixtures/shared";
+
+export const entry = utils + shared;
@@ -0,0 +1,5 @@
+import type { Static } from "./lib/static";
+export * from "./lib/re-export";
+
+export const load = () => import("./lib/dynamic");
+require("./lib/required");
@@ -0,0 +1 @@
+export const dynamic = true;
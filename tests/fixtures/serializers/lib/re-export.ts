@@ -0,0 +1 @@
+export const reExported = true;
@@ -0,0 +1 @@
+export type Static = string;
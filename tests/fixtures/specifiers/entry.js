@@ -0,0 +1,4 @@
+import { externals } from "./externals.js";
+import { typo } from "./tpyo.js";
+
+export const entry = [externals, typo];
@@ -0,0 +1,6 @@
+import fs from "node:fs";
+import path from "path";
+import { z } from "zod/mini";
+import { api } from "@fixtures/api/client";
+
+export const externals = [fs, path, z, api];
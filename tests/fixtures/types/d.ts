@@ -0,0 +1 @@
+export const d = (...values: unknown[]) => values;
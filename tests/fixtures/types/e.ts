@@ -0,0 +1,2 @@
+export type E = null;
+export const e = null;
@@ -0,0 +1,7 @@
+import type { A } from "./a.ts";
+import { type B } from "./b.ts";
+export type { C } from "./c.ts";
+import { d } from "./d.ts";
+import { type E, e } from "./e.ts";
+
+export const entry = (a: A, b: B, value: E) => d(a, b, value, e);
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+} from "../library/index.js";
+import { fixturePath } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+/**
+ * Describes the edges of a graph by the base names of their importers and resolved paths, in the order they were found.
+ * @param {import("../types/typedefs.js").ImportEdge[]} graph The array of import edges.
+ * @returns The array of the edges described as `"importer -> resolvedPath"`.
+ */
+const describeEdges = (graph) =>
+  graph.map(
+    ({ importer, resolvedPath }) =>
+      `${path.basename(importer)} -> ${path.basename(resolvedPath)}`
+  );
+
+test("findAllImports records every import edge, including those to visited files", () => {
+  const results = findAllImports(graphEntry);
+
+  assert.equal(results.success, true);
+  assert.deepEqual(describeEdges(results.graph), [
+    "entry.js -> a.js",
+    "a.js -> shared.js",
+    "shared.js -> leaf.js",
+    "entry.js -> b.js",
+    "b.js -> shared.js",
+    "b.js -> c.js",
+    "c.js -> entry.js",
+  ]);
+  assert.deepEqual(results.graph[0], {
+    importer: graphEntry,
+    specifier: "./a.js",
+    resolvedPath: fixturePath("graph", "a.js"),
+    kind: "static",
+    typeOnly: false,
+  });
+});
+
+test("the callback variants record the same graph as findAllImports", () => {
+  const results = findAllImportsWithCallbackSync(graphEntry, {
+    callback: () => {},
+    accumulator: null,
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(results.graph, findAllImports(graphEntry).graph);
+});
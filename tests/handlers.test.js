@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+} from "../library/index.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const assetsEntry = fixturePath("assets", "entry.js");
+
+test("the built-in handlers record assets as leaves and follow stylesheets, components and MDX", () => {
+  const results = findAllImports(assetsEntry);
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "styles.css",
+    "base.css",
+    "logo.svg",
+    "data.json",
+    "Button.vue",
+    "button.js",
+    "Card.svelte",
+    "card.js",
+    "docs.mdx",
+    "note.js",
+  ]);
+
+  // URLs, comments and code fences are left out.
+  assert.deepEqual(results.unresolved, []);
+});
+
+test("the callbacks only run on the files parsed into SourceCode objects", () => {
+  const callbackPaths = [];
+  findAllImportsWithCallbackSync(assetsEntry, {
+    callback: (filePath) => {
+      callbackPaths.push(filePath);
+    },
+    accumulator: null,
+  });
+
+  assert.deepEqual(toBasenames(callbackPaths), [
+    "entry.js",
+    "Button.vue",
+    "button.js",
+    "Card.svelte",
+    "card.js",
+    "docs.mdx",
+    "note.js",
+  ]);
+});
+
+test("the handlers provided take precedence over the built-in ones", () => {
+  const results = findAllImports(assetsEntry, {
+    handlers: {
+      ".vue": null,
+      ".mdx": { getImports: () => ["./card.js"] },
+    },
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "styles.css",
+    "base.css",
+    "logo.svg",
+    "data.json",
+    "Button.vue",
+    "Card.svelte",
+    "card.js",
+    "docs.mdx",
+  ]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports, toMermaid, toDot } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+const leafPath = fixturePath("graph", "leaf.js");
+
+test("resolve replaces the default resolution, falling back on it when needed", () => {
+  const results = findAllImports(graphEntry, {
+    resolve: (specifier, importerDir, { defaultResolve }) =>
+      specifier === "./a.js" ? leafPath : defaultResolve(),
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "leaf.js",
+    "b.js",
+    "shared.js",
+    "c.js",
+  ]);
+});
+
+test("extractImports replaces the default extraction, building on it when needed", () => {
+  const results = findAllImports(graphEntry, {
+    extractImports: (_sourceCode, filePath, { defaultExtractImports }) =>
+      filePath === graphEntry
+        ? [...defaultExtractImports(), { specifier: "./leaf.js" }]
+        : [],
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "a.js",
+    "b.js",
+    "leaf.js",
+  ]);
+});
+
+test("the imports extractImports leaves incomplete get their default kind", () => {
+  const extractImports = (_sourceCode, filePath) =>
+    filePath === graphEntry ? [{ specifier: "./leaf.js" }] : [];
+
+  for (const importKinds of ["all", "value"]) {
+    const results = findAllImports(graphEntry, { extractImports, importKinds });
+
+    assert.equal(results.success, true);
+    assert.deepEqual(results.graph, [
+      {
+        importer: graphEntry,
+        specifier: "./leaf.js",
+        resolvedPath: leafPath,
+        kind: "static",
+        typeOnly: false,
+      },
+    ]);
+    assert.doesNotMatch(toMermaid(results), /undefined/);
+    assert.doesNotMatch(toDot(results), /undefined/);
+  }
+});
+
+test("extractImports fails on invalid imports", () => {
+  for (const extractedImports of [
+    "./leaf.js",
+    [{ specifier: 1 }],
+    [{ specifier: "./leaf.js", kind: "import" }],
+    [{ specifier: "./leaf.js", typeOnly: "no" }],
+  ]) {
+    const results = findAllImports(graphEntry, {
+      extractImports: () => extractedImports,
+    });
+
+    assert.equal(results.success, false);
+    assert.equal(results.errors[0].code, errorCodes.EXTRACT_IMPORTS_FAILED);
+    assert.equal(results.errors[0].filePath, graphEntry);
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+  findAllImportsWithCallbackAsync,
+} from "../library/index.js";
+import { fixturePath } from "./utilities.js";
+
+const namesEntry = fixturePath("names", "entry.js");
+const namesLib = fixturePath("names", "lib.js");
+
+test("fileImports records the specifier, resolved path, kind, names and loc of each import", () => {
+  const fileImports = findAllImports(namesEntry, { scan: "deep" }).fileImports;
+
+  assert.deepEqual(fileImports.get(namesLib), []);
+  assert.deepEqual(
+    fileImports
+      .get(namesEntry)
+      .map(({ specifier, resolvedPath, kind, names, loc }) => [
+        specifier,
+        resolvedPath,
+        kind,
+        names.map(
+          ({ kind, imported, local }) => `${kind} ${imported} ${local}`
+        ),
+        `${loc.start.line}:${loc.start.column}-${loc.end.line}:${loc.end.column}`,
+      ]),
+    [
+      [
+        "./lib.js",
+        namesLib,
+        "static",
+        ["default default lib", "named one first", "named two two"],
+        "1:0-1:50",
+      ],
+      ["./lib.js", namesLib, "static", ["namespace * everything"], "2:0-2:39"],
+      ["./lib.js", namesLib, "re-export", ["named three third"], "3:0-3:42"],
+      ["./missing.js", null, "re-export", ["namespace * *"], "4:0-4:29"],
+      ["./lib.js", namesLib, "dynamic", [], "7:26-7:44"],
+    ]
+  );
+});
+
+test("the callbacks receive the imports of each file as recorded in fileImports", async () => {
+  const { fileImports } = findAllImports(namesEntry, { scan: "deep" });
+
+  /** @type {Map<string, unknown>} */
+  const syncImports = new Map();
+  findAllImportsWithCallbackSync(
+    namesEntry,
+    {
+      callback: (filePath, _sourceCode, _accumulator, imports) => {
+        syncImports.set(filePath, imports);
+      },
+      accumulator: null,
+    },
+    { scan: "deep" }
+  );
+  assert.deepEqual(syncImports, fileImports);
+
+  /** @type {Map<string, unknown>} */
+  const asyncImports = new Map();
+  await findAllImportsWithCallbackAsync(
+    namesEntry,
+    {
+      callback: async (filePath, _sourceCode, _accumulator, imports) => {
+        asyncImports.set(filePath, imports);
+      },
+      accumulator: null,
+    },
+    { scan: "deep" }
+  );
+  assert.deepEqual(asyncImports, fileImports);
+});
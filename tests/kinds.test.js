@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const typesEntry = fixturePath("types", "entry.ts");
+
+/**
+ * Gets the sorted base names of the files visited from the TypeScript entry with the given kinds of imports.
+ * @param {import("../types/typedefs.js").ImportKindsMode} importKinds The kinds of imports followed.
+ * @returns The sorted array of the base names of the files visited.
+ */
+const visitWithKinds = (importKinds) =>
+  toBasenames(findAllImports(typesEntry, { importKinds }).visitedSet).sort();
+
+test("importKinds value follows everything but import type and export type", () => {
+  assert.deepEqual(visitWithKinds("value"), [
+    "b.ts",
+    "d.ts",
+    "e.ts",
+    "entry.ts",
+  ]);
+});
+
+test("importKinds type follows the imports bringing in types, inline ones included", () => {
+  assert.deepEqual(visitWithKinds("type"), [
+    "a.ts",
+    "b.ts",
+    "c.ts",
+    "e.ts",
+    "entry.ts",
+  ]);
+  assert.deepEqual(visitWithKinds("all"), [
+    "a.ts",
+    "b.ts",
+    "c.ts",
+    "d.ts",
+    "e.ts",
+    "entry.ts",
+  ]);
+});
+
+test("type-only imports are flagged as a whole and per name", () => {
+  const fileImports = findAllImports(typesEntry).fileImports.get(typesEntry);
+
+  assert.deepEqual(
+    fileImports.map(({ specifier, typeOnly, names }) => [
+      specifier,
+      typeOnly,
+      names.map((name) => name.typeOnly),
+    ]),
+    [
+      ["./a.ts", true, [true]],
+      ["./b.ts", false, [true]],
+      ["./c.ts", true, [true]],
+      ["./d.ts", false, [false]],
+      ["./e.ts", false, [true, false]],
+    ]
+  );
+});
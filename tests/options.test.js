@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports, findAllImportsFromEntries } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+test("findAllImports and findAllImportsFromEntries fail on invalid options", () => {
+  for (const results of [
+    findAllImports(graphEntry, { scan: "everywhere" }),
+    findAllImports(graphEntry, { visitedSet: new Set([1]) }),
+    findAllImportsFromEntries([graphEntry], { conditions: "import" }),
+  ]) {
+    assert.equal(results.success, false);
+    assert.equal(results.errors[0].code, errorCodes.INVALID_OPTION);
+  }
+});
+
+test("findAllImports still checks maxDepth on every round", () => {
+  const results = findAllImports(graphEntry, { maxDepth: 1 });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.MAX_DEPTH);
+
+  const errors = [];
+  const recoveredResults = findAllImports(graphEntry, {
+    maxDepth: 1,
+    continueOnError: true,
+    errors,
+  });
+
+  assert.equal(recoveredResults.success, true);
+  assert.deepEqual(toBasenames(recoveredResults.visitedSet), [
+    "entry.js",
+    "a.js",
+    "b.js",
+  ]);
+  assert.ok(errors.every(({ code }) => code === errorCodes.MAX_DEPTH));
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { fixturePath } from "./utilities.js";
+
+const packagesEntry = fixturePath("packages", "src", "entry.js");
+
+test("package imports and workspace packages are left out without resolvePackages", () => {
+  const results = findAllImports(packagesEntry);
+
+  assert.deepEqual(results.visitedSet, new Set([packagesEntry]));
+  assert.deepEqual(results.external, new Set(["@fixtures/shared"]));
+  assert.deepEqual(
+    results.unresolved.map(({ specifier }) => specifier),
+    ["#internal/utils"]
+  );
+});
+
+test("resolvePackages follows package imports and workspace packages through their exports", () => {
+  const results = findAllImports(packagesEntry, { resolvePackages: true });
+
+  assert.deepEqual(
+    results.visitedSet,
+    new Set([
+      packagesEntry,
+      fixturePath("packages", "src", "internal", "utils.js"),
+      fixturePath("packages", "packages", "shared", "index.js"),
+    ])
+  );
+  assert.deepEqual(results.external, new Set());
+  assert.deepEqual(results.unresolved, []);
+});
+
+test("conditions pick the conditional targets of the exports", () => {
+  const results = findAllImports(packagesEntry, {
+    resolvePackages: true,
+    conditions: ["browser"],
+  });
+
+  assert.ok(
+    results.visitedSet.has(
+      fixturePath("packages", "packages", "shared", "browser.js")
+    )
+  );
+  assert.ok(
+    !results.visitedSet.has(
+      fixturePath("packages", "packages", "shared", "index.js")
+    )
+  );
+});
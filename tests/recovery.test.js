@@ -0,0 +1,84 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+  findAllImportsWithCallbackAsync,
+} from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { makeTemporaryFiles, toBasenames } from "./utilities.js";
+
+const { filePath, remove } = makeTemporaryFiles({
+  "entry.js": 'import "./a.js";\nimport "./c.js";\n',
+  "a.js": 'import "./broken.js";\nimport "./b.js";\n',
+  "b.js": "export const b = 1;\n",
+  "broken.js": "export const = ;\n",
+  "c.js": 'import "./d.js";\n',
+  "d.js": "export const d = 1;\n",
+});
+after(remove);
+
+test("continueOnError records the failures and keeps on traversing", () => {
+  const errors = [];
+  const results = findAllImports(filePath("entry.js"), {
+    continueOnError: true,
+    errors,
+  });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "a.js",
+    "b.js",
+    "c.js",
+    "d.js",
+  ]);
+  assert.deepEqual(
+    errors.map(({ code, filePath }) => [code, ...toBasenames([filePath])]),
+    [[errorCodes.PARSE_FAILED, "broken.js"]]
+  );
+});
+
+test("continueOnError skips the subtrees of the files whose callbacks threw", async () => {
+  const throwOnC = (/** @type {string} */ visitedPath) => {
+    if (visitedPath === filePath("c.js")) throw new Error("Callback failed.");
+  };
+
+  const syncErrors = [];
+  const syncResults = findAllImportsWithCallbackSync(
+    filePath("entry.js"),
+    { callback: throwOnC, accumulator: null },
+    { continueOnError: true, errors: syncErrors }
+  );
+
+  const asyncErrors = [];
+  const asyncResults = await findAllImportsWithCallbackAsync(
+    filePath("entry.js"),
+    {
+      callback: async (visitedPath) => throwOnC(visitedPath),
+      accumulator: null,
+    },
+    { continueOnError: true, errors: asyncErrors }
+  );
+
+  for (const [results, errors] of [
+    [syncResults, syncErrors],
+    [asyncResults, asyncErrors],
+  ]) {
+    assert.equal(results.success, true);
+    assert.deepEqual(toBasenames(results.visitedSet), [
+      "entry.js",
+      "a.js",
+      "b.js",
+      "c.js",
+    ]);
+    assert.deepEqual(
+      errors.map(({ code, filePath }) => [code, ...toBasenames([filePath])]),
+      [
+        [errorCodes.PARSE_FAILED, "broken.js"],
+        [errorCodes.CALLBACK_THREW, "c.js"],
+      ]
+    );
+  }
+});
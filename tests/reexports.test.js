@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  findAllImportsWithCallbackSync,
+  findAllImportsWithCallbackAsync,
+} from "../library/index.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const barrelEntry = fixturePath("barrel", "entry.js");
+const barrelIndex = fixturePath("barrel", "features", "index.js");
+
+test("findAllImports follows export * from and export { x } from", () => {
+  const results = findAllImports(barrelEntry);
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "index.js",
+    "a.js",
+    "b.js",
+    "c.js",
+  ]);
+  assert.deepEqual(
+    results.graph
+      .filter(({ importer }) => importer === barrelIndex)
+      .map(({ specifier, kind }) => ({ specifier, kind })),
+    [
+      { specifier: "./a.js", kind: "re-export" },
+      { specifier: "./b.js", kind: "re-export" },
+      { specifier: "./c.js", kind: "re-export" },
+    ]
+  );
+});
+
+test("the callback variants follow re-exports as well", async () => {
+  const callbackConfig = { callback: () => {}, accumulator: null };
+  const expectedVisitedSet = findAllImports(barrelEntry).visitedSet;
+
+  assert.deepEqual(
+    findAllImportsWithCallbackSync(barrelEntry, callbackConfig).visitedSet,
+    expectedVisitedSet
+  );
+  assert.deepEqual(
+    (
+      await findAllImportsWithCallbackAsync(barrelEntry, {
+        callback: async () => {},
+        accumulator: null,
+      })
+    ).visitedSet,
+    expectedVisitedSet
+  );
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const deepEntry = fixturePath("deep", "entry.js");
+
+test("scan top-level only finds the imports and requires at the root of the file", () => {
+  const results = findAllImports(deepEntry);
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "static.js",
+    "top-level.js",
+  ]);
+});
+
+test("scan deep finds the static import() and require() calls anywhere", () => {
+  const results = findAllImports(deepEntry, { scan: "deep" });
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "static.js",
+    "top-level.js",
+    "required.js",
+    "conditional.js",
+    "lazy.js",
+  ]);
+  assert.deepEqual(
+    results.graph.map(({ specifier, kind }) => `${kind} ${specifier}`),
+    [
+      "static ./static.js",
+      "require ./top-level.js",
+      "require ./required.js",
+      "require ./conditional.js",
+      "dynamic ./lazy.js",
+    ]
+  );
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports, toDot, toMermaid, toJSON } from "../library/index.js";
+import { fixturePath } from "./utilities.js";
+
+const cwd = fixturePath("serializers");
+const results = findAllImports(fixturePath("serializers", "entry.ts"), {
+  cwd,
+  scan: "deep",
+});
+
+test("toDot styles the edges by import kind and clusters them by directory", () => {
+  assert.equal(
+    toDot(results, { cwd, clusterByDirectory: true }),
+    [
+      "digraph imports {",
+      "  node [shape=box];",
+      '  subgraph "cluster_0" {',
+      '    label=".";',
+      '    "entry.ts";',
+      "  }",
+      '  subgraph "cluster_1" {',
+      '    label="lib";',
+      '    "lib/static.ts";',
+      '    "lib/re-export.ts";',
+      '    "lib/dynamic.ts";',
+      '    "lib/required.js";',
+      "  }",
+      '  "entry.ts" -> "lib/static.ts" [style=solid, color=gray];',
+      '  "entry.ts" -> "lib/re-export.ts" [style=bold];',
+      '  "entry.ts" -> "lib/dynamic.ts" [style=dashed];',
+      '  "entry.ts" -> "lib/required.js" [style=dotted];',
+      "}",
+    ].join("\n")
+  );
+});
+
+test("toMermaid links the nodes by import kind", () => {
+  assert.equal(
+    toMermaid(results, { cwd }),
+    [
+      "flowchart LR",
+      '  n0["entry.ts"]',
+      '  n1["lib/static.ts"]',
+      '  n2["lib/re-export.ts"]',
+      '  n3["lib/dynamic.ts"]',
+      '  n4["lib/required.js"]',
+      "  n0 -->|type| n1",
+      "  n0 ==> n2",
+      "  n0 -.-> n3",
+      "  n0 --o n4",
+    ].join("\n")
+  );
+});
+
+test("toJSON turns the sets and maps of the results into arrays and objects", () => {
+  const json = JSON.parse(toJSON(results, { cwd }));
+
+  assert.deepEqual(json.files, [
+    "entry.ts",
+    "lib/static.ts",
+    "lib/re-export.ts",
+    "lib/dynamic.ts",
+    "lib/required.js",
+  ]);
+  assert.deepEqual(json.depths, {
+    "entry.ts": 0,
+    "lib/static.ts": 1,
+    "lib/re-export.ts": 1,
+    "lib/dynamic.ts": 1,
+    "lib/required.js": 1,
+  });
+  assert.deepEqual(json.graph[0], {
+    importer: "entry.ts",
+    specifier: "./lib/static",
+    resolvedPath: "lib/static.ts",
+    kind: "static",
+    typeOnly: true,
+  });
+
+  // Paths stay absolute when relative is false.
+  assert.deepEqual(
+    JSON.parse(toJSON(results, { cwd, relative: false })).files,
+    [...results.visitedSet]
+  );
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findAllImports,
+  serializeState,
+  deserializeState,
+  makeCache,
+} from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, makeTemporaryFiles } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+
+test("deserializeState rehydrates the results of serializeState", () => {
+  const results = findAllImports(graphEntry, { detectCycles: true });
+  const state = JSON.parse(JSON.stringify(serializeState(results)));
+  const deserializedResults = deserializeState(state);
+
+  assert.equal(deserializedResults.success, true);
+  assert.deepEqual(deserializedResults.visitedSet, results.visitedSet);
+  assert.deepEqual(deserializedResults.graph, results.graph);
+  assert.deepEqual(deserializedResults.cycles, results.cycles);
+  assert.deepEqual(deserializedResults.depths, results.depths);
+});
+
+test("deserializeState and previousState fail on malformed states", () => {
+  const state = serializeState(findAllImports(graphEntry));
+
+  for (const malformedState of [
+    null,
+    "state",
+    { ...state, version: state.version + 1 },
+    { ...state, results: undefined },
+    { ...state, results: { ...state.results, graph: [{ importer: 1 }] } },
+  ]) {
+    const results = deserializeState(malformedState);
+    assert.equal(results.success, false);
+    assert.equal(results.errors[0].code, errorCodes.INVALID_OPTION);
+  }
+
+  const results = findAllImports(graphEntry, {
+    previousState: { ...state, files: [] },
+  });
+  assert.equal(results.success, false);
+  assert.equal(results.errors[0].code, errorCodes.INVALID_OPTION);
+});
+
+test("previousState is reused whatever the order of the conditions", () => {
+  const state = serializeState(
+    findAllImports(graphEntry, { conditions: ["node", "import"] })
+  );
+  const cache = makeCache();
+  const results = findAllImports(graphEntry, {
+    conditions: ["import", "node"],
+    previousState: state,
+    cache,
+  });
+
+  assert.equal(results.success, true);
+  assert.equal(results.visitedSet.size, 6);
+  assert.equal(cache.sourceCodes.size, 0);
+});
+
+test("previousState isn't reused along with a custom extractor", () => {
+  const state = serializeState(findAllImports(graphEntry));
+  const leafPath = fixturePath("graph", "leaf.js");
+  /** @type {import("../types/typedefs.js").ImportsExtractor} */
+  const extractImports = (_sourceCode, filePath, { defaultExtractImports }) =>
+    filePath === graphEntry ? [] : defaultExtractImports();
+
+  const results = findAllImports(graphEntry, {
+    extractImports,
+    previousState: state,
+  });
+  assert.deepEqual(
+    results.visitedSet,
+    findAllImports(graphEntry, { extractImports }).visitedSet
+  );
+  assert.equal(results.visitedSet.has(leafPath), false);
+});
+
+test("serializeState records the options the traversal ran with", () => {
+  const deepResults = findAllImports(graphEntry, { scan: "deep" });
+  const state = serializeState(deepResults);
+
+  assert.equal(state.options.scan, "deep");
+  assert.equal(state.startedAt, deepResults.options.startedAt);
+  assert.deepEqual(deserializeState(state).options, deepResults.options);
+
+  // A top-level traversal doesn't reuse the imports found by the deep one.
+  const cache = makeCache();
+  findAllImports(graphEntry, { previousState: state, cache });
+  assert.notEqual(cache.sourceCodes.size, 0);
+});
+
+test("previousState isn't reused once made with a custom extractor", () => {
+  const state = serializeState(
+    findAllImports(graphEntry, {
+      extractImports: (_sourceCode, _filePath, { defaultExtractImports }) =>
+        defaultExtractImports(),
+    })
+  );
+  assert.equal(state.options.customHooks, true);
+
+  const cache = makeCache();
+  findAllImports(graphEntry, { previousState: state, cache });
+  assert.notEqual(cache.sourceCodes.size, 0);
+});
+
+test("previousState doesn't reuse resolutions outdated by new files", () => {
+  const files = makeTemporaryFiles({
+    "entry.js": 'import "./target";',
+    "target/index.js": "",
+  });
+  try {
+    const options = { cwd: files.dir };
+    const state = serializeState(
+      findAllImports(files.filePath("entry.js"), options)
+    );
+
+    // target.js now takes precedence over target/index.js.
+    files.writeFile("target.js", "");
+    const cache = makeCache();
+    const results = findAllImports(files.filePath("entry.js"), {
+      ...options,
+      previousState: state,
+      cache,
+    });
+
+    // entry.js is reused, but its import is resolved again.
+    assert.equal(results.success, true);
+    assert.equal(cache.sourceCodes.has(files.filePath("entry.js")), false);
+    assert.equal(results.visitedSet.has(files.filePath("target.js")), true);
+    assert.equal(
+      results.visitedSet.has(files.filePath("target/index.js")),
+      false
+    );
+  } finally {
+    files.remove();
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findAllImports } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath, toBasenames } from "./utilities.js";
+
+const specifiersEntry = fixturePath("specifiers", "entry.js");
+const externalsPath = fixturePath("specifiers", "externals.js");
+
+test("findAllImports records unresolved and external import paths", () => {
+  const results = findAllImports(specifiersEntry);
+
+  assert.equal(results.success, true);
+  assert.deepEqual(toBasenames(results.visitedSet), [
+    "entry.js",
+    "externals.js",
+  ]);
+  assert.deepEqual(results.unresolved, [
+    { importer: specifiersEntry, specifier: "./tpyo.js", kind: "static" },
+  ]);
+
+  // Built-in modules are recorded with the node: prefix, and packages by name without their subpaths.
+  assert.deepEqual(
+    [...results.external],
+    ["node:fs", "node:path", "zod", "@fixtures/api"]
+  );
+});
+
+test("strict fails on unresolved relative import paths, but not on external ones", () => {
+  const results = findAllImports(specifiersEntry, { strict: true });
+
+  assert.equal(results.success, false);
+  assert.equal(results.errors.length, 1);
+  assert.equal(results.errors[0].code, errorCodes.UNRESOLVED_IMPORT);
+  assert.equal(results.errors[0].importer, specifiersEntry);
+  assert.equal(results.errors[0].specifier, "./tpyo.js");
+
+  assert.equal(findAllImports(externalsPath, { strict: true }).success, true);
+});
@@ -0,0 +1,56 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * The absolute path of the directory of the fixtures shared by the tests.
+ */
+export const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+
+/**
+ * Gets the absolute path of a fixture from its segments relative to the fixtures directory.
+ * @param {...string} segments The segments of the path of the fixture, such as `"graph", "entry.js"`.
+ * @returns The absolute path of the fixture.
+ */
+export const fixturePath = (...segments) => path.join(fixtures, ...segments);
+
+/**
+ * Gets the base names of the given file paths, in the same order.
+ * @param {Iterable<string>} filePaths The file paths, such as the `visitedSet` of some results.
+ * @returns The array of the base names of the file paths.
+ */
+export const toBasenames = (filePaths) =>
+  [...filePaths].map((filePath) => path.basename(filePath));
+
+/**
+ * Makes a temporary directory made from the given files, for the tests that need to change files or that can't have their fixtures tracked, such as packages in node_modules.
+ * @param {Record<string, string>} files The source text of each file, keyed by path relative to the temporary directory.
+ * @returns The temporary directory (`dir`), the function getting the absolute path of one of its files (`filePath`), the functions writing and deleting files (`writeFile`, `deleteFile`), and the function removing the whole directory (`remove`).
+ */
+export const makeTemporaryFiles = (files) => {
+  const dir = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "find-all-imports-"))
+  );
+  const filePath = (/** @type {string} */ name) => path.join(dir, name);
+  const writeFile = (
+    /** @type {string} */ name,
+    /** @type {string} */ sourceText
+  ) => {
+    fs.mkdirSync(path.dirname(filePath(name)), { recursive: true });
+    fs.writeFileSync(filePath(name), sourceText);
+  };
+  for (const [name, sourceText] of Object.entries(files))
+    writeFile(name, sourceText);
+
+  return {
+    dir,
+    filePath,
+    writeFile,
+    deleteFile: (/** @type {string} */ name) => fs.unlinkSync(filePath(name)),
+    remove: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+};
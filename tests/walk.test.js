@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+import { walkImportsSync, walkImports } from "../library/index.js";
+import { errorCodes } from "../library/constants/bases.js";
+import { fixturePath } from "./utilities.js";
+
+const graphEntry = fixturePath("graph", "entry.js");
+const unresolvedEntry = fixturePath("unresolved", "entry.js");
+const missingEntry = fixturePath("graph", "nope.js");
+
+test("walkImportsSync yields every file once and returns the results", () => {
+  const walk = walkImportsSync(graphEntry);
+  const filePaths = [];
+  let step = walk.next();
+  while (!step.done) {
+    filePaths.push(path.basename(step.value.filePath));
+    step = walk.next();
+  }
+
+  assert.deepEqual(filePaths, [
+    "entry.js",
+    "a.js",
+    "shared.js",
+    "leaf.js",
+    "b.js",
+    "c.js",
+  ]);
+  assert.equal(step.value.success, true);
+  assert.equal(step.value.visitedSet.size, 6);
+});
+
+test("walkImports yields the same files as walkImportsSync", async () => {
+  const filePaths = [];
+  for await (const { filePath } of walkImports(graphEntry))
+    filePaths.push(filePath);
+
+  assert.deepEqual(
+    filePaths,
+    [...walkImportsSync(graphEntry)].map(({ filePath }) => filePath)
+  );
+});
+
+test("walkImportsSync and walkImports throw on a missing entry", async () => {
+  assert.throws(
+    () => [...walkImportsSync(missingEntry)],
+    (error) =>
+      error instanceof AggregateError &&
+      error.errors[0].code === errorCodes.FILE_NOT_FOUND
+  );
+  await assert.rejects(
+    async () => {
+      for await (const _ of walkImports(missingEntry));
+    },
+    (error) =>
+      error instanceof AggregateError &&
+      error.errors[0].code === errorCodes.FILE_NOT_FOUND
+  );
+});
+
+test("walkImportsSync and walkImports throw on strict and failOnCycle failures", async () => {
+  assert.throws(
+    () => [...walkImportsSync(unresolvedEntry, { strict: true })],
+    (error) => error.errors[0].code === errorCodes.UNRESOLVED_IMPORT
+  );
+  assert.throws(
+    () => [...walkImportsSync(graphEntry, { failOnCycle: true })],
+    (error) => error.errors[0].code === errorCodes.IMPORT_CYCLE
+  );
+  await assert.rejects(
+    async () => {
+      for await (const _ of walkImports(graphEntry, { failOnCycle: true }));
+    },
+    (error) => error.errors[0].code === errorCodes.IMPORT_CYCLE
+  );
+});
+
+test("walkImportsSync records failures instead of throwing in continueOnError mode", () => {
+  const errors = [];
+  const walked = [
+    ...walkImportsSync(unresolvedEntry, {
+      strict: true,
+      continueOnError: true,
+      errors,
+    }),
+  ];
+
+  assert.equal(walked.length, 1);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, errorCodes.UNRESOLVED_IMPORT);
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+import { watchAllImports, findAllImports } from "../library/index.js";
+import { makeTemporaryFiles } from "./utilities.js";
+
+const wait = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+/**
+ * Watches the entry of a temporary directory made from the given files, recording the events of the watcher.
+ * @param {Record<string, string>} files The source text of each file, keyed by name.
+ * @returns What `makeTemporaryFiles` returns, along with the watcher, the events recorded so far and the function closing the watcher and removing the temporary directory.
+ */
+const watchTemporaryFiles = (files) => {
+  const temporaryFiles = makeTemporaryFiles(files);
+
+  const results = watchAllImports(temporaryFiles.filePath("entry.js"), {
+    debounce: 20,
+  });
+  assert.equal(results.success, true);
+
+  const { watcher } = results;
+  const events = [];
+  for (const eventName of ["add", "remove", "change", "failure"])
+    watcher.on(eventName, (filePath) =>
+      events.push([eventName, path.basename(filePath)])
+    );
+
+  return {
+    ...temporaryFiles,
+    watcher,
+    events,
+    close: () => {
+      watcher.close();
+      temporaryFiles.remove();
+    },
+  };
+};
+
+test("watchAllImports only emits change when the imports of the file change", async () => {
+  const { events, writeFile, close } = watchTemporaryFiles({
+    "entry.js": 'import "./a.js";\n',
+    "a.js": 'import "./b.js";\n',
+    "b.js": "export const b = 1;\n",
+  });
+
+  try {
+    await wait(100);
+    writeFile("a.js", '// Moves the import down.\nimport "./b.js";\n');
+    await wait(300);
+    assert.deepEqual(events, []);
+
+    writeFile("a.js", "export const a = 1;\n");
+    await wait(300);
+    assert.deepEqual(events, [
+      ["remove", "b.js"],
+      ["change", "a.js"],
+    ]);
+  } finally {
+    close();
+  }
+});
+
+test("watchAllImports picks up the files created where imports were unresolved", async () => {
+  const { dir, watcher, events, writeFile, deleteFile, close } =
+    watchTemporaryFiles({
+      "entry.js": 'import "./missing.js";\n',
+    });
+
+  try {
+    await wait(100);
+    writeFile("shared.js", "export const shared = 1;\n");
+    await wait(300);
+    assert.deepEqual(events, []);
+
+    writeFile("missing.js", 'import "./shared.js";\n');
+    await wait(300);
+    assert.deepEqual(events.splice(0), [
+      ["add", "missing.js"],
+      ["add", "shared.js"],
+    ]);
+
+    deleteFile("missing.js");
+    await wait(300);
+    assert.deepEqual(events.splice(0), [
+      ["remove", "missing.js"],
+      ["remove", "shared.js"],
+    ]);
+
+    const results = watcher.getResults();
+    const freshResults = findAllImports(path.join(dir, "entry.js"));
+    assert.deepEqual(results.visitedSet, freshResults.visitedSet);
+    assert.deepEqual(results.graph, freshResults.graph);
+    assert.deepEqual(results.unresolved, freshResults.unresolved);
+    assert.deepEqual(results.depths, freshResults.depths);
+  } finally {
+    close();
+  }
+});
+
+test("watchAllImports keeps its results up to date like a fresh traversal", async () => {
+  const { dir, watcher, events, writeFile, close } = watchTemporaryFiles({
+    "entry.js": 'import "./a.js";\nimport "./b.js";\n',
+    "a.js": 'import "./c.js";\n',
+    "b.js": "export const b = 1;\n",
+    "c.js": 'import "./d.js";\n',
+    "d.js": "export const d = 1;\n",
+  });
+
+  try {
+    await wait(100);
+    writeFile("b.js", 'import "./d.js";\nimport "node:fs";\n');
+    await wait(300);
+    assert.deepEqual(events.splice(0), [["change", "b.js"]]);
+
+    writeFile("a.js", "export const a = 1;\n");
+    await wait(300);
+    assert.deepEqual(events.splice(0), [
+      ["remove", "c.js"],
+      ["change", "a.js"],
+    ]);
+
+    const results = watcher.getResults();
+    const freshResults = findAllImports(path.join(dir, "entry.js"));
+    assert.deepEqual(results.visitedSet, freshResults.visitedSet);
+    assert.deepEqual(
+      new Set(results.graph.map(JSON.stringify)),
+      new Set(freshResults.graph.map(JSON.stringify))
+    );
+    assert.deepEqual(results.external, freshResults.external);
+    assert.deepEqual(results.depths, freshResults.depths);
+    assert.deepEqual(results.shortestChains, freshResults.shortestChains);
+  } finally {
+    close();
+  }
+});
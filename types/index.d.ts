@@ -1,23 +1,500 @@
 import { SourceCode } from "eslint";
 
+/**
+ * The kind of an import, depending on the syntax it is written with.
+ */
+export type ImportKind = "static" | "re-export" | "dynamic" | "require";
+
+/**
+ * An import path that could not be resolved during the recursion, along with the file containing it (`importer`) and its kind (`kind`).
+ */
+export type UnresolvedImport = {
+  importer: string;
+  specifier: string;
+  kind: ImportKind;
+};
+
+/**
+ * The stable code of an error, telling what made the traversal fail regardless of its message.
+ */
+export type ErrorCode =
+  | "INVALID_OPTION"
+  | "NO_ENTRY_FOUND"
+  | "FILE_NOT_FOUND"
+  | "PARSE_FAILED"
+  | "MAX_DEPTH"
+  | "UNRESOLVED_IMPORT"
+  | "IMPORT_CYCLE"
+  | "CALLBACK_THREW"
+  | "SHOULD_TRAVERSE_THREW"
+  | "HANDLER_FAILED"
+  | "RESOLVE_FAILED"
+  | "EXTRACT_IMPORTS_FAILED";
+
+/**
+ * An error of a failure object, with its human-readable message (`message`), its stable code (`code`), and when they are known the file path it is about (`filePath`), the file importing it (`importer`), the specifier it is imported with (`specifier`) and the import chain leading to it from the original file path (`chain`).
+ */
+export type FindAllImportsError = {
+  type: "error";
+  message: string;
+  code: ErrorCode;
+  filePath?: string;
+  importer?: string;
+  specifier?: string;
+  chain?: string[];
+};
+
+/**
+ * The scan mode of the extraction of imports, either `"top-level"` to only address the nodes at the root of each file's AST, or `"deep"` to also find the `import()` and `require()` calls nested anywhere in each file.
+ */
+export type ScanMode = "top-level" | "deep";
+
+/**
+ * The kinds of imports followed by the recursion, either `"value"` to only follow the imports that remain at runtime, `"type"` to only follow the imports bringing in types, or `"all"` to follow both.
+ */
+export type ImportKindsMode = "value" | "type" | "all";
+
+/**
+ * An import relationship found during the recursion, from the file containing the import (`importer`) to the file it resolves to (`resolvedPath`), along with its raw specifier (`specifier`), its kind (`kind`) and whether it only involves types (`typeOnly`).
+ */
+export type ImportEdge = {
+  importer: string;
+  specifier: string;
+  resolvedPath: string;
+  kind: ImportKind;
+  typeOnly: boolean;
+};
+
+/**
+ * The cache of a traversal, with the tsconfig.json path found for each directory (`tsconfigPaths`), the resolved path of each import path for each directory under each set of the options the resolution depends on (`cwd`, `resolve`, `resolvePackages`, `conditions` and `followExternal`), `null` when it could not be resolved (`resolvedPaths`), the SourceCode object of each file path along with the modification time it was parsed at and the `getScript` handler it was parsed with, if any (`sourceCodes`), each package.json file read, `null` when it could not be parsed (`packageJsons`), the workspace packages by name found for each directory (`workspacePackages`), and the content hash of each file path along with the modification time it was computed at (`fileHashes`).
+ */
+export type FindAllImportsCache = {
+  tsconfigPaths: Map<string, string | undefined>;
+  resolvedPaths: Map<string, Map<string, Map<string, string | null>>>;
+  sourceCodes: Map<
+    string,
+    {
+      mtimeMs: number;
+      getScript: FileHandler["getScript"];
+      sourceCode: SourceCode;
+    }
+  >;
+  packageJsons: Map<string, PackageJson | null>;
+  workspacePackages: Map<string, Map<string, string>>;
+  fileHashes: Map<string, { mtimeMs: number; hash: string }>;
+};
+
+/**
+ * How far the external packages installed in node_modules are followed, either `"none"` to only record their names in `external`, `"package"` to also record each of them once in `packages`, or `"deep"` to also traverse their sources with the packages as their resolution roots.
+ */
+export type FollowExternalMode = "none" | "package" | "deep";
+
+/**
+ * An external package installed in node_modules, recorded once by its name (`name`) along with the version of its package.json file, `null` when it has none (`version`), its real directory (`dir`) and its resolved entry file, `null` when it could not be resolved (`entry`).
+ */
+export type ExternalPackage = {
+  name: string;
+  version: string | null;
+  dir: string;
+  entry: string | null;
+};
+
+/**
+ * The fields of a package.json file used to resolve package imports and workspace packages, and to record the versions of external packages.
+ */
+export type PackageJson = {
+  name?: string;
+  main?: string;
+  module?: string;
+  exports?: unknown;
+  imports?: Record<string, unknown>;
+  version?: string;
+  workspaces?: string[] | { packages?: string[] };
+};
+
+/**
+ * A predicate telling whether a resolved path is traversed, receiving the resolved path (`resolvedPath`) and the absolute path of the file importing it (`importer`).
+ */
+export type ShouldTraverse = (
+  resolvedPath: string,
+  importer: string
+) => boolean;
+
+/**
+ * A function running the tasks it is given with at most a given number of them running at the same time, as made by `makeLimiter`.
+ */
+export type Limiter = <T>(task: () => T | Promise<T>) => Promise<T>;
+
+/**
+ * The handler of the files ending with a given extension, either getting the JavaScript or TypeScript code embedded in a file to parse (`getScript`), such as the `<script>` blocks of a Vue or Svelte component, or getting the import paths of a file directly (`getImports`), such as the `@import` rules of a stylesheet.
+ */
+export type FileHandler = {
+  getScript?: (sourceText: string, filePath: string) => string;
+  getImports?: (sourceText: string, filePath: string) => string[];
+};
+
+/**
+ * The map of file extensions, such as `".css"`, to the handlers of the files ending with them, `null` recording the files as leaves without reading them.
+ */
+export type FileHandlers = Record<string, FileHandler | null>;
+
+/**
+ * A custom resolver, receiving an import path (`specifier`), the directory of the file importing it (`importerDir`) and a context with the current working directory (`cwd`) and the default resolution based on the closest tsconfig.json file (`defaultResolve`), and returning the absolute path the import path resolves to or `null` when it can't be resolved.
+ */
+export type Resolver = (
+  specifier: string,
+  importerDir: string,
+  context: { cwd: string; defaultResolve: () => string | null }
+) => string | null;
+
+/**
+ * An import found in a file before its import path is resolved, that is a `FileImport` without its `resolvedPath`.
+ */
+export type ExtractedImport = Omit<FileImport, "resolvedPath">;
+
+/**
+ * A custom extractor, receiving the SourceCode object of a file (`sourceCode`), its path (`filePath`) and a context with the scan mode (`scan`), the kinds of imports followed (`importKinds`) and the default extraction (`defaultExtractImports`), and returning the array of the imports of the file, whose `kind`, `typeOnly`, `names` and `loc` can be left out.
+ */
+export type ImportsExtractor = (
+  sourceCode: SourceCode,
+  filePath: string,
+  context: {
+    scan: ScanMode;
+    importKinds: ImportKindsMode;
+    defaultExtractImports: () => ExtractedImport[];
+  }
+) => (Pick<ExtractedImport, "specifier"> & Partial<ExtractedImport>)[];
+
+/**
+ * A name brought in by an import or a re-export, with its kind (`kind`), its name in the imported file (`imported`, `"default"` for default imports and `"*"` for namespaces), its name in the importing file (`local`, or its exported name for re-exports) and whether it only involves types (`typeOnly`).
+ */
+export type ImportedName = {
+  kind: "default" | "named" | "namespace";
+  imported: string;
+  local: string;
+  typeOnly: boolean;
+};
+
+/**
+ * An import found in a file, with its raw specifier (`specifier`), the file it resolves to or `null` when it is unresolved or external (`resolvedPath`), its kind (`kind`), whether it only involves types (`typeOnly`), the names it brings in (`names`) and its location in the file (`loc`).
+ */
+export type FileImport = {
+  specifier: string;
+  resolvedPath: string | null;
+  kind: ImportKind;
+  typeOnly: boolean;
+  names: ImportedName[];
+  loc: {
+    start: { line: number; column: number };
+    end: { line: number; column: number };
+  };
+};
+
+/**
+ * A file yielded by `walkImports` and `walkImportsSync`, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`).
+ */
+export type WalkedFile = {
+  filePath: string;
+  sourceCode: SourceCode | null;
+  imports: FileImport[];
+  depth: number;
+  importer: string | null;
+};
+
+/**
+ * What a callback returns to steer the traversal, either `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully. (Any other value continues the traversal.)
+ */
+export type CallbackAction = "skip" | "stop";
+
+/**
+ * The object shared by all the rounds of a callback traversal, tracking whether the callback stopped it (`stopped`).
+ */
+export type CallbackControl = {
+  stopped: boolean;
+};
+
+/**
+ * The object shared by all the rounds of a traversal, tracking whether one of them made it fail (`failed`).
+ */
+export type FailureControl = {
+  failed: boolean;
+};
+
+/**
+ * The event emitter returned by `watchAllImports`, emitting `"add"` with each file path becoming reachable, `"remove"` with each file path no longer reachable, `"change"` with each reachable file path that changed and its imports when the change altered its imports, and `"failure"` with the failure object of an update that failed. Listeners are added with `on` and `once` and removed with `off`. It also gives the latest successful results (`getResults`) and stops watching (`close`).
+ */
+export type ImportsWatcher = {
+  on: <EventName extends keyof ImportsWatcherListeners>(
+    eventName: EventName,
+    listener: ImportsWatcherListeners[EventName]
+  ) => ImportsWatcher;
+  once: <EventName extends keyof ImportsWatcherListeners>(
+    eventName: EventName,
+    listener: ImportsWatcherListeners[EventName]
+  ) => ImportsWatcher;
+  off: <EventName extends keyof ImportsWatcherListeners>(
+    eventName: EventName,
+    listener: ImportsWatcherListeners[EventName]
+  ) => ImportsWatcher;
+  getResults: () => Extract<FindAllImportsResults, { success: true }>;
+  close: () => void;
+};
+
+/**
+ * The listeners of the events of `ImportsWatcher`, keyed by event name. (Hand-written rather than extending Node.js's `EventEmitter`, so that the types don't require `@types/node`.)
+ */
+type ImportsWatcherListeners = {
+  add: (filePath: string) => void;
+  remove: (filePath: string) => void;
+  change: (filePath: string, imports: FileImport[]) => void;
+  failure: (
+    failure: Extract<FindAllImportsResults, { success: false }>
+  ) => void;
+};
+
+/**
+ * The JSON-compatible results of a traversal, with the visited file paths (`files`), the graph (`graph`), the unresolved import paths (`unresolved`), the external imports (`external`), the import cycles (`cycles`), the imports of each file (`fileImports`), the errors recorded (`errors`), the external packages followed (`packages`), the minimum depths (`depths`) and the shortest import chains (`shortestChains`).
+ */
+export type SerializedResults = {
+  files: string[];
+  graph: ImportEdge[];
+  unresolved: UnresolvedImport[];
+  external: string[];
+  cycles: string[][];
+  fileImports: Record<string, FileImport[]>;
+  errors: FindAllImportsError[];
+  packages: Record<string, ExternalPackage>;
+  depths: Record<string, number>;
+  shortestChains: Record<string, string[]>;
+};
+
+/**
+ * The options of a traversal that its imports and resolutions depend on, with its scan mode (`scan`), the kinds of imports it followed (`importKinds`), whether it resolved package imports and workspace packages (`resolvePackages`), the conditions it matched, sorted (`conditions`), how far it followed external packages (`followExternal`) and whether it used a custom resolver, extractor or handler (`customHooks`).
+ */
+export type TraversalStateOptions = {
+  scan: ScanMode;
+  importKinds: ImportKindsMode;
+  resolvePackages: boolean;
+  conditions: string[];
+  followExternal: FollowExternalMode;
+  customHooks: boolean;
+};
+
+/**
+ * The options of a traversal recorded in its results, with its current working directory (`cwd`) and the time at which it started in milliseconds since the epoch (`startedAt`) along with the options its imports and resolutions depend on.
+ */
+export type TraversalOptions = TraversalStateOptions & {
+  cwd: string;
+  startedAt: number;
+};
+
+/**
+ * The JSON-compatible state of a traversal made with `serializeState`, with its format version (`version`), the options its imports and resolutions depend on (`options`), the time at which it started (`startedAt`), the modification time, content hash and tsconfig.json file of each visited file (`files`), the content hash of each of these tsconfig.json files (`tsconfigs`) and its results with paths relative to the current working directory (`results`).
+ */
+export type TraversalState = {
+  version: number;
+  options: TraversalStateOptions;
+  startedAt: number;
+  files: Record<
+    string,
+    { mtimeMs: number; hash: string; tsconfig: string | null }
+  >;
+  tsconfigs: Record<string, string>;
+  results: SerializedResults;
+};
+
+/**
+ * The additional options of the traversals, along with their default values.
+ */
+export type FindAllImportsOptions = {
+  /**
+   * The current working directory, set as `process.cwd()` by default.
+   */
+  cwd?: string | undefined;
+  /**
+   * The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
+   */
+  visitedSet?: Set<string> | undefined;
+  /**
+   * The array of import edges tracking every import relationship found during the recursion, instantiated as an empty array `[]` by default.
+   */
+  graph?: ImportEdge[] | undefined;
+  /**
+   * The array of the import paths that could not be resolved during the recursion, along with their importers, instantiated as an empty array `[]` by default.
+   */
+  unresolved?: UnresolvedImport[] | undefined;
+  /**
+   * The set of strings tracking the external packages and Node.js built-in modules imported during the recursion, instantiated as a `new Set()` by default.
+   */
+  external?: Set<string> | undefined;
+  /**
+   * The array of the import cycles found during the recursion, each as the ordered array of the file paths it goes through, back to the file path it starts from, instantiated as an empty array `[]` by default.
+   */
+  cycles?: string[][] | undefined;
+  /**
+   * The map of each visited file path to the imports found in it, with their specifiers, resolved paths, kinds, imported names and locations, instantiated as a `new Map()` by default.
+   */
+  fileImports?: Map<string, FileImport[]> | undefined;
+  /**
+   * The array of the errors recorded instead of failing in `continueOnError` mode, each with the subtree of the file path it is about being skipped, instantiated as an empty array `[]` by default.
+   */
+  errors?: FindAllImportsError[] | undefined;
+  /**
+   * The map of the external packages imported during the recursion in `followExternal` mode, keyed by name, each with its version from its package.json file, its directory and its resolved entry file, instantiated as a `new Map()` by default.
+   */
+  packages?: Map<string, ExternalPackage> | undefined;
+  /**
+   * The map of each visited file path to its minimum depth from the original file path, or from the closest entry, instantiated as a `new Map()` by default.
+   */
+  depths?: Map<string, number> | undefined;
+  /**
+   * The map of each visited file path to one of its shortest import chains, as the ordered array of the file paths it goes through from the original file path, or from the closest entry, to the file path itself, instantiated as a `new Map()` by default.
+   */
+  shortestChains?: Map<string, string[]> | undefined;
+  /**
+   * The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one, instantiated as an empty array `[]` by default.
+   */
+  stack?: string[] | undefined;
+  /**
+   * The current depth of the recursion, instantiated at `0` by default.
+   */
+  depth?: number | undefined;
+  /**
+   * The maximum depth allowed for the recursion, instantiated at `100` by default.
+   */
+  maxDepth?: number | undefined;
+  /**
+   * The scan mode of the extraction of imports, either `"top-level"` to only address the nodes at the root of each file's AST, or `"deep"` to also find the `import()` and `require()` calls nested anywhere in each file, set as `"top-level"` by default.
+   */
+  scan?: ScanMode | undefined;
+  /**
+   * The kinds of imports followed by the recursion, either `"value"` to only follow the imports that remain at runtime, `"type"` to only follow the imports bringing in types, that is `import type` and `export type` declarations along with the imports and re-exports with inline type specifiers (`import { type X }`), or `"all"` to follow both, set as `"all"` by default. (The imports and re-exports whose specifiers are all inline type specifiers are followed in `"value"` mode as well, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`.)
+   */
+  importKinds?: ImportKindsMode | undefined;
+  /**
+   * Whether unresolved relative or absolute import paths make the recursion fail instead of only being recorded in `unresolved`, set as `false` by default.
+   */
+  strict?: boolean | undefined;
+  /**
+   * Whether import cycles are detected and recorded in `cycles`, set as `false` by default.
+   */
+  detectCycles?: boolean | undefined;
+  /**
+   * Whether import cycles make the recursion fail instead of only being recorded in `cycles`, implying `detectCycles`, set as `false` by default.
+   */
+  failOnCycle?: boolean | undefined;
+  /**
+   * Whether the failures met on file paths, such as files not found or not parsed, callbacks throwing or the failures of `strict` and `failOnCycle`, are recorded in `errors` instead of making the recursion fail, skipping the subtrees of the file paths they are about, set as `false` by default. (Invalid options still make the recursion fail.)
+   */
+  continueOnError?: boolean | undefined;
+  /**
+   * The array of the glob patterns, relative to the current working directory, that resolved paths have to match to be traversed, instantiated as an empty array `[]` by default to traverse every resolved path.
+   */
+  include?: string[] | undefined;
+  /**
+   * The array of the glob patterns, relative to the current working directory, that resolved paths must not match to be traversed, instantiated as an empty array `[]` by default.
+   */
+  exclude?: string[] | undefined;
+  /**
+   * The predicate telling whether a resolved path is traversed, receiving the resolved path and the absolute path of its importer, checked after `include` and `exclude`, set as `null` by default.
+   */
+  shouldTraverse?: ShouldTraverse | null | undefined;
+  /**
+   * Whether the resolved paths left out by `include`, `exclude` or `shouldTraverse` are still recorded in `graph` as leaves, without being visited nor their own imports being found, set as `false` by default.
+   */
+  keepExcludedAsLeaves?: boolean | undefined;
+  /**
+   * The map of file extensions, such as `".css"`, to the handlers of the files ending with them, taking precedence over the built-in handlers of assets, stylesheets, Vue and Svelte components and MDX documents: `null` to record the files as leaves without reading them, `{ getScript }` to get the JavaScript or TypeScript code embedded in the files to parse, or `{ getImports }` to get the import paths of the files directly, instantiated as an empty object `{}` by default.
+   */
+  handlers?: FileHandlers | undefined;
+  /**
+   * The custom resolver replacing the default resolution of import paths, such as for bundler aliases, receiving the import path, the directory of its importer and a context with the current working directory (`cwd`) and the default resolution (`defaultResolve`) to fall back on, and returning the absolute path the import path resolves to or `null`, set as `null` by default to resolve import paths based on the closest tsconfig.json file.
+   */
+  resolve?: Resolver | null | undefined;
+  /**
+   * Whether import paths left unresolved are resolved through package.json files, package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the npm, Yarn or pnpm workspace as well as the package itself through their `exports` field, without ever traversing node_modules, set as `false` by default.
+   */
+  resolvePackages?: boolean | undefined;
+  /**
+   * The conditions matched by the conditional targets of the `exports` and `imports` fields of package.json files in `resolvePackages` mode, such as `"import"`, `"require"`, `"types"` or `"browser"`, `"default"` always being matched, set as `["import", "require", "node", "default"]` by default.
+   */
+  conditions?: string[] | undefined;
+  /**
+   * How far the external packages installed in node_modules are followed, either `"none"` to only record their names in `external`, `"package"` to also record each of them once in `packages` with its version and its resolved entry file, or `"deep"` to also resolve bare import paths into node_modules and traverse the sources of the packages with the packages as their resolution roots, set as `"none"` by default.
+   */
+  followExternal?: FollowExternalMode | undefined;
+  /**
+   * The custom extractor replacing the default extraction of imports from the files' SourceCode objects, such as for macros importing files, receiving the SourceCode object, the file path and a context with `scan`, `importKinds` and the default extraction (`defaultExtractImports`) to build on, and returning the array of the imports of the file, each with its import path (`specifier`) and, when left out, its `kind` set as `"static"`, its `typeOnly` as `false`, its `names` as `[]` and its `loc` as the start of the file, set as `null` by default to only extract import declarations, re-exports, `import()` and `require()` calls.
+   */
+  extractImports?: ImportsExtractor | null | undefined;
+  /**
+   * The cache of the tsconfig.json lookups per directory, of the resolved paths per resolution options, directory and import path, of the SourceCode objects per file path, modification time and getScript handler, of the package.json files and workspace packages, and of the content hashes per file path and modification time, made fresh with `makeCache()` by default and reusable across calls by passing the same object.
+   */
+  cache?: FindAllImportsCache | undefined;
+  /**
+   * The state of a previous traversal made with `serializeState`, from which the files whose modification times or, failing that, content hashes haven't changed since are reused without being read nor parsed again, along with their resolutions when their tsconfig.json files haven't changed either and the directories of their candidate files haven't been modified since it started, provided that it was made with the same `scan`, `importKinds`, `resolvePackages`, `conditions` in any order and `followExternal` and without custom hooks, set as `null` by default. (Never reused along with a custom `resolve`, `extractImports` or `handlers`, whose functions can't be compared with those the state was made with.) (Ignored by the callback variants and the walks, which hand over the SourceCode object of every file.)
+   */
+  previousState?: TraversalState | null | undefined;
+  /**
+   * The time at which the traversal started, in milliseconds since the epoch, recorded in the `options` of its results so that the resolutions reused from its state are only those whose candidate files can't have been created or deleted since, set as `Date.now()` by default.
+   */
+  startedAt?: number | undefined;
+  /**
+   * The object shared by all the rounds of the traversal, tracking whether the callback stopped it by returning `"stop"` (`stopped`), instantiated as `{ stopped: false }` by default. (Only used by `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`.)
+   */
+  callbackControl?: CallbackControl | undefined;
+  /**
+   * The object shared by all the rounds of the traversal, tracking whether one of them made it fail (`failed`), so that the rounds running concurrently stop reading files, running the callback and traversing imports once the result of the traversal is decided, instantiated as `{ failed: false }` by default. (Only making a difference to `findAllImportsWithCallbackAsync` above a concurrency of `1`, the other traversals stopping at their first failure anyway.)
+   */
+  failureControl?: FailureControl | undefined;
+  /**
+   * The maximum number of files read and of callbacks running at the same time, with the imports of each file being traversed concurrently when above `1`, set as `1` by default for a sequential traversal. (Files are still parsed one at a time on the main thread, so that concurrency overlaps the file reads and the asynchronous callbacks rather than the parsing.) (Only used by `findAllImportsWithCallbackAsync`, the other traversals being sequential.)
+   */
+  concurrency?: number | undefined;
+  /**
+   * The function running the file reads and the callbacks of the whole traversal within the concurrency limit, made from `concurrency` with `makeLimiter(concurrency)` by default. (Only used by `findAllImportsWithCallbackAsync`.)
+   */
+  limiter?: Limiter | undefined;
+};
+
 type FindAllImportsResults =
   | {
       success: false;
-      errors: Array<{ message: string; type: "error" }>;
+      errors: FindAllImportsError[];
     }
   | {
       success: true;
       visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
     };
 
 type FindAllImportsResultsWithAccumulator =
   | {
       success: false;
-      errors: Array<{ message: string; type: "error" }>;
+      errors: FindAllImportsError[];
     }
   | {
       success: true;
       visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
       accumulator: unknown;
     };
 
@@ -25,8 +502,9 @@ type SynchronousCallbackConfig = {
   callback: (
     filePath: string,
     sourceCode: SourceCode,
-    accumulator: unknown
-  ) => void;
+    accumulator: unknown,
+    imports: FileImport[]
+  ) => CallbackAction | void;
   accumulator: unknown;
 };
 
@@ -34,56 +512,62 @@ type AsynchronousCallbackConfig = {
   callback: (
     filePath: string,
     sourceCode: SourceCode,
-    accumulator: unknown
-  ) => Promise<void>;
+    accumulator: unknown,
+    imports: FileImport[]
+  ) => Promise<CallbackAction | void>;
   accumulator: unknown;
 };
 
 // must be manually maintained
 
+/**
+ * Makes an empty cache for the tsconfig.json lookups, the resolved paths, the SourceCode objects, the package.json files and workspace packages and the content hashes of a traversal, to be passed as the `cache` option of several calls so that they share their work.
+ * @returns The cache object, with its maps of tsconfig.json paths per directory (`tsconfigPaths`), of resolved paths per resolution options, directory and import path (`resolvedPaths`) of SourceCode objects per file path (`sourceCodes`), of parsed package.json files per path (`packageJsons`), of workspace packages per directory (`workspacePackages`) and of content hashes per file path along with the modification time they were computed at (`fileHashes`).
+ */
+export const makeCache: () => FindAllImportsCache;
+
+/**
+ * Makes a function running tasks with at most a given number of them running at the same time, queuing the others in the order they were given, to be passed as the `limiter` option of several calls of `findAllImportsWithCallbackAsync` so that they share the same concurrency limit.
+ * @param {number} concurrency The maximum number of tasks running at the same time.
+ * @returns The limiter function, taking a task and returning a promise of its result.
+ */
+export const makeLimiter: (concurrency: number) => Limiter;
+
 /**
  * Finds all import paths recursively related to a given file path.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
  */
 export const findAllImports: (
   filePath: string,
-  {
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  }?: {
-    cwd?: string | undefined;
-    visitedSet?: Set<string> | undefined;
-    depth?: number | undefined;
-    maxDepth?: number | undefined;
-  }
+  options?: FindAllImportsOptions
 ) =>
   | {
       success: false;
-      errors: Array<{ message: string; type: "error" }>;
+      errors: FindAllImportsError[];
     }
   | {
       success: true;
       visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
     };
 
 /**
  * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, synchronously.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {{callback: (filePath: string, sourceCode: SourceCode, accumulator: unknown) => void; accumulator: unknown}} callbackConfig The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackSync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {{callback: (filePath: string, sourceCode: SourceCode, accumulator: unknown) => CallbackAction | void; accumulator: unknown}} callbackConfig The configuration of a synchronous-only callback function provided to `findAllImportsWithCallbackSync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackSync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
  */
 export const findAllImportsWithCallbackSync: (
   filePath: string,
@@ -91,42 +575,39 @@ export const findAllImportsWithCallbackSync: (
     callback: (
       filePath: string,
       sourceCode: SourceCode,
-      accumulator: unknown
-    ) => void;
+      accumulator: unknown,
+      imports: FileImport[]
+    ) => CallbackAction | void;
     accumulator: unknown;
   },
-  {
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  }?: {
-    cwd?: string | undefined;
-    visitedSet?: Set<string> | undefined;
-    depth?: number | undefined;
-    maxDepth?: number | undefined;
-  }
+  options?: FindAllImportsOptions
 ) =>
   | {
       success: false;
-      errors: Array<{ message: string; type: "error" }>;
+      errors: FindAllImportsError[];
     }
   | {
       success: true;
       visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
       accumulator: unknown;
     };
 
 /**
- * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously.
+ * Finds all import paths recursively related to a given file path, with a given callback function running on every file path encountered, asynchronously and, depending on concurrency, concurrently.
  * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
- * @param {{callback: (filePath: string, sourceCode: SourceCode, accumulator: unknown) => Promise<void>; accumulator: unknown;}} callbackConfig The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found, before `findAllImportsWithCallbackAsync`'s recursion, and accesses three arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, and `accumulator` which is the accumulator for the callback through the recursion.
- * @param {Object} options The additional options as follows:
- * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
- * @param {Set<string>} [options.visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
- * @param {number} [options.depth] The current depth of the recursion, instantiated at `0` by default.
- * @param {number} [options.maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
- * @returns The complete set of strings of import paths recursively related to the given file path in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ * @param {{callback: (filePath: string, sourceCode: SourceCode, accumulator: unknown) => Promise<CallbackAction | void>; accumulator: unknown;}} callbackConfig The configuration of an asynchronous-only callback function provided to `findAllImportsWithCallbackAsync`, with the callback itself (`callbackConfig.callback`) and its accumulator (`callbackConfig.accumulator`) as properties. The callback runs on every file path found with a SourceCode object (assets and the files whose handlers get their import paths directly being skipped), before `findAllImportsWithCallbackAsync`'s recursion, and accesses four arguments in the following order: `filePath` which is the current file's path, `sourceCode` which is the current file's SourceCode object, `accumulator` which is the accumulator for the callback through the recursion, and `imports` which is the array of the imports found in the current file, with their specifiers, resolved paths, kinds, imported names and locations. It may return `"skip"` to leave out the imports of the current file, or `"stop"` to end the whole traversal successfully.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to the given file path, along with the graph of import edges between them, the import paths left unresolved or external, the import cycles detected, the errors recorded in `continueOnError` mode, the external packages followed in `followExternal` mode and the minimum depth and a shortest import chain of each file path, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
  */
 export const findAllImportsWithCallbackAsync: (
   filePath: string,
@@ -134,33 +615,298 @@ export const findAllImportsWithCallbackAsync: (
     callback: (
       filePath: string,
       sourceCode: SourceCode,
-      accumulator: unknown
-    ) => Promise<void>;
+      accumulator: unknown,
+      imports: FileImport[]
+    ) => Promise<CallbackAction | void>;
     accumulator: unknown;
   },
-  {
-    cwd,
-    visitedSet,
-    depth,
-    maxDepth,
-  }?: {
-    cwd?: string | undefined;
-    visitedSet?: Set<string> | undefined;
-    depth?: number | undefined;
-    maxDepth?: number | undefined;
-  }
+  options?: FindAllImportsOptions
 ) => Promise<
   | {
       success: false;
-      errors: Array<{ message: string; type: "error" }>;
+      errors: FindAllImportsError[];
     }
   | {
       success: true;
       visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
       accumulator: unknown;
     }
 >;
 
+/**
+ * Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for...of` and stopped early with `break`.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns An iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).
+ */
+export const walkImportsSync: (
+  filePath: string,
+  options?: FindAllImportsOptions
+) => Generator<WalkedFile, FindAllImportsResults, undefined>;
+
+/**
+ * Walks all import paths recursively related to a given file path, yielding each file as soon as it is discovered, before walking its own imports, so that the traversal can be consumed with `for await...of` and stopped early with `break`. Files are read asynchronously, one after the other.
+ * @param {string} filePath The absolute path of the file whose imports are being recursively found, such as that of a project's `comments.config.js` file.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns An asynchronous iterable yielding each file found, with its path (`filePath`), its SourceCode object, `null` for assets and the files whose handlers get their import paths directly (`sourceCode`), its imports with their specifiers, resolved paths, kinds, imported names and locations (`imports`), its depth (`depth`) and the file path it was reached from, `null` for the original file path (`importer`), and returning once complete what `findAllImports` returns, the traversal stopping at the first failure unless in continueOnError mode, with the failure thrown as an AggregateError of its errors (`errors`).
+ */
+export const walkImports: (
+  filePath: string,
+  options?: FindAllImportsOptions
+) => AsyncGenerator<WalkedFile, FindAllImportsResults, undefined>;
+
+/**
+ * Finds all import paths recursively related to several entries at once, within a single traversal shared by all of them.
+ * @param {string | string[]} entries The file path or glob pattern, or the array of file paths and glob patterns, of the entries whose imports are being recursively found, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns The complete set of strings of import paths recursively related to all entries, along with the set of the import paths reachable from each entry (`entrySets`) and everything else `findAllImports` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const findAllImportsFromEntries: (
+  entries: string | string[],
+  options?: FindAllImportsOptions
+) =>
+  | {
+      success: false;
+      errors: FindAllImportsError[];
+    }
+  | {
+      success: true;
+      visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
+      entrySets: Map<string, Set<string>>;
+    };
+
+/**
+ * Finds all file paths transitively importing a given target path, by walking forward from one or several roots and inverting the graph found.
+ * @param {string} targetPath The path of the file whose dependents are being found, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions & {roots: string | string[]}} options The additional options, described along with their default values in `FindAllImportsOptions`, along with the file path or glob pattern, or the array of file paths and glob patterns, of the roots from which the graph is built, relative to the current working directory unless absolute (`roots`).
+ * @returns The set of strings of the file paths transitively importing the target path (`dependents`), the shortest import chain from each of them to the target path (`chains`) and the roots among them or equal to the target path (`affectedRoots`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const findAllDependents: (
+  targetPath: string,
+  options: FindAllImportsOptions & { roots: string | string[] }
+) =>
+  | {
+      success: false;
+      errors: FindAllImportsError[];
+    }
+  | {
+      success: true;
+      visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
+      entrySets: Map<string, Set<string>>;
+      dependents: Set<string>;
+      chains: Map<string, string[]>;
+      affectedRoots: string[];
+    };
+
+/**
+ * Explains why a target path is pulled in by one or several entries, with one of the shortest import chains leading from an entry to the target path and the import edges it goes through.
+ * @param {string | string[]} entry The file path or glob pattern, or the array of file paths and glob patterns, of the entries from which the target path may be reached, relative to the current working directory unless absolute.
+ * @param {string} targetPath The path of the file being explained, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions} [options] The additional options, described along with their default values in `FindAllImportsOptions`.
+ * @returns One of the shortest import chains from an entry to the target path (`chain`), `null` when the target path isn't reached, and the import edges it goes through with their specifiers and kinds (`edges`), along with everything else `findAllImportsFromEntries` tracks, in a success object (`success: true`). Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const why: (
+  entry: string | string[],
+  targetPath: string,
+  options?: FindAllImportsOptions
+) =>
+  | {
+      success: false;
+      errors: FindAllImportsError[];
+    }
+  | {
+      success: true;
+      visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
+      entrySets: Map<string, Set<string>>;
+      chain: string[] | null;
+      edges: ImportEdge[];
+    };
+
+/**
+ * Finds all import paths recursively related to a given entry like `findAllImports`, then keeps them up to date by watching the directories of the visited files and of the import paths left unresolved, finding again only the imports of the files that change and traversing only the file paths they newly reach, and emitting events as the set of reachable files evolves.
+ * @param {string} entry The path of the entry whose imports are being watched, relative to the current working directory unless absolute.
+ * @param {FindAllImportsOptions & {debounce?: number}} [options] The additional options, described along with their default values in `FindAllImportsOptions`, along with the delay in milliseconds during which the successive events of a changed file are gathered before the change is addressed, set at `50` by default (`debounce`).
+ * @returns The results of the first traversal along with the watcher keeping them up to date (`watcher`), in a success object (`success: true`). The watcher emits `"add"` with each file path becoming reachable, `"remove"` with each file path no longer reachable, `"change"` with each reachable file path that changed and its imports when the change altered its imports, and `"failure"` with the failure object of an update that failed, after which the previous results are kept. Errors are bubbled up during failures in a failure object (`success: false`).
+ */
+export const watchAllImports: (
+  entry: string,
+  options?: FindAllImportsOptions & { debounce?: number | undefined }
+) =>
+  | {
+      success: false;
+      errors: FindAllImportsError[];
+    }
+  | {
+      success: true;
+      visitedSet: Set<string>;
+      graph: ImportEdge[];
+      unresolved: UnresolvedImport[];
+      external: Set<string>;
+      cycles: string[][];
+      fileImports: Map<string, FileImport[]>;
+      errors: FindAllImportsError[];
+      packages: Map<string, ExternalPackage>;
+      depths: Map<string, number>;
+      shortestChains: Map<string, string[]>;
+      options: TraversalOptions;
+      watcher: ImportsWatcher;
+    };
+
+/**
+ * Serializes the graph of a traversal as a Graphviz DOT digraph, with edges styled by import kind (solid for static imports, bold for re-exports, dashed for dynamic imports and dotted for `require` calls) and grayed out when type-only.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`) and the graph of import edges between them (`graph`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @param {boolean} [options.clusterByDirectory] Whether nodes are clustered by the directory containing them, set as `false` by default.
+ * @returns The DOT source of the graph.
+ */
+export const toDot: (
+  results: {
+    visitedSet: Set<string>;
+    graph: ImportEdge[];
+  },
+  {
+    cwd,
+    relative,
+    clusterByDirectory,
+  }?: {
+    cwd?: string | undefined;
+    relative?: boolean | undefined;
+    clusterByDirectory?: boolean | undefined;
+  }
+) => string;
+
+/**
+ * Serializes the graph of a traversal as a Mermaid flowchart, with links styled by import kind (`-->` for static imports, `==>` for re-exports, `-.->` for dynamic imports and `--o` for `require` calls) and labeled `type` when type-only.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`) and the graph of import edges between them (`graph`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @param {boolean} [options.clusterByDirectory] Whether nodes are clustered by the directory containing them, set as `false` by default.
+ * @returns The Mermaid source of the flowchart.
+ */
+export const toMermaid: (
+  results: {
+    visitedSet: Set<string>;
+    graph: ImportEdge[];
+  },
+  {
+    cwd,
+    relative,
+    clusterByDirectory,
+  }?: {
+    cwd?: string | undefined;
+    relative?: boolean | undefined;
+    clusterByDirectory?: boolean | undefined;
+  }
+) => string;
+
+/**
+ * Serializes the results of a traversal as JSON, turning their sets and maps into arrays and objects.
+ * @param {SerializableResults} results The successful results of any `findAllImports` function, of which the visited file paths (`visitedSet`), the graph (`graph`), the unresolved import paths (`unresolved`), the external imports (`external`), the import cycles (`cycles`), the imports of each file (`fileImports`), the errors recorded (`errors`), the external packages followed (`packages`), the minimum depths (`depths`) and the shortest import chains (`shortestChains`) are serialized.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory, set as `process.cwd()` by default.
+ * @param {boolean} [options.relative] Whether paths are serialized relative to the current working directory, set as `true` by default.
+ * @returns The JSON text of the results, indented with two spaces.
+ */
+export const toJSON: (
+  results: {
+    visitedSet: Set<string>;
+    graph: ImportEdge[];
+    unresolved: UnresolvedImport[];
+    external: Set<string>;
+    cycles: string[][];
+    fileImports: Map<string, FileImport[]>;
+    errors: FindAllImportsError[];
+    packages: Map<string, ExternalPackage>;
+    depths: Map<string, number>;
+    shortestChains: Map<string, string[]>;
+  },
+  {
+    cwd,
+    relative,
+  }?: {
+    cwd?: string | undefined;
+    relative?: boolean | undefined;
+  }
+) => string;
+
+/**
+ * Serializes the state of a traversal as a JSON-compatible object, made of its results with their paths relative to the current working directory, of the modification time, the content hash and the tsconfig.json file of each visited file, and of the content hash of each of these tsconfig.json files, so that it can be stored and passed as the `previousState` option of a later call.
+ * @param {SerializableResults & {options: TraversalOptions}} results The successful results of any `findAllImports` function, whose paths are made relative to the current working directory of their traversal and whose traversal options (`options`) are recorded along with them.
+ * @returns The state of the traversal.
+ */
+export const serializeState: (results: {
+  visitedSet: Set<string>;
+  graph: ImportEdge[];
+  unresolved: UnresolvedImport[];
+  external: Set<string>;
+  cycles: string[][];
+  fileImports: Map<string, FileImport[]>;
+  errors: FindAllImportsError[];
+  packages: Map<string, ExternalPackage>;
+  depths: Map<string, number>;
+  shortestChains: Map<string, string[]>;
+  options: TraversalOptions;
+}) => TraversalState;
+
+/**
+ * Rehydrates the results of a traversal from its state, turning their arrays and objects back into sets and maps and their paths back into absolute paths.
+ * @param {unknown} state The state of a traversal made with `serializeState`.
+ * @param {Object} options The additional options as follows:
+ * @param {string} [options.cwd] The current working directory the state was made from, set as `process.cwd()` by default.
+ * @returns The results of the traversal in a success object (`success: true`), or a failure object (`success: false`) along with its errors when the state is not one made with `serializeState` in its current version.
+ */
+export const deserializeState: (
+  state: unknown,
+  {
+    cwd,
+  }?: {
+    cwd?: string | undefined;
+  }
+) => FindAllImportsResults;
+
 /**
  * ESLint SourceCode type accessed without needing to install ESLint at the point of consumption. (`SourceCode.ast` for AST, `SourceCode.getAllComments()` for all comments.)
  */
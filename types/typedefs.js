@@ -7,36 +7,466 @@
  * @typedef {import('eslint').SourceCode} SourceCode
  *
  * @typedef {import('@typescript-eslint/types').TSESTree.Program['body'][number]} ASTBodyNode
+ *
+ * @typedef {import('@typescript-eslint/types').TSESTree.Node} ASTNode
+ */
+
+/**
+ * @typedef {"top-level" | "deep"} ScanMode
+ */
+
+/**
+ * @typedef {"value" | "type" | "all"} ImportKindsMode
+ */
+
+/**
+ * @typedef {"static" | "re-export" | "dynamic" | "require"} ImportKind
+ */
+
+/**
+ * @typedef {"none" | "package" | "deep"} FollowExternalMode
+ */
+
+/**
+ * @typedef {{
+ *   name: string;
+ *   version: string | null;
+ *   dir: string;
+ *   entry: string | null;
+ * }} ExternalPackage
+ */
+
+/**
+ * @typedef {"list" | "json" | "ndjson" | "dot" | "mermaid"} OutputFormat
+ */
+
+/**
+ * @typedef {{
+ *   tsconfigPaths: Map<string, string | undefined>;
+ *   resolvedPaths: Map<string, Map<string, Map<string, string | null>>>;
+ *   sourceCodes: Map<
+ *     string,
+ *     {
+ *       mtimeMs: number;
+ *       getScript: FileHandler["getScript"];
+ *       sourceCode: SourceCode;
+ *     }
+ *   >;
+ *   packageJsons: Map<string, PackageJson | null>;
+ *   workspacePackages: Map<string, Map<string, string>>;
+ *   fileHashes: Map<string, { mtimeMs: number; hash: string }>;
+ * }} FindAllImportsCache
+ */
+
+/**
+ * @typedef {{
+ *   name?: string;
+ *   main?: string;
+ *   module?: string;
+ *   exports?: unknown;
+ *   imports?: Record<string, unknown>;
+ *   version?: string;
+ *   workspaces?: string[] | { packages?: string[] };
+ * }} PackageJson
+ */
+
+/**
+ * @typedef {(resolvedPath: string, importer: string) => boolean} ShouldTraverse
+ */
+
+/**
+ * @typedef {<T>(task: () => T | Promise<T>) => Promise<T>} Limiter
+ */
+
+/**
+ * @typedef {{
+ *   getScript?: (sourceText: string, filePath: string) => string;
+ *   getImports?: (sourceText: string, filePath: string) => string[];
+ * }} FileHandler
+ */
+
+/**
+ * @typedef {Record<string, FileHandler | null>} FileHandlers
+ */
+
+/**
+ * @typedef {(specifier: string, importerDir: string, context: { cwd: string; defaultResolve: () => string | null }) => string | null} Resolver
+ */
+
+/**
+ * @typedef {(sourceCode: SourceCode, filePath: string, context: { scan: ScanMode; importKinds: ImportKindsMode; defaultExtractImports: () => ExtractedImport[] }) => (Pick<ExtractedImport, "specifier"> & Partial<ExtractedImport>)[]} ImportsExtractor
+ */
+
+/**
+ * @typedef {import('@typescript-eslint/types').TSESTree.SourceLocation} SourceLocation
+ */
+
+/**
+ * @typedef {{
+ *   kind: "default" | "named" | "namespace";
+ *   imported: string;
+ *   local: string;
+ *   typeOnly: boolean;
+ * }} ImportedName
+ */
+
+/**
+ * @typedef {{
+ *   specifier: string;
+ *   kind: ImportKind;
+ *   typeOnly: boolean;
+ *   names: ImportedName[];
+ *   loc: SourceLocation;
+ * }} ExtractedImport
+ */
+
+/**
+ * @typedef {{
+ *   specifier: string;
+ *   resolvedPath: string | null;
+ *   kind: ImportKind;
+ *   typeOnly: boolean;
+ *   names: ImportedName[];
+ *   loc: SourceLocation;
+ * }} FileImport
+ */
+
+/**
+ * @typedef {{
+ *   importer: string;
+ *   specifier: string;
+ *   resolvedPath: string;
+ *   kind: ImportKind;
+ *   typeOnly: boolean;
+ * }} ImportEdge
+ */
+
+/**
+ * @typedef {{
+ *   importer: string;
+ *   specifier: string;
+ *   kind: ImportKind;
+ * }} UnresolvedImport
+ */
+
+/**
+ * @typedef {"INVALID_OPTION" | "NO_ENTRY_FOUND" | "FILE_NOT_FOUND" | "PARSE_FAILED" | "MAX_DEPTH" | "UNRESOLVED_IMPORT" | "IMPORT_CYCLE" | "CALLBACK_THREW" | "SHOULD_TRAVERSE_THREW" | "HANDLER_FAILED" | "RESOLVE_FAILED" | "EXTRACT_IMPORTS_FAILED"} ErrorCode
+ */
+
+/**
+ * @typedef {{
+ *   filePath?: string;
+ *   importer?: string;
+ *   specifier?: string;
+ *   chain?: string[];
+ * }} ErrorLocation
+ */
+
+/**
+ * @typedef {ErrorLocation & {
+ *   code: ErrorCode;
+ * }} ErrorDetails
+ */
+
+/**
+ * @typedef {ErrorDetails & {
+ *   type: "error";
+ *   message: string;
+ * }} FindAllImportsError
  */
 
 /**
  * @typedef {{
  *   success: false;
- *   errors: Array<{ message: string; type: "error";}>;
+ *   errors: FindAllImportsError[];
  * } | {
  *   success: true;
  *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ *   options: TraversalOptions;
  * }} FindAllImportsResults
  */
 
+/**
+ * @typedef {{
+ *   filePath: string;
+ *   sourceCode: SourceCode | null;
+ *   imports: FileImport[];
+ *   depth: number;
+ *   importer: string | null;
+ * }} WalkedFile
+ */
+
 /**
  * @typedef {{
  *   success: false;
- *   errors: Array<{ message: string; type: "error";}>;
+ *   errors: FindAllImportsError[];
  * } | {
  *   success: true;
  *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ *   options: TraversalOptions;
  *   accumulator: unknown;
  * }} FindAllImportsResultsWithAccumulator
  */
 
+/**
+ * @typedef {{
+ *   success: false;
+ *   errors: FindAllImportsError[];
+ * } | {
+ *   success: true;
+ *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ *   options: TraversalOptions;
+ *   entrySets: Map<string, Set<string>>;
+ * }} FindAllImportsFromEntriesResults
+ */
+
+/**
+ * @typedef {{
+ *   success: false;
+ *   errors: FindAllImportsError[];
+ * } | {
+ *   success: true;
+ *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ *   options: TraversalOptions;
+ *   entrySets: Map<string, Set<string>>;
+ *   dependents: Set<string>;
+ *   chains: Map<string, string[]>;
+ *   affectedRoots: string[];
+ * }} FindAllDependentsResults
+ */
+
+/**
+ * @typedef {{
+ *   success: false;
+ *   errors: FindAllImportsError[];
+ * } | {
+ *   success: true;
+ *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ *   options: TraversalOptions;
+ *   entrySets: Map<string, Set<string>>;
+ *   chain: string[] | null;
+ *   edges: ImportEdge[];
+ * }} WhyResults
+ */
+
+/**
+ * @typedef {{
+ *   visitedSet: Set<string>;
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: Set<string>;
+ *   cycles: string[][];
+ *   fileImports: Map<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Map<string, ExternalPackage>;
+ *   depths: Map<string, number>;
+ *   shortestChains: Map<string, string[]>;
+ * }} SerializableResults
+ */
+
+/**
+ * @typedef {{
+ *   files: string[];
+ *   graph: ImportEdge[];
+ *   unresolved: UnresolvedImport[];
+ *   external: string[];
+ *   cycles: string[][];
+ *   fileImports: Record<string, FileImport[]>;
+ *   errors: FindAllImportsError[];
+ *   packages: Record<string, ExternalPackage>;
+ *   depths: Record<string, number>;
+ *   shortestChains: Record<string, string[]>;
+ * }} SerializedResults
+ */
+
+/**
+ * @typedef {{
+ *   scan: ScanMode;
+ *   importKinds: ImportKindsMode;
+ *   resolvePackages: boolean;
+ *   conditions: string[];
+ *   followExternal: FollowExternalMode;
+ *   customHooks: boolean;
+ * }} TraversalStateOptions
+ */
+
+/**
+ * @typedef {TraversalStateOptions & {
+ *   cwd: string;
+ *   startedAt: number;
+ * }} TraversalOptions
+ */
+
+/**
+ * @typedef {{
+ *   version: number;
+ *   options: TraversalStateOptions;
+ *   startedAt: number;
+ *   files: Record<string, { mtimeMs: number; hash: string; tsconfig: string | null }>;
+ *   tsconfigs: Record<string, string>;
+ *   results: SerializedResults;
+ * }} TraversalState
+ */
+
+/**
+ * @typedef {Object} FindAllImportsOptions
+ * @property {string} [cwd] The current working directory, set as `process.cwd()` by default.
+ * @property {Set<string>} [visitedSet] The set of strings tracking the import paths that have already been visited, instantiated as a `new Set()` by default.
+ * @property {ImportEdge[]} [graph] The array of import edges tracking every import relationship found during the recursion, instantiated as an empty array `[]` by default.
+ * @property {UnresolvedImport[]} [unresolved] The array of the import paths that could not be resolved during the recursion, along with their importers, instantiated as an empty array `[]` by default.
+ * @property {Set<string>} [external] The set of strings tracking the external packages and Node.js built-in modules imported during the recursion, instantiated as a `new Set()` by default.
+ * @property {string[][]} [cycles] The array of the import cycles found during the recursion, each as the ordered array of the file paths it goes through, back to the file path it starts from, instantiated as an empty array `[]` by default.
+ * @property {Map<string, FileImport[]>} [fileImports] The map of each visited file path to the imports found in it, with their specifiers, resolved paths, kinds, imported names and locations, instantiated as a `new Map()` by default.
+ * @property {FindAllImportsError[]} [errors] The array of the errors recorded instead of failing in `continueOnError` mode, each with the subtree of the file path it is about being skipped, instantiated as an empty array `[]` by default.
+ * @property {Map<string, ExternalPackage>} [packages] The map of the external packages imported during the recursion in `followExternal` mode, keyed by name, each with its version from its package.json file, its directory and its resolved entry file, instantiated as a `new Map()` by default.
+ * @property {Map<string, number>} [depths] The map of each visited file path to its minimum depth from the original file path, or from the closest entry, instantiated as a `new Map()` by default.
+ * @property {Map<string, string[]>} [shortestChains] The map of each visited file path to one of its shortest import chains, as the ordered array of the file paths it goes through from the original file path, or from the closest entry, to the file path itself, instantiated as a `new Map()` by default.
+ * @property {string[]} [stack] The array of the file paths currently being processed by the recursion, from the original file path to the importer of the current one, instantiated as an empty array `[]` by default.
+ * @property {number} [depth] The current depth of the recursion, instantiated at `0` by default.
+ * @property {number} [maxDepth] The maximum depth allowed for the recursion, instantiated at `100` by default.
+ * @property {ScanMode} [scan] The scan mode of the extraction of imports, either `"top-level"` to only address the nodes at the root of each file's AST, or `"deep"` to also find the `import()` and `require()` calls nested anywhere in each file, set as `"top-level"` by default.
+ * @property {ImportKindsMode} [importKinds] The kinds of imports followed by the recursion, either `"value"` to only follow the imports that remain at runtime, `"type"` to only follow the imports bringing in types, that is `import type` and `export type` declarations along with the imports and re-exports with inline type specifiers (`import { type X }`), or `"all"` to follow both, set as `"all"` by default. (The imports and re-exports whose specifiers are all inline type specifiers are followed in `"value"` mode as well, since they remain as side-effect imports under `verbatimModuleSyntax` or `preserveValueImports`.)
+ * @property {boolean} [strict] Whether unresolved relative or absolute import paths make the recursion fail instead of only being recorded in `unresolved`, set as `false` by default.
+ * @property {boolean} [detectCycles] Whether import cycles are detected and recorded in `cycles`, set as `false` by default.
+ * @property {boolean} [failOnCycle] Whether import cycles make the recursion fail instead of only being recorded in `cycles`, implying `detectCycles`, set as `false` by default.
+ * @property {boolean} [continueOnError] Whether the failures met on file paths, such as files not found or not parsed, callbacks throwing or the failures of `strict` and `failOnCycle`, are recorded in `errors` instead of making the recursion fail, skipping the subtrees of the file paths they are about, set as `false` by default. (Invalid options still make the recursion fail.)
+ * @property {string[]} [include] The array of the glob patterns, relative to the current working directory, that resolved paths have to match to be traversed, instantiated as an empty array `[]` by default to traverse every resolved path.
+ * @property {string[]} [exclude] The array of the glob patterns, relative to the current working directory, that resolved paths must not match to be traversed, instantiated as an empty array `[]` by default.
+ * @property {ShouldTraverse | null} [shouldTraverse] The predicate telling whether a resolved path is traversed, receiving the resolved path and the absolute path of its importer, checked after `include` and `exclude`, set as `null` by default.
+ * @property {boolean} [keepExcludedAsLeaves] Whether the resolved paths left out by `include`, `exclude` or `shouldTraverse` are still recorded in `graph` as leaves, without being visited nor their own imports being found, set as `false` by default.
+ * @property {FileHandlers} [handlers] The map of file extensions, such as `".css"`, to the handlers of the files ending with them, taking precedence over the built-in handlers of assets, stylesheets, Vue and Svelte components and MDX documents: `null` to record the files as leaves without reading them, `{ getScript }` to get the JavaScript or TypeScript code embedded in the files to parse, or `{ getImports }` to get the import paths of the files directly, instantiated as an empty object `{}` by default.
+ * @property {Resolver | null} [resolve] The custom resolver replacing the default resolution of import paths, such as for bundler aliases, receiving the import path, the directory of its importer and a context with the current working directory (`cwd`) and the default resolution (`defaultResolve`) to fall back on, and returning the absolute path the import path resolves to or `null`, set as `null` by default to resolve import paths based on the closest tsconfig.json file.
+ * @property {boolean} [resolvePackages] Whether import paths left unresolved are resolved through package.json files, package imports starting with `#` through the `imports` field of the closest package.json file, and the packages of the npm, Yarn or pnpm workspace as well as the package itself through their `exports` field, without ever traversing node_modules, set as `false` by default.
+ * @property {string[]} [conditions] The conditions matched by the conditional targets of the `exports` and `imports` fields of package.json files in `resolvePackages` mode, such as `"import"`, `"require"`, `"types"` or `"browser"`, `"default"` always being matched, set as `["import", "require", "node", "default"]` by default.
+ * @property {FollowExternalMode} [followExternal] How far the external packages installed in node_modules are followed, either `"none"` to only record their names in `external`, `"package"` to also record each of them once in `packages` with its version and its resolved entry file, or `"deep"` to also resolve bare import paths into node_modules and traverse the sources of the packages with the packages as their resolution roots, set as `"none"` by default.
+ * @property {ImportsExtractor | null} [extractImports] The custom extractor replacing the default extraction of imports from the files' SourceCode objects, such as for macros importing files, receiving the SourceCode object, the file path and a context with `scan`, `importKinds` and the default extraction (`defaultExtractImports`) to build on, and returning the array of the imports of the file, each with its import path (`specifier`) and, when left out, its `kind` set as `"static"`, its `typeOnly` as `false`, its `names` as `[]` and its `loc` as the start of the file, set as `null` by default to only extract import declarations, re-exports, `import()` and `require()` calls.
+ * @property {FindAllImportsCache} [cache] The cache of the tsconfig.json lookups per directory, of the resolved paths per resolution options, directory and import path, of the SourceCode objects per file path, modification time and getScript handler, of the package.json files and workspace packages, and of the content hashes per file path and modification time, made fresh with `makeCache()` by default and reusable across calls by passing the same object.
+ * @property {TraversalState | null} [previousState] The state of a previous traversal made with `serializeState`, from which the files whose modification times or, failing that, content hashes haven't changed since are reused without being read nor parsed again, along with their resolutions when their tsconfig.json files haven't changed either and the directories of their candidate files haven't been modified since it started, provided that it was made with the same `scan`, `importKinds`, `resolvePackages`, `conditions` in any order and `followExternal` and without custom hooks, set as `null` by default. (Never reused along with a custom `resolve`, `extractImports` or `handlers`, whose functions can't be compared with those the state was made with.) (Ignored by the callback variants and the walks, which hand over the SourceCode object of every file.)
+ * @property {number} [startedAt] The time at which the traversal started, in milliseconds since the epoch, recorded in the `options` of its results so that the resolutions reused from its state are only those whose candidate files can't have been created or deleted since, set as `Date.now()` by default.
+ * @property {CallbackControl} [callbackControl] The object shared by all the rounds of the traversal, tracking whether the callback stopped it by returning `"stop"` (`stopped`), instantiated as `{ stopped: false }` by default. (Only used by `findAllImportsWithCallbackSync` and `findAllImportsWithCallbackAsync`.)
+ * @property {FailureControl} [failureControl] The object shared by all the rounds of the traversal, tracking whether one of them made it fail (`failed`), so that the rounds running concurrently stop reading files, running the callback and traversing imports once the result of the traversal is decided, instantiated as `{ failed: false }` by default. (Only making a difference to `findAllImportsWithCallbackAsync` above a concurrency of `1`, the other traversals stopping at their first failure anyway.)
+ * @property {number} [concurrency] The maximum number of files read and of callbacks running at the same time, with the imports of each file being traversed concurrently when above `1`, set as `1` by default for a sequential traversal. (Files are still parsed one at a time on the main thread, so that concurrency overlaps the file reads and the asynchronous callbacks rather than the parsing.) (Only used by `findAllImportsWithCallbackAsync`, the other traversals being sequential.)
+ * @property {Limiter} [limiter] The function running the file reads and the callbacks of the whole traversal within the concurrency limit, made from `concurrency` with `makeLimiter(concurrency)` by default. (Only used by `findAllImportsWithCallbackAsync`.)
+ */
+
+/**
+ * @typedef {Required<FindAllImportsOptions>} TraversalSettings
+ */
+
+/**
+ * @typedef {{
+ *   type: "read";
+ *   filePath: string;
+ *   errorLocation: ErrorLocation;
+ * } | {
+ *   type: "file";
+ *   file: WalkedFile;
+ *   errorLocation: ErrorLocation;
+ * } | {
+ *   type: "traverse";
+ *   filePath: string;
+ *   settings: TraversalSettings;
+ * }} TraversalEffect
+ */
+
+/**
+ * @typedef {{
+ *   success: false;
+ *   errors: FindAllImportsError[];
+ * } | {
+ *   success: true;
+ *   action?: unknown;
+ * }} FileResults
+ */
+
+/**
+ * @typedef {{
+ *   add: (filePath: string) => void;
+ *   remove: (filePath: string) => void;
+ *   change: (filePath: string, imports: FileImport[]) => void;
+ *   failure: (failure: FindAllImportsResults) => void;
+ * }} ImportsWatcherListeners
+ */
+
+/**
+ * @typedef {{
+ *   on: <EventName extends keyof ImportsWatcherListeners>(eventName: EventName, listener: ImportsWatcherListeners[EventName]) => ImportsWatcher;
+ *   once: <EventName extends keyof ImportsWatcherListeners>(eventName: EventName, listener: ImportsWatcherListeners[EventName]) => ImportsWatcher;
+ *   off: <EventName extends keyof ImportsWatcherListeners>(eventName: EventName, listener: ImportsWatcherListeners[EventName]) => ImportsWatcher;
+ *   getResults: () => FindAllImportsResults;
+ *   close: () => void;
+ * }} ImportsWatcher
+ */
+
+/**
+ * @typedef {"skip" | "stop"} CallbackAction
+ */
+
+/**
+ * @typedef {{
+ *   stopped: boolean;
+ * }} CallbackControl
+ */
+
+/**
+ * @typedef {{
+ *   failed: boolean;
+ * }} FailureControl
+ */
+
 /**
  * @typedef {{
  *   callback: (
  *     filePath: string,
  *     sourceCode: SourceCode,
  *     accumulator: unknown,
- *   ) => void;
+ *     imports: FileImport[],
+ *   ) => CallbackAction | void;
  *   accumulator: unknown;
  * }} SynchronousCallbackConfig
  */
@@ -47,7 +477,8 @@
  *     filePath: string,
  *     sourceCode: SourceCode,
  *     accumulator: unknown,
- *   ) => Promise<void>,
+ *     imports: FileImport[],
+ *   ) => Promise<CallbackAction | void>,
  *   accumulator: unknown
  * }} AsynchronousCallbackConfig
  */